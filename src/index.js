@@ -2,6 +2,43 @@ const fp = require('fastify-plugin');
 const { setupErrorHandler } = require('./middleware/error-handler');
 const { setupCrudRoutes } = require('./routes/crud');
 const { setupNestedRoutes } = require('./routes/nested');
+const { setupBulkRoutes } = require('./routes/bulk');
+const { setupEventRoutes } = require('./routes/events');
+const { setupExportRoutes } = require('./routes/export');
+const { setupImportRoutes } = require('./routes/import');
+const { setupWebhookRoutes } = require('./routes/webhooks');
+const { createEventBus } = require('./utils/events');
+const { createWebhookOutbox } = require('./utils/webhooks');
+const { createWebhookDispatcher } = require('./utils/webhook-dispatcher');
+const { buildOpenApiDocument } = require('./utils/openapi');
+const { MERGE_PATCH, JSON_PATCH } = require('./utils/patch');
+const { IMPORT_FORMATS } = require('./utils/import');
+const { HttpError } = require('./utils/errors');
+
+/**
+ * Collect the routes registered under the API prefix and serve them as an OpenAPI document
+ * @param {Object} fastify - Fastify instance
+ * @param {String} prefix - API prefix
+ * @param {Object|Boolean} openapi - OpenAPI options (path, info, servers) or true for defaults
+ */
+function setupOpenApi(fastify, prefix, openapi) {
+  const { path = `${prefix}/openapi.json`, ...documentOptions } = openapi === true ? {} : openapi;
+  const routes = [];
+  let document;
+
+  fastify.addHook('onRoute', routeOptions => {
+    if (routeOptions.url.startsWith(prefix) && !(routeOptions.schema && routeOptions.schema.hide)) {
+      routes.push(routeOptions);
+    }
+  });
+
+  fastify.get(path, { schema: { hide: true } }, async () => {
+    if (!document) {
+      document = buildOpenApiDocument(routes, documentOptions);
+    }
+    return document;
+  });
+}
 
 /**
  * Fast CRUD API plugin for Fastify and MongoDB
@@ -10,24 +47,174 @@ const { setupNestedRoutes } = require('./routes/nested');
  * @param {Array} options.models - Array of Mongoose models
  * @param {String} options.prefix - API prefix
  * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.upsert - Models where PUT creates missing documents
+ * @param {Object} options.filterable - Whitelist of filterable fields per model
+ * @param {Object} options.search - Search mode (regex or text) and searchable fields, per model
+ * @param {Object} options.softDelete - Models where DELETE only sets deletedAt
+ * @param {Object} options.hooks - Lifecycle hooks per model (beforeCreate, afterUpdate, ...)
+ * @param {Object} options.policies - Authorization policies per model and method
+ * @param {Object} options.hiddenFields - Fields never returned, per model (array or resolver)
+ * @param {Object} options.readOnlyFields - Fields clients can never write, per model
+ * @param {Object} options.writeOnceFields - Fields clients can only set on creation, per model
+ * @param {Object} options.versionField - Field used as document version for ETags, per model (default __v)
+ * @param {Object} options.requireIfMatch - Models where PUT, PATCH and DELETE need an If-Match header
+ * @param {Object} options.cacheControl - Cache-Control header of read routes, per model
+ * @param {Object} options.audit - Models whose writes are recorded in the audit trail (true or { actor })
+ * @param {Object} options.events - Models with a Server-Sent Events change feed
+ * @param {Object} options.webhooks - Webhooks notified of changes, per model ({ url, secret, events })
+ * @param {Object} options.webhookDelivery - Webhook dispatcher settings and admin check
+ * @param {Object} options.importMapping - Import column to schema path mapping, per model
+ * @param {Object|Boolean} options.openapi - Serve an OpenAPI document (path, info, servers)
  */
 async function createRoutes(fastify, options) {
-  const { models, prefix = '/api', methods = {} } = options;
+  const {
+    models,
+    prefix = '/api',
+    methods = {},
+    upsert = {},
+    filterable = {},
+    search = {},
+    softDelete = {},
+    hooks = {},
+    policies = {},
+    hiddenFields = {},
+    readOnlyFields = {},
+    writeOnceFields = {},
+    versionField = {},
+    requireIfMatch = {},
+    cacheControl = {},
+    audit = {},
+    events = {},
+    webhooks = {},
+    webhookDelivery = {},
+    importMapping = {},
+    openapi
+  } = options;
+  const fieldOptions = { hiddenFields, readOnlyFields, writeOnceFields };
+  // Writes made through the routes feed the change feeds of this instance
+  const eventBus = createEventBus();
+  // Writes queue webhook deliveries in an outbox, sent in the background
+  const webhookOutbox = createWebhookOutbox(models, webhooks);
 
   // Setup error handler
   setupErrorHandler(fastify);
 
+  // Parse PATCH bodies sent as JSON Merge Patch or JSON Patch
+  [MERGE_PATCH, JSON_PATCH].forEach(contentType => {
+    if (!fastify.hasContentTypeParser(contentType)) {
+      fastify.addContentTypeParser(
+        contentType,
+        { parseAs: 'string' },
+        fastify.getDefaultJsonParser('error', 'ignore')
+      );
+    }
+  });
+
+  // Read import bodies (CSV and NDJSON) as text
+  Object.keys(IMPORT_FORMATS).forEach(contentType => {
+    if (!fastify.hasContentTypeParser(contentType)) {
+      fastify.addContentTypeParser(contentType, { parseAs: 'string' }, (request, body, done) => done(null, body));
+    }
+  });
+
+  // Setup OpenAPI document before the routes so every route is collected
+  if (openapi) {
+    setupOpenApi(fastify, prefix, openapi);
+  }
+
+  if (webhookOutbox) {
+    const { admin, ...dispatcherOptions } = webhookDelivery;
+    const dispatcher = createWebhookDispatcher(webhookOutbox, { ...dispatcherOptions, log: fastify.log });
+    fastify.addHook('onReady', async () => dispatcher.start());
+    fastify.addHook('onClose', async () => dispatcher.stop());
+    setupWebhookRoutes(fastify, prefix, webhookOutbox, { admin });
+  }
+
   // Setup routes for each model
   models.forEach(model => {
-    const modelName = model.collection.name;
     const baseRoute = `${prefix}/${model.collection.name}`;
-    
+
     // Setup basic CRUD routes and get reference fields
-    const { referenceFields } = setupCrudRoutes(fastify, model, baseRoute, { methods });
-    
+    const { referenceFields, handlers } = setupCrudRoutes(fastify, model, baseRoute, {
+      methods,
+      upsert,
+      filterable,
+      search,
+      softDelete,
+      hooks,
+      policies,
+      versionField,
+      requireIfMatch,
+      cacheControl,
+      audit,
+      events,
+      eventBus,
+      webhookOutbox,
+      ...fieldOptions
+    });
+
+    // Setup bulk write route
+    setupBulkRoutes(fastify, model, baseRoute, {
+      methods,
+      softDelete,
+      hooks,
+      policies,
+      versionField,
+      requireIfMatch,
+      audit,
+      events,
+      eventBus,
+      webhookOutbox,
+      ...fieldOptions
+    });
+
+    // Setup import route
+    setupImportRoutes(fastify, model, baseRoute, {
+      methods,
+      softDelete,
+      hooks,
+      policies,
+      versionField,
+      requireIfMatch,
+      audit,
+      events,
+      eventBus,
+      webhookOutbox,
+      importMapping,
+      ...fieldOptions
+    });
+
+    // Setup export route
+    setupExportRoutes(fastify, model, baseRoute, {
+      methods,
+      filterable,
+      search,
+      softDelete,
+      hooks,
+      policies,
+      ...fieldOptions
+    });
+
+    // Setup change feed route
+    setupEventRoutes(fastify, model, baseRoute, {
+      methods,
+      filterable,
+      softDelete,
+      hooks,
+      policies,
+      events,
+      eventBus,
+      ...fieldOptions
+    });
+
     // Setup nested routes for references
-    setupNestedRoutes(fastify, model, prefix, referenceFields, { methods });
+    setupNestedRoutes(fastify, model, prefix, referenceFields, {
+      softDelete,
+      cacheControl,
+      handlers
+    });
   });
 }
 
 module.exports = fp(createRoutes);
+module.exports.HttpError = HttpError;
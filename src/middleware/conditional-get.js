@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Build a weak entity tag from a response payload
+ * @param {String|Buffer} payload - Serialized response
+ * @returns {String} ETag (e.g. W/"2fd4e1c6...")
+ */
+function hashETag(payload) {
+  return `W/"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+}
+
+/**
+ * Compare two entity tags with the weak comparison (the W/ prefix is ignored)
+ * @param {String} a - Entity tag
+ * @param {String} b - Entity tag
+ * @returns {Boolean} Whether the tags match
+ */
+function weakMatch(a, b) {
+  const opaque = tag => String(tag).trim().replace(/^W\//, '');
+  return opaque(a) === opaque(b);
+}
+
+/**
+ * Check whether the client copy of a response is still fresh
+ * If-None-Match takes precedence over If-Modified-Since
+ * @param {Object} headers - Request headers
+ * @param {String} etag - ETag of the response
+ * @param {String} lastModified - Last-Modified of the response (HTTP date)
+ * @returns {Boolean} Whether 304 Not Modified can be sent
+ */
+function isNotModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return Boolean(etag) && ifNoneMatch.split(',').some(tag => weakMatch(tag, etag));
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  const modified = Date.parse(lastModified);
+  if (Number.isNaN(ifModifiedSince) || Number.isNaN(modified)) return false;
+
+  // HTTP dates have a one second precision
+  return Math.floor(modified / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Create the onSend hook of read routes
+ * Adds Cache-Control and an ETag (unless the handler set one), and answers
+ * If-None-Match / If-Modified-Since with 304 Not Modified
+ * @param {Object} options - Hook options
+ * @param {String} options.cacheControl - Cache-Control header of successful responses
+ * @returns {Function} Fastify onSend hook
+ */
+function createConditionalGet({ cacheControl } = {}) {
+  return async (request, reply, payload) => {
+    if (reply.statusCode !== 200 || payload === null || payload === undefined) {
+      return payload;
+    }
+
+    if (cacheControl) {
+      reply.header('Cache-Control', cacheControl);
+    }
+
+    let etag = reply.getHeader('etag');
+    if (!etag) {
+      etag = hashETag(payload);
+      reply.header('ETag', etag);
+    }
+
+    if (isNotModified(request.headers, etag, reply.getHeader('last-modified'))) {
+      reply.code(304);
+      return '';
+    }
+
+    return payload;
+  };
+}
+
+module.exports = { hashETag, isNotModified, createConditionalGet };
@@ -1,3 +1,30 @@
+/**
+ * Format the errors of a Mongoose ValidationError as response details
+ * @param {Object} error - Mongoose ValidationError
+ * @returns {Array} Details with field and message
+ */
+function formatValidationErrors(error) {
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+}
+
+/**
+ * Resolve the offending field of a JSON Schema validation error
+ * @param {Object} err - Ajv validation error
+ * @param {String} context - Request part validated (body, querystring, params)
+ * @returns {String} Field path
+ */
+function validationField(err, context) {
+  const path = (err.instancePath || err.dataPath || '')
+    .replace(/^[./]/, '')
+    .replace(/\//g, '.');
+  const missing = err.params && err.params.missingProperty;
+  const field = [path, missing].filter(Boolean).join('.');
+  return field || context;
+}
+
 /**
  * Setup Fastify error handler for MongoDB and validation errors
  * @param {Object} fastify - Fastify instance
@@ -6,12 +33,31 @@ function setupErrorHandler(fastify) {
   fastify.setErrorHandler((error, request, reply) => {
     fastify.log.error(error);
 
+    if (error.name === 'HttpError') {
+      reply.code(error.statusCode).send({
+        error: error.error,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+      return;
+    }
+
     if (error.name === 'ValidationError') {
       reply.code(400).send({
         error: 'ValidationError',
         message: 'Invalid data provided',
-        details: Object.values(error.errors).map(err => ({
-          field: err.path,
+        details: formatValidationErrors(error)
+      });
+      return;
+    }
+
+    // Request rejected by the route JSON Schema
+    if (error.validation) {
+      reply.code(400).send({
+        error: 'ValidationError',
+        message: 'Invalid data provided',
+        details: error.validation.map(err => ({
+          field: validationField(err, error.validationContext),
           message: err.message
         }))
       });
@@ -34,6 +80,15 @@ function setupErrorHandler(fastify) {
       return;
     }
 
+    // Client errors raised by Fastify itself (unsupported media type, malformed JSON...)
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+      reply.code(error.statusCode).send({
+        error: error.code || 'BadRequest',
+        message: error.message
+      });
+      return;
+    }
+
     reply.code(500).send({
       error: 'InternalError',
       message: 'An internal server error occurred'
@@ -41,4 +96,4 @@ function setupErrorHandler(fastify) {
   });
 }
 
-module.exports = { setupErrorHandler };
+module.exports = { setupErrorHandler, formatValidationErrors };
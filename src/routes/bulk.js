@@ -0,0 +1,30 @@
+const { buildRouteSchemas } = require('../utils/schema');
+const { createBulkWriter, summarizeResults } = require('../utils/bulk');
+
+/**
+ * Setup bulk write route for a model
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} model - Mongoose model
+ * @param {String} baseRoute - Base route path
+ * @param {Object} options - Route options (see createBulkWriter)
+ */
+function setupBulkRoutes(fastify, model, baseRoute, options = {}) {
+  const writer = createBulkWriter(model, options);
+
+  // Only setup the bulk route if at least one write method is allowed
+  if (writer.allowed.length === 0) {
+    return;
+  }
+
+  const schemas = buildRouteSchemas(model);
+
+  // Bulk write (POST /api/resource/_bulk)
+  fastify.post(`${baseRoute}/_bulk`, { schema: schemas.bulk }, async (request) => {
+    const { operations, ordered = true, transaction = false } = request.body;
+    const results = await writer.write(request, operations, { ordered, transaction });
+
+    return { ...summarizeResults(results), results };
+  });
+}
+
+module.exports = { setupBulkRoutes };
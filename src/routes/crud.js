@@ -1,6 +1,76 @@
 const { transformDocument } = require('../utils/document');
-const { buildQuery } = require('../utils/query');
+const { getAuditTrail, diffDocuments } = require('../utils/audit');
+const { listDocuments } = require('../utils/list');
+const { aggregateDocuments, facetDocuments, distinctValues } = require('../utils/aggregate');
+const { extractFields, populateOption, keepFields } = require('../utils/projection');
+const { buildRouteSchemas, buildMembershipSchemas } = require('../utils/schema');
+const {
+  JSON_PATCH,
+  mergePatchToUpdate,
+  jsonPatchToUpdate,
+  jsonPatchPaths,
+  applyUpdate
+} = require('../utils/patch');
+const { getModelOption } = require('../utils/options');
+const { getSearchConfig } = require('../utils/search');
+const { getReferencePaths, getRefCollectionName, castReference } = require('../utils/reference');
+const { HttpError } = require('../utils/errors');
+const { getModelHooks, runHook, transformResponse } = require('../utils/hooks');
+const {
+  getFieldRules,
+  createFieldHider,
+  hasWriteRules,
+  assertCreatable,
+  updatePaths,
+  assertUpdatable,
+  protectReplacement,
+  keepProtectedFields
+} = require('../utils/fields');
+const { DELETED_AT, assertSoftDeletable, notDeleted, onlyDeleted } = require('../utils/soft-delete');
+const {
+  getVersionField,
+  getVersion,
+  getLastModified,
+  getCreatedAtField,
+  formatETag,
+  parseIfMatch,
+  matchesIfMatch,
+  ifMatchFilter,
+  nextVersion,
+  withVersionUpdate,
+  preconditionFailed,
+  preconditionRequired
+} = require('../utils/version');
+const { WEBHOOK_REQUEST } = require('../utils/webhooks');
+const { createConditionalGet } = require('../middleware/conditional-get');
 const { isMethodAllowed } = require('../validators/method');
+const {
+  getModelPolicies,
+  policyFilter,
+  createPopulateMatch,
+  constrainFilter,
+  assertAllowed,
+  authorizeDocument
+} = require('../validators/policy');
+
+/**
+ * Check a boolean query string flag
+ * @param {*} value - Query string value
+ * @returns {Boolean} Whether the flag is set
+ */
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Run the options of a write in a session, when there is one
+ * @param {Object} session - Mongoose client session (optional)
+ * @param {Object} options - Options of the write
+ * @returns {Object} Options of the write
+ */
+function inSession(session, options = {}) {
+  return session ? { ...options, session } : options;
+}
 
 /**
  * Setup basic CRUD routes for a model
@@ -9,79 +79,259 @@ const { isMethodAllowed } = require('../validators/method');
  * @param {String} baseRoute - Base route path
  * @param {Object} options - Route options
  * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.upsert - Models where PUT creates missing documents
+ * @param {Object} options.filterable - Whitelist of filterable fields per model
+ * @param {Object} options.search - Search mode and searchable fields per model
+ * @param {Object} options.softDelete - Models where DELETE only sets deletedAt
+ * @param {Object} options.hooks - Lifecycle hooks per model
+ * @param {Object} options.policies - Authorization policies per model and method
+ * @param {Object} options.hiddenFields - Fields never returned, per model
+ * @param {Object} options.readOnlyFields - Fields clients can never write, per model
+ * @param {Object} options.writeOnceFields - Fields clients can only set on creation, per model
+ * @param {Object} options.versionField - Field used as document version for ETags, per model
+ * @param {Object} options.requireIfMatch - Models where writes need an If-Match header
+ * @param {Object} options.cacheControl - Cache-Control header of read routes, per model
+ * @param {Object} options.audit - Models whose writes are recorded in the audit trail
+ * @param {Object} options.events - Models with a change feed
+ * @param {Object} options.eventBus - Event bus feeding the change feeds
+ * @param {Object} options.webhookOutbox - Outbox of the webhook deliveries
+ * @returns {Object} { referenceFields, handlers } for the nested routes
  */
 function setupCrudRoutes(fastify, model, baseRoute, options = {}) {
   const { methods = {} } = options;
   const modelName = model.collection.name;
-  
-  // Get searchable fields from schema
-  const searchableFields = Object.keys(model.schema.paths).filter(
-    path => model.schema.paths[path].instance === 'String'
+  const upsert = getModelOption(modelName, options.upsert, false) === true;
+  const filterableFields = getModelOption(modelName, options.filterable);
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const hooks = getModelHooks(modelName, options.hooks);
+  const policies = getModelPolicies(modelName, options.policies);
+  const fieldRules = getFieldRules(modelName, options);
+  const hideFields = createFieldHider(model, options);
+  const populateMatch = createPopulateMatch(model, options.policies);
+  const versionField = getVersionField(model, options.versionField);
+  const requireIfMatch = getModelOption(modelName, options.requireIfMatch, false) === true;
+  // Read routes send ETags and answer conditional requests with 304
+  const conditionalGet = createConditionalGet({
+    cacheControl: getModelOption(modelName, options.cacheControl)
+  });
+  const audit = getAuditTrail(model, options.audit);
+  const eventBus = getModelOption(modelName, options.events, false) ? options.eventBus : null;
+  const webhookOutbox = options.webhookOutbox && options.webhookOutbox.handles(modelName)
+    ? options.webhookOutbox
+    : null;
+
+  if (softDelete) {
+    assertSoftDeletable(model);
+  }
+
+  // Soft-deleted documents are hidden from every route but the trash
+  const activeFilter = softDelete ? notDeleted() : {};
+  const findActive = id => (softDelete
+    ? model.findOne({ _id: id, ...notDeleted() })
+    : model.findById(id));
+
+  // Check the policy of a method against the current document before touching it
+  // Resolves to false when the document does not exist
+  const authorize = async (method, request, id, find = findActive) => {
+    const policy = policies[method];
+    if (!policy) return true;
+
+    const current = await find(id);
+    if (!current) return false;
+
+    await authorizeDocument(model, policy, request, current);
+    return true;
+  };
+
+  const notFound = () => new HttpError(404, 'NotFound', 'Resource not found');
+
+  // Nested routes scope documents to their parent: documents of another parent are not found
+  const assertInScope = async (id, scope) => {
+    if (Object.keys(scope).length > 0 && await model.exists({ _id: id, $nor: [scope] })) {
+      throw notFound();
+    }
+  };
+
+  // Read the If-Match header of a write, which may be mandatory
+  // Documents without a version have no entity tag: only `If-Match: *` can hold for them
+  const ifMatchHeader = request => parseIfMatch(request.headers && request.headers['if-match']);
+  const ifMatchOf = (request) => {
+    const ifMatch = ifMatchHeader(request);
+    if (ifMatch === null && requireIfMatch) {
+      throw preconditionRequired();
+    }
+    if (Array.isArray(ifMatch) && !versionField) {
+      throw preconditionFailed(`${modelName} is not versioned: only If-Match: * applies`);
+    }
+    return ifMatch;
+  };
+
+  // Check the If-Match precondition of a write against the current document
+  const assertIfMatch = (request, current) => {
+    if (!matchesIfMatch(ifMatchOf(request), getVersion(current, versionField))) {
+      throw preconditionFailed();
+    }
+  };
+
+  // Replace the version that was read, so concurrent writes are detected
+  // The id, creation date and version are managed by the server and kept from the current document
+  const createdAtField = getCreatedAtField(model);
+  const replaceCurrent = (id, current, replacement, session) => {
+    const version = getVersion(current, versionField);
+    const conditions = version === undefined ? {} : { [versionField]: version };
+    const next = nextVersion(model, versionField, version);
+    const kept = ['_id', createdAtField, versionField].reduce((acc, field) => {
+      const value = getVersion(current, field);
+      if (value !== undefined) acc[field] = value;
+      return acc;
+    }, {});
+    return model.findOneAndReplace(
+      { _id: id, ...activeFilter, ...conditions },
+      next === undefined ? { ...replacement, ...kept } : { ...replacement, ...kept, [versionField]: next },
+      inSession(session, { new: true, runValidators: true })
+    );
+  };
+
+  // The previous state of a write is only loaded when auditing
+  const loadBefore = (id, find = findActive) => (audit ? find(id) : undefined);
+
+  // Run a write, record it in the audit trail, queue its webhook deliveries and publish it to the
+  // change feed. `states` gives the states before and after the write from the written document
+  // With the webhook outbox, the entry and the deliveries are written in the transaction of the
+  // write: they only exist for writes that commit, and a committed write never misses them.
+  // Otherwise the entry is recorded once the write is done, on a best-effort basis
+  const writeAndRecord = async (request, operation, write, states, extra) => {
+    // Purging a soft-deleted document is not a change subscribers can see
+    const isVisible = doc => !(operation === 'purge' && doc[DELETED_AT]);
+
+    const track = async (session) => {
+      const doc = await write(session);
+      if (doc && audit) {
+        await audit.record(request, operation, ...states(doc), extra, session);
+      }
+      if (doc && webhookOutbox && isVisible(doc)) {
+        await webhookOutbox.enqueue(
+          modelName,
+          operation,
+          await hideFields(WEBHOOK_REQUEST, transformDocument(doc)),
+          session
+        );
+      }
+      return doc;
+    };
+
+    const doc = await (webhookOutbox ? webhookOutbox.transaction(track) : track());
+    if (doc && eventBus && isVisible(doc)) {
+      eventBus.publish(modelName, operation, ...states(doc));
+    }
+    return doc;
+  };
+
+  // Tell whether a conditional write matched nothing because the document changed
+  const hasChanged = async (id, conditions, filter = activeFilter) =>
+    Object.keys(conditions).length > 0 && Boolean(await model.exists({ _id: id, ...filter }));
+
+  // Build the response of a document: hidden fields are removed before the transformResponse hook
+  const respond = async (request, doc) => transformResponse(
+    hooks,
+    request,
+    model,
+    await hideFields(request, transformDocument(doc))
   );
 
-  // Get reference fields
-  const referenceFields = Object.keys(model.schema.paths).filter(path => {
-    const schemaType = model.schema.paths[path];
-    return schemaType.options && schemaType.options.ref;
-  });
+  // Build the response of a document and tag it with the version of the document and a digest
+  // of the response, which differs between roles, projections and transformResponse results
+  const respondWithETag = async (request, reply, doc) => {
+    const body = await respond(request, doc);
+    const etag = formatETag(getVersion(doc, versionField), body);
+    if (etag) {
+      reply.header('ETag', etag);
+    }
+    return body;
+  };
+
+  // Searchable fields and search mode, from the schema and the search option
+  const search = getSearchConfig(model, getModelOption(modelName, options.search));
+
+  // JSON Schemas for validation and serialization
+  const schemas = buildRouteSchemas(model, { softDelete });
+
+  // Get reference fields (single references and arrays of references)
+  const references = getReferencePaths(model);
+  const referenceFields = references.map(({ path }) => path);
+
+  // Resolve the query string and list options of a list request, running the list hooks
+  const listContext = async (request, baseFilter) => {
+    // beforeList may rewrite the query string or add constraints to the filter
+    const { query, filter } = await runHook(hooks, 'beforeList', request, model, {
+      query: { ...request.query },
+      filter: {}
+    });
+
+    // Users only ever see the documents allowed by the GET policy
+    const constraint = await policyFilter(policies.GET, request);
+    const { hidden } = await fieldRules(request);
+
+    return {
+      query,
+      options: {
+        baseFilter: constrainFilter({ ...filter, ...baseFilter }, constraint),
+        search,
+        filterableFields,
+        hiddenFields: hidden,
+        populateMatch: await populateMatch(request)
+      }
+    };
+  };
+
+  // List documents matching a base filter
+  const list = async (request, baseFilter) => {
+    const { query, options: listOptions } = await listContext(request, baseFilter);
+
+    const result = await listDocuments(model, query, listOptions);
+    result.data = await Promise.all(result.data.map(doc => hideFields(request, doc)));
+
+    return transformResponse(hooks, request, model, result);
+  };
+
+  // Handlers of the allowed list and single resource routes, shared with the nested routes
+  // which pass the reference to their parent as scope ({ author: userId })
+  const handlers = {};
 
   // List route (GET /api/resource)
   if (isMethodAllowed(modelName, 'GET', methods)) {
-    fastify.get(baseRoute, async (request) => {
-      const {
-        page = 1,
-        limit = 10,
-        sort,
-        search,
-        populate,
-        ...filters
-      } = request.query;
-
-      // Convert string values to ObjectId for reference fields
-      referenceFields.forEach(field => {
-        if (filters[field]) {
-          filters[field] = model.schema.paths[field].cast(filters[field]);
-        }
-      });
+    handlers.list = async (request, reply, scope = {}) => list(request, { ...activeFilter, ...scope });
+    fastify.get(baseRoute, { schema: schemas.list, onSend: conditionalGet }, handlers.list);
 
-      const sortQuery = sort ? JSON.parse(sort) : { _id: -1 };
-      
-      const query = buildQuery(model, filters, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: sortQuery,
-        search,
-        searchFields: searchableFields,
-        populate
+    // List soft-deleted resources (GET /api/resource/_trash)
+    if (softDelete) {
+      fastify.get(`${baseRoute}/_trash`, { schema: schemas.trash, onSend: conditionalGet }, async (request) => {
+        return list(request, onlyDeleted());
       });
-
-      const [data, total] = await Promise.all([
-        query.exec(),
-        model.countDocuments(filters)
-      ]);
-
-      return {
-        data: data.map(doc => transformDocument(doc)),
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit)
-        }
-      };
-    });
+    }
 
     // Get single resource (GET /api/resource/:id)
-    fastify.get(`${baseRoute}/:id`, async (request, reply) => {
+    handlers.get = async (request, reply, scope = {}) => {
       const { id } = request.params;
-      const { populate } = request.query;
+      const { projection, populateSelect, query: { populate } } = extractFields(request.query);
 
-      let query = model.findById(id);
+      await assertInScope(id, scope);
+      if (!(await authorize('GET', request, id))) {
+        throw notFound();
+      }
+
+      let query = findActive(id);
+
+      if (projection) {
+        // The version is needed for the ETag
+        query = query.select(versionField ? keepFields(projection, [versionField]) : projection);
+      }
 
       if (populate) {
+        const match = await populateMatch(request);
         const populateFields = Array.isArray(populate) ? populate : [populate];
         populateFields.forEach(field => {
-          query = query.populate(field);
+          query = query.populate(populateOption(field, populateSelect, match));
         });
       }
 
@@ -95,31 +345,189 @@ function setupCrudRoutes(fastify, model, baseRoute, options = {}) {
         return;
       }
 
-      return transformDocument(doc);
-    });
+      // Populated references change without the version: those responses are tagged by content
+      if (populate) {
+        return respond(request, doc);
+      }
+
+      const lastModified = getLastModified(model, doc);
+      if (lastModified) {
+        reply.header('Last-Modified', lastModified.toUTCString());
+      }
+      return respondWithETag(request, reply, doc);
+    };
+    fastify.get(`${baseRoute}/:id`, { schema: schemas.get, onSend: conditionalGet }, handlers.get);
   }
 
   // Create resource (POST /api/resource)
   if (isMethodAllowed(modelName, 'POST', methods)) {
-    fastify.post(baseRoute, async (request) => {
-      const doc = new model(request.body);
-      await doc.save();
-      return transformDocument(doc);
-    });
+    handlers.create = async (request, reply, scope = {}) => {
+      await assertAllowed(policies.POST, request, { ...request.body, ...scope });
+      assertCreatable(request.body, await fieldRules(request));
+      const body = await runHook(hooks, 'beforeCreate', request, model, request.body);
+      const doc = new model({ ...body, ...scope });
+      await writeAndRecord(request, 'create', session => doc.save(inSession(session)), () => [null, doc]);
+      await runHook(hooks, 'afterCreate', request, model, doc);
+      return respondWithETag(request, reply, doc);
+    };
+    fastify.post(baseRoute, { schema: schemas.create }, handlers.create);
   }
 
-  // Update resource (PUT /api/resource/:id)
+  // Replace resource (PUT /api/resource/:id)
   if (isMethodAllowed(modelName, 'PUT', methods)) {
-    fastify.put(`${baseRoute}/:id`, async (request, reply) => {
+    handlers.replace = async (request, reply, scope = {}) => {
       const { id } = request.params;
-      
-      const doc = await model.findByIdAndUpdate(
-        id,
-        request.body,
-        { new: true, runValidators: true }
+      // The identifier always comes from the URL
+      const { _id, ...body } = request.body;
+      delete body.id;
+      // The version is managed by the server
+      if (versionField) {
+        delete body[versionField];
+      }
+
+      await assertInScope(id, scope);
+      const current = await findActive(id);
+
+      if (current) {
+        assertIfMatch(request, current);
+        if (policies.PUT) {
+          await authorizeDocument(model, policies.PUT, request, current);
+        }
+      } else if (ifMatchHeader(request) !== null) {
+        // If-Match never holds for a missing document (creating one needs no precondition)
+        throw preconditionFailed();
+      } else if (!upsert) {
+        throw notFound();
+      }
+
+      // Protected fields cannot change and are kept from the current document, as are the
+      // hidden fields the client never received
+      const rules = await fieldRules(request);
+      let protectedBody = body;
+      if (current && (hasWriteRules(rules) || rules.hidden.length > 0)) {
+        protectedBody = protectReplacement(body, current.toObject(), rules);
+      } else if (hasWriteRules(rules)) {
+        assertCreatable(body, rules);
+      }
+
+      const replacement = {
+        ...(await runHook(hooks, 'beforeUpdate', request, model, protectedBody)),
+        ...scope
+      };
+      // The replacement must be allowed too, so a document cannot be handed over (e.g. to
+      // another author), and so must documents created by upsert
+      await assertAllowed(policies.PUT, request, replacement);
+
+      const doc = current && await writeAndRecord(
+        request,
+        'update',
+        session => replaceCurrent(id, current, replacement, session),
+        replaced => [current, replaced]
       );
 
       if (!doc) {
+        if (current && getVersion(current, versionField) !== undefined) {
+          throw preconditionFailed();
+        }
+
+        if (upsert) {
+          const created = new model({ ...replacement, _id: id });
+          await writeAndRecord(request, 'create', session => created.save(inSession(session)), () => [null, created]);
+          await runHook(hooks, 'afterUpdate', request, model, created);
+          reply.code(201);
+          return respondWithETag(request, reply, created);
+        }
+
+        reply.code(404).send({
+          error: 'NotFound',
+          message: 'Resource not found'
+        });
+        return;
+      }
+
+      await runHook(hooks, 'afterUpdate', request, model, doc);
+      return respondWithETag(request, reply, doc);
+    };
+    fastify.put(`${baseRoute}/:id`, { schema: schemas.update }, handlers.replace);
+  }
+
+  // Patch resource (PATCH /api/resource/:id)
+  if (isMethodAllowed(modelName, 'PATCH', methods)) {
+    fastify.patch(`${baseRoute}/:id`, { schema: schemas.patch }, async (request, reply) => {
+      const { id } = request.params;
+      const contentType = (request.headers['content-type'] || '').split(';')[0].trim();
+      const ifMatch = ifMatchOf(request);
+
+      if (!(await authorize('PATCH', request, id))) {
+        throw notFound();
+      }
+
+      // Clients cannot change protected fields (hooks still can)
+      const rules = await fieldRules(request);
+      if (hasWriteRules(rules)) {
+        assertUpdatable(
+          contentType === JSON_PATCH
+            ? jsonPatchPaths(request.body)
+            : updatePaths(mergePatchToUpdate(request.body)),
+          rules
+        );
+      }
+
+      // The merge patch object or the JSON Patch operations
+      const body = await runHook(hooks, 'beforeUpdate', request, model, request.body);
+
+      // JSON Patch needs the current document to resolve arrays, sources and tests,
+      // and the PATCH policy to check the patched document
+      const current = contentType === JSON_PATCH || policies.PATCH
+        ? await findActive(id)
+        : await loadBefore(id);
+
+      if (current === null) {
+        reply.code(404).send({
+          error: 'NotFound',
+          message: 'Resource not found'
+        });
+        return;
+      }
+
+      let update = contentType === JSON_PATCH
+        ? jsonPatchToUpdate(body, current.toObject())
+        : mergePatchToUpdate(body);
+      // The patched document must be allowed too, so a document cannot be handed over
+      if (policies.PATCH) {
+        await assertAllowed(policies.PATCH, request, applyUpdate(current.toObject(), update));
+      }
+
+      update = withVersionUpdate(model, versionField, update);
+      let conditions = ifMatchFilter(model, versionField, ifMatch);
+      if (contentType === JSON_PATCH) {
+        // The update was computed from the version that was read: it only applies to that version
+        const version = getVersion(current, versionField);
+        if (!matchesIfMatch(ifMatch, version)) {
+          throw preconditionFailed();
+        }
+        conditions = version === undefined ? {} : { [versionField]: version };
+      }
+
+      const doc = await writeAndRecord(request, 'update', session => (
+        softDelete || Object.keys(conditions).length > 0
+          ? model.findOneAndUpdate(
+            { _id: id, ...activeFilter, ...conditions },
+            update,
+            inSession(session, { new: true, runValidators: true })
+          )
+          : model.findByIdAndUpdate(
+            id,
+            update,
+            inSession(session, { new: true, runValidators: true })
+          )
+      ), updated => [current, updated]);
+
+      if (!doc) {
+        if (await hasChanged(id, conditions)) {
+          throw preconditionFailed();
+        }
+
         reply.code(404).send({
           error: 'NotFound',
           message: 'Resource not found'
@@ -127,18 +535,128 @@ function setupCrudRoutes(fastify, model, baseRoute, options = {}) {
         return;
       }
 
-      return transformDocument(doc);
+      await runHook(hooks, 'afterUpdate', request, model, doc);
+      return respondWithETag(request, reply, doc);
+    });
+  }
+
+  // Add or remove a reference of an array of references
+  // (POST and DELETE /api/posts/:id/tags/:refId), as partial updates following the PATCH method
+  if (isMethodAllowed(modelName, 'PATCH', methods)) {
+    references.filter(({ many }) => many).forEach(({ path, ref }) => {
+      const membershipSchemas = buildMembershipSchemas(model, path);
+      const refModel = model.db && model.db.models && model.db.models[ref];
+      const refSoftDelete = getModelOption(getRefCollectionName(model, ref), options.softDelete, false) === true;
+
+      const changeMembership = operation => async (request, reply) => {
+        const { id, refId } = request.params;
+        const ifMatch = ifMatchOf(request);
+
+        if (!(await authorize('PATCH', request, id))) {
+          throw notFound();
+        }
+
+        // Clients cannot change protected fields (hooks still can)
+        const rules = await fieldRules(request);
+        if (hasWriteRules(rules)) {
+          assertUpdatable([path], rules);
+        }
+
+        // The hook receives the membership change and may return it with another reference
+        const change = await runHook(hooks, 'beforeUpdate', request, model, { path, id: refId, operation });
+
+        // Only existing documents can be added
+        if (operation === 'add' && refModel &&
+          !(await refModel.exists({ _id: change.id, ...(refSoftDelete && notDeleted()) }))) {
+          throw new HttpError(404, 'NotFound', 'Referenced resource not found');
+        }
+
+        const body = {
+          [operation === 'add' ? '$addToSet' : '$pull']: { [path]: castReference(model, path, change.id) }
+        };
+
+        const current = await loadBefore(id);
+        if (current === null) {
+          throw notFound();
+        }
+
+        const conditions = ifMatchFilter(model, versionField, ifMatch);
+        const doc = await writeAndRecord(request, 'update', session => model.findOneAndUpdate(
+          { _id: id, ...activeFilter, ...conditions },
+          withVersionUpdate(model, versionField, body),
+          inSession(session, { new: true, runValidators: true })
+        ), updated => [current, updated]);
+
+        if (!doc) {
+          if (await hasChanged(id, conditions)) {
+            throw preconditionFailed();
+          }
+          throw notFound();
+        }
+
+        await runHook(hooks, 'afterUpdate', request, model, doc);
+        return respondWithETag(request, reply, doc);
+      };
+
+      const membershipRoute = `${baseRoute}/:id/${path}/:refId`;
+      fastify.post(membershipRoute, { schema: membershipSchemas.add }, changeMembership('add'));
+      fastify.delete(membershipRoute, { schema: membershipSchemas.remove }, changeMembership('remove'));
     });
   }
 
   // Delete resource (DELETE /api/resource/:id)
-  if (isMethodAllowed(modelName, 'DELETE', methods)) {
-    fastify.delete(`${baseRoute}/:id`, async (request, reply) => {
+  // With soft delete, `?purge=true` removes the document for good and needs the PURGE method
+  const canDelete = isMethodAllowed(modelName, 'DELETE', methods);
+  const canPurge = softDelete && isMethodAllowed(modelName, 'PURGE', methods);
+
+  if (canDelete || canPurge) {
+    handlers.remove = async (request, reply, scope = {}) => {
       const { id } = request.params;
-      
-      const doc = await model.findByIdAndDelete(id);
+      const purge = softDelete && isTrue(request.query && request.query.purge);
+
+      if (purge ? !canPurge : !canDelete) {
+        throw new HttpError(
+          405,
+          'MethodNotAllowed',
+          `${purge ? 'Purge' : 'Delete'} is not allowed on ${modelName}`
+        );
+      }
+
+      const ifMatch = ifMatchOf(request);
+      await assertInScope(id, scope);
+      const found = purge
+        ? await authorize('PURGE', request, id, documentId => model.findById(documentId))
+        : await authorize('DELETE', request, id);
+      if (!found) {
+        throw notFound();
+      }
+
+      await runHook(hooks, 'beforeDelete', request, model, id);
+
+      const conditions = ifMatchFilter(model, versionField, ifMatch);
+      const softDeleting = softDelete && !purge;
+      const before = softDeleting ? await loadBefore(id) : undefined;
+      const doc = await writeAndRecord(request, purge ? 'purge' : 'delete', (session) => {
+        if (softDeleting) {
+          return model.findOneAndUpdate(
+            { _id: id, ...notDeleted(), ...conditions },
+            withVersionUpdate(model, versionField, { $set: { [DELETED_AT]: new Date() } }),
+            inSession(session, { new: true })
+          );
+        }
+        if (Object.keys(conditions).length > 0) {
+          return session
+            ? model.findOneAndDelete({ _id: id, ...conditions }, { session })
+            : model.findOneAndDelete({ _id: id, ...conditions });
+        }
+        return session ? model.findByIdAndDelete(id, { session }) : model.findByIdAndDelete(id);
+      }, deleted => (softDeleting ? [before || deleted, deleted] : [deleted, null]));
 
       if (!doc) {
+        if (await hasChanged(id, conditions, purge ? {} : activeFilter)) {
+          throw preconditionFailed();
+        }
+
         reply.code(404).send({
           error: 'NotFound',
           message: 'Resource not found'
@@ -146,11 +664,172 @@ function setupCrudRoutes(fastify, model, baseRoute, options = {}) {
         return;
       }
 
+      await runHook(hooks, 'afterDelete', request, model, doc);
       return { success: true };
+    };
+    fastify.delete(`${baseRoute}/:id`, { schema: schemas.remove }, handlers.remove);
+  }
+
+  // Restore a soft-deleted resource (POST /api/resource/:id/restore)
+  if (softDelete && canDelete) {
+    fastify.post(`${baseRoute}/:id/restore`, { schema: schemas.restore }, async (request, reply) => {
+      const { id } = request.params;
+
+      const found = await authorize('DELETE', request, id, documentId =>
+        model.findOne({ _id: documentId, ...onlyDeleted() }));
+      if (!found) {
+        throw notFound();
+      }
+
+      const before = await loadBefore(id, documentId => model.findOne({ _id: documentId, ...onlyDeleted() }));
+      const doc = await writeAndRecord(request, 'restore', session => model.findOneAndUpdate(
+        { _id: id, ...onlyDeleted() },
+        withVersionUpdate(model, versionField, { $unset: { [DELETED_AT]: 1 } }),
+        inSession(session, { new: true })
+      ), restored => [before, restored]);
+
+      if (!doc) {
+        reply.code(404).send({
+          error: 'NotFound',
+          message: 'Resource not found'
+        });
+        return;
+      }
+
+      return respondWithETag(request, reply, doc);
     });
   }
-  
-  return { referenceFields }; // Return for use in nested routes
+
+  // Present an audit entry, hiding the hidden fields of both states
+  const presentRevision = async (request, entry) => {
+    const before = await hideFields(request, transformDocument(entry.before));
+    const after = await hideFields(request, transformDocument(entry.after));
+    return {
+      revision: entry.revision,
+      operation: entry.operation,
+      actor: entry.actor,
+      timestamp: entry.timestamp,
+      revertedFrom: entry.revertedFrom,
+      changes: diffDocuments(before, after),
+      document: after
+    };
+  };
+
+  // Revision history, also available for deleted documents (GET /api/resource/:id/history)
+  if (audit && isMethodAllowed(modelName, 'GET', methods)) {
+    const findAny = documentId => model.findById(documentId);
+
+    fastify.get(`${baseRoute}/:id/history`, { schema: schemas.history, onSend: conditionalGet }, async (request) => {
+      const { id } = request.params;
+
+      if (!(await authorize('GET', request, id, findAny))) {
+        throw notFound();
+      }
+
+      const entries = await audit.history(id);
+      if (entries.length === 0) {
+        throw notFound();
+      }
+
+      const data = await Promise.all(entries.map(async entry => {
+        const { document, ...revision } = await presentRevision(request, entry);
+        return revision;
+      }));
+      return { data };
+    });
+
+    // Single revision with the document as it was (GET /api/resource/:id/history/:revision)
+    fastify.get(
+      `${baseRoute}/:id/history/:revision`,
+      { schema: schemas.revision, onSend: conditionalGet },
+      async (request) => {
+        const { id, revision } = request.params;
+
+        if (!(await authorize('GET', request, id, findAny))) {
+          throw notFound();
+        }
+
+        const entry = await audit.revision(id, revision);
+        if (!entry) {
+          throw new HttpError(404, 'NotFound', 'Revision not found');
+        }
+
+        return presentRevision(request, entry);
+      }
+    );
+  }
+
+  // Replace a document with one of its revisions (POST /api/resource/:id/revert/:revision)
+  if (audit && isMethodAllowed(modelName, 'PUT', methods)) {
+    fastify.post(`${baseRoute}/:id/revert/:revision`, { schema: schemas.revert }, async (request, reply) => {
+      const { id, revision } = request.params;
+
+      const current = await findActive(id);
+      if (!current) {
+        throw notFound();
+      }
+
+      assertIfMatch(request, current);
+      if (policies.PUT) {
+        await authorizeDocument(model, policies.PUT, request, current);
+      }
+
+      const entry = await audit.revision(id, revision);
+      if (!entry) {
+        throw new HttpError(404, 'NotFound', 'Revision not found');
+      }
+      if (!entry.after) {
+        throw new HttpError(400, 'InvalidRevision', `Revision ${revision} deleted the document`);
+      }
+
+      // The identifier, version and deletion date are not reverted, nor are protected fields
+      const { _id, __v, ...state } = entry.after;
+      delete state[DELETED_AT];
+      if (versionField) {
+        delete state[versionField];
+      }
+      const rules = await fieldRules(request);
+      const restored = keepProtectedFields(state, current.toObject(), rules);
+
+      const replacement = await runHook(hooks, 'beforeUpdate', request, model, restored);
+      const doc = await writeAndRecord(
+        request,
+        'revert',
+        session => replaceCurrent(id, current, replacement, session),
+        reverted => [current, reverted],
+        { revertedFrom: Number(revision) }
+      );
+
+      if (!doc) {
+        throw getVersion(current, versionField) === undefined ? notFound() : preconditionFailed();
+      }
+
+      await runHook(hooks, 'afterUpdate', request, model, doc);
+      return respondWithETag(request, reply, doc);
+    });
+  }
+
+  // Aggregate resources (GET /api/resource/_aggregate)
+  if (isMethodAllowed(modelName, 'GET', methods)) {
+    fastify.get(`${baseRoute}/_aggregate`, { schema: schemas.aggregate, onSend: conditionalGet }, async (request) => {
+      const { query, options: listOptions } = await listContext(request, activeFilter);
+      return aggregateDocuments(model, query, listOptions);
+    });
+
+    // Count field values (GET /api/resource/_facets?fields=status,category)
+    fastify.get(`${baseRoute}/_facets`, { schema: schemas.facets, onSend: conditionalGet }, async (request) => {
+      const { query, options: listOptions } = await listContext(request, activeFilter);
+      return facetDocuments(model, query, listOptions);
+    });
+
+    // List distinct field values (GET /api/resource/_distinct/:field)
+    fastify.get(`${baseRoute}/_distinct/:field`, { schema: schemas.distinct, onSend: conditionalGet }, async (request) => {
+      const { query, options: listOptions } = await listContext(request, activeFilter);
+      return distinctValues(model, request.params.field, query, listOptions);
+    });
+  }
+
+  return { referenceFields, handlers }; // Return for use in nested routes
 }
 
 module.exports = { setupCrudRoutes };
@@ -0,0 +1,122 @@
+const { transformDocument } = require('../utils/document');
+const { buildRouteSchemas } = require('../utils/schema');
+const { buildFilters } = require('../utils/filter');
+const { matchesFilter } = require('../utils/match');
+const { getModelOption } = require('../utils/options');
+const { getModelHooks, runHook, transformResponse } = require('../utils/hooks');
+const { getFieldRules, createFieldHider } = require('../utils/fields');
+const { supportsChangeStreams, watchChanges } = require('../utils/events');
+const { isMethodAllowed } = require('../validators/method');
+const { validateFilters } = require('../validators/filter');
+const { getModelPolicies, policyFilter, constrainFilter } = require('../validators/policy');
+
+// Comment line keeping idle connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Format a Server-Sent Event
+ * @param {Object} event - Event ({ id, type })
+ * @param {Object} data - Event payload
+ * @returns {String} Event frame
+ */
+function formatEvent(event, data) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Setup the change feed route of a model
+ * Uses MongoDB change streams when the deployment supports them, the in-process event bus otherwise
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} model - Mongoose model
+ * @param {String} baseRoute - Base route path
+ * @param {Object} options - Route options
+ * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.events - Models with a change feed
+ * @param {Object} options.eventBus - In-process event bus fed by the write routes
+ * @param {Object} options.filterable - Whitelist of filterable fields per model
+ * @param {Object} options.softDelete - Models where DELETE only sets deletedAt
+ * @param {Object} options.hooks - Lifecycle hooks per model
+ * @param {Object} options.policies - Authorization policies per model and method
+ * @param {Object} options.hiddenFields - Fields never returned, per model
+ */
+function setupEventRoutes(fastify, model, baseRoute, options = {}) {
+  const { methods = {}, eventBus } = options;
+  const modelName = model.collection.name;
+
+  // Only setup the change feed for enabled models that can be read
+  if (!getModelOption(modelName, options.events, false) || !isMethodAllowed(modelName, 'GET', methods)) {
+    return;
+  }
+
+  const filterableFields = getModelOption(modelName, options.filterable);
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const hooks = getModelHooks(modelName, options.hooks);
+  const policies = getModelPolicies(modelName, options.policies);
+  const fieldRules = getFieldRules(modelName, options);
+  const hideFields = createFieldHider(model, options);
+  const schemas = buildRouteSchemas(model);
+  let changeStreams;
+
+  // Stream changes (GET /api/resource/_events)
+  fastify.get(`${baseRoute}/_events`, { schema: schemas.events }, async (request, reply) => {
+    // Subscribers see the documents the list route would return
+    const { query, filter } = await runHook(hooks, 'beforeList', request, model, {
+      query: { ...request.query },
+      filter: {}
+    });
+    const constraint = await policyFilter(policies.GET, request);
+    const { hidden } = await fieldRules(request);
+    validateFilters(model, query, filterableFields, hidden);
+    const subscription = constrainFilter({ ...filter, ...buildFilters(model, query) }, constraint);
+
+    if (!changeStreams) {
+      changeStreams = supportsChangeStreams(model);
+    }
+    const useChangeStreams = await changeStreams;
+    const lastEventId = request.headers['last-event-id'];
+
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const write = async (event) => {
+      if (event.document
+        ? !matchesFilter(event.document, subscription)
+        // Deletions seen by change streams carry no document: only unfiltered feeds get them
+        : Object.keys(subscription).length > 0) {
+        return;
+      }
+
+      const data = event.document
+        ? await transformResponse(hooks, request, model, await hideFields(request, transformDocument(event.document)))
+        : { id: event.documentId };
+      res.write(formatEvent(event, data));
+    };
+
+    // Events are written in order, even when hiding fields is asynchronous
+    let queue = Promise.resolve();
+    const send = (event) => {
+      queue = queue.then(() => write(event)).catch(error => request.log.error(error));
+    };
+
+    const unsubscribe = useChangeStreams
+      ? watchChanges(model, { softDelete, lastEventId }, send, (error) => {
+        request.log.error(error);
+        res.end();
+      })
+      : eventBus.subscribe(modelName, lastEventId, send);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    request.raw.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+}
+
+module.exports = { setupEventRoutes };
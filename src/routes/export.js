@@ -0,0 +1,135 @@
+const { Readable } = require('stream');
+const { transformDocument } = require('../utils/document');
+const { buildRouteSchemas } = require('../utils/schema');
+const { exportQuery } = require('../utils/list');
+const { parseProjection } = require('../utils/projection');
+const { getModelOption } = require('../utils/options');
+const { getSearchConfig } = require('../utils/search');
+const { getModelHooks, runHook } = require('../utils/hooks');
+const { getFieldRules, createFieldHider } = require('../utils/fields');
+const { getReferencePaths, getRefCollectionName } = require('../utils/reference');
+const { notDeleted } = require('../utils/soft-delete');
+const {
+  EXPORT_FORMATS,
+  exportFormat,
+  schemaColumns,
+  projectColumns,
+  omitColumns,
+  flattenDocument,
+  csvRow
+} = require('../utils/export');
+const { isMethodAllowed } = require('../validators/method');
+const {
+  getModelPolicies,
+  policyFilter,
+  createPopulateMatch,
+  constrainFilter
+} = require('../validators/policy');
+
+/**
+ * Setup the export route of a model
+ * Streams every document matching the list filters as CSV or NDJSON
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} model - Mongoose model
+ * @param {String} baseRoute - Base route path
+ * @param {Object} options - Route options
+ * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.filterable - Whitelist of filterable fields per model
+ * @param {Object} options.search - Search mode and searchable fields per model
+ * @param {Object} options.softDelete - Models where DELETE only sets deletedAt
+ * @param {Object} options.hooks - Lifecycle hooks per model
+ * @param {Object} options.policies - Authorization policies per model and method
+ * @param {Object} options.hiddenFields - Fields never returned, per model
+ */
+function setupExportRoutes(fastify, model, baseRoute, options = {}) {
+  const { methods = {} } = options;
+  const modelName = model.collection.name;
+
+  // Exports are lists without pagination
+  if (!isMethodAllowed(modelName, 'GET', methods)) {
+    return;
+  }
+
+  const filterableFields = getModelOption(modelName, options.filterable);
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const hooks = getModelHooks(modelName, options.hooks);
+  const policies = getModelPolicies(modelName, options.policies);
+  const fieldRules = getFieldRules(modelName, options);
+  const hideFields = createFieldHider(model, options);
+  const populateMatch = createPopulateMatch(model, options.policies);
+  const references = getReferencePaths(model);
+  const schemas = buildRouteSchemas(model);
+  const activeFilter = softDelete ? notDeleted() : {};
+
+  // Searchable fields and search mode, from the schema and the search option
+  const search = getSearchConfig(model, getModelOption(modelName, options.search));
+
+  // CSV columns follow the schema, so the header is known before the first document
+  const csvColumns = async (request, hidden, { projection, populate, populateSelect }) => {
+    const columns = ['id', ...omitColumns(projectColumns(schemaColumns(model.schema), projection), hidden)];
+    const populated = [].concat(populate || []);
+
+    // Populated references expand into the columns of the referenced model
+    for (const { path, ref, many } of references) {
+      const index = columns.indexOf(path);
+      const refModel = ref && ref.schema ? ref : model.db && model.db.models && model.db.models[ref];
+      if (many || index === -1 || !populated.includes(path) || !refModel) continue;
+
+      const select = populateSelect[path] && parseProjection(populateSelect[path].split(' ').join(','));
+      const refRules = getFieldRules(getRefCollectionName(model, ref), options);
+      const refColumns = ['_id', ...omitColumns(
+        projectColumns(schemaColumns(refModel.schema), select),
+        (await refRules(request)).hidden
+      )];
+      columns.splice(index, 1, ...refColumns.map(column => `${path}.${column}`));
+    }
+
+    return columns;
+  };
+
+  // Export documents (GET /api/resource/_export)
+  fastify.get(`${baseRoute}/_export`, { schema: schemas.export }, async (request, reply) => {
+    const { format: requested, ...listQuery } = request.query;
+    const format = exportFormat(requested, request.headers.accept);
+
+    // Exports read the documents the list route would return
+    const { query, filter } = await runHook(hooks, 'beforeList', request, model, {
+      query: listQuery,
+      filter: {}
+    });
+    const constraint = await policyFilter(policies.GET, request);
+    const { hidden } = await fieldRules(request);
+
+    const exported = exportQuery(model, query, {
+      baseFilter: constrainFilter({ ...filter, ...activeFilter }, constraint),
+      search,
+      filterableFields,
+      hiddenFields: hidden,
+      populateMatch: await populateMatch(request)
+    });
+    const columns = format === 'csv' ? await csvColumns(request, hidden, exported) : null;
+
+    // Documents are read from the cursor only as fast as the client consumes them
+    async function* lines() {
+      if (columns) {
+        yield csvRow(columns);
+      }
+      for await (const doc of exported.query.cursor()) {
+        const data = await hideFields(request, transformDocument(doc));
+        if (columns) {
+          const flat = flattenDocument(data);
+          yield csvRow(columns.map(column => flat[column]));
+        } else {
+          yield `${JSON.stringify(data)}\n`;
+        }
+      }
+    }
+
+    reply
+      .type(EXPORT_FORMATS[format])
+      .header('Content-Disposition', `attachment; filename="${modelName}.${format}"`);
+    return reply.send(Readable.from(lines()));
+  });
+}
+
+module.exports = { setupExportRoutes };
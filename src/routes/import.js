@@ -0,0 +1,132 @@
+const { HttpError } = require('../utils/errors');
+const { buildRouteSchemas } = require('../utils/schema');
+const { getModelOption } = require('../utils/options');
+const { notDeleted } = require('../utils/soft-delete');
+const { getFieldRules, getValue, omitFields } = require('../utils/fields');
+const { createBulkWriter, summarizeResults } = require('../utils/bulk');
+const { importFormat, parseImport, columnPath, ignoredColumns, mapRow } = require('../utils/import');
+
+/**
+ * Setup the import route of a model
+ * Imports CSV or NDJSON rows through the bulk writer, with a report of each row
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} model - Mongoose model
+ * @param {String} baseRoute - Base route path
+ * @param {Object} options - Route options (see createBulkWriter)
+ * @param {Object} options.importMapping - Column to schema path mapping, per model
+ */
+function setupImportRoutes(fastify, model, baseRoute, options = {}) {
+  const modelName = model.collection.name;
+  const writer = createBulkWriter(model, options);
+
+  // Imports create documents, upserts also need PUT to update them
+  if (!writer.allowed.includes('create')) {
+    return;
+  }
+
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const activeFilter = softDelete ? notDeleted() : {};
+  const mapping = getModelOption(modelName, options.importMapping, {});
+  const requireIfMatch = getModelOption(modelName, options.requireIfMatch, false) === true;
+  const fieldRules = getFieldRules(modelName, options);
+  const schemas = buildRouteSchemas(model);
+
+  // Find the stored documents matching the keys of the rows, by cast key value
+  const findByKey = async (keyPath, keys) => {
+    const matches = new Map();
+    if (keys.length === 0) return matches;
+
+    const docs = await model.find({ [keyPath]: { $in: keys }, ...activeFilter }).select(keyPath).lean();
+    docs.forEach(doc => {
+      const value = String(getValue(doc, keyPath));
+      matches.set(value, (matches.get(value) || []).concat(doc._id));
+    });
+    return matches;
+  };
+
+  // Import documents (POST /api/resource/_import)
+  fastify.post(`${baseRoute}/_import`, { schema: schemas.import }, async (request) => {
+    const { mode = 'insert', key = 'id', dryRun = false, ordered = false } = request.query;
+    const format = importFormat(request.headers['content-type']);
+    if (!format) {
+      throw new HttpError(415, 'UnsupportedMediaType', 'Imports accept text/csv or application/x-ndjson bodies');
+    }
+
+    // Upserts update documents without the If-Match header their model requires
+    if (mode === 'upsert' && requireIfMatch) {
+      throw new HttpError(428, 'PreconditionRequired', `Updates of ${modelName} require If-Match and cannot be imported`);
+    }
+
+    const keyPath = columnPath(key);
+    const keyType = model.schema.paths[keyPath];
+    if (mode === 'upsert') {
+      const { hidden } = await fieldRules(request);
+      if (!keyType || hidden.some(field => keyPath === field || keyPath.startsWith(`${field}.`))) {
+        throw new HttpError(400, 'InvalidKey', `Cannot upsert ${modelName} on "${key}"`);
+      }
+    }
+
+    const { columns, rows } = parseImport(format, request.body || '');
+    const report = rows.map(({ row, error, message }) => (
+      error ? { row, status: 'error', error, message } : { row, status: 'skipped' }
+    ));
+    const documents = rows.map(({ values }) => values && mapRow(model, values, { mapping, csv: format === 'csv' }));
+
+    // Upserts update the document whose key matches the row, and create the others
+    const keys = new Map();
+    if (mode === 'upsert') {
+      documents.forEach((doc, index) => {
+        const value = doc && getValue(doc, keyPath);
+        if (value === undefined || value === null) return;
+        try {
+          keys.set(index, keyType.cast(value));
+        } catch (error) {
+          Object.assign(report[index], {
+            status: 'error',
+            error: 'ValidationError',
+            message: 'Invalid data provided',
+            details: [{ field: keyPath, message: error.message }]
+          });
+        }
+      });
+    }
+    const matches = await findByKey(keyPath, [...keys.values()]);
+
+    const operations = [];
+    for (let index = 0; index < rows.length; index++) {
+      if (report[index].status === 'error') {
+        if (ordered) break;
+        continue;
+      }
+
+      const doc = documents[index];
+      const found = keys.has(index) ? matches.get(String(keys.get(index))) || [] : [];
+      if (found.length > 1) {
+        Object.assign(report[index], {
+          status: 'error',
+          error: 'Conflict',
+          message: `Several ${modelName} documents match ${key} "${keys.get(index)}"`
+        });
+        if (ordered) break;
+      } else if (found.length === 1) {
+        operations.push({ row: index, op: 'update', id: found[0], document: omitFields(doc, [keyPath]) });
+      } else {
+        operations.push({ row: index, op: 'create', document: doc });
+      }
+    }
+
+    const results = await writer.write(request, operations, { ordered, dryRun });
+    results.forEach(({ index, ...result }) => {
+      report[operations[index].row] = { row: rows[operations[index].row].row, ...result };
+    });
+
+    return {
+      ...summarizeResults(report),
+      dryRun,
+      ignoredColumns: ignoredColumns(model, columns, mapping),
+      results: report
+    };
+  });
+}
+
+module.exports = { setupImportRoutes };
@@ -1,76 +1,92 @@
-const { transformDocument } = require('../utils/document');
-const { buildQuery } = require('../utils/query');
-const { isMethodAllowed } = require('../validators/method');
+const { buildNestedListSchema, buildNestedRouteSchemas } = require('../utils/schema');
+const { getModelOption } = require('../utils/options');
+const { HttpError } = require('../utils/errors');
+const { getReferencePaths, getRefCollectionName, castReference } = require('../utils/reference');
+const { notDeleted } = require('../utils/soft-delete');
+const { createConditionalGet } = require('../middleware/conditional-get');
 
 /**
- * Setup nested routes for model references
+ * Setup nested routes for model references, under the collection of the referenced model
+ * The routes run the CRUD handlers of the model, scoped to the parent: lists only hold its
+ * children, and single documents can be read, created, replaced and deleted under it. Arrays
+ * of references are many-to-many: their nested routes only read, membership is changed with
+ * the CRUD routes
  * @param {Object} fastify - Fastify instance
  * @param {Object} model - Mongoose model
  * @param {String} prefix - API prefix
- * @param {Array} referenceFields - Reference fields
+ * @param {Array} referenceFields - Reference fields (single references and arrays of references)
  * @param {Object} options - Route options
- * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.softDelete - Models where soft-deleted documents are hidden
+ * @param {Object} options.cacheControl - Cache-Control header of read routes, per model
+ * @param {Object} options.handlers - List and single resource handlers of the model (see setupCrudRoutes)
  */
 function setupNestedRoutes(fastify, model, prefix, referenceFields, options = {}) {
-  const { methods = {} } = options;
+  const { handlers = {} } = options;
   const modelName = model.collection.name;
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const conditionalGet = createConditionalGet({
+    cacheControl: getModelOption(modelName, options.cacheControl)
+  });
 
-  // Only setup nested routes if GET is allowed
-  if (!isMethodAllowed(modelName, 'GET', methods)) {
-    return;
-  }
-
-  // Get searchable fields from schema
-  const searchableFields = Object.keys(model.schema.paths).filter(
-    path => model.schema.paths[path].instance === 'String'
-  );
-
-  // Setup nested routes for each reference field
-  referenceFields.forEach(refField => {
-    const refModel = model.schema.paths[refField].options.ref.toLowerCase();
-    const nestedRoute = `${prefix}/${refModel}/:refId/${model.collection.name}`;
+  // GET /api/users/:userId/posts
+  // The parent reference always comes from the URL
+  const setupNestedList = (refField, nestedRoute) => {
+    const routeOptions = { schema: buildNestedListSchema(model, refField), onSend: conditionalGet };
+    fastify.get(nestedRoute, routeOptions, (request, reply) => handlers.list(request, reply, {
+      [refField]: castReference(model, refField, request.params.refId)
+    }));
+  };
 
-    // GET /api/users/:userId/posts
-    fastify.get(nestedRoute, async (request) => {
-      const {
-        page = 1,
-        limit = 10,
-        sort,
-        search,
-        populate,
-        ...filters
-      } = request.query;
+  // POST /api/users/:refId/posts, GET, PUT and DELETE /api/users/:refId/posts/:id
+  // The reference field always comes from the URL and documents of other parents are not found
+  const setupNestedItems = (refField, nestedRoute, parentModel, itemHandlers) => {
+    const schemas = buildNestedRouteSchemas(model, refField, { softDelete });
+    const parentSoftDelete = getModelOption(
+      getRefCollectionName(model, parentModel),
+      options.softDelete,
+      false
+    ) === true;
 
+    const scoped = handler => async (request, reply) => {
       const { refId } = request.params;
-      filters[refField] = model.schema.paths[refField].cast(refId);
+      const parent = await parentModel.exists({ _id: refId, ...(parentSoftDelete && notDeleted()) });
+      if (!parent) {
+        throw new HttpError(404, 'NotFound', 'Parent resource not found');
+      }
+      return handler(request, reply, { [refField]: castReference(model, refField, refId) });
+    };
 
-      const sortQuery = sort ? JSON.parse(sort) : { _id: -1 };
-      
-      const query = buildQuery(model, filters, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: sortQuery,
-        search,
-        searchFields: searchableFields,
-        populate
-      });
+    if (itemHandlers.create) {
+      fastify.post(nestedRoute, { schema: schemas.create }, scoped(itemHandlers.create));
+    }
+    if (itemHandlers.get) {
+      fastify.get(`${nestedRoute}/:id`, { schema: schemas.get, onSend: conditionalGet }, scoped(itemHandlers.get));
+    }
+    if (itemHandlers.replace) {
+      fastify.put(`${nestedRoute}/:id`, { schema: schemas.update }, scoped(itemHandlers.replace));
+    }
+    if (itemHandlers.remove) {
+      fastify.delete(`${nestedRoute}/:id`, { schema: schemas.remove }, scoped(itemHandlers.remove));
+    }
+  };
 
-      const [data, total] = await Promise.all([
-        query.exec(),
-        model.countDocuments(filters)
-      ]);
+  // Setup nested routes for each reference field
+  getReferencePaths(model)
+    .filter(({ path }) => referenceFields.includes(path))
+    .forEach(({ path: refField, ref, many }) => {
+      const nestedRoute = `${prefix}/${getRefCollectionName(model, ref)}/:refId/${model.collection.name}`;
+
+      if (handlers.list) {
+        setupNestedList(refField, nestedRoute);
+      }
 
-      return {
-        data: data.map(doc => transformDocument(doc)),
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit)
-        }
-      };
+      // Writes need the parent model to check the parent exists
+      const parentModel = ref && ref.collection ? ref : model.db && model.db.models && model.db.models[ref];
+      if (parentModel) {
+        // Writing a many-to-many child would overwrite its other references
+        setupNestedItems(refField, nestedRoute, parentModel, many ? { get: handlers.get } : handlers);
+      }
     });
-  });
 }
 
 module.exports = { setupNestedRoutes };
@@ -0,0 +1,110 @@
+const { buildWebhookSchemas } = require('../utils/schema');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Format a delivery of the outbox for the admin routes
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} Delivery
+ */
+function formatDelivery(entry) {
+  const { _id, collectionName, document, ...rest } = entry;
+  return { id: String(_id), collection: collectionName, ...rest };
+}
+
+/**
+ * Setup the admin routes of the webhook deliveries
+ * @param {Object} fastify - Fastify instance
+ * @param {String} prefix - API prefix
+ * @param {Object} outbox - Webhook outbox
+ * @param {Object} options - Route options
+ * @param {Function} options.admin - Tells whether a request may manage the deliveries
+ */
+function setupWebhookRoutes(fastify, prefix, outbox, options = {}) {
+  const { admin } = options;
+
+  // Deliveries expose documents and receivers: only admins may see them
+  if (typeof admin !== 'function') {
+    return;
+  }
+
+  const { collection, connection } = outbox;
+  const baseRoute = `${prefix}/_webhooks/deliveries`;
+  const schemas = buildWebhookSchemas();
+
+  const assertAdmin = async (request) => {
+    if (!(await admin(request))) {
+      throw new HttpError(403, 'Forbidden', 'Webhook administration is not allowed');
+    }
+  };
+
+  // List deliveries, newest first (GET /api/_webhooks/deliveries)
+  fastify.get(baseRoute, { schema: schemas.list }, async (request) => {
+    await assertAdmin(request);
+
+    const { status, collection: collectionName, page = 1, limit = 10 } = request.query;
+    const filter = {
+      ...(status && { status }),
+      ...(collectionName && { collectionName })
+    };
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      collection
+        .find(filter, { projection: { document: 0 } })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray(),
+      collection.countDocuments(filter)
+    ]);
+
+    return {
+      data: entries.map(formatDelivery),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  });
+
+  // Replay the dead deliveries (POST /api/_webhooks/deliveries/_replay)
+  fastify.post(`${baseRoute}/_replay`, { schema: schemas.replayDead }, async (request) => {
+    await assertAdmin(request);
+
+    const { collection: collectionName } = request.query;
+    const result = await collection.updateMany(
+      { status: 'dead', ...(collectionName && { collectionName }) },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } }
+    );
+
+    return { replayed: result.modifiedCount };
+  });
+
+  // Replay a delivery (POST /api/_webhooks/deliveries/:id/replay)
+  fastify.post(`${baseRoute}/:id/replay`, { schema: schemas.replay }, async (request) => {
+    await assertAdmin(request);
+
+    const _id = new connection.base.Types.ObjectId(request.params.id);
+    const entry = await collection.findOne({ _id }, { projection: { document: 0 } });
+    if (!entry) {
+      throw new HttpError(404, 'NotFound', 'Delivery not found');
+    }
+    if (entry.status === 'pending') {
+      throw new HttpError(409, 'Conflict', 'Delivery is already pending');
+    }
+
+    const replay = { status: 'pending', attempts: 0, nextAttemptAt: new Date() };
+    // A concurrent replay may have taken the delivery first
+    const result = await collection.updateOne({ _id, status: entry.status }, { $set: replay });
+    if (result.modifiedCount === 0) {
+      throw new HttpError(409, 'Conflict', 'Delivery is already pending');
+    }
+
+    return formatDelivery({ ...entry, ...replay });
+  });
+}
+
+module.exports = { setupWebhookRoutes };
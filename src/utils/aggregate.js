@@ -0,0 +1,331 @@
+const { HttpError } = require('./errors');
+const { buildFilters } = require('./filter');
+const { parseSearch, withSearch } = require('./search');
+const { validateFilters } = require('../validators/filter');
+
+// Units of date buckets (groupBy=createdAt:month)
+const DATE_UNITS = ['year', 'quarter', 'month', 'week', 'day', 'hour'];
+
+// Schema types a metric accepts (count takes no field)
+const NUMERIC_TYPES = ['Number', 'Decimal128'];
+const METRIC_TYPES = {
+  sum: NUMERIC_TYPES,
+  avg: NUMERIC_TYPES,
+  min: [...NUMERIC_TYPES, 'Date', 'String'],
+  max: [...NUMERIC_TYPES, 'Date', 'String']
+};
+
+// Schema types documents can be grouped by
+const GROUP_TYPES = ['String', 'Number', 'Decimal128', 'Boolean', 'Date', 'ObjectId', 'UUID'];
+
+/**
+ * Build the error of an invalid aggregation parameter
+ * @param {String} message - Error description
+ * @returns {HttpError} 400 InvalidAggregation
+ */
+function invalidAggregation(message) {
+  return new HttpError(400, 'InvalidAggregation', message);
+}
+
+/**
+ * Resolve the schema type of a field, rejecting unknown and hidden fields
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @param {Array} hiddenFields - Hidden fields
+ * @param {String} usage - What the field is used for, in error messages
+ * @returns {Object} Mongoose schema type
+ * @throws {HttpError} 400 InvalidAggregation
+ */
+function aggregateField(model, field, hiddenFields, usage) {
+  const schemaType = model.schema.paths[field] ||
+    (typeof model.schema.path === 'function' ? model.schema.path(field) : undefined);
+  if (!schemaType) {
+    throw invalidAggregation(`Unknown field "${field}"`);
+  }
+  if (hiddenFields.some(hidden => field === hidden || field.startsWith(`${hidden}.`))) {
+    throw invalidAggregation(`${usage} "${field}" is not allowed`);
+  }
+  return schemaType;
+}
+
+/**
+ * Split a comma separated parameter
+ * @param {String} value - Parameter value
+ * @returns {Array} Trimmed, non-empty items
+ */
+function splitList(value = '') {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the aggregation parameters of a request
+ * `groupBy` lists fields, Date fields may be bucketed (`createdAt:month`);
+ * `metrics` lists `count`, `sum:field`, `avg:field`, `min:field` and `max:field`;
+ * `sort` is a JSON object on grouped fields and metric names
+ * @param {Object} model - Mongoose model
+ * @param {Object} params - Aggregation parameters ({ groupBy, metrics, sort, limit })
+ * @param {Array} hiddenFields - Fields that cannot be grouped or measured
+ * @returns {Object} { groups: [{ field, unit, key }], metrics: [{ name, op, field, key }], sort, limit }
+ * @throws {HttpError} 400 InvalidAggregation
+ */
+function parseAggregation(model, params = {}, hiddenFields = []) {
+  const { groupBy, metrics = 'count', sort, limit = 100 } = params;
+
+  const groups = splitList(groupBy).map((item, index) => {
+    const [field, unit] = item.split(':');
+    const schemaType = aggregateField(model, field, hiddenFields, 'Grouping on');
+    if (unit !== undefined && (schemaType.instance !== 'Date' || !DATE_UNITS.includes(unit))) {
+      throw invalidAggregation(`"${field}" cannot be bucketed by "${unit}"`);
+    }
+    if (!GROUP_TYPES.includes(schemaType.instance)) {
+      throw invalidAggregation(`Cannot group on "${field}" (${schemaType.instance})`);
+    }
+    return { field, unit, key: `g${index}` };
+  });
+
+  const measures = splitList(metrics).map((name, index) => {
+    const [op, field] = name.split(':');
+    if (op === 'count' && field === undefined) {
+      return { name, op, key: `m${index}` };
+    }
+    if (!METRIC_TYPES[op] || !field) {
+      throw invalidAggregation(`Unknown metric "${name}"`);
+    }
+    const schemaType = aggregateField(model, field, hiddenFields, 'Measuring');
+    if (!METRIC_TYPES[op].includes(schemaType.instance)) {
+      throw invalidAggregation(`Metric "${op}" does not apply to "${field}" (${schemaType.instance})`);
+    }
+    return { name, op, field, key: `m${index}` };
+  });
+
+  let sortQuery = {};
+  if (sort) {
+    try {
+      sortQuery = JSON.parse(sort);
+    } catch (error) {
+      throw invalidAggregation('Sort must be a JSON object');
+    }
+  }
+  const sortKeys = Object.keys(sortQuery).map(name => {
+    const group = groups.find(({ field }) => field === name);
+    const measure = measures.find(metric => metric.name === name);
+    if (!group && !measure) {
+      throw invalidAggregation(`Sorting on "${name}" is not allowed, sort on a grouped field or a metric`);
+    }
+    return [group ? `_id.${group.key}` : measure.key, Number(sortQuery[name]) < 0 ? -1 : 1];
+  });
+
+  return {
+    groups,
+    metrics: measures,
+    // Groups are returned in ascending order of their keys by default
+    sort: sortKeys.length > 0
+      ? Object.fromEntries(sortKeys)
+      : Object.fromEntries(groups.map(({ key }) => [`_id.${key}`, 1])),
+    limit: parseInt(limit)
+  };
+}
+
+/**
+ * Build the aggregation pipeline of parsed aggregation parameters
+ * @param {Object} match - Casted MongoDB filter
+ * @param {Object} aggregation - Parsed aggregation (see parseAggregation)
+ * @returns {Array} Aggregation pipeline
+ */
+function buildPipeline(match, { groups, metrics, sort, limit }) {
+  const groupId = groups.length === 0 ? null : groups.reduce((acc, { field, unit, key }) => {
+    acc[key] = unit
+      ? { $dateTrunc: { date: `$${field}`, unit, ...(unit === 'week' && { startOfWeek: 'monday' }) } }
+      : `$${field}`;
+    return acc;
+  }, {});
+
+  const accumulators = metrics.reduce((acc, { op, field, key }) => {
+    acc[key] = op === 'count' ? { $sum: 1 } : { [`$${op}`]: `$${field}` };
+    return acc;
+  }, {});
+
+  return [
+    { $match: match },
+    { $group: { _id: groupId, ...accumulators } },
+    ...(Object.keys(sort).length > 0 ? [{ $sort: sort }] : []),
+    { $limit: limit }
+  ];
+}
+
+/**
+ * Convert a BSON value of an aggregation result to JSON
+ * @param {*} value - Result value
+ * @returns {*} ObjectIds and decimals as strings, other values unchanged
+ */
+function resultValue(value) {
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (value && value._bsontype === 'Decimal128') return value.toString();
+  return value;
+}
+
+/**
+ * Shape the aggregation results
+ * @param {Array} results - Aggregation results
+ * @param {Object} aggregation - Parsed aggregation (see parseAggregation)
+ * @returns {Array} Groups ({ group: { field: value }, count, sum: { field: value }, ... })
+ */
+function formatGroups(results, { groups, metrics }) {
+  return results.map(result => {
+    const entry = {
+      group: groups.reduce((acc, { field, key }) => {
+        acc[field] = resultValue(result._id[key]);
+        return acc;
+      }, {})
+    };
+    metrics.forEach(({ op, field, key }) => {
+      if (op === 'count') {
+        entry.count = result[key];
+      } else {
+        entry[op] = { ...entry[op], [field]: resultValue(result[key]) };
+      }
+    });
+    return entry;
+  });
+}
+
+/**
+ * Build the casted $match stage filter of a list request
+ * Takes the filters and search of the list route; values are cast by the schema
+ * since aggregation pipelines are not
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - List query string (filters and search)
+ * @param {Object} options - List options
+ * @param {Object} options.baseFilter - Filter always applied (soft delete, policy)
+ * @param {Object} options.search - Search configuration (see getSearchConfig)
+ * @param {Array} options.filterableFields - Whitelist of filterable fields
+ * @param {Array} options.hiddenFields - Fields that cannot be filtered or searched
+ * @returns {Object} Casted MongoDB filter
+ * @throws {HttpError} 400 when a filter or the search is not allowed
+ */
+function matchFilter(model, query, options = {}) {
+  const { baseFilter = {}, filterableFields, hiddenFields = [] } = options;
+  const { search, query: queryFilters } = parseSearch(options.search, query, hiddenFields);
+
+  validateFilters(model, queryFilters, filterableFields, hiddenFields);
+
+  return model.find(withSearch({ ...buildFilters(model, queryFilters), ...baseFilter }, search)).cast();
+}
+
+/**
+ * Aggregate the documents of a list route
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Request query string
+ * @param {Object} options - List options (see matchFilter)
+ * @returns {Promise<Object>} Response envelope ({ data })
+ * @throws {HttpError} 400 when a filter or an aggregation parameter is not allowed
+ */
+async function aggregateDocuments(model, query, options = {}) {
+  const { groupBy, metrics, sort, limit, ...listQuery } = query;
+  const match = matchFilter(model, listQuery, options);
+  const aggregation = parseAggregation(model, { groupBy, metrics, sort, limit }, options.hiddenFields);
+
+  const results = await model.aggregate(buildPipeline(match, aggregation));
+  return { data: formatGroups(results, aggregation) };
+}
+
+/**
+ * Resolve a field values are counted for, arrays counting each of their elements
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @param {Array} hiddenFields - Fields that cannot be faceted
+ * @returns {Object} { field, array }
+ * @throws {HttpError} 400 InvalidAggregation
+ */
+function facetField(model, field, hiddenFields = []) {
+  const schemaType = aggregateField(model, field, hiddenFields, 'Faceting on');
+  const array = schemaType.instance === 'Array';
+  const instance = array ? schemaType.caster && schemaType.caster.instance : schemaType.instance;
+  if (!GROUP_TYPES.includes(instance)) {
+    throw invalidAggregation(`Cannot facet on "${field}" (${schemaType.instance})`);
+  }
+  return { field, array };
+}
+
+/**
+ * Build a single $facet pipeline counting the values of fields
+ * Facets are sorted by count, distinct values (without null) by value
+ * @param {Object} match - Casted MongoDB filter
+ * @param {Array} facets - Fields ({ field, array, distinct })
+ * @param {Number} limit - Maximum number of values per field
+ * @returns {Array} Aggregation pipeline, facet `fN` holding the values of the Nth field
+ */
+function buildFacetPipeline(match, facets, limit) {
+  return [
+    { $match: match },
+    {
+      $facet: facets.reduce((acc, { field, array, distinct }, index) => {
+        acc[`f${index}`] = [
+          ...(array ? [{ $unwind: `$${field}` }] : []),
+          ...(distinct ? [{ $match: { [field]: { $ne: null } } }] : []),
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+          { $sort: distinct ? { _id: 1 } : { count: -1, _id: 1 } },
+          { $limit: limit }
+        ];
+        return acc;
+      }, {})
+    }
+  ];
+}
+
+/**
+ * Count the values of fields among the documents of a list route
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Request query string (`fields`, `limit`, filters and search)
+ * @param {Object} options - List options (see matchFilter)
+ * @returns {Promise<Object>} Response envelope ({ data: { field: [{ value, count }] } })
+ * @throws {HttpError} 400 when a filter or a field is not allowed
+ */
+async function facetDocuments(model, query, options = {}) {
+  const { fields, limit = 20, ...listQuery } = query;
+  const facets = splitList(fields).map(field => facetField(model, field, options.hiddenFields));
+  if (facets.length === 0) {
+    throw invalidAggregation('Facets need at least one field');
+  }
+  const match = matchFilter(model, listQuery, options);
+
+  const [result] = await model.aggregate(buildFacetPipeline(match, facets, parseInt(limit)));
+  return {
+    data: facets.reduce((acc, { field }, index) => {
+      acc[field] = result[`f${index}`].map(({ _id, count }) => ({ value: resultValue(_id), count }));
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * List the distinct values of a field among the documents of a list route
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @param {Object} query - Request query string (`limit`, filters and search)
+ * @param {Object} options - List options (see matchFilter)
+ * @returns {Promise<Object>} Response envelope ({ data: [value] })
+ * @throws {HttpError} 400 when a filter or the field is not allowed
+ */
+async function distinctValues(model, field, query, options = {}) {
+  const { limit = 100, ...listQuery } = query;
+  const facet = facetField(model, field, options.hiddenFields);
+  const match = matchFilter(model, listQuery, options);
+
+  const [result] = await model.aggregate(
+    buildFacetPipeline(match, [{ ...facet, distinct: true }], parseInt(limit))
+  );
+  return { data: result.f0.map(({ _id }) => resultValue(_id)) };
+}
+
+module.exports = {
+  DATE_UNITS,
+  parseAggregation,
+  buildPipeline,
+  formatGroups,
+  matchFilter,
+  aggregateDocuments,
+  buildFacetPipeline,
+  facetDocuments,
+  distinctValues
+};
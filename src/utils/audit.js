@@ -0,0 +1,181 @@
+const { getModelOption } = require('./options');
+
+// Collection holding the audit entries of every audited model
+const AUDIT_COLLECTION = 'audit_log';
+
+// Attempts to number a revision when concurrent writes race for it
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Default actor of an audit entry: the id of the authenticated user
+ * @param {Object} request - Fastify request
+ * @returns {String|null} Actor id
+ */
+function defaultActor(request) {
+  const { user } = request;
+  if (!user) return null;
+
+  const id = user.id !== undefined ? user.id : user._id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Check if a value is a plain object (not an array, date or ObjectId)
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Flatten a document into its leaf values keyed by dotted path
+ * Arrays are compared as a whole
+ * @param {Object} obj - Plain object
+ * @param {String} prefix - Path of the object
+ * @param {Object} acc - Accumulated leaves
+ * @returns {Object} Leaf values by path
+ */
+function flatten(obj, prefix = '', acc = {}) {
+  Object.entries(obj).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, acc);
+    } else {
+      acc[path] = value;
+    }
+  });
+  return acc;
+}
+
+/**
+ * Compute the changes between two states of a document
+ * @param {Object|null} before - Previous state (null on creation)
+ * @param {Object|null} after - New state (null on deletion)
+ * @returns {Array} Changes ({ path, before, after }) sorted by path
+ */
+function diffDocuments(before, after) {
+  const previous = flatten(before || {});
+  const next = flatten(after || {});
+  const paths = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(path => path !== '__v')
+    .sort();
+
+  return paths
+    .filter(path => JSON.stringify(previous[path]) !== JSON.stringify(next[path]))
+    .map(path => ({ path, before: previous[path], after: next[path] }));
+}
+
+/**
+ * Take a plain snapshot of a document, references depopulated
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} Snapshot
+ */
+function snapshot(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+}
+
+/**
+ * Get the audit trail of a model
+ * Entries are stored in the `audit_log` collection of the model connection
+ * @param {Object} model - Mongoose model
+ * @param {Object} auditOptions - Audited models (true or { actor: request => id })
+ * @returns {Object|null} Audit trail ({ record, history, revision }), null when not audited
+ */
+function getAuditTrail(model, auditOptions) {
+  const option = getModelOption(model.collection.name, auditOptions, false);
+  if (!option) return null;
+
+  const { actor = defaultActor } = option === true ? {} : option;
+  if (typeof actor !== 'function') {
+    throw new Error(`Audit actor of ${model.collection.name} must be a function`);
+  }
+
+  const collectionName = model.collection.name;
+  const collection = model.db.collection(AUDIT_COLLECTION);
+  let indexed;
+
+  // Revisions are numbered per document
+  const ensureIndex = () => {
+    if (!indexed) {
+      indexed = collection.createIndex(
+        { collectionName: 1, documentId: 1, revision: 1 },
+        { unique: true }
+      );
+    }
+    return indexed;
+  };
+
+  return {
+    /**
+     * Record an operation on a document
+     * @param {Object} request - Fastify request
+     * @param {String} operation - create, update, delete, purge, restore or revert
+     * @param {Object|null} before - Document before the operation
+     * @param {Object|null} after - Document after the operation
+     * @param {Object} extra - Additional entry fields
+     * @param {Object} session - MongoDB session of the write, to record it in its transaction (optional)
+     * @returns {Promise<Object>} Recorded entry
+     */
+    async record(request, operation, before, after, extra = {}, session) {
+      const previous = snapshot(before);
+      const next = snapshot(after);
+      const entry = {
+        collectionName,
+        documentId: String((next || previous)._id),
+        operation,
+        actor: await actor(request),
+        timestamp: new Date(),
+        before: previous,
+        after: next,
+        changes: diffDocuments(previous, next),
+        ...extra
+      };
+
+      await ensureIndex();
+      const filter = { collectionName, documentId: entry.documentId };
+      for (let attempt = 1; ; attempt++) {
+        const [last] = await (session ? collection.find(filter, { session }) : collection.find(filter))
+          .sort({ revision: -1 })
+          .limit(1)
+          .toArray();
+        const revision = last ? last.revision + 1 : 1;
+
+        try {
+          await (session
+            ? collection.insertOne({ ...entry, revision }, { session })
+            : collection.insertOne({ ...entry, revision }));
+          return { ...entry, revision };
+        } catch (error) {
+          // A failed write aborts the transaction: the transaction is retried as a whole
+          if (error.code !== 11000 || session || attempt >= MAX_ATTEMPTS) throw error;
+        }
+      }
+    },
+
+    /**
+     * List the entries of a document, oldest first
+     * @param {String} id - Document id
+     * @returns {Promise<Array>} Entries
+     */
+    history(id) {
+      return collection
+        .find({ collectionName, documentId: String(id) })
+        .sort({ revision: 1 })
+        .toArray();
+    },
+
+    /**
+     * Get an entry of a document
+     * @param {String} id - Document id
+     * @param {Number} revision - Revision number
+     * @returns {Promise<Object|null>} Entry
+     */
+    revision(id, revision) {
+      return collection.findOne({ collectionName, documentId: String(id), revision: Number(revision) });
+    }
+  };
+}
+
+module.exports = { AUDIT_COLLECTION, defaultActor, diffDocuments, snapshot, getAuditTrail };
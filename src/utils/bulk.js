@@ -0,0 +1,403 @@
+const { HttpError } = require('./errors');
+const { formatValidationErrors } = require('../middleware/error-handler');
+const { transformDocument } = require('./document');
+const { getModelOption } = require('./options');
+const { DELETED_AT, notDeleted } = require('./soft-delete');
+const {
+  getFieldRules,
+  createFieldHider,
+  assertCreatable,
+  updatePaths,
+  assertUpdatable
+} = require('./fields');
+const { getVersionField, withVersionUpdate } = require('./version');
+const { getAuditTrail } = require('./audit');
+const { applyUpdate } = require('./patch');
+const { getModelHooks, runHook } = require('./hooks');
+const { WEBHOOK_REQUEST } = require('./webhooks');
+const { isMethodAllowed } = require('../validators/method');
+const { getModelPolicies, assertAllowed, authorizeDocument } = require('../validators/policy');
+
+// Hook run after each written bulk operation
+const AFTER_HOOKS = {
+  create: 'afterCreate',
+  update: 'afterUpdate',
+  delete: 'afterDelete'
+};
+
+// HTTP method guarding each bulk operation
+const OPERATION_METHODS = {
+  create: 'POST',
+  update: 'PUT',
+  delete: 'DELETE'
+};
+
+/**
+ * Convert an error raised while preparing an operation into a result entry
+ * @param {Object} error - Mongoose or driver error
+ * @returns {Object} Result fields (error, message, details)
+ */
+function operationError(error) {
+  if (error.name === 'HttpError') {
+    return {
+      error: error.error,
+      message: error.message,
+      details: error.details
+    };
+  }
+
+  if (error.name === 'ValidationError') {
+    return {
+      error: 'ValidationError',
+      message: 'Invalid data provided',
+      details: formatValidationErrors(error)
+    };
+  }
+
+  if (error.name === 'CastError') {
+    return {
+      error: 'InvalidId',
+      message: 'Invalid ID format provided'
+    };
+  }
+
+  if (error.code === 11000) {
+    return {
+      error: 'DuplicateError',
+      message: 'A record with this value already exists'
+    };
+  }
+
+  throw error;
+}
+
+/**
+ * Create the bulk writer of a model, shared by the bulk and import routes
+ * Every operation is validated (method, policy, protected fields, before hooks, schema) before anything
+ * is written; the after hooks run for each written operation
+ * @param {Object} model - Mongoose model
+ * @param {Object} options - Route options
+ * @param {Object} options.methods - Allowed methods per model
+ * @param {Object} options.softDelete - Models where delete operations only set deletedAt
+ * @param {Object} options.hooks - Lifecycle hooks per model
+ * @param {Object} options.policies - Authorization policies per model and method
+ * @param {Object} options.readOnlyFields - Fields clients can never write, per model
+ * @param {Object} options.writeOnceFields - Fields clients can only set on creation, per model
+ * @param {Object} options.versionField - Field used as document version, per model
+ * @param {Object} options.requireIfMatch - Models whose updates and deletes need an If-Match header
+ * @param {Object} options.audit - Models whose writes are recorded in the audit trail
+ * @param {Object} options.events - Models with a change feed
+ * @param {Object} options.eventBus - Event bus feeding the change feeds
+ * @param {Object} options.webhookOutbox - Outbox of the webhook deliveries
+ * @returns {Object} { allowed, write(request, operations, settings) }
+ */
+function createBulkWriter(model, options = {}) {
+  const { methods = {} } = options;
+  const modelName = model.collection.name;
+  const softDelete = getModelOption(modelName, options.softDelete, false) === true;
+  const activeFilter = softDelete ? notDeleted() : {};
+  const policies = getModelPolicies(modelName, options.policies);
+  const hooks = getModelHooks(modelName, options.hooks);
+  const afterHooks = Object.values(AFTER_HOOKS).some(name => hooks[name]);
+  const audit = getAuditTrail(model, options.audit);
+  const eventBus = getModelOption(modelName, options.events, false) ? options.eventBus : null;
+  const webhookOutbox = options.webhookOutbox && options.webhookOutbox.handles(modelName)
+    ? options.webhookOutbox
+    : null;
+  // Policies of updates and deletes are checked against the stored documents,
+  // the audit trail, the change feed, the webhooks and the after hooks receive them
+  const trackWrites = Boolean(audit || eventBus || webhookOutbox || afterHooks);
+  const checkStored = Boolean(policies.PUT || policies.DELETE || trackWrites);
+  const fieldRules = getFieldRules(modelName, options);
+  const hideFields = createFieldHider(model, options);
+  // Updates and soft deletes bump the version, so ETags of the documents change
+  const versionField = getVersionField(model, options.versionField);
+  const requireIfMatch = getModelOption(modelName, options.requireIfMatch, false) === true;
+
+  const allowed = Object.keys(OPERATION_METHODS).filter(
+    op => isMethodAllowed(modelName, OPERATION_METHODS[op], methods)
+  );
+
+  // Load the stored states before and after the successful writes
+  const loadStates = async (succeeded, existing, session) => {
+    const changedIds = succeeded
+      .filter(({ op }) => op === 'update' || (op === 'delete' && softDelete))
+      .map(({ id }) => id);
+    const changed = new Map();
+    if (changedIds.length > 0) {
+      const filter = { _id: { $in: changedIds } };
+      const docs = await (session ? model.find(filter, null, { session }) : model.find(filter));
+      docs.forEach(doc => changed.set(doc._id.toString(), doc));
+    }
+
+    return succeeded.map(({ op, id, write }) => ({
+      op,
+      before: op === 'create' ? null : existing.get(id.toString()),
+      after: op === 'create' ? write.insertOne.document : changed.get(id.toString()) || null
+    }));
+  };
+
+  // Queue the webhook deliveries of the written states in the transaction of the writes
+  const queueDeliveries = async (states, session) => {
+    for (const { op, before, after } of states) {
+      await webhookOutbox.enqueue(
+        modelName,
+        op,
+        await hideFields(WEBHOOK_REQUEST, transformDocument(after || before)),
+        session
+      );
+    }
+  };
+
+  // Record the written states in the audit trail, in the transaction of the writes when they
+  // have one (otherwise once they are done, on a best-effort basis)
+  const auditWrites = async (request, states, session) => {
+    for (const { op, before, after } of states) {
+      // Bulk operation names match the audit trail operations
+      await audit.record(request, op, before, after, {}, session);
+    }
+  };
+
+  // Publish the written states to the change feed, then run the after hooks
+  const recordWrites = async (request, states) => {
+    for (const { op, before, after } of states) {
+      // Bulk operation names match the event bus operations
+      if (eventBus) {
+        eventBus.publish(modelName, op, before, after);
+      }
+      await runHook(hooks, AFTER_HOOKS[op], request, model, after || before);
+    }
+  };
+
+  /**
+   * Validate and write operations
+   * @param {Object} request - Fastify request
+   * @param {Array} operations - Operations ({ op, id, document })
+   * @param {Object} settings - Write settings
+   * @param {Boolean} settings.ordered - Stop at the first invalid or failed operation
+   * @param {Boolean} settings.transaction - Write all operations or none
+   * @param {Boolean} settings.dryRun - Only validate (before hooks included), valid operations are marked `valid`
+   * @returns {Promise<Array>} Result of each operation ({ index, op, status, id, error, message, details })
+   */
+  const write = async (request, operations, { ordered = true, transaction = false, dryRun = false } = {}) => {
+    const stopOnError = ordered || transaction;
+
+    // Bulk operations cannot send an If-Match header for each document
+    if (requireIfMatch && operations.some(({ op }) => op === 'update' || op === 'delete')) {
+      throw new HttpError(428, 'PreconditionRequired',
+        `Updates and deletes of ${modelName} require If-Match and cannot be bulk operations`);
+    }
+
+    const results = operations.map((operation, index) => ({
+      index,
+      op: operation.op,
+      status: 'skipped'
+    }));
+    const fail = (index, fields) => Object.assign(results[index], { status: 'error' }, fields);
+    const rules = await fieldRules(request);
+
+    // Documents targeted by updates and deletes must exist (and not be soft deleted)
+    const targetIds = operations
+      .filter(operation => operation.op !== 'create' && operation.id)
+      .map(operation => operation.id);
+    const existing = new Map();
+    if (targetIds.length > 0) {
+      const query = model.find({ _id: { $in: targetIds }, ...activeFilter });
+      const docs = await (checkStored ? query : query.select('_id'));
+      docs.forEach(doc => existing.set(doc._id.toString(), doc));
+    }
+
+    // Validate every operation before writing anything
+    const writes = [];
+    for (let index = 0; index < operations.length; index++) {
+      const { op, id, document = {} } = operations[index];
+
+      try {
+        if (!allowed.includes(op)) {
+          fail(index, {
+            error: 'MethodNotAllowed',
+            message: `Operation "${op}" is not allowed on ${modelName}`
+          });
+        } else if (op === 'create') {
+          await assertAllowed(policies.POST, request, document);
+          assertCreatable(document, rules);
+          const body = await runHook(hooks, 'beforeCreate', request, model, document);
+          const doc = new model(body);
+          await doc.validate();
+          results[index].id = doc._id.toString();
+          writes.push({ index, op, write: { insertOne: { document: doc.toObject() } } });
+        } else if (!id) {
+          fail(index, {
+            error: 'InvalidOperation',
+            message: `Operation "${op}" requires an id`
+          });
+        } else if (!existing.has(id.toString())) {
+          results[index].id = id.toString();
+          fail(index, {
+            error: 'NotFound',
+            message: 'Resource not found'
+          });
+        } else if (op === 'update') {
+          results[index].id = id.toString();
+          await authorizeDocument(model, policies.PUT, request, existing.get(id.toString()));
+          const { _id, ...fields } = document;
+          assertUpdatable(updatePaths({ $set: fields }), rules);
+          const changes = await runHook(hooks, 'beforeUpdate', request, model, fields);
+          // The updated document must be allowed too, so a document cannot be handed over
+          if (policies.PUT) {
+            await assertAllowed(policies.PUT, request, applyUpdate(
+              existing.get(id.toString()).toObject(),
+              { $set: changes }
+            ));
+          }
+          await model.validate(changes, Object.keys(changes));
+          writes.push({
+            index,
+            op,
+            id,
+            write: {
+              updateOne: {
+                filter: { _id: id },
+                update: withVersionUpdate(model, versionField, { $set: changes })
+              }
+            }
+          });
+        } else {
+          results[index].id = id.toString();
+          await authorizeDocument(model, policies.DELETE, request, existing.get(id.toString()));
+          await runHook(hooks, 'beforeDelete', request, model, id);
+          writes.push({
+            index,
+            op,
+            id,
+            write: softDelete
+              ? {
+                updateOne: {
+                  filter: { _id: id },
+                  update: withVersionUpdate(model, versionField, { $set: { [DELETED_AT]: new Date() } })
+                }
+              }
+              : { deleteOne: { filter: { _id: id } } }
+          });
+        }
+      } catch (error) {
+        fail(index, operationError(error));
+      }
+
+      if (stopOnError && results[index].status === 'error') break;
+    }
+
+    const hasErrors = results.some(result => result.status === 'error');
+
+    // A dry run reports what would be written
+    if (dryRun) {
+      if (!(transaction && hasErrors)) {
+        writes.forEach(({ index }) => {
+          results[index].status = 'valid';
+        });
+      }
+      return results;
+    }
+
+    // All-or-nothing: nothing is written when any operation is invalid
+    if (!(transaction && hasErrors) && writes.length > 0) {
+      const bulkOperations = writes.map(({ write: operation }) => operation);
+      let executed = writes.length;
+      let states;
+      let audited = false;
+
+      try {
+        if (webhookOutbox) {
+          // The deliveries are queued in the transaction of the writes, so the batch is all-or-nothing
+          states = await webhookOutbox.transaction(async (session) => {
+            await model.bulkWrite(bulkOperations, { ordered, session });
+            const written = await loadStates(writes, existing, session);
+            await queueDeliveries(written, session);
+            if (audit) {
+              await auditWrites(request, written, session);
+            }
+            return written;
+          });
+          audited = true;
+        } else if (transaction) {
+          const session = await model.startSession();
+          try {
+            await session.withTransaction(async () => {
+              await model.bulkWrite(bulkOperations, { ordered, session });
+              if (audit) {
+                states = await loadStates(writes, existing, session);
+                await auditWrites(request, states, session);
+              }
+            });
+            audited = true;
+          } finally {
+            await session.endSession();
+          }
+        } else {
+          await model.bulkWrite(bulkOperations, { ordered });
+        }
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        // States loaded by an attempt of the transaction that did not commit
+        states = undefined;
+
+        // Ordered and transactional writes stop at the first failure
+        const writeErrors = [].concat(error.writeErrors);
+        writeErrors.forEach(writeError => {
+          fail(writes[writeError.index].index, writeError.code === 11000
+            ? operationError(writeError)
+            : { error: 'WriteError', message: writeError.errmsg || writeError.message });
+        });
+        executed = transaction || webhookOutbox ? 0 : ordered ? writeErrors[0].index : writes.length;
+      }
+
+      writes.slice(0, executed).forEach(({ index }) => {
+        if (results[index].status === 'skipped') {
+          results[index].status = 'success';
+        }
+      });
+
+      if (audit || eventBus || afterHooks) {
+        states = states || await loadStates(
+          writes.filter(({ index }) => results[index].status === 'success'),
+          existing
+        );
+        if (audit && !audited) {
+          await auditWrites(request, states);
+        }
+        await recordWrites(request, states);
+      }
+    }
+
+    return results;
+  };
+
+  return { allowed, write };
+}
+
+/**
+ * Summarize the results of a bulk write
+ * Valid operations of a dry run count as succeeded
+ * @param {Array} results - Operation results
+ * @returns {Object} { success, summary: { total, succeeded, failed, skipped } }
+ */
+function summarizeResults(results) {
+  const count = (...statuses) => results.filter(result => statuses.includes(result.status)).length;
+
+  return {
+    success: count('success', 'valid') === results.length,
+    summary: {
+      total: results.length,
+      succeeded: count('success', 'valid'),
+      failed: count('error'),
+      skipped: count('skipped')
+    }
+  };
+}
+
+module.exports = {
+  OPERATION_METHODS,
+  operationError,
+  createBulkWriter,
+  summarizeResults
+};
@@ -0,0 +1,148 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Add `_id` as the final tie-breaker of a sort so every position is unique
+ * @param {Object} sort - Sort criteria
+ * @returns {Object} Sort criteria ending with _id
+ */
+function normalizeSort(sort = {}) {
+  const normalized = {};
+  Object.entries(sort).forEach(([key, direction]) => {
+    normalized[key] = Number(direction) < 0 || direction === 'desc' ? -1 : 1;
+  });
+
+  if (normalized._id === undefined) {
+    normalized._id = Object.values(normalized)[0] || -1;
+  }
+  return normalized;
+}
+
+/**
+ * Reverse every direction of a sort (used to page backwards)
+ * @param {Object} sort - Normalized sort criteria
+ * @returns {Object} Reversed sort criteria
+ */
+function reverseSort(sort) {
+  return Object.entries(sort).reduce((acc, [key, direction]) => {
+    acc[key] = -direction;
+    return acc;
+  }, {});
+}
+
+/**
+ * Read a (possibly dotted) path from a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {String} path - Field path
+ * @returns {*} Field value
+ */
+function getPath(doc, path) {
+  if (typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Encode the position of a document into an opaque cursor
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Object} sort - Normalized sort criteria
+ * @param {String} direction - Paging direction (next or prev)
+ * @returns {String} Base64url cursor
+ */
+function encodeCursor(doc, sort, direction) {
+  const keys = Object.keys(sort);
+  const payload = {
+    d: direction,
+    k: keys,
+    v: keys.map(key => getPath(doc, key))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and cast its values through the schema types
+ * @param {Object} model - Mongoose model
+ * @param {String} token - Cursor received from the client
+ * @param {Object} sort - Normalized sort criteria of the request
+ * @returns {Object} Cursor ({ direction, values })
+ * @throws {HttpError} 400 InvalidCursor when the cursor is malformed or does not match the sort
+ */
+function decodeCursor(model, token, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'InvalidCursor', 'Invalid pagination cursor');
+  }
+
+  const keys = Object.keys(sort);
+  if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) ||
+    !['next', 'prev'].includes(payload.d) || payload.k.join() !== keys.join()) {
+    throw new HttpError(400, 'InvalidCursor', 'Pagination cursor does not match the requested sort');
+  }
+
+  const values = payload.v.map((value, index) => {
+    const schemaType = model.schema.paths[keys[index]];
+    if (value === null || !schemaType) return value;
+    try {
+      return schemaType.cast(value);
+    } catch (error) {
+      throw new HttpError(400, 'InvalidCursor', 'Invalid pagination cursor');
+    }
+  });
+
+  return { direction: payload.d, values };
+}
+
+/**
+ * Build the condition selecting the values of a key after a cursor value, in scan order
+ * MongoDB sorts null (and missing) values before every other value, which `$gt`/`$lt` never match
+ * @param {String} key - Sort key
+ * @param {*} value - Cursor value of the key
+ * @param {Boolean} ascending - Whether the scan goes up
+ * @returns {Object|null} MongoDB condition, null when no value comes after
+ */
+function afterValue(key, value, ascending) {
+  if (ascending) {
+    return { [key]: value === null ? { $ne: null } : { $gt: value } };
+  }
+  if (value === null) {
+    return null;
+  }
+  // The id is never null
+  return key === '_id'
+    ? { [key]: { $lt: value } }
+    : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/**
+ * Build the keyset filter selecting the documents after (or before) a cursor
+ * For a sort { a: 1, _id: 1 } this is { $or: [{ a: { $gt: va } }, { a: va, _id: { $gt: vid } }] }
+ * Equality on a null cursor value also matches missing values, as the sort does
+ * @param {Object} sort - Normalized sort criteria
+ * @param {Object} cursor - Decoded cursor ({ direction, values })
+ * @returns {Object} MongoDB filter
+ */
+function buildCursorFilter(sort, cursor) {
+  const keys = Object.keys(sort);
+  const forward = cursor.direction === 'next';
+
+  return {
+    $or: keys.map((key, index) => {
+      const after = afterValue(key, cursor.values[index], (sort[key] === 1) === forward);
+      if (!after) return null;
+
+      const condition = {};
+      keys.slice(0, index).forEach((previous, previousIndex) => {
+        condition[previous] = cursor.values[previousIndex];
+      });
+      return { ...condition, ...after };
+    }).filter(Boolean)
+  };
+}
+
+module.exports = {
+  normalizeSort,
+  reverseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
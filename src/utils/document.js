@@ -11,16 +11,23 @@ function transformDocument(doc) {
   const { _id, __v, ...rest } = obj;
   
   return {
-    id: _id.toString(),
+    // _id may be missing from projected documents (e.g. `fields=-_id` on populated paths)
+    ...(_id !== undefined && _id !== null && { id: _id.toString() }),
     ...Object.entries(rest).reduce((acc, [key, value]) => {
-      if (value && value.constructor && value.constructor.name === 'ObjectId') {
-        acc[key] = value.toString();
-      } else {
-        acc[key] = value;
-      }
+      // Arrays of references hold ObjectIds too
+      acc[key] = Array.isArray(value) ? value.map(idToString) : idToString(value);
       return acc;
     }, {})
   };
 }
 
+/**
+ * Convert an ObjectId to a string, leaving other values untouched
+ * @param {*} value - Field value
+ * @returns {*} String id or the value
+ */
+function idToString(value) {
+  return value && value.constructor && value.constructor.name === 'ObjectId' ? value.toString() : value;
+}
+
 module.exports = { transformDocument };
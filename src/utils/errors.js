@@ -0,0 +1,21 @@
+/**
+ * HTTP error rendered by the error handler with the API error format
+ * @extends Error
+ */
+class HttpError extends Error {
+  /**
+   * @param {Number} statusCode - HTTP status code
+   * @param {String} error - Error type (e.g. NotFound, Forbidden)
+   * @param {String} message - Error description
+   * @param {Array} details - Optional error details
+   */
+  constructor(statusCode, error, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+const { snapshot } = require('./audit');
+const { DELETED_AT } = require('./soft-delete');
+
+// Event type of each write operation (restored documents appear again)
+const EVENT_TYPES = {
+  create: 'created',
+  update: 'updated',
+  revert: 'updated',
+  restore: 'created',
+  delete: 'deleted',
+  purge: 'deleted'
+};
+
+// Events kept in memory for Last-Event-ID resumption
+const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * Create the in-process event bus fed by the plugin routes
+ * Works without a replica set; only writes made through this process are seen
+ * @param {Object} options - Bus options
+ * @param {Number} options.bufferSize - Events kept for resumption
+ * @returns {Object} Event bus ({ publish, subscribe })
+ */
+function createEventBus({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const buffer = [];
+  let lastId = 0;
+
+  return {
+    /**
+     * Publish the change of a document
+     * @param {String} collectionName - Collection of the document
+     * @param {String} operation - Write operation (create, update, delete...)
+     * @param {Object|null} before - Document before the write
+     * @param {Object|null} after - Document after the write
+     * @returns {Object} Published event
+     */
+    publish(collectionName, operation, before, after) {
+      const document = snapshot(after || before);
+      lastId += 1;
+      const event = {
+        id: String(lastId),
+        type: EVENT_TYPES[operation],
+        collectionName,
+        documentId: String(document._id),
+        document
+      };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      emitter.emit(collectionName, event);
+      return event;
+    },
+
+    /**
+     * Listen to the events of a collection, replaying the buffered events after lastEventId
+     * @param {String} collectionName - Collection name
+     * @param {String} lastEventId - Last event received by the client
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(collectionName, lastEventId, listener) {
+      const last = Number(lastEventId);
+      if (lastEventId && Number.isInteger(last)) {
+        buffer
+          .filter(event => event.collectionName === collectionName && Number(event.id) > last)
+          .forEach(listener);
+      }
+
+      emitter.on(collectionName, listener);
+      return () => emitter.off(collectionName, listener);
+    }
+  };
+}
+
+/**
+ * Check whether the deployment of a model supports change streams (replica set or sharded cluster)
+ * @param {Object} model - Mongoose model
+ * @returns {Promise<Boolean>} Whether change streams are available
+ */
+async function supportsChangeStreams(model) {
+  try {
+    const hello = await model.db.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert a change stream notification into an event
+ * @param {Object} change - Change stream document
+ * @param {Boolean} softDelete - Whether setting deletedAt means deleting
+ * @returns {Object|null} Event, null for other operations
+ */
+function changeToEvent(change, softDelete) {
+  const document = change.fullDocument || null;
+  let type;
+
+  if (change.operationType === 'insert') {
+    type = 'created';
+  } else if (change.operationType === 'delete') {
+    type = 'deleted';
+  } else if (change.operationType === 'update' || change.operationType === 'replace') {
+    const removed = (change.updateDescription && change.updateDescription.removedFields) || [];
+    if (softDelete && document && document[DELETED_AT]) {
+      type = 'deleted';
+    } else if (softDelete && removed.includes(DELETED_AT)) {
+      type = 'created';
+    } else {
+      type = 'updated';
+    }
+  } else {
+    return null;
+  }
+
+  return {
+    // Resume tokens are opaque strings, sent back as Last-Event-ID
+    id: change._id._data,
+    type,
+    documentId: String(change.documentKey._id),
+    document
+  };
+}
+
+/**
+ * Watch the changes of a model with a MongoDB change stream
+ * @param {Object} model - Mongoose model
+ * @param {Object} options - Watch options
+ * @param {Boolean} options.softDelete - Whether setting deletedAt means deleting
+ * @param {String} options.lastEventId - Resume token of the last event received
+ * @param {Function} listener - Called with each event
+ * @param {Function} onError - Called when the stream fails
+ * @returns {Function} Close function
+ */
+function watchChanges(model, { softDelete, lastEventId }, listener, onError) {
+  const stream = model.watch(
+    [{ $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }],
+    {
+      fullDocument: 'updateLookup',
+      ...(lastEventId && { resumeAfter: { _data: lastEventId } })
+    }
+  );
+
+  stream.on('change', change => {
+    const event = changeToEvent(change, softDelete);
+    if (event) listener(event);
+  });
+  stream.on('error', onError);
+
+  return () => stream.close();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createEventBus,
+  supportsChangeStreams,
+  changeToEvent,
+  watchChanges
+};
@@ -0,0 +1,144 @@
+// Content type of each export format
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Resolve the format of an export from the `format` parameter, then the Accept header
+ * @param {String} format - Requested format (csv or ndjson)
+ * @param {String} accept - Accept header
+ * @returns {String} Export format (NDJSON by default)
+ */
+function exportFormat(format, accept = '') {
+  if (format) return format;
+  return /\btext\/csv\b/.test(accept) ? 'csv' : 'ndjson';
+}
+
+/**
+ * Check if a value is a plain object (not an array, date or ObjectId)
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * List the columns of a Mongoose schema, single nested subdocuments expanded into dotted paths
+ * Arrays stay a single column
+ * @param {Object} schema - Mongoose schema
+ * @param {String} prefix - Path of the subdocument
+ * @returns {Array} Column paths
+ */
+function schemaColumns(schema, prefix = '') {
+  return Object.keys(schema.paths)
+    .filter(path => path !== '_id' && path !== '__v')
+    .flatMap(path => {
+      const schemaType = schema.paths[path];
+      const column = prefix ? `${prefix}.${path}` : path;
+      return schemaType.$isSingleNested && schemaType.schema
+        ? schemaColumns(schemaType.schema, column)
+        : [column];
+    });
+}
+
+/**
+ * Check if a column is a field or inside it
+ * @param {String} column - Column path
+ * @param {String} field - Field path
+ * @returns {Boolean} Whether the column belongs to the field
+ */
+function isWithin(column, field) {
+  return column === field || column.startsWith(`${field}.`);
+}
+
+/**
+ * Keep the columns selected by a projection
+ * @param {Array} columns - Column paths
+ * @param {Object} projection - Mongoose projection ({ name: 1 } or { password: 0 })
+ * @returns {Array} Selected columns
+ */
+function projectColumns(columns, projection) {
+  if (!projection) return columns;
+
+  const fields = Object.keys(projection);
+  const inclusive = Object.values(projection).some(mode => mode === 1);
+  return columns.filter(column => {
+    const selected = fields.some(field => isWithin(column, field) || field.startsWith(`${column}.`));
+    return inclusive ? selected : !fields.some(field => isWithin(column, field));
+  });
+}
+
+/**
+ * Remove the columns of hidden fields
+ * @param {Array} columns - Column paths
+ * @param {Array} hidden - Hidden fields
+ * @returns {Array} Visible columns
+ */
+function omitColumns(columns, hidden = []) {
+  return columns.filter(column => !hidden.some(field => isWithin(column, field)));
+}
+
+/**
+ * Flatten a document into its leaf values keyed by dotted path
+ * @param {Object} doc - Transformed document
+ * @param {String} prefix - Path of the object
+ * @param {Object} acc - Accumulated leaves
+ * @returns {Object} Leaf values by path
+ */
+function flattenDocument(doc, prefix = '', acc = {}) {
+  Object.entries(doc).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenDocument(value, path, acc);
+    } else {
+      acc[path] = value;
+    }
+  });
+  return acc;
+}
+
+/**
+ * Format a value as a CSV field
+ * Dates are written in ISO 8601, arrays and objects as JSON. Strings that spreadsheets would
+ * run as formulas (starting with =, +, -, @, a tab or a carriage return) are prefixed with '
+ * @param {*} value - Value
+ * @returns {String} CSV field, quoted when needed
+ */
+function csvValue(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV line
+ * @param {Array} values - Field values
+ * @returns {String} CSV line ending with CRLF
+ */
+function csvRow(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormat,
+  schemaColumns,
+  projectColumns,
+  omitColumns,
+  flattenDocument,
+  csvValue,
+  csvRow
+};
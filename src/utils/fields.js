@@ -0,0 +1,258 @@
+const { HttpError } = require('./errors');
+const { getModelOption } = require('./options');
+const { getReferencePaths, getRefCollectionName } = require('./reference');
+
+/**
+ * Plugin options holding the field rules of each model
+ */
+const FIELD_OPTIONS = {
+  hidden: 'hiddenFields',
+  readOnly: 'readOnlyFields',
+  writeOnce: 'writeOnceFields'
+};
+
+/**
+ * Get the field rules resolver of a model
+ * Each rule is an array of fields or a function `(request) => Array` for role-dependent rules
+ * @param {String} modelName - Model name
+ * @param {Object} options - Plugin options (hiddenFields, readOnlyFields, writeOnceFields)
+ * @returns {Function} Async resolver `(request) => { hidden, readOnly, writeOnce }`
+ */
+function getFieldRules(modelName, options = {}) {
+  const configured = Object.keys(FIELD_OPTIONS).reduce((acc, rule) => {
+    acc[rule] = getModelOption(modelName, options[FIELD_OPTIONS[rule]], []) || [];
+    return acc;
+  }, {});
+
+  return async request => {
+    const rules = {};
+    for (const rule of Object.keys(configured)) {
+      const value = configured[rule];
+      rules[rule] = typeof value === 'function' ? (await value(request)) || [] : value;
+    }
+    return rules;
+  };
+}
+
+/**
+ * Check if a path is a field or a path inside (or containing) the field
+ * @param {String} path - Written or read path
+ * @param {String} field - Protected field
+ * @returns {Boolean} Whether the path touches the field
+ */
+function touchesField(path, field) {
+  return path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`);
+}
+
+/**
+ * Read a dotted path from a plain object
+ * @param {Object} obj - Plain object
+ * @param {String} path - Field path
+ * @returns {*} Field value
+ */
+function getValue(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Copy a value without a dotted path (walking through arrays of subdocuments)
+ * Only the objects along the path are copied
+ * @param {*} value - Plain object or array
+ * @param {Array} segments - Path segments
+ * @returns {*} Value without the path
+ */
+function withoutPath(value, segments) {
+  if (Array.isArray(value)) return value.map(item => withoutPath(item, segments));
+  if (value === null || typeof value !== 'object' || !(segments[0] in value)) return value;
+
+  const [key, ...rest] = segments;
+  const copy = { ...value };
+  if (rest.length === 0) {
+    delete copy[key];
+  } else {
+    copy[key] = withoutPath(copy[key], rest);
+  }
+  return copy;
+}
+
+/**
+ * Copy an object setting a dotted path
+ * @param {Object} obj - Plain object
+ * @param {Array} segments - Path segments
+ * @param {*} value - Value to set
+ * @returns {Object} Copy with the value set
+ */
+function withPath(obj, segments, value) {
+  const [key, ...rest] = segments;
+  const base = obj !== null && typeof obj === 'object' ? obj : {};
+  return { ...base, [key]: rest.length === 0 ? value : withPath(base[key], rest, value) };
+}
+
+/**
+ * Remove fields from a transformed document
+ * @param {Object} doc - Transformed document
+ * @param {Array} fields - Fields to remove
+ * @returns {Object} Copy of the document without the fields
+ */
+function omitFields(doc, fields) {
+  if (!doc) return doc;
+  return fields.reduce((result, field) => withoutPath(result, field.split('.')), doc);
+}
+
+/**
+ * Build a function hiding the hidden fields of a model and of its populated references
+ * @param {Object} model - Mongoose model
+ * @param {Object} options - Plugin options (hiddenFields, readOnlyFields, writeOnceFields)
+ * @returns {Function} Async `(request, doc) => doc` working on transformed documents
+ */
+function createFieldHider(model, options = {}) {
+  const rules = getFieldRules(model.collection.name, options);
+  const references = getReferencePaths(model);
+
+  return async (request, doc) => {
+    if (!doc) return doc;
+
+    let result = omitFields(doc, (await rules(request)).hidden);
+
+    // Populated documents follow the rules of their own model
+    for (const { path, ref } of references) {
+      const value = getValue(result, path);
+      const populated = [].concat(value).some(item => item !== null && typeof item === 'object');
+      if (!populated) continue;
+
+      const refRules = getFieldRules(getRefCollectionName(model, ref), options);
+      const { hidden } = await refRules(request);
+      if (hidden.length > 0) {
+        result = omitFields(result, hidden.map(field => `${path}.${field}`));
+      }
+    }
+
+    return result;
+  };
+}
+
+/**
+ * Check if resolved rules protect any field from writes
+ * @param {Object} rules - Resolved field rules
+ * @returns {Boolean} Whether read-only or write-once fields are configured
+ */
+function hasWriteRules(rules) {
+  return rules.readOnly.length > 0 || rules.writeOnce.length > 0;
+}
+
+/**
+ * Throw a 400 error listing the protected fields a client tried to write
+ * @param {String} error - Error type
+ * @param {Array} fields - Protected fields
+ * @param {String} reason - Reason of the protection
+ * @throws {HttpError} 400 error
+ */
+function rejectFields(error, fields, reason) {
+  throw new HttpError(
+    400,
+    error,
+    `Cannot write ${reason} fields: ${fields.join(', ')}`,
+    fields.map(field => ({ field, message: `Field "${field}" is ${reason}` }))
+  );
+}
+
+/**
+ * Validate the body of a creation
+ * Read-only fields cannot be set, write-once fields can
+ * @param {Object} body - Document to create
+ * @param {Object} rules - Resolved field rules
+ * @throws {HttpError} 400 ReadOnlyField
+ */
+function assertCreatable(body, rules) {
+  const forbidden = rules.readOnly.filter(field => getValue(body, field) !== undefined);
+  if (forbidden.length > 0) rejectFields('ReadOnlyField', forbidden, 'read-only');
+}
+
+/**
+ * List the dotted paths written by a MongoDB update ({ $set, $unset, $push, ... })
+ * @param {Object} update - MongoDB update
+ * @returns {Array} Dotted paths
+ */
+function updatePaths(update) {
+  return Object.values(update).reduce(
+    (acc, operation) => acc.concat(Object.keys(operation || {})),
+    []
+  );
+}
+
+/**
+ * Validate the paths written by an update
+ * Neither read-only nor write-once fields can be changed
+ * @param {Array} paths - Written dotted paths
+ * @param {Object} rules - Resolved field rules
+ * @throws {HttpError} 400 ReadOnlyField or WriteOnceField
+ */
+function assertUpdatable(paths, rules) {
+  const check = (fields, error, reason) => {
+    const forbidden = fields.filter(field => paths.some(path => touchesField(path, field)));
+    if (forbidden.length > 0) rejectFields(error, forbidden, reason);
+  };
+
+  check(rules.readOnly, 'ReadOnlyField', 'read-only');
+  check(rules.writeOnce, 'WriteOnceField', 'write-once');
+}
+
+/**
+ * Validate a replacement and keep the protected fields of the current document
+ * Protected fields may be sent back unchanged (GET, edit, PUT) but not modified.
+ * Hidden fields are never sent to the client, so they are kept unless the replacement sets them
+ * @param {Object} replacement - Replacement document
+ * @param {Object} current - Current document (plain object)
+ * @param {Object} rules - Resolved field rules
+ * @returns {Object} Replacement with the protected and hidden fields of the current document
+ * @throws {HttpError} 400 ReadOnlyField or WriteOnceField
+ */
+function protectReplacement(replacement, current, rules) {
+  const changed = field => {
+    const value = getValue(replacement, field);
+    return value !== undefined && JSON.stringify(value) !== JSON.stringify(getValue(current, field));
+  };
+
+  const readOnly = rules.readOnly.filter(changed);
+  if (readOnly.length > 0) rejectFields('ReadOnlyField', readOnly, 'read-only');
+
+  const writeOnce = rules.writeOnce.filter(changed);
+  if (writeOnce.length > 0) rejectFields('WriteOnceField', writeOnce, 'write-once');
+
+  return (rules.hidden || []).reduce((result, field) => {
+    const value = getValue(current, field);
+    return value === undefined || getValue(result, field) !== undefined
+      ? result
+      : withPath(result, field.split('.'), value);
+  }, keepProtectedFields(replacement, current, rules));
+}
+
+/**
+ * Copy the read-only and write-once fields of the current document into a replacement
+ * @param {Object} replacement - Replacement document
+ * @param {Object} current - Current document (plain object)
+ * @param {Object} rules - Resolved field rules
+ * @returns {Object} Replacement holding the current protected values
+ */
+function keepProtectedFields(replacement, current, rules) {
+  const fields = [...rules.readOnly, ...rules.writeOnce];
+  return fields.reduce((result, field) => {
+    const value = getValue(current, field);
+    return value === undefined ? result : withPath(result, field.split('.'), value);
+  }, omitFields(replacement, fields));
+}
+
+module.exports = {
+  FIELD_OPTIONS,
+  getFieldRules,
+  getValue,
+  withPath,
+  omitFields,
+  createFieldHider,
+  hasWriteRules,
+  assertCreatable,
+  updatePaths,
+  assertUpdatable,
+  protectReplacement,
+  keepProtectedFields
+};
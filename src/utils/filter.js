@@ -0,0 +1,116 @@
+const { HttpError } = require('./errors');
+
+// Query string operators and their MongoDB equivalents
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  exists: '$exists'
+};
+
+// Filter keys holding an operator: `age[gte]`
+const OPERATOR_KEY = /^([^[\]]+)\[([^[\]]+)\]$/;
+
+/**
+ * Cast a query string value through the schema type of a field
+ * Array fields cast each value with the type of their elements
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @param {*} value - Raw value
+ * @returns {*} Casted value
+ */
+function castValue(model, field, value) {
+  const schemaType = model.schema.paths[field];
+  if (!schemaType) return value;
+
+  const caster = schemaType.instance === 'Array' && schemaType.caster
+    ? schemaType.caster
+    : schemaType;
+
+  try {
+    return caster.cast(value);
+  } catch (error) {
+    throw new HttpError(400, 'InvalidFilter', `Invalid value "${value}" for filter "${field}"`);
+  }
+}
+
+/**
+ * Build the MongoDB condition of a single operator
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @param {String} operator - Query string operator (gte, in...)
+ * @param {*} value - Raw value
+ * @returns {*} MongoDB operator value
+ */
+function buildCondition(model, field, operator, value) {
+  if (!OPERATORS[operator]) {
+    throw new HttpError(400, 'InvalidFilter', `Unknown operator "${operator}" for filter "${field}"`);
+  }
+
+  if (operator === 'exists') {
+    return !['false', '0', false, 0].includes(value);
+  }
+
+  if (operator === 'in' || operator === 'nin') {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => castValue(model, field, item));
+  }
+
+  return castValue(model, field, value);
+}
+
+/**
+ * Translate list query string filters into a MongoDB filter
+ * Supports equality (`status=active`) and operators written as `age[gte]=18`
+ * or as nested objects produced by extended query parsers (`{ age: { gte: '18' } }`)
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Query string filters
+ * @returns {Object} MongoDB filter
+ */
+function buildFilters(model, query = {}) {
+  const filters = {};
+
+  const addCondition = (field, operator, value) => {
+    const condition = buildCondition(model, field, operator, value);
+
+    if (operator === 'eq' && filters[field] === undefined) {
+      filters[field] = condition;
+      return;
+    }
+
+    // Merge several operators on the same field (e.g. age[gte] and age[lt])
+    const current = filters[field];
+    const conditions = current !== null && typeof current === 'object' && !Array.isArray(current) &&
+      Object.keys(current).every(key => key.startsWith('$'))
+      ? current
+      : current === undefined ? {} : { $eq: current };
+
+    filters[field] = { ...conditions, [OPERATORS[operator]]: condition };
+  };
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = key.match(OPERATOR_KEY);
+
+    if (match) {
+      addCondition(match[1], match[2], value);
+    } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([operator, operatorValue]) => {
+        addCondition(key, operator, operatorValue);
+      });
+    } else if (Array.isArray(value)) {
+      // Repeated parameters (status=a&status=b) match any of the values
+      addCondition(key, 'in', value);
+    } else {
+      addCondition(key, 'eq', value);
+    }
+  });
+
+  return filters;
+}
+
+module.exports = { buildFilters, OPERATORS, OPERATOR_KEY };
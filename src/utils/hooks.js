@@ -0,0 +1,85 @@
+const { getModelOption } = require('./options');
+
+/**
+ * Lifecycle hooks that can be configured per model
+ */
+const HOOKS = [
+  'beforeList',
+  'beforeCreate',
+  'afterCreate',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete',
+  'transformResponse'
+];
+
+/**
+ * Get the lifecycle hooks of a model
+ * @param {String} modelName - Model name
+ * @param {Object} hooksByModel - Object mapping model names to hooks
+ * @returns {Object} Hooks of the model keyed by name
+ * @throws {Error} When a hook is unknown or not a function
+ */
+function getModelHooks(modelName, hooksByModel) {
+  const hooks = getModelOption(modelName, hooksByModel, {}) || {};
+
+  Object.entries(hooks).forEach(([name, hook]) => {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Unknown hook "${name}" for model ${modelName}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error(`Hook "${name}" for model ${modelName} must be a function`);
+    }
+  });
+
+  return hooks;
+}
+
+/**
+ * Run a lifecycle hook
+ * Hooks may mutate the payload or return a replacement; throwing (e.g. an HttpError) aborts the request
+ * @param {Object} hooks - Hooks of the model
+ * @param {String} name - Hook name
+ * @param {Object} request - Fastify request
+ * @param {Object} model - Mongoose model
+ * @param {*} payload - Data passed to the hook
+ * @returns {Promise<*>} Payload returned by the hook, or the original payload
+ */
+async function runHook(hooks, name, request, model, payload) {
+  const hook = hooks[name];
+  if (!hook) return payload;
+
+  const result = await hook(request, model, payload);
+  return result === undefined ? payload : result;
+}
+
+/**
+ * Apply the transformResponse hook to a transformed document or a list envelope
+ * @param {Object} hooks - Hooks of the model
+ * @param {Object} request - Fastify request
+ * @param {Object} model - Mongoose model
+ * @param {Object} data - Transformed document or list envelope ({ data, pagination })
+ * @returns {Promise<Object>} Response data
+ */
+async function transformResponse(hooks, request, model, data) {
+  if (!hooks.transformResponse || !data) return data;
+
+  if (Array.isArray(data.data)) {
+    return {
+      ...data,
+      data: await Promise.all(
+        data.data.map(doc => runHook(hooks, 'transformResponse', request, model, doc))
+      )
+    };
+  }
+
+  return runHook(hooks, 'transformResponse', request, model, data);
+}
+
+module.exports = {
+  HOOKS,
+  getModelHooks,
+  runHook,
+  transformResponse
+};
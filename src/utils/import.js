@@ -0,0 +1,215 @@
+const { HttpError } = require('./errors');
+const { withPath } = require('./fields');
+
+// Import format of each accepted content type
+const IMPORT_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson'
+};
+
+// Schema types whose CSV cells hold JSON (as written by the export route)
+const JSON_TYPES = ['Array', 'Mixed'];
+
+/**
+ * Resolve the format of an import from the Content-Type header
+ * @param {String} contentType - Content-Type header
+ * @returns {String|undefined} Import format (csv or ndjson)
+ */
+function importFormat(contentType = '') {
+  return IMPORT_FORMATS[contentType.split(';')[0].trim().toLowerCase()];
+}
+
+/**
+ * Split a CSV text into records of fields (RFC 4180)
+ * Quoted fields may contain separators, doubled quotes and line breaks; blank lines are skipped
+ * @param {String} text - CSV text
+ * @returns {Array} Records (arrays of fields)
+ * @throws {HttpError} 400 when a quoted field is not closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push(fields);
+    }
+    fields = [];
+    field = '';
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new HttpError(400, 'ParseError', `Unclosed quoted field in CSV record ${records.length + 1}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Parse an import body into rows keyed by column
+ * Rows that cannot be read carry a ParseError instead of values
+ * @param {String} format - Import format (csv or ndjson)
+ * @param {String} body - Request body
+ * @returns {Object} { columns, rows: [{ row, values } | { row, error, message }] }, rows numbered from 1
+ *   (NDJSON columns are the keys found in the lines)
+ * @throws {HttpError} 400 when the CSV cannot be split into records
+ */
+function parseImport(format, body) {
+  if (format === 'ndjson') {
+    const rows = body
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map((line, index) => {
+        const row = index + 1;
+        try {
+          const values = JSON.parse(line);
+          if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            return { row, error: 'ParseError', message: 'Line is not a JSON object' };
+          }
+          return { row, values };
+        } catch (error) {
+          return { row, error: 'ParseError', message: `Invalid JSON: ${error.message}` };
+        }
+      });
+    const columns = [...new Set(rows.flatMap(({ values }) => Object.keys(values || {})))];
+    return { columns, rows };
+  }
+
+  const [header, ...records] = parseCsv(body);
+  const columns = header ? header.map(column => column.trim()) : [];
+  const rows = records.map((fields, index) => {
+    const row = index + 1;
+    if (fields.length !== columns.length) {
+      return {
+        row,
+        error: 'ParseError',
+        message: `Expected ${columns.length} fields, found ${fields.length}`
+      };
+    }
+    return {
+      row,
+      values: columns.reduce((acc, column, i) => {
+        acc[column] = fields[i];
+        return acc;
+      }, {})
+    };
+  });
+  return { columns, rows };
+}
+
+/**
+ * Resolve the schema path of an import column
+ * The `id` column written by exports maps to `_id`
+ * @param {String} column - Column name
+ * @param {Object} mapping - Column to schema path mapping
+ * @returns {String|null} Schema path, null when the column is ignored
+ */
+function columnPath(column, mapping = {}) {
+  if (Object.prototype.hasOwnProperty.call(mapping, column)) {
+    return mapping[column] || null;
+  }
+  return column === 'id' ? '_id' : column;
+}
+
+/**
+ * Check if a path is a schema path or inside a nested object of the schema
+ * @param {Object} schema - Mongoose schema
+ * @param {String} path - Dotted path
+ * @returns {Boolean} Whether the schema knows the path
+ */
+function isSchemaPath(schema, path) {
+  if (schema.paths[path]) return true;
+
+  return Object.keys(schema.paths).some(schemaPath => {
+    const schemaType = schema.paths[schemaPath];
+    if (schemaPath.startsWith(`${path}.`)) return true;
+    return Boolean(schemaType.$isSingleNested && schemaType.schema && path.startsWith(`${schemaPath}.`)) &&
+      isSchemaPath(schemaType.schema, path.slice(schemaPath.length + 1));
+  });
+}
+
+/**
+ * List the columns that do not map to a schema path
+ * @param {Object} model - Mongoose model
+ * @param {Array} columns - Column names
+ * @param {Object} mapping - Column to schema path mapping
+ * @returns {Array} Ignored columns
+ */
+function ignoredColumns(model, columns, mapping) {
+  return columns.filter(column => {
+    const path = columnPath(column, mapping);
+    return !path || !isSchemaPath(model.schema, path);
+  });
+}
+
+/**
+ * Build the document of an import row
+ * CSV cells are strings: empty cells are left out, arrays and mixed fields are read as JSON,
+ * and the schema types cast the other values when the document is validated
+ * @param {Object} model - Mongoose model
+ * @param {Object} values - Row values keyed by column
+ * @param {Object} settings - Mapping settings
+ * @param {Object} settings.mapping - Column to schema path mapping
+ * @param {Boolean} settings.csv - Whether the values come from CSV cells
+ * @returns {Object} Document with nested objects for dotted paths
+ */
+function mapRow(model, values, { mapping, csv = false } = {}) {
+  return Object.entries(values).reduce((doc, [column, raw]) => {
+    const path = columnPath(column, mapping);
+    if (!path || !isSchemaPath(model.schema, path)) return doc;
+
+    let value = raw;
+    if (csv) {
+      if (raw === '') return doc;
+      const schemaType = model.schema.paths[path];
+      if (schemaType && JSON_TYPES.includes(schemaType.instance)) {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          // Left as text, casting reports the invalid value
+        }
+      }
+    }
+    return withPath(doc, path.split('.'), value);
+  }, {});
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  importFormat,
+  parseCsv,
+  parseImport,
+  columnPath,
+  ignoredColumns,
+  mapRow
+};
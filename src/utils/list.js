@@ -0,0 +1,201 @@
+const { HttpError } = require('./errors');
+const { transformDocument } = require('./document');
+const { buildQuery } = require('./query');
+const { buildFilters } = require('./filter');
+const { normalizeSort, encodeCursor, decodeCursor } = require('./cursor');
+const { extractFields, keepFields } = require('./projection');
+const { RELEVANCE, parseSearch, withSearch, relevanceSort } = require('./search');
+const { validateFilters, validateSort } = require('../validators/filter');
+
+/**
+ * Parse the JSON sort criteria of a list request
+ * @param {String} sort - Sort query string value
+ * @returns {Object} Sort criteria
+ * @throws {HttpError} 400 InvalidSort when the sort is not a JSON object
+ */
+function parseSort(sort) {
+  let sortQuery = null;
+  try {
+    sortQuery = JSON.parse(sort);
+  } catch (error) {
+    // Reported below with the other invalid values
+  }
+  if (sortQuery === null || typeof sortQuery !== 'object' || Array.isArray(sortQuery)) {
+    throw new HttpError(400, 'InvalidSort', 'Sort must be a JSON object');
+  }
+  return sortQuery;
+}
+
+/**
+ * Parse and validate the query string of a list route
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Request query string
+ * @param {Object} options - List options
+ * @param {Object} options.baseFilter - Filter always applied (e.g. parent reference)
+ * @param {Object} options.search - Search configuration (see getSearchConfig)
+ * @param {Array} options.filterableFields - Whitelist of filterable fields
+ * @param {Array} options.hiddenFields - Fields that cannot be filtered, sorted or searched
+ * @returns {Object} { filters, sort, score, populate, projection, populateSelect, page, limit, cursor }
+ * @throws {HttpError} 400 when a filter, the search, the sort or the fields are not allowed
+ */
+function parseListQuery(model, query, options = {}) {
+  const { baseFilter = {}, filterableFields, hiddenFields = [] } = options;
+  const { projection, populateSelect, query: fieldsQuery } = extractFields(query);
+  const { search, query: listQuery } = parseSearch(options.search, fieldsQuery, hiddenFields);
+  const {
+    page = 1,
+    limit = 10,
+    sort,
+    populate,
+    cursor,
+    ...queryFilters
+  } = listQuery;
+
+  // Reject operator injection and unknown fields, then translate and cast filters
+  validateFilters(model, queryFilters, filterableFields, hiddenFields);
+  const filters = withSearch({ ...buildFilters(model, queryFilters), ...baseFilter }, search);
+
+  // Text scores are not stable keys, they cannot position a cursor
+  if (sort === RELEVANCE && cursor !== undefined) {
+    throw new HttpError(400, 'InvalidSort', 'Cursor pagination cannot sort by relevance');
+  }
+  const sortQuery = sort === RELEVANCE ? relevanceSort(search) : sort ? parseSort(sort) : { _id: -1 };
+  validateSort(sortQuery, hiddenFields);
+
+  return {
+    filters,
+    sort: sortQuery,
+    score: Boolean(search.text),
+    populate,
+    projection,
+    populateSelect,
+    page,
+    limit,
+    cursor
+  };
+}
+
+/**
+ * List documents for a list route, with offset or cursor pagination
+ * Offset mode (`page`) returns the total count; cursor mode (`cursor`, empty for the
+ * first page) returns opaque `nextCursor`/`prevCursor` tokens instead
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Request query string
+ * @param {Object} options - List options (see parseListQuery)
+ * @param {Object} options.populateMatch - Filter of the populated documents per path
+ * @returns {Promise<Object>} Response envelope ({ data, pagination })
+ */
+async function listDocuments(model, query, options = {}) {
+  const { populateMatch } = options;
+  const {
+    filters,
+    sort: sortQuery,
+    score,
+    populate,
+    projection,
+    populateSelect,
+    page,
+    limit,
+    cursor
+  } = parseListQuery(model, query, options);
+
+  if (cursor !== undefined) {
+    const pageSize = parseInt(limit);
+    const cursorSort = normalizeSort(sortQuery);
+    const decoded = cursor ? decodeCursor(model, cursor, cursorSort) : undefined;
+
+    // Fetch one extra document to know if there is another page
+    const docs = await buildQuery(model, filters, {
+      limit: pageSize + 1,
+      sort: cursorSort,
+      score,
+      populate,
+      // Sort keys are needed to encode the cursors
+      fields: keepFields(projection, Object.keys(cursorSort)),
+      populateSelect,
+      populateMatch,
+      cursor: decoded
+    }).exec();
+
+    const hasMore = docs.length > pageSize;
+    const pageDocs = docs.slice(0, pageSize);
+    const backwards = decoded && decoded.direction === 'prev';
+    if (backwards) pageDocs.reverse();
+
+    const first = pageDocs[0];
+    const last = pageDocs[pageDocs.length - 1];
+
+    return {
+      data: pageDocs.map(doc => transformDocument(doc)),
+      pagination: {
+        limit: pageSize,
+        hasMore: backwards ? true : hasMore,
+        nextCursor: last && (backwards || hasMore) ? encodeCursor(last, cursorSort, 'next') : null,
+        prevCursor: first && decoded && (!backwards || hasMore) ? encodeCursor(first, cursorSort, 'prev') : null
+      }
+    };
+  }
+
+  const dbQuery = buildQuery(model, filters, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: sortQuery,
+    score,
+    populate,
+    fields: projection,
+    populateSelect,
+    populateMatch
+  });
+
+  const [data, total] = await Promise.all([
+    dbQuery.exec(),
+    model.countDocuments(filters)
+  ]);
+
+  return {
+    data: data.map(doc => transformDocument(doc)),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Build the query reading every document of a list route, for exports
+ * Pagination parameters are ignored
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Request query string
+ * @param {Object} options - List options (see parseListQuery)
+ * @param {Object} options.populateMatch - Filter of the populated documents per path
+ * @returns {Object} { query: Mongoose query, projection, populate, populateSelect }
+ */
+function exportQuery(model, query, options = {}) {
+  const {
+    filters,
+    sort,
+    score,
+    populate,
+    projection,
+    populateSelect
+  } = parseListQuery(model, query, options);
+
+  return {
+    query: buildQuery(model, filters, {
+      limit: null,
+      sort,
+      score,
+      populate,
+      fields: projection,
+      populateSelect,
+      populateMatch: options.populateMatch
+    }),
+    projection,
+    populate,
+    populateSelect
+  };
+}
+
+module.exports = { parseListQuery, listDocuments, exportQuery };
@@ -0,0 +1,166 @@
+/**
+ * Normalize a value for comparisons (ObjectIds as strings, dates as timestamps)
+ * @param {*} value - Value
+ * @returns {*} Comparable value
+ */
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+}
+
+/**
+ * Check the deep equality of two values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {Boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return true;
+  if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') {
+    // MongoDB matches null with missing fields
+    return (left === null || left === undefined) && (right === null || right === undefined);
+  }
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * Get the values of a dotted path, walking through arrays like MongoDB does
+ * @param {*} value - Document or value
+ * @param {Array} segments - Path segments
+ * @returns {Array} Candidate values (the array itself and its elements for array fields)
+ */
+function candidates(value, segments) {
+  if (segments.length === 0) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => candidates(item, segments));
+  }
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return [undefined];
+  }
+
+  const [key, ...rest] = segments;
+  return candidates(value[key], rest);
+}
+
+/**
+ * Compare two values with an ordering operator
+ * @param {*} a - Document value
+ * @param {*} b - Filter value
+ * @param {Function} compare - Comparison of the normalized values
+ * @returns {Boolean} Whether the comparison holds (values of different types never match)
+ */
+function compareValues(a, b, compare) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === null || left === undefined || typeof left !== typeof right) return false;
+  return compare(left, right);
+}
+
+/**
+ * Check a single operator against the values of a path
+ * @param {Array} values - Candidate values of the path
+ * @param {String} operator - MongoDB operator
+ * @param {*} operand - Operator value
+ * @param {Object} condition - Whole condition (for $regex options)
+ * @returns {Boolean} Whether the operator matches
+ * @throws {Error} When the operator is not supported
+ */
+function matchOperator(values, operator, operand, condition) {
+  switch (operator) {
+    case '$eq':
+      return values.some(value => isEqual(value, operand));
+    case '$ne':
+      return !values.some(value => isEqual(value, operand));
+    case '$gt':
+      return values.some(value => compareValues(value, operand, (a, b) => a > b));
+    case '$gte':
+      return values.some(value => compareValues(value, operand, (a, b) => a >= b));
+    case '$lt':
+      return values.some(value => compareValues(value, operand, (a, b) => a < b));
+    case '$lte':
+      return values.some(value => compareValues(value, operand, (a, b) => a <= b));
+    case '$in':
+      return operand.some(item => matchOperator(values, '$eq', item));
+    case '$nin':
+      return !operand.some(item => matchOperator(values, '$eq', item));
+    case '$exists':
+      return values.some(value => value !== undefined) === Boolean(operand);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return values.some(value => typeof value === 'string' && regex.test(value));
+    }
+    case '$options':
+      return true;
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+/**
+ * Check the condition of a path
+ * @param {Object} doc - Document
+ * @param {String} path - Dotted path
+ * @param {*} condition - Value or operators
+ * @returns {Boolean} Whether the path matches
+ */
+function matchPath(doc, path, condition) {
+  const values = candidates(doc, path.split('.'));
+
+  if (condition instanceof RegExp) {
+    return matchOperator(values, '$regex', condition, {});
+  }
+
+  const isOperators = condition !== null && typeof condition === 'object' && !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+  if (!isOperators) {
+    return matchOperator(values, '$eq', condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) =>
+    matchOperator(values, operator, operand, condition));
+}
+
+/**
+ * Check if a document matches a MongoDB filter, evaluated in memory
+ * Supports $and, $or, $nor and the comparison, $in, $exists and $regex operators
+ * @param {Object} doc - Plain document
+ * @param {Object} filter - MongoDB filter
+ * @returns {Boolean} Whether the document matches (false for unsupported operators)
+ */
+function matchesFilter(doc, filter = {}) {
+  try {
+    return matchFilter(doc, filter);
+  } catch (error) {
+    // Fail closed: a document is never sent to a subscriber whose filter cannot be evaluated
+    return false;
+  }
+}
+
+/**
+ * Evaluate a filter, throwing on unsupported operators
+ * @param {Object} doc - Plain document
+ * @param {Object} filter - MongoDB filter
+ * @returns {Boolean} Whether the document matches
+ */
+function matchFilter(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(sub => matchFilter(doc, sub));
+      case '$or':
+        return condition.some(sub => matchFilter(doc, sub));
+      case '$nor':
+        return !condition.some(sub => matchFilter(doc, sub));
+      default:
+        if (key.startsWith('$')) throw new Error(`Unsupported operator ${key}`);
+        return matchPath(doc, key, condition);
+    }
+  });
+}
+
+module.exports = { matchesFilter };
@@ -0,0 +1,137 @@
+const { errorSchema } = require('./schema');
+
+const statusDescriptions = {
+  200: 'Successful response',
+  201: 'Resource created',
+  204: 'No content',
+  '4XX': 'Client error',
+  '5XX': 'Server error'
+};
+
+/**
+ * Convert a Fastify route url into an OpenAPI path
+ * @param {String} url - Fastify url (e.g. /api/users/:id)
+ * @returns {String} OpenAPI path (e.g. /api/users/{id})
+ */
+function toOpenApiPath(url) {
+  return url.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Replace the shared error schema with a component reference
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} JSON Schema or reference
+ */
+function resolveSchema(schema) {
+  return schema === errorSchema
+    ? { $ref: '#/components/schemas/Error' }
+    : schema;
+}
+
+/**
+ * Build OpenAPI parameters from a route params or querystring schema
+ * @param {Object} schema - JSON Schema of the request part
+ * @param {String} location - Parameter location (path or query)
+ * @returns {Array} OpenAPI parameters
+ */
+function buildParameters(schema, location) {
+  if (!schema || !schema.properties) return [];
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: propertySchema
+  }));
+}
+
+/**
+ * Build the OpenAPI operation of a route
+ * @param {Object} route - Route options collected from Fastify
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(route) {
+  const { schema = {} } = route;
+  const operation = {};
+
+  if (schema.tags) operation.tags = schema.tags;
+  if (schema.summary) operation.summary = schema.summary;
+  if (schema.operationId) operation.operationId = schema.operationId;
+
+  const parameters = [
+    ...buildParameters(schema.params, 'path'),
+    ...buildParameters(schema.querystring, 'query')
+  ];
+  if (parameters.length) operation.parameters = parameters;
+
+  if (schema.body) {
+    const consumes = schema.consumes || ['application/json'];
+    operation.requestBody = {
+      required: true,
+      content: consumes.reduce((acc, contentType) => {
+        acc[contentType] = { schema: schema.body };
+        return acc;
+      }, {})
+    };
+  }
+
+  const responses = schema.response || { 200: {} };
+  operation.responses = Object.entries(responses).reduce((acc, [status, responseSchema]) => {
+    const code = status.toUpperCase();
+    // Errors are always JSON, successful responses may use another media type (e.g. SSE)
+    const produces = code.startsWith('2') && schema.produces ? schema.produces : ['application/json'];
+    acc[code] = {
+      description: statusDescriptions[code] || 'Response',
+      content: produces.reduce((content, contentType) => {
+        content[contentType] = { schema: resolveSchema(responseSchema) };
+        return content;
+      }, {})
+    };
+    return acc;
+  }, {});
+
+  return operation;
+}
+
+/**
+ * Build an OpenAPI 3.1 document from the routes registered by the plugin
+ * @param {Array} routes - Route options ({ method, url, schema })
+ * @param {Object} options - Document options
+ * @param {Object} options.info - OpenAPI info object
+ * @param {Array} options.servers - OpenAPI servers
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(routes, options = {}) {
+  const { info = {}, servers } = options;
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Fast CRUD API',
+      version: '1.0.0',
+      ...info
+    },
+    paths: {},
+    components: {
+      schemas: { Error: errorSchema }
+    }
+  };
+
+  if (servers) document.servers = servers;
+
+  routes.forEach(route => {
+    const path = toOpenApiPath(route.url);
+    const methods = Array.isArray(route.method) ? route.method : [route.method];
+
+    methods
+      .filter(method => method !== 'HEAD')
+      .forEach(method => {
+        document.paths[path] = document.paths[path] || {};
+        document.paths[path][method.toLowerCase()] = buildOperation(route);
+      });
+  });
+
+  return document;
+}
+
+module.exports = { buildOpenApiDocument, toOpenApiPath };
@@ -0,0 +1,19 @@
+/**
+ * Get the option configured for a specific model
+ * @param {String} modelName - Model name
+ * @param {Object} optionsByModel - Object mapping model names to option values
+ * @param {*} defaultValue - Value returned when the model has no option
+ * @returns {*} Option value for the model
+ */
+function getModelOption(modelName, optionsByModel, defaultValue) {
+  if (!optionsByModel) return defaultValue;
+
+  // Find the matching key regardless of case
+  const key = Object.keys(optionsByModel).find(
+    k => k.toLowerCase() === modelName.toLowerCase()
+  );
+
+  return key === undefined ? defaultValue : optionsByModel[key];
+}
+
+module.exports = { getModelOption };
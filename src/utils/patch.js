@@ -0,0 +1,332 @@
+const { HttpError } = require('./errors');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Check if a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep equality for JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {Boolean} Whether both values are equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Convert a JSON Merge Patch (RFC 7396) into a MongoDB update
+ * Nested objects are merged through dotted paths and `null` unsets a field
+ * @param {Object} patch - Merge patch document
+ * @returns {Object} MongoDB update with $set and $unset
+ */
+function mergePatchToUpdate(patch) {
+  if (!isPlainObject(patch)) {
+    throw new HttpError(400, 'InvalidPatch', 'A merge patch must be a JSON object');
+  }
+
+  const update = {};
+
+  const walk = (object, prefix) => {
+    Object.entries(object).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (key === '_id' && !prefix) return;
+
+      if (value === null) {
+        update.$unset = { ...update.$unset, [path]: '' };
+      } else if (isPlainObject(value)) {
+        // An empty object changes no member of the object it merges into
+        walk(value, path);
+      } else {
+        update.$set = { ...update.$set, [path]: value };
+      }
+    });
+  };
+
+  walk(patch, '');
+  return update;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into path segments
+ * @param {String} pointer - JSON Pointer (e.g. /tags/0)
+ * @returns {Array} Unescaped segments
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new HttpError(400, 'InvalidPatch', `Invalid JSON Pointer "${pointer}"`);
+  }
+  if (pointer === '') {
+    throw new HttpError(400, 'InvalidPatch', 'Operations on the whole document are not supported');
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Read the value located at the given path segments
+ * @param {Object} doc - Plain document
+ * @param {Array} segments - Path segments
+ * @returns {*} Value or undefined when the path does not exist
+ */
+function getValue(doc, segments) {
+  return segments.reduce(
+    (value, segment) => (value !== null && value !== undefined ? value[segment] : undefined),
+    doc
+  );
+}
+
+/**
+ * Copy the plain objects and arrays of a document
+ * Other values (dates, ObjectIds) are kept as they are, they are never modified in place
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value) && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = clone(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Convert a JSON Patch (RFC 6902) into a MongoDB update
+ * Operations are applied in order to a copy of the current document, then every changed path
+ * is written with $set or $unset. Arrays are written as a whole, since MongoDB cannot remove
+ * or insert an element at a position, unless the operations only append to them ($push) or
+ * only remove values found once in them ($pull): those changes still apply to an array
+ * changed by a concurrent write
+ * @param {Array} operations - JSON Patch operations
+ * @param {Object} doc - Current plain document
+ * @returns {Object} MongoDB update with $set, $unset, $push and $pull
+ */
+function jsonPatchToUpdate(operations, doc) {
+  if (!Array.isArray(operations)) {
+    throw new HttpError(400, 'InvalidPatch', 'A JSON Patch must be an array of operations');
+  }
+
+  const working = clone(doc);
+  const changes = [];
+
+  const missing = segments => new HttpError(400, 'InvalidPatch', `Path "/${segments.join('/')}" does not exist`);
+
+  // Changes inside an array rewrite the outermost array holding them
+  // An element appended to (push) or removed from (pull) that array itself is kept apart
+  const touch = (segments, element = {}) => {
+    const end = segments.findIndex((segment, index) => index > 0 &&
+      Array.isArray(getValue(working, segments.slice(0, index))));
+    changes.push({
+      path: (end === -1 ? segments : segments.slice(0, end)).join('.'),
+      ...(end === segments.length - 1 && element)
+    });
+  };
+
+  const parentOf = (segments) => {
+    const parent = getValue(working, segments.slice(0, -1));
+    if (parent === null || typeof parent !== 'object') throw missing(segments);
+    return parent;
+  };
+
+  const add = (segments, value) => {
+    const parent = parentOf(segments);
+    const last = segments[segments.length - 1];
+    touch(segments, last === '-' ? { push: value } : {});
+
+    if (Array.isArray(parent)) {
+      if (last === '-') {
+        parent.push(value);
+      } else if (/^\d+$/.test(last) && Number(last) <= parent.length) {
+        parent.splice(Number(last), 0, value);
+      } else {
+        throw new HttpError(400, 'InvalidPatch', `Invalid array index "${last}"`);
+      }
+      return;
+    }
+
+    parent[last] = value;
+  };
+
+  const remove = (segments) => {
+    const value = getValue(working, segments);
+    if (value === undefined) throw missing(segments);
+
+    const parent = parentOf(segments);
+    const last = segments[segments.length - 1];
+    touch(segments, { pull: value });
+
+    if (Array.isArray(parent)) {
+      parent.splice(Number(last), 1);
+    } else {
+      delete parent[last];
+    }
+  };
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw new HttpError(400, 'InvalidPatch', `Invalid operation at index ${index}`);
+    }
+
+    const { op } = operation;
+    const segments = parsePointer(operation.path);
+
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      throw new HttpError(400, 'InvalidPatch', `Operation "${op}" at index ${index} requires a value`);
+    }
+
+    // The identifier (`id` in responses) never changes
+    const written = op === 'move' ? [segments, parsePointer(operation.from)] : [segments];
+    if (op !== 'test' && written.some(([first]) => first === '_id' || first === 'id')) {
+      throw new HttpError(400, 'InvalidPatch', `Operation "${op}" at index ${index} cannot change the document id`);
+    }
+
+    switch (op) {
+      case 'add':
+        add(segments, clone(operation.value));
+        break;
+      case 'remove':
+        remove(segments);
+        break;
+      case 'replace':
+        remove(segments);
+        add(segments, clone(operation.value));
+        break;
+      case 'move':
+      case 'copy': {
+        const from = parsePointer(operation.from);
+        const value = getValue(working, from);
+        if (value === undefined) throw missing(from);
+        if (op === 'move' && segments.join('/').startsWith(`${from.join('/')}/`)) {
+          throw new HttpError(400, 'InvalidPatch', `Cannot move "${operation.from}" into itself`);
+        }
+        if (op === 'move') remove(from);
+        add(segments, clone(value));
+        break;
+      }
+      case 'test':
+        if (!isEqual(getValue(working, segments), operation.value)) {
+          throw new HttpError(409, 'PatchTestFailed', `Test operation failed for path "${operation.path}"`);
+        }
+        break;
+    }
+  });
+
+  // A value can only be pulled when it is the single element equal to it
+  const isPullable = (path, value) => (value === null || typeof value !== 'object') &&
+    getValue(doc, path.split('.')).filter(element => isEqual(element, value)).length === 1;
+
+  // Write the final value of each changed path, once, leaving out paths inside another one
+  const paths = [...new Set(changes.map(({ path }) => path))];
+  return paths
+    .filter(path => !paths.some(other => path.startsWith(`${other}.`)))
+    .reduce((update, path) => {
+      const elements = changes.filter(change => change.path === path);
+      if (elements.every(change => 'push' in change)) {
+        update.$push = { ...update.$push, [path]: { $each: elements.map(({ push }) => push) } };
+        return update;
+      }
+      if (elements.every(change => 'pull' in change && isPullable(path, change.pull))) {
+        update.$pull = { ...update.$pull, [path]: { $in: elements.map(({ pull }) => pull) } };
+        return update;
+      }
+
+      const value = getValue(working, path.split('.'));
+      if (value === undefined) {
+        update.$unset = { ...update.$unset, [path]: '' };
+      } else {
+        update.$set = { ...update.$set, [path]: value };
+      }
+      return update;
+    }, {});
+}
+
+/**
+ * Apply an update built from a patch to a plain document
+ * Used to check the document a patch results in before writing it
+ * @param {Object} doc - Current plain document
+ * @param {Object} update - MongoDB update with $set, $unset, $push and $pull
+ * @returns {Object} Updated copy of the document
+ */
+function applyUpdate(doc, update) {
+  const result = clone(doc);
+
+  // Dotted paths create the objects they go through, like MongoDB does
+  const locate = (path) => {
+    const segments = path.split('.');
+    const last = segments.pop();
+    const parent = segments.reduce((value, segment) => {
+      if (value[segment] === null || typeof value[segment] !== 'object') {
+        value[segment] = {};
+      }
+      return value[segment];
+    }, result);
+    return [parent, last];
+  };
+
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    const [parent, last] = locate(path);
+    parent[last] = clone(value);
+  });
+  Object.keys(update.$unset || {}).forEach((path) => {
+    const [parent, last] = locate(path);
+    delete parent[last];
+  });
+  Object.entries(update.$push || {}).forEach(([path, { $each }]) => {
+    const [parent, last] = locate(path);
+    parent[last] = [...(parent[last] || []), ...clone($each)];
+  });
+  Object.entries(update.$pull || {}).forEach(([path, { $in }]) => {
+    const [parent, last] = locate(path);
+    parent[last] = (parent[last] || []).filter(element => !$in.some(value => isEqual(element, value)));
+  });
+
+  return result;
+}
+
+/**
+ * List the dotted paths written by JSON Patch operations
+ * `move` also writes its source, `test` writes nothing
+ * @param {Array} operations - JSON Patch operations
+ * @returns {Array} Dotted paths
+ */
+function jsonPatchPaths(operations) {
+  if (!Array.isArray(operations)) {
+    throw new HttpError(400, 'InvalidPatch', 'A JSON Patch must be an array of operations');
+  }
+
+  return operations.reduce((acc, operation) => {
+    if (operation.op === 'test') return acc;
+
+    acc.push(parsePointer(operation.path).join('.'));
+    if (operation.op === 'move') {
+      acc.push(parsePointer(operation.from).join('.'));
+    }
+    return acc;
+  }, []);
+}
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  mergePatchToUpdate,
+  jsonPatchToUpdate,
+  jsonPatchPaths,
+  applyUpdate
+};
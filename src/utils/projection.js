@@ -0,0 +1,116 @@
+const { HttpError } = require('./errors');
+
+const FIELDS_KEY = /^fields\[([^[\]]+)\]$/;
+
+/**
+ * Parse a sparse fieldset (`name,email` or `-password`) into a Mongoose projection
+ * The document id is always kept so responses can expose `id`
+ * @param {String} fields - Comma separated fields, prefixed with `-` to exclude
+ * @returns {Object|undefined} Projection ({ name: 1 } or { password: 0 })
+ * @throws {HttpError} 400 InvalidFields when inclusions and exclusions are mixed
+ */
+function parseProjection(fields) {
+  if (typeof fields !== 'string' || fields.trim() === '') return undefined;
+
+  const entries = fields
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+    .filter(([field]) => field !== '_id' && field !== 'id');
+
+  if (entries.length === 0) return undefined;
+
+  const modes = new Set(entries.map(([, mode]) => mode));
+  if (modes.size > 1) {
+    throw new HttpError(400, 'InvalidFields', 'Cannot mix included and excluded fields');
+  }
+
+  return entries.reduce((acc, [field, mode]) => {
+    acc[field] = mode;
+    return acc;
+  }, {});
+}
+
+/**
+ * Extract the sparse fieldsets from a query string
+ * `fields` selects the fields of the resource and `fields[path]` the fields of a populated reference
+ * (extended query parsers may also produce `fields: { path: '...' }`)
+ * @param {Object} query - Request query string
+ * @returns {Object} { projection, populateSelect, query } where query no longer holds fields parameters
+ */
+function extractFields(query = {}) {
+  const rest = {};
+  const populateSelect = {};
+  let projection;
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = key.match(FIELDS_KEY);
+
+    if (match) {
+      populateSelect[match[1]] = value;
+    } else if (key === 'fields' && value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([path, select]) => {
+        if (path === '') {
+          projection = parseProjection(select);
+        } else {
+          populateSelect[path] = select;
+        }
+      });
+    } else if (key === 'fields') {
+      projection = parseProjection(value);
+    } else {
+      rest[key] = value;
+    }
+  });
+
+  // Mongoose populate select uses spaces: `name,-email` => `name -email`
+  Object.keys(populateSelect).forEach(path => {
+    populateSelect[path] = String(populateSelect[path]).split(',').map(field => field.trim()).join(' ');
+  });
+
+  return { projection, populateSelect, query: rest };
+}
+
+/**
+ * Build the populate options of a path, selecting fields and matching documents when requested
+ * @param {String} path - Populated path
+ * @param {Object} populateSelect - Selected fields per populated path
+ * @param {Object} populateMatch - Filter of the populated documents per path
+ * @returns {String|Object} Populate option for Mongoose
+ */
+function populateOption(path, populateSelect = {}, populateMatch = {}) {
+  const match = populateMatch[path];
+  const hasMatch = Boolean(match) && Object.keys(match).length > 0;
+  if (!populateSelect[path] && !hasMatch) return path;
+
+  return {
+    path,
+    ...(populateSelect[path] && { select: populateSelect[path] }),
+    ...(hasMatch && { match })
+  };
+}
+
+/**
+ * Make sure a projection returns the given fields (e.g. the sort keys needed to encode a cursor)
+ * @param {Object} projection - Mongoose projection
+ * @param {Array} fields - Fields that must be returned
+ * @returns {Object|undefined} Projection returning the fields
+ */
+function keepFields(projection, fields) {
+  if (!projection) return projection;
+
+  const kept = { ...projection };
+  const inclusive = Object.values(projection).some(mode => mode === 1);
+  fields.filter(field => field !== '_id').forEach(field => {
+    if (inclusive) {
+      kept[field] = 1;
+    } else {
+      delete kept[field];
+    }
+  });
+
+  return Object.keys(kept).length > 0 ? kept : undefined;
+}
+
+module.exports = { parseProjection, extractFields, populateOption, keepFields };
@@ -1,14 +1,21 @@
+const { buildCursorFilter, reverseSort } = require('./cursor');
+const { populateOption } = require('./projection');
+const { TEXT_SCORE } = require('./search');
+
 /**
- * Build query with filters and apply pagination, sorting, search and population
+ * Build query with filters and apply pagination, sorting, text score and population
  * @param {Object} model - Mongoose model
  * @param {Object} filters - Query filters
  * @param {Object} options - Query options
  * @param {Number} options.page - Page number
- * @param {Number} options.limit - Items per page
+ * @param {Number|null} options.limit - Items per page (null reads every document)
  * @param {Object} options.sort - Sort criteria
- * @param {String} options.search - Search term
- * @param {Array} options.searchFields - Fields to search in
+ * @param {Boolean} options.score - Whether to return the text search score (filters hold a $text search)
  * @param {String|Array} options.populate - Fields to populate
+ * @param {Object} options.fields - Projection of the returned fields
+ * @param {Object} options.populateSelect - Selected fields per populated path
+ * @param {Object} options.populateMatch - Filter of the populated documents per path
+ * @param {Object} options.cursor - Decoded cursor for keyset pagination (replaces page)
  * @returns {Object} Mongoose query
  */
 function buildQuery(model, filters = {}, options = {}) {
@@ -16,29 +23,47 @@ function buildQuery(model, filters = {}, options = {}) {
     page = 1,
     limit = 10,
     sort = { _id: -1 },
-    search,
-    searchFields = [],
-    populate
+    score = false,
+    populate,
+    fields,
+    populateSelect,
+    populateMatch,
+    cursor
   } = options;
 
   let query = model.find(filters);
 
-  // Apply text search if provided
-  if (search && searchFields.length > 0) {
-    const searchConditions = searchFields.map(field => ({
-      [field]: { $regex: search, $options: 'i' }
-    }));
-    query = query.or(searchConditions);
+  // Apply sparse fieldset
+  if (fields) {
+    query = query.select(fields);
+  }
+
+  // Return the relevance of text search matches
+  if (score) {
+    query = query.select({ score: TEXT_SCORE });
   }
 
   // Apply population
   if (populate) {
     const populateFields = Array.isArray(populate) ? populate : [populate];
     populateFields.forEach(field => {
-      query = query.populate(field);
+      query = query.populate(populateOption(field, populateSelect, populateMatch));
     });
   }
 
+  // Keyset pagination: documents after (or before) the cursor position
+  if (cursor) {
+    return query
+      .and([buildCursorFilter(sort, cursor)])
+      .sort(cursor.direction === 'prev' ? reverseSort(sort) : sort)
+      .limit(limit);
+  }
+
+  // Exports read every document
+  if (limit === null) {
+    return query.sort(sort);
+  }
+
   // Apply sorting and pagination
   query = query
     .sort(sort)
@@ -0,0 +1,53 @@
+/**
+ * Get the reference paths of a model, including arrays of references
+ * @param {Object} model - Mongoose model
+ * @returns {Array} References ({ path, ref, many })
+ */
+function getReferencePaths(model) {
+  return Object.keys(model.schema.paths).reduce((acc, path) => {
+    const schemaType = model.schema.paths[path];
+    const options = schemaType.options || {};
+    const caster = schemaType.caster || schemaType.embeddedSchemaType;
+
+    if (options.ref) {
+      acc.push({ path, ref: options.ref, many: false });
+    } else if (schemaType.instance === 'Array' && caster && caster.options && caster.options.ref) {
+      acc.push({ path, ref: caster.options.ref, many: true });
+    }
+    return acc;
+  }, []);
+}
+
+/**
+ * Resolve the collection name of a referenced model
+ * Falls back to the lowercased model name when the model is not registered on the connection
+ * @param {Object} model - Mongoose model holding the reference
+ * @param {String|Object} ref - Referenced model name (or model)
+ * @returns {String} Collection name
+ */
+function getRefCollectionName(model, ref) {
+  if (ref && ref.collection) return ref.collection.name;
+
+  const refModel = model.db && model.db.models && model.db.models[ref];
+  if (refModel && refModel.collection) return refModel.collection.name;
+
+  return String(ref).toLowerCase();
+}
+
+/**
+ * Cast a referenced id to the type of a reference path
+ * Arrays of references cast to the type of their elements
+ * @param {Object} model - Mongoose model holding the reference
+ * @param {String} path - Reference path
+ * @param {*} value - Referenced id
+ * @returns {*} Cast id
+ */
+function castReference(model, path, value) {
+  const schemaType = model.schema.paths[path];
+  const caster = schemaType.instance === 'Array'
+    ? schemaType.caster || schemaType.embeddedSchemaType
+    : schemaType;
+  return caster.cast(value);
+}
+
+module.exports = { getReferencePaths, getRefCollectionName, castReference };
@@ -0,0 +1,876 @@
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// List query string parameters that are not filters
+const LIST_PARAMS = ['page', 'limit', 'sort', 'search', 'populate', 'fields', 'cursor'];
+const PAGINATION_PARAMS = ['page', 'limit', 'cursor'];
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      items: { type: 'object', additionalProperties: true }
+    }
+  },
+  additionalProperties: true
+};
+
+const populateSchema = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } }
+  ]
+};
+
+// `search` searches every searchable field, `search[field]` (or `search: { field }`) a single one
+const searchSchema = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'object', additionalProperties: { type: 'string' } }
+  ]
+};
+
+const jsonPatchSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+      path: { type: 'string' },
+      from: { type: 'string' },
+      value: {}
+    },
+    required: ['op', 'path']
+  }
+};
+
+const errorResponses = {
+  '4xx': errorSchema,
+  '5xx': errorSchema
+};
+
+/**
+ * Read a validator option that may be declared as `value` or `[value, message]`
+ * @param {*} option - Mongoose validator option
+ * @returns {*} Validator value
+ */
+function optionValue(option) {
+  return Array.isArray(option) ? option[0] : option;
+}
+
+/**
+ * Check if a schema type must be provided by the client
+ * @param {Object} schemaType - Mongoose schema type
+ * @returns {Boolean} Whether the path is required without a default
+ */
+function isRequiredPath(schemaType) {
+  const options = schemaType.options || {};
+  return optionValue(options.required) === true && options.default === undefined;
+}
+
+/**
+ * Allow null on a JSON Schema (Mongoose accepts null on optional paths)
+ * @param {Object} jsonSchema - JSON Schema
+ * @returns {Object} Nullable JSON Schema
+ */
+function nullable(jsonSchema) {
+  if (!jsonSchema.type) return jsonSchema;
+
+  const result = { ...jsonSchema, type: [].concat(jsonSchema.type, 'null') };
+  if (result.enum) {
+    result.enum = [...result.enum, null];
+  }
+  return result;
+}
+
+/**
+ * Convert a Mongoose schema type into a JSON Schema
+ * @param {Object} schemaType - Mongoose schema type
+ * @param {String} mode - Schema mode (create, update or response)
+ * @returns {Object} JSON Schema
+ */
+function schemaTypeToJsonSchema(schemaType, mode) {
+  const options = schemaType.options || {};
+
+  switch (schemaType.instance) {
+    case 'String': {
+      const result = { type: 'string' };
+      const enumValues = schemaType.enumValues && schemaType.enumValues.length
+        ? schemaType.enumValues
+        : null;
+      if (enumValues) result.enum = [...enumValues];
+      const minLength = optionValue(options.minLength !== undefined ? options.minLength : options.minlength);
+      const maxLength = optionValue(options.maxLength !== undefined ? options.maxLength : options.maxlength);
+      if (minLength !== undefined) result.minLength = minLength;
+      if (maxLength !== undefined) result.maxLength = maxLength;
+      const match = optionValue(options.match);
+      // JSON Schema patterns have no flags: a flag changing what matches (i, m, s) leaves the
+      // check to Mongoose validation
+      if (match instanceof RegExp && /^[gu]*$/.test(match.flags)) result.pattern = match.source;
+      return result;
+    }
+    case 'Number': {
+      const result = { type: 'number' };
+      const min = optionValue(options.min);
+      const max = optionValue(options.max);
+      if (typeof min === 'number') result.minimum = min;
+      if (typeof max === 'number') result.maximum = max;
+      const enumValues = optionValue(options.enum);
+      if (Array.isArray(enumValues)) result.enum = [...enumValues];
+      return result;
+    }
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      // Populated references come back as objects
+      if (mode === 'response' && options.ref) {
+        return {
+          anyOf: [
+            { type: 'string' },
+            { type: 'object', additionalProperties: true }
+          ]
+        };
+      }
+      return { type: 'string', pattern: OBJECT_ID_PATTERN };
+    case 'UUID':
+      return { type: 'string', format: 'uuid' };
+    case 'BigInt':
+      return { type: 'integer' };
+    case 'Embedded':
+      return buildDocumentSchema(schemaType.schema, { mode, nested: true });
+    case 'Array': {
+      const caster = schemaType.caster || schemaType.embeddedSchemaType;
+      let items = {};
+      if (schemaType.schema) {
+        items = buildDocumentSchema(schemaType.schema, { mode, nested: true });
+      } else if (caster) {
+        items = schemaTypeToJsonSchema(caster, mode);
+      }
+      return { type: 'array', items };
+    }
+    case 'Map':
+      return { type: 'object', additionalProperties: true };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build a JSON Schema describing the documents of a Mongoose schema
+ * Dotted paths (nested objects) are expanded into nested object schemas
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Build options
+ * @param {String} options.mode - create (required enforced), update (partial) or response
+ * @param {Boolean} options.nested - Whether the schema is a subdocument
+ * @returns {Object} JSON Schema
+ */
+function buildDocumentSchema(schema, options = {}) {
+  const { mode = 'create', nested = false } = options;
+  const root = { type: 'object', properties: {}, additionalProperties: true };
+
+  if (mode === 'response' && !nested) {
+    root.properties.id = { type: 'string' };
+  }
+
+  Object.keys(schema.paths).forEach(path => {
+    if (path === '__v') return;
+    if (path === '_id' && (mode !== 'response' || !nested)) return;
+
+    const schemaType = schema.paths[path];
+    const required = isRequiredPath(schemaType);
+    let propertySchema = schemaTypeToJsonSchema(schemaType, mode);
+    if (!required || mode !== 'create') {
+      propertySchema = nullable(propertySchema);
+    }
+
+    // Walk down dotted paths creating the intermediate objects
+    const segments = path.split('.');
+    let target = root;
+    segments.slice(0, -1).forEach(segment => {
+      if (!target.properties[segment]) {
+        target.properties[segment] = { type: 'object', properties: {}, additionalProperties: true };
+      }
+      target = target.properties[segment];
+    });
+
+    const key = segments[segments.length - 1];
+    target.properties[key] = propertySchema;
+
+    if (required && mode === 'create') {
+      target.required = [...(target.required || []), key];
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Build the JSON Schema for the identifier of a model
+ * @param {Object} model - Mongoose model
+ * @returns {Object} JSON Schema
+ */
+function buildIdSchema(model) {
+  const idPath = model.schema.paths._id;
+  if (idPath && idPath.instance === 'ObjectId') {
+    return { type: 'string', pattern: OBJECT_ID_PATTERN };
+  }
+  return { type: 'string' };
+}
+
+/**
+ * Build the querystring schema for list routes
+ * Scalar schema paths are exposed as optional equality filters
+ * @param {Object} model - Mongoose model
+ * @returns {Object} JSON Schema
+ */
+function buildListQuerySchema(model) {
+  const filterTypes = {
+    String: { type: 'string' },
+    Number: { type: 'number' },
+    Boolean: { type: 'boolean' },
+    Date: { type: 'string' },
+    ObjectId: { type: 'string' }
+  };
+
+  const properties = {
+    page: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1 },
+    sort: { type: 'string' },
+    search: searchSchema,
+    populate: populateSchema,
+    fields: { type: 'string' },
+    cursor: { type: 'string' }
+  };
+
+  Object.keys(model.schema.paths).forEach(path => {
+    const filterType = filterTypes[model.schema.paths[path].instance];
+    if (filterType && path !== '__v' && !properties[path]) {
+      // Repeated parameters (status=a&status=b) arrive as an array and match any of the values
+      properties[path] = { anyOf: [{ ...filterType }, { type: 'array', items: { ...filterType } }] };
+    }
+  });
+
+  return { type: 'object', properties, additionalProperties: true };
+}
+
+/**
+ * Derive a querystring schema from the list querystring
+ * @param {Object} querystring - List querystring schema
+ * @param {Array} params - List parameters to remove
+ * @param {Object} extra - Parameters to add
+ * @returns {Object} JSON Schema
+ */
+function withoutParams(querystring, params, extra = {}) {
+  const properties = Object.keys(querystring.properties)
+    .filter(key => !params.includes(key))
+    .reduce((acc, key) => {
+      acc[key] = querystring.properties[key];
+      return acc;
+    }, {});
+
+  return { ...querystring, properties: { ...properties, ...extra } };
+}
+
+/**
+ * Build the Fastify route schemas for every CRUD route of a model
+ * @param {Object} model - Mongoose model
+ * @param {Object} options - Schema options
+ * @param {Boolean} options.softDelete - Whether DELETE soft deletes (adds the purge flag)
+ * @returns {Object} Route schemas keyed by operation
+ */
+function buildRouteSchemas(model, options = {}) {
+  const { softDelete = false } = options;
+  const documentSchema = buildDocumentSchema(model.schema, { mode: 'response' });
+  const idParams = {
+    type: 'object',
+    properties: { id: buildIdSchema(model) },
+    required: ['id']
+  };
+
+  const name = model.collection.name;
+  const tags = [name];
+
+  const revisionParams = {
+    type: 'object',
+    properties: { ...idParams.properties, revision: { type: 'integer', minimum: 1 } },
+    required: ['id', 'revision']
+  };
+  const revisionSchema = {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer' },
+      operation: { type: 'string' },
+      actor: {},
+      timestamp: { type: 'string', format: 'date-time' },
+      revertedFrom: { type: 'integer' },
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, before: {}, after: {} }
+        }
+      }
+    }
+  };
+
+  const list = {
+    tags,
+    summary: `List ${name}`,
+    querystring: buildListQuerySchema(model),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: documentSchema },
+          pagination: {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              pages: { type: 'integer' },
+              hasMore: { type: 'boolean' },
+              nextCursor: { type: ['string', 'null'] },
+              prevCursor: { type: ['string', 'null'] }
+            }
+          }
+        }
+      },
+      ...errorResponses
+    }
+  };
+
+  return {
+    list,
+    get: {
+      tags,
+      summary: `Get a ${name} document by id`,
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: { populate: populateSchema, fields: { type: 'string' } }
+      },
+      response: { 200: documentSchema, ...errorResponses }
+    },
+    create: {
+      tags,
+      summary: `Create a ${name} document`,
+      body: buildDocumentSchema(model.schema, { mode: 'create' }),
+      response: { 200: documentSchema, ...errorResponses }
+    },
+    update: {
+      tags,
+      summary: `Replace a ${name} document`,
+      params: idParams,
+      body: buildDocumentSchema(model.schema, { mode: 'create' }),
+      response: { 200: documentSchema, 201: documentSchema, ...errorResponses }
+    },
+    patch: {
+      tags,
+      summary: `Patch a ${name} document`,
+      consumes: ['application/merge-patch+json', 'application/json-patch+json', 'application/json'],
+      params: idParams,
+      body: {
+        anyOf: [
+          buildDocumentSchema(model.schema, { mode: 'update' }),
+          jsonPatchSchema
+        ]
+      },
+      response: { 200: documentSchema, ...errorResponses }
+    },
+    bulk: {
+      tags,
+      summary: `Create, update and delete ${name} documents in bulk`,
+      body: {
+        type: 'object',
+        properties: {
+          ordered: { type: 'boolean' },
+          transaction: { type: 'boolean' },
+          operations: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                id: buildIdSchema(model),
+                document: { type: 'object', additionalProperties: true }
+              },
+              required: ['op']
+            }
+          }
+        },
+        required: ['operations']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                skipped: { type: 'integer' }
+              }
+            },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  op: { type: 'string' },
+                  status: { type: 'string', enum: ['success', 'error', 'skipped'] },
+                  id: { type: 'string' },
+                  error: { type: 'string' },
+                  message: { type: 'string' },
+                  details: errorSchema.properties.details
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    remove: {
+      tags,
+      summary: `Delete a ${name} document`,
+      params: idParams,
+      ...(softDelete && {
+        querystring: {
+          type: 'object',
+          properties: { purge: { type: 'boolean' } }
+        }
+      }),
+      response: {
+        200: {
+          type: 'object',
+          properties: { success: { type: 'boolean' } }
+        },
+        ...errorResponses
+      }
+    },
+    trash: {
+      ...list,
+      summary: `List soft-deleted ${name} documents`
+    },
+    aggregate: {
+      tags,
+      summary: `Aggregate ${name} by group`,
+      querystring: withoutParams(list.querystring, LIST_PARAMS, {
+        search: searchSchema,
+        groupBy: { type: 'string' },
+        metrics: { type: 'string' },
+        sort: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000 }
+      }),
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  group: { type: 'object', additionalProperties: true },
+                  count: { type: 'integer' },
+                  sum: { type: 'object', additionalProperties: true },
+                  avg: { type: 'object', additionalProperties: true },
+                  min: { type: 'object', additionalProperties: true },
+                  max: { type: 'object', additionalProperties: true }
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    facets: {
+      tags,
+      summary: `Count the values of ${name} fields`,
+      querystring: {
+        ...withoutParams(list.querystring, LIST_PARAMS, {
+          search: searchSchema,
+          fields: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 }
+        }),
+        required: ['fields']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'object',
+              additionalProperties: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    value: {},
+                    count: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    distinct: {
+      tags,
+      summary: `List the distinct values of a ${name} field`,
+      params: {
+        type: 'object',
+        properties: { field: { type: 'string' } },
+        required: ['field']
+      },
+      querystring: withoutParams(list.querystring, LIST_PARAMS, {
+        search: searchSchema,
+        limit: { type: 'integer', minimum: 1, maximum: 1000 }
+      }),
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: {} }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    restore: {
+      tags,
+      summary: `Restore a soft-deleted ${name} document`,
+      params: idParams,
+      response: { 200: documentSchema, ...errorResponses }
+    },
+    history: {
+      tags,
+      summary: `List the revisions of a ${name} document`,
+      params: idParams,
+      response: {
+        200: {
+          type: 'object',
+          properties: { data: { type: 'array', items: revisionSchema } }
+        },
+        ...errorResponses
+      }
+    },
+    revision: {
+      tags,
+      summary: `Get a revision of a ${name} document`,
+      params: revisionParams,
+      response: {
+        200: {
+          ...revisionSchema,
+          properties: {
+            ...revisionSchema.properties,
+            document: { ...documentSchema, type: ['object', 'null'] }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    revert: {
+      tags,
+      summary: `Revert a ${name} document to a revision`,
+      params: revisionParams,
+      response: { 200: documentSchema, ...errorResponses }
+    },
+    events: {
+      tags,
+      summary: `Stream ${name} changes as Server-Sent Events`,
+      produces: ['text/event-stream'],
+      querystring: withoutParams(list.querystring, LIST_PARAMS),
+      response: { 200: { type: 'string' }, ...errorResponses }
+    },
+    export: {
+      tags,
+      summary: `Export ${name} as CSV or NDJSON`,
+      produces: ['text/csv', 'application/x-ndjson'],
+      querystring: withoutParams(list.querystring, PAGINATION_PARAMS, {
+        format: { type: 'string', enum: ['csv', 'ndjson'] }
+      }),
+      response: { 200: { type: 'string' }, ...errorResponses }
+    },
+    import: {
+      tags,
+      summary: `Import ${name} from CSV or NDJSON`,
+      consumes: ['text/csv', 'application/x-ndjson'],
+      querystring: {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: ['insert', 'upsert'] },
+          key: { type: 'string' },
+          dryRun: { type: 'boolean' },
+          ordered: { type: 'boolean' }
+        }
+      },
+      body: { type: 'string' },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            dryRun: { type: 'boolean' },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                skipped: { type: 'integer' }
+              }
+            },
+            ignoredColumns: { type: 'array', items: { type: 'string' } },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  op: { type: 'string' },
+                  status: { type: 'string', enum: ['success', 'valid', 'error', 'skipped'] },
+                  id: { type: 'string' },
+                  error: { type: 'string' },
+                  message: { type: 'string' },
+                  details: errorSchema.properties.details
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses
+      }
+    }
+  };
+}
+
+/**
+ * Build the params schema of the parent id of nested routes
+ * @param {Object} model - Mongoose model
+ * @param {String} refField - Reference field linking to the parent
+ * @returns {Object} JSON Schema of the refId param
+ */
+function buildRefIdSchema(model, refField) {
+  const schemaType = model.schema.paths[refField];
+  // Arrays of references hold ids of the type of their elements
+  const refPath = schemaType && schemaType.instance === 'Array'
+    ? schemaType.caster || schemaType.embeddedSchemaType
+    : schemaType;
+  return refPath && refPath.instance === 'ObjectId'
+    ? { type: 'string', pattern: OBJECT_ID_PATTERN }
+    : { type: 'string' };
+}
+
+/**
+ * Build the Fastify route schema for a nested list route
+ * @param {Object} model - Mongoose model
+ * @param {String} refField - Reference field linking to the parent
+ * @returns {Object} Route schema
+ */
+function buildNestedListSchema(model, refField) {
+  return {
+    ...buildRouteSchemas(model).list,
+    summary: `List ${model.collection.name} by ${refField}`,
+    params: {
+      type: 'object',
+      properties: { refId: buildRefIdSchema(model, refField) },
+      required: ['refId']
+    }
+  };
+}
+
+/**
+ * Build the Fastify route schemas of the nested single resource routes
+ * The reference field comes from the URL, so bodies do not need it
+ * @param {Object} model - Mongoose model
+ * @param {String} refField - Reference field linking to the parent
+ * @param {Object} options - Schema options (see buildRouteSchemas)
+ * @returns {Object} Route schemas keyed by operation (get, create, update, remove)
+ */
+function buildNestedRouteSchemas(model, refField, options = {}) {
+  const schemas = buildRouteSchemas(model, options);
+  const name = model.collection.name;
+  const refId = buildRefIdSchema(model, refField);
+  const refParams = { type: 'object', properties: { refId }, required: ['refId'] };
+  const itemParams = {
+    type: 'object',
+    properties: { refId, ...schemas.get.params.properties },
+    required: ['refId', 'id']
+  };
+
+  // Drop the reference field from the required properties of a body
+  const withoutRef = (body) => {
+    const segments = refField.split('.');
+    const result = { ...body };
+    let target = result;
+    const found = segments.slice(0, -1).every(segment => {
+      if (!target.properties || !target.properties[segment]) return false;
+      target.properties = { ...target.properties, [segment]: { ...target.properties[segment] } };
+      target = target.properties[segment];
+      return true;
+    });
+    const key = segments[segments.length - 1];
+    if (found && target.required) {
+      target.required = target.required.filter(field => field !== key);
+      if (target.required.length === 0) delete target.required;
+    }
+    return result;
+  };
+
+  return {
+    get: { ...schemas.get, summary: `Get a ${name} document under its ${refField}`, params: itemParams },
+    create: {
+      ...schemas.create,
+      summary: `Create a ${name} document under its ${refField}`,
+      params: refParams,
+      body: withoutRef(schemas.create.body)
+    },
+    update: {
+      ...schemas.update,
+      summary: `Replace a ${name} document under its ${refField}`,
+      params: itemParams,
+      body: withoutRef(schemas.update.body)
+    },
+    remove: { ...schemas.remove, summary: `Delete a ${name} document under its ${refField}`, params: itemParams }
+  };
+}
+
+/**
+ * Build the Fastify route schemas of the membership routes of an array of references
+ * @param {Object} model - Mongoose model
+ * @param {String} refField - Array of references
+ * @returns {Object} Route schemas keyed by operation (add, remove)
+ */
+function buildMembershipSchemas(model, refField) {
+  const { tags, params, response } = buildRouteSchemas(model).patch;
+  const membershipParams = {
+    type: 'object',
+    properties: { ...params.properties, refId: buildRefIdSchema(model, refField) },
+    required: ['id', 'refId']
+  };
+
+  const name = model.collection.name;
+
+  return {
+    add: {
+      tags,
+      summary: `Add a reference to the ${refField} of a ${name} document`,
+      params: membershipParams,
+      response
+    },
+    remove: {
+      tags,
+      summary: `Remove a reference from the ${refField} of a ${name} document`,
+      params: membershipParams,
+      response
+    }
+  };
+}
+
+/**
+ * Build the Fastify route schemas of the webhook delivery admin routes
+ * @returns {Object} Route schemas keyed by operation
+ */
+function buildWebhookSchemas() {
+  const tags = ['webhooks'];
+  const status = { type: 'string', enum: ['pending', 'delivered', 'dead'] };
+  const deliverySchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      collection: { type: 'string' },
+      event: { type: 'string' },
+      url: { type: 'string' },
+      documentId: { type: 'string' },
+      status,
+      attempts: { type: 'integer' },
+      nextAttemptAt: { type: 'string', format: 'date-time' },
+      lastAttemptAt: { type: 'string', format: 'date-time' },
+      lastStatusCode: { type: ['integer', 'null'] },
+      lastError: { type: ['string', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      deliveredAt: { type: 'string', format: 'date-time' }
+    }
+  };
+
+  return {
+    list: {
+      tags,
+      summary: 'List webhook deliveries',
+      querystring: {
+        type: 'object',
+        properties: {
+          status,
+          collection: { type: 'string' },
+          page: { type: 'integer', minimum: 1 },
+          limit: { type: 'integer', minimum: 1 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: deliverySchema },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                pages: { type: 'integer' }
+              }
+            }
+          }
+        },
+        ...errorResponses
+      }
+    },
+    replay: {
+      tags,
+      summary: 'Replay a webhook delivery',
+      params: {
+        type: 'object',
+        properties: { id: { type: 'string', pattern: OBJECT_ID_PATTERN } },
+        required: ['id']
+      },
+      response: { 200: deliverySchema, ...errorResponses }
+    },
+    replayDead: {
+      tags,
+      summary: 'Replay the dead webhook deliveries',
+      querystring: {
+        type: 'object',
+        properties: { collection: { type: 'string' } }
+      },
+      response: {
+        200: { type: 'object', properties: { replayed: { type: 'integer' } } },
+        ...errorResponses
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildDocumentSchema,
+  buildListQuerySchema,
+  buildRouteSchemas,
+  buildNestedListSchema,
+  buildNestedRouteSchemas,
+  buildMembershipSchemas,
+  buildWebhookSchemas,
+  errorSchema
+};
@@ -0,0 +1,176 @@
+const { HttpError } = require('./errors');
+const { isHidden } = require('../validators/filter');
+
+// Search modes: escaped regular expressions, or the text index of the model
+const SEARCH_MODES = ['regex', 'text'];
+
+// `sort=relevance` orders text searches by score
+const RELEVANCE = 'relevance';
+const TEXT_SCORE = { $meta: 'textScore' };
+
+const SEARCH_KEY = /^search\[([^[\]]+)\]$/;
+
+/**
+ * Escape the characters of a regular expression
+ * @param {String} value - User input
+ * @returns {String} Pattern matching the input literally
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Tell whether a schema path holds strings (or arrays of strings)
+ * @param {Object} schemaType - Mongoose schema type
+ * @returns {Boolean} Whether the path can be searched with a regular expression
+ */
+function isStringPath(schemaType) {
+  if (!schemaType) return false;
+  if (schemaType.instance === 'Array') {
+    return Boolean(schemaType.caster && schemaType.caster.instance === 'String');
+  }
+  return schemaType.instance === 'String';
+}
+
+/**
+ * List the fields of the text index of a schema
+ * @param {Object} schema - Mongoose schema
+ * @returns {Array|null} Indexed fields (`$**` for a wildcard index), null without text index
+ */
+function textIndexFields(schema) {
+  const indexes = typeof schema.indexes === 'function' ? schema.indexes() : [];
+  const index = indexes.find(([fields]) => Object.values(fields).includes('text'));
+  if (!index) return null;
+  return Object.keys(index[0]).filter(field => index[0][field] === 'text');
+}
+
+/**
+ * Resolve the search configuration of a model
+ * `fields` defaults to every String path; the `text` mode falls back to `regex`
+ * when the schema declares no text index
+ * @param {Object} model - Mongoose model
+ * @param {Object|Array} config - Search configuration ({ mode, fields }) or searchable fields
+ * @returns {Object} { mode, fields, textFields }
+ * @throws {Error} When the mode or a field is invalid
+ */
+function getSearchConfig(model, config = {}) {
+  const modelName = model.collection.name;
+  const { mode = 'regex', fields } = Array.isArray(config) ? { fields: config } : config;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode "${mode}" for ${modelName}, expected one of ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const paths = model.schema.paths;
+  (fields || []).forEach(field => {
+    if (!isStringPath(paths[field])) {
+      throw new Error(`Search field "${field}" of ${modelName} is not a String path`);
+    }
+  });
+
+  const textFields = mode === 'text' ? textIndexFields(model.schema) : null;
+  return {
+    mode: textFields ? 'text' : 'regex',
+    fields: fields || Object.keys(paths).filter(path => paths[path].instance === 'String'),
+    textFields
+  };
+}
+
+/**
+ * Case-insensitive condition matching a term literally
+ * @param {String} term - Search term
+ * @returns {Object} MongoDB condition
+ */
+function regexCondition(term) {
+  return { $regex: escapeRegex(term), $options: 'i' };
+}
+
+/**
+ * Extract the search parameters of a query string
+ * `search` searches every searchable field and `search[field]` a single one
+ * (extended query parsers may also produce `search: { field: '...' }`)
+ * @param {Object} config - Search configuration (see getSearchConfig)
+ * @param {Object} query - Request query string
+ * @param {Array} hiddenFields - Fields that cannot be searched
+ * @returns {Object} { search: { text, conditions }, query } where query no longer holds search parameters
+ * @throws {HttpError} 400 InvalidSearch when a field cannot be searched
+ */
+function parseSearch(config, query = {}, hiddenFields = []) {
+  const rest = {};
+  const fieldTerms = [];
+  let term;
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = key.match(SEARCH_KEY);
+
+    if (match) {
+      fieldTerms.push([match[1], value]);
+    } else if (key === 'search' && value !== null && typeof value === 'object') {
+      fieldTerms.push(...Object.entries(value));
+    } else if (key === 'search') {
+      term = value;
+    } else {
+      rest[key] = value;
+    }
+  });
+
+  const fields = config ? config.fields.filter(field => !isHidden(field, hiddenFields)) : [];
+  const conditions = fieldTerms.map(([field, value]) => {
+    if (!fields.includes(field)) {
+      throw new HttpError(400, 'InvalidSearch', `Searching on "${field}" is not allowed`);
+    }
+    if (typeof value !== 'string') {
+      throw new HttpError(400, 'InvalidSearch', `Search on "${field}" must be a single term`);
+    }
+    return value ? { [field]: regexCondition(value) } : null;
+  }).filter(Boolean);
+
+  // The text index cannot leave out hidden fields, hiding one falls back to regex
+  let text;
+  if (term && config && config.mode === 'text' &&
+    !config.textFields.some(field => field === '$**' ? hiddenFields.length > 0 : isHidden(field, hiddenFields))) {
+    text = String(term);
+  } else if (term && fields.length > 0) {
+    conditions.push({ $or: fields.map(field => ({ [field]: regexCondition(term) })) });
+  }
+
+  return { search: { text, conditions }, query: rest };
+}
+
+/**
+ * Add the search conditions to a filter
+ * Conditions go in `$and` so they narrow filters that already use `$or` or `$and`
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} search - Parsed search (see parseSearch)
+ * @returns {Object} MongoDB filter
+ */
+function withSearch(filter, { text, conditions = [] } = {}) {
+  return {
+    ...filter,
+    ...(text && { $text: { $search: text } }),
+    ...(conditions.length > 0 && { $and: [...(filter.$and || []), ...conditions] })
+  };
+}
+
+/**
+ * Sort criteria of `sort=relevance`
+ * @param {Object} search - Parsed search (see parseSearch)
+ * @returns {Object} Sort by text score
+ * @throws {HttpError} 400 InvalidSort without text search
+ */
+function relevanceSort(search) {
+  if (!search || !search.text) {
+    throw new HttpError(400, 'InvalidSort', 'Sorting by relevance needs a text search');
+  }
+  return { score: TEXT_SCORE };
+}
+
+module.exports = {
+  RELEVANCE,
+  TEXT_SCORE,
+  escapeRegex,
+  getSearchConfig,
+  parseSearch,
+  withSearch,
+  relevanceSort
+};
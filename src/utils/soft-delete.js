@@ -0,0 +1,41 @@
+/**
+ * Path holding the deletion date of soft-deleted documents
+ */
+const DELETED_AT = 'deletedAt';
+
+/**
+ * Ensure a model can be soft deleted
+ * The path must be declared, otherwise strict schemas silently drop the deletion date
+ * @param {Object} model - Mongoose model
+ * @throws {Error} When the schema has no deletedAt path
+ */
+function assertSoftDeletable(model) {
+  if (!model.schema.paths[DELETED_AT]) {
+    throw new Error(
+      `Soft delete requires a "${DELETED_AT}" path in the ${model.collection.name} schema`
+    );
+  }
+}
+
+/**
+ * Filter matching documents that are not soft deleted (null or missing deletedAt)
+ * @returns {Object} MongoDB filter
+ */
+function notDeleted() {
+  return { [DELETED_AT]: null };
+}
+
+/**
+ * Filter matching soft-deleted documents
+ * @returns {Object} MongoDB filter
+ */
+function onlyDeleted() {
+  return { [DELETED_AT]: { $ne: null } };
+}
+
+module.exports = {
+  DELETED_AT,
+  assertSoftDeletable,
+  notDeleted,
+  onlyDeleted
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { getModelOption } = require('./options');
+
+/**
+ * Get the field holding the version of the documents of a model
+ * @param {Object} model - Mongoose model
+ * @param {Object} versionFields - Version field per model (defaults to __v)
+ * @returns {String|null} Version field, or null when the schema has no such path
+ */
+function getVersionField(model, versionFields) {
+  const field = getModelOption(model.collection.name, versionFields, '__v');
+  return model.schema.paths[field] ? field : null;
+}
+
+/**
+ * Read the version of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {String} field - Version field
+ * @returns {*} Version (Number or Date), undefined when missing
+ */
+function getVersion(doc, field) {
+  if (!doc || !field) return undefined;
+  const version = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+  return version === null ? undefined : version;
+}
+
+/**
+ * Read the last modification date of a document, from its `timestamps` update path
+ * @param {Object} model - Mongoose model
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Date|undefined} Last modification date
+ */
+function getLastModified(model, doc) {
+  const { timestamps } = model.schema.options || {};
+  const field = timestamps && typeof timestamps.updatedAt === 'string' ? timestamps.updatedAt : 'updatedAt';
+  const schemaType = model.schema.paths[field];
+  if (!schemaType || schemaType.instance !== 'Date') return undefined;
+
+  const value = getVersion(doc, field);
+  return value instanceof Date ? value : undefined;
+}
+
+/**
+ * Get the creation date path of a schema with `timestamps`
+ * @param {Object} model - Mongoose model
+ * @returns {String|null} Creation date path, null when the schema has none
+ */
+function getCreatedAtField(model) {
+  const { timestamps } = model.schema.options || {};
+  if (!timestamps || timestamps.createdAt === false) return null;
+
+  const field = typeof timestamps.createdAt === 'string' ? timestamps.createdAt : 'createdAt';
+  return model.schema.paths[field] ? field : null;
+}
+
+/**
+ * Format a version as a strong entity tag
+ * With a representation, the tag also holds a digest of it: responses of the same version differ
+ * by role (hidden fields), projection and transformResponse, so they cannot share a strong tag
+ * @param {*} version - Version (Number or Date)
+ * @param {Object} representation - Response body (optional)
+ * @returns {String|undefined} ETag (e.g. "3", or "3:2fd4e1c6..." with a representation)
+ */
+function formatETag(version, representation) {
+  if (version === undefined) return undefined;
+
+  const tag = version instanceof Date ? version.getTime() : version;
+  if (representation === undefined) return `"${tag}"`;
+
+  const digest = crypto.createHash('sha1').update(JSON.stringify(representation)).digest('base64url');
+  return `"${tag}:${digest}"`;
+}
+
+/**
+ * Parse an If-Match header
+ * Weak tags never match (If-Match uses the strong comparison). Writes only depend on the version,
+ * so the digest of the representation a tag was sent with is dropped
+ * @param {String} header - If-Match header
+ * @returns {String|Array|null} '*', the list of strong version tags, or null when absent
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header === null || String(header).trim() === '') return null;
+  if (String(header).trim() === '*') return '*';
+
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag.startsWith('"'))
+    .map(tag => tag.replace(/:[^"]*"$/, '"'));
+}
+
+/**
+ * Check the precondition of an If-Match header against a document version
+ * @param {String|Array|null} tags - Parsed If-Match header
+ * @param {*} version - Current version
+ * @returns {Boolean} Whether the precondition holds
+ */
+function matchesIfMatch(tags, version) {
+  if (tags === null || tags === '*') return true;
+  return tags.includes(formatETag(version));
+}
+
+/**
+ * Build the filter matching the versions listed in an If-Match header
+ * Used as a compare-and-set condition of the write
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Version field
+ * @param {String|Array|null} tags - Parsed If-Match header
+ * @returns {Object} MongoDB filter (empty for `*` or without header)
+ */
+function ifMatchFilter(model, field, tags) {
+  if (!field || tags === null || tags === '*') return {};
+
+  const isDate = model.schema.paths[field].instance === 'Date';
+  const versions = tags
+    .map(tag => tag.slice(1, -1))
+    .filter(tag => tag !== '')
+    .map(Number)
+    .filter(Number.isFinite)
+    .map(value => (isDate ? new Date(value) : value));
+
+  return { [field]: { $in: versions } };
+}
+
+/**
+ * Compute the next version of a replaced document
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Version field
+ * @param {*} version - Current version
+ * @returns {*} Next version, undefined when the document is not versioned
+ */
+function nextVersion(model, field, version) {
+  if (!field) return undefined;
+  if (model.schema.paths[field].instance === 'Date') return new Date();
+  return version === undefined ? undefined : Number(version) + 1;
+}
+
+/**
+ * Make a MongoDB update bump the version of the document
+ * Client writes to the version field are dropped
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Version field
+ * @param {Object} update - MongoDB update
+ * @returns {Object} Update bumping the version
+ */
+function withVersionUpdate(model, field, update) {
+  if (!field) return update;
+
+  const result = Object.entries(update).reduce((acc, [operator, paths]) => {
+    const kept = Object.keys(paths || {}).filter(path => path !== field && !path.startsWith(`${field}.`));
+    if (kept.length > 0) {
+      acc[operator] = kept.reduce((values, path) => {
+        values[path] = paths[path];
+        return values;
+      }, {});
+    }
+    return acc;
+  }, {});
+
+  if (model.schema.paths[field].instance === 'Date') {
+    result.$set = { ...result.$set, [field]: new Date() };
+  } else {
+    result.$inc = { ...result.$inc, [field]: 1 };
+  }
+  return result;
+}
+
+/**
+ * Error returned when the If-Match precondition fails
+ * @param {String} message - Error message (optional)
+ * @returns {HttpError} 412 PreconditionFailed
+ */
+function preconditionFailed(message = 'Resource has been modified') {
+  return new HttpError(412, 'PreconditionFailed', message);
+}
+
+/**
+ * Error returned when a required If-Match header is missing
+ * @returns {HttpError} 428 PreconditionRequired
+ */
+function preconditionRequired() {
+  return new HttpError(428, 'PreconditionRequired', 'This request requires an If-Match header');
+}
+
+module.exports = {
+  getVersionField,
+  getVersion,
+  getLastModified,
+  getCreatedAtField,
+  formatETag,
+  parseIfMatch,
+  matchesIfMatch,
+  ifMatchFilter,
+  nextVersion,
+  withVersionUpdate,
+  preconditionFailed,
+  preconditionRequired
+};
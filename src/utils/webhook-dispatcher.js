@@ -0,0 +1,181 @@
+const http = require('http');
+const https = require('https');
+const { signPayload } = require('./webhooks');
+
+const DEFAULT_OPTIONS = {
+  interval: 1000,
+  batchSize: 10,
+  maxAttempts: 8,
+  backoff: 1000,
+  maxBackoff: 3600000,
+  timeout: 10000
+};
+
+/**
+ * Delay before the next attempt of a delivery, doubling after each failure
+ * @param {Number} attempts - Failed attempts so far
+ * @param {Object} options - Dispatcher options (backoff, maxBackoff)
+ * @returns {Number} Delay in milliseconds
+ */
+function backoffDelay(attempts, { backoff, maxBackoff }) {
+  return Math.min(backoff * 2 ** (attempts - 1), maxBackoff);
+}
+
+/**
+ * POST a JSON payload
+ * @param {String} url - Receiver url
+ * @param {Object} headers - Request headers
+ * @param {String} body - JSON payload
+ * @param {Number} timeout - Timeout in milliseconds
+ * @returns {Promise<Number>} Response status code
+ */
+function postJson(url, headers, body, timeout) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout
+    }, res => {
+      // The response body is not used, but must be consumed to free the socket
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create the dispatcher sending the deliveries of a webhook outbox
+ * Deliveries are claimed with a lease, so several instances can share the outbox
+ * @param {Object} outbox - Webhook outbox
+ * @param {Object} options - Dispatcher options
+ * @param {Number} options.interval - Polling interval in milliseconds
+ * @param {Number} options.batchSize - Deliveries sent per poll
+ * @param {Number} options.maxAttempts - Attempts before a delivery is dead
+ * @param {Number} options.backoff - Delay before the first retry in milliseconds
+ * @param {Number} options.maxBackoff - Longest delay between retries in milliseconds
+ * @param {Number} options.timeout - Request timeout in milliseconds
+ * @param {Object} options.log - Logger
+ * @returns {Object} Dispatcher ({ start, stop, poll, deliver })
+ */
+function createWebhookDispatcher(outbox, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { collection } = outbox;
+  let timer;
+  let polling;
+
+  // Take the next due delivery, hidden from other dispatchers while it is sent
+  const claim = async () => {
+    const now = Date.now();
+    const result = await collection.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date(now) } },
+      { $set: { nextAttemptAt: new Date(now + settings.timeout * 2) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result && result.value;
+  };
+
+  // Send a delivery and record its outcome
+  const deliver = async (entry) => {
+    const attempts = entry.attempts + 1;
+    const webhook = outbox.find(entry.collectionName, entry.url);
+    let statusCode = null;
+    let error = null;
+
+    if (!webhook) {
+      error = 'Webhook is no longer configured';
+    } else {
+      const id = String(entry._id);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const body = JSON.stringify({
+        id,
+        event: entry.event,
+        collection: entry.collectionName,
+        timestamp: entry.createdAt,
+        data: entry.document
+      });
+
+      try {
+        statusCode = await postJson(entry.url, {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': id,
+          'X-Webhook-Event': `${entry.collectionName}.${entry.event}`,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        }, body, settings.timeout);
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Receiver answered ${statusCode}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      }
+    }
+
+    const now = new Date();
+    let update;
+    if (!error) {
+      update = { status: 'delivered', deliveredAt: now };
+    } else if (!webhook || attempts >= settings.maxAttempts) {
+      update = { status: 'dead' };
+    } else {
+      update = { status: 'pending', nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts, settings)) };
+    }
+
+    await collection.updateOne(
+      { _id: entry._id },
+      { $set: { ...update, attempts, lastAttemptAt: now, lastStatusCode: statusCode, lastError: error } }
+    );
+    return update.status;
+  };
+
+  // Send the due deliveries, one poll at a time
+  const poll = () => {
+    if (!polling) {
+      polling = (async () => {
+        for (let sent = 0; sent < settings.batchSize; sent++) {
+          const entry = await claim();
+          if (!entry) break;
+          await deliver(entry);
+        }
+      })()
+        .catch(error => settings.log && settings.log.error(error))
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  };
+
+  return {
+    poll,
+    deliver,
+
+    /**
+     * Start polling the outbox
+     */
+    start() {
+      if (timer) return;
+      timer = setInterval(poll, settings.interval);
+      // Pending deliveries never keep the process alive
+      timer.unref();
+    },
+
+    /**
+     * Stop polling, waiting for the deliveries being sent
+     * @returns {Promise} Resolved when stopped
+     */
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await polling;
+    }
+  };
+}
+
+module.exports = { backoffDelay, createWebhookDispatcher };
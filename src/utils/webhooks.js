@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { getModelOption } = require('./options');
+const { EVENT_TYPES } = require('./events');
+
+// Collection holding the deliveries of every webhook
+const WEBHOOK_OUTBOX = 'webhook_outbox';
+
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+// Anonymous request the hidden fields of payloads are resolved for, whoever wrote the document
+const WEBHOOK_REQUEST = Object.freeze({ headers: {}, query: {}, params: {} });
+
+/**
+ * Get the webhooks of a model
+ * A model accepts one webhook `{ url, secret, events }` or an array of them
+ * @param {String} modelName - Model name
+ * @param {Object} webhooksByModel - Object mapping model names to webhooks
+ * @returns {Array} Normalized webhooks ({ url, secret, events })
+ * @throws {Error} When a webhook is invalid
+ */
+function getWebhooks(modelName, webhooksByModel) {
+  const webhooks = [].concat(getModelOption(modelName, webhooksByModel, []) || []);
+
+  return webhooks.map(webhook => {
+    const { url, secret, events = WEBHOOK_EVENTS } = webhook || {};
+
+    let protocol;
+    try {
+      ({ protocol } = new URL(url));
+    } catch (error) {
+      protocol = null;
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Webhook of ${modelName} needs an http or https url`);
+    }
+
+    if (typeof secret !== 'string' || secret.length === 0) {
+      throw new Error(`Webhook ${url} of ${modelName} needs a secret`);
+    }
+
+    const unknown = [].concat(events).filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook event "${unknown[0]}" for model ${modelName}`);
+    }
+
+    return { url, secret, events: [].concat(events) };
+  });
+}
+
+/**
+ * Sign a webhook payload
+ * The HMAC-SHA256 covers the timestamp, so a captured request cannot be replayed later
+ * @param {String} secret - Webhook secret
+ * @param {Number} timestamp - Unix timestamp (seconds) sent with the payload
+ * @param {String} body - JSON payload
+ * @returns {String} Hex signature
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Create the outbox of the webhooks configured on a set of models
+ * Entries are written in the transaction changing the document, then sent by the dispatcher.
+ * Transactions need a replica set or a sharded cluster
+ * @param {Array} models - Mongoose models
+ * @param {Object} webhooksByModel - Object mapping model names to webhooks
+ * @returns {Object|null} Outbox ({ collection, connection, webhooks, handles, find, transaction, enqueue }),
+ * null without webhooks
+ * @throws {Error} When the models with webhooks use several connections
+ */
+function createWebhookOutbox(models, webhooksByModel) {
+  const webhooks = new Map();
+  let connection;
+
+  models.forEach(model => {
+    const modelWebhooks = getWebhooks(model.collection.name, webhooksByModel);
+    if (modelWebhooks.length === 0) return;
+
+    // The outbox lives next to the documents it reports on
+    if (connection && connection !== model.db) {
+      throw new Error('Models with webhooks must share a connection');
+    }
+    connection = model.db;
+    webhooks.set(model.collection.name, modelWebhooks);
+  });
+
+  if (webhooks.size === 0) return null;
+
+  const collection = connection.collection(WEBHOOK_OUTBOX);
+  let indexed;
+
+  // The dispatcher looks for due pending deliveries
+  const ensureIndex = () => {
+    if (!indexed) {
+      indexed = collection.createIndex({ status: 1, nextAttemptAt: 1 });
+    }
+    return indexed;
+  };
+
+  return {
+    collection,
+    connection,
+    webhooks,
+
+    /**
+     * Check if a collection has webhooks
+     * @param {String} collectionName - Collection name
+     * @returns {Boolean} Whether the collection has webhooks
+     */
+    handles(collectionName) {
+      return webhooks.has(collectionName);
+    },
+
+    /**
+     * Find the webhook of a delivery
+     * @param {String} collectionName - Collection name
+     * @param {String} url - Webhook url
+     * @returns {Object|undefined} Webhook, undefined when no longer configured
+     */
+    find(collectionName, url) {
+      return (webhooks.get(collectionName) || []).find(webhook => webhook.url === url);
+    },
+
+    /**
+     * Run writes in a transaction, so documents and their deliveries are committed together
+     * The function may run again when the transaction is retried
+     * @param {Function} fn - Async `session => result` writing with the session
+     * @returns {Promise<*>} Result of the function
+     */
+    async transaction(fn) {
+      // Indexes are not created inside transactions
+      await ensureIndex();
+      let result;
+      await connection.transaction(async (session) => {
+        result = await fn(session);
+      });
+      return result;
+    },
+
+    /**
+     * Queue the deliveries of a document change
+     * @param {String} collectionName - Collection of the document
+     * @param {String} operation - Write operation (create, update, delete...)
+     * @param {Object} document - Document as returned by the API
+     * @param {Object} session - Session of the transaction writing the document
+     * @returns {Promise<Number>} Number of queued deliveries
+     */
+    async enqueue(collectionName, operation, document, session) {
+      const event = EVENT_TYPES[operation];
+      const now = new Date();
+      const entries = (webhooks.get(collectionName) || [])
+        .filter(webhook => webhook.events.includes(event))
+        .map(webhook => ({
+          collectionName,
+          url: webhook.url,
+          event,
+          documentId: document.id,
+          document,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: now
+        }));
+
+      if (entries.length === 0) return 0;
+
+      await collection.insertMany(entries, { session });
+      return entries.length;
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_OUTBOX,
+  WEBHOOK_EVENTS,
+  WEBHOOK_REQUEST,
+  getWebhooks,
+  signPayload,
+  createWebhookOutbox
+};
@@ -0,0 +1,84 @@
+const { HttpError } = require('../utils/errors');
+const { OPERATOR_KEY } = require('../utils/filter');
+
+/**
+ * Check if a field is a path of the model schema (including subdocument paths)
+ * @param {Object} model - Mongoose model
+ * @param {String} field - Field path
+ * @returns {Boolean} Whether the field exists in the schema
+ */
+function isSchemaPath(model, field) {
+  if (model.schema.paths[field]) return true;
+  return typeof model.schema.path === 'function' && Boolean(model.schema.path(field));
+}
+
+/**
+ * Check if a field is (or is inside) a hidden field
+ * @param {String} field - Field path
+ * @param {Array} hiddenFields - Hidden fields
+ * @returns {Boolean} Whether the field is hidden
+ */
+function isHidden(field, hiddenFields) {
+  return hiddenFields.some(hidden => field === hidden || field.startsWith(`${hidden}.`));
+}
+
+/**
+ * Reject MongoDB operators smuggled in keys or nested values
+ * @param {String} key - Query string key
+ * @param {*} value - Query string value
+ */
+function assertNoOperators(key, value) {
+  if (key.includes('$')) {
+    throw new HttpError(400, 'InvalidFilter', `Operator "${key}" is not allowed in filters`);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+      assertNoOperators(nestedKey, nestedValue);
+    });
+  }
+}
+
+/**
+ * Validate list query string filters before they reach the database
+ * Rejects `$`-prefixed operators, fields that are not schema paths and,
+ * when a whitelist is configured, fields that are not filterable
+ * @param {Object} model - Mongoose model
+ * @param {Object} query - Query string filters
+ * @param {Array} filterableFields - Optional whitelist of filterable fields
+ * @param {Array} hiddenFields - Fields that cannot be filtered
+ * @throws {HttpError} 400 InvalidFilter when a filter is not allowed
+ */
+function validateFilters(model, query = {}, filterableFields, hiddenFields = []) {
+  Object.entries(query).forEach(([key, value]) => {
+    assertNoOperators(key, value);
+
+    const match = key.match(OPERATOR_KEY);
+    const field = match ? match[1] : key;
+
+    if (!isSchemaPath(model, field)) {
+      throw new HttpError(400, 'InvalidFilter', `Unknown filter field "${field}"`);
+    }
+
+    if ((filterableFields && !filterableFields.includes(field)) || isHidden(field, hiddenFields)) {
+      throw new HttpError(400, 'InvalidFilter', `Filtering on "${field}" is not allowed`);
+    }
+  });
+}
+
+/**
+ * Validate the sort criteria of a list request
+ * Sorting on hidden fields would leak their order
+ * @param {Object} sort - Sort criteria
+ * @param {Array} hiddenFields - Hidden fields
+ * @throws {HttpError} 400 InvalidSort when sorting on a hidden field
+ */
+function validateSort(sort = {}, hiddenFields = []) {
+  Object.keys(sort).forEach(field => {
+    if (isHidden(field, hiddenFields)) {
+      throw new HttpError(400, 'InvalidSort', `Sorting on "${field}" is not allowed`);
+    }
+  });
+}
+
+module.exports = { isHidden, validateFilters, validateSort };
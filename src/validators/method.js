@@ -1,7 +1,7 @@
 /**
  * Check if a method is allowed for a specific model
  * @param {String} modelName - Model name
- * @param {String} method - HTTP method (GET, POST, PUT, DELETE)
+ * @param {String} method - HTTP method (GET, POST, PUT, PATCH, DELETE, PURGE)
  * @param {Object} allowedMethods - Object mapping model names to allowed methods
  * @returns {Boolean} Whether the method is allowed
  */
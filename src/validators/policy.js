@@ -0,0 +1,145 @@
+const { HttpError } = require('../utils/errors');
+const { getModelOption } = require('../utils/options');
+const { getReferencePaths, getRefCollectionName } = require('../utils/reference');
+
+const POLICY_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'PURGE'];
+
+// Methods guarded by the policy of a broader method when they have none of their own
+const POLICY_FALLBACKS = { PATCH: 'PUT', PURGE: 'DELETE' };
+
+/**
+ * Get the authorization policies of a model
+ * A policy is either a function `(request, doc) => Boolean` or an object
+ * `{ allow: (request, doc) => Boolean, filter: (request) => Object }`
+ * PATCH falls back to the PUT policy and PURGE to the DELETE policy
+ * @param {String} modelName - Model name
+ * @param {Object} policiesByModel - Object mapping model names to policies per method
+ * @returns {Object} Normalized policies ({ allow, filter }) keyed by method
+ * @throws {Error} When a policy is invalid
+ */
+function getModelPolicies(modelName, policiesByModel) {
+  const policies = getModelOption(modelName, policiesByModel, {}) || {};
+
+  const normalizedPolicies = Object.entries(policies).reduce((acc, [method, policy]) => {
+    const key = method.toUpperCase();
+    const normalized = typeof policy === 'function' ? { allow: policy } : policy;
+
+    if (!POLICY_METHODS.includes(key)) {
+      throw new Error(`Unknown policy method "${method}" for model ${modelName}`);
+    }
+
+    if (!normalized || typeof normalized !== 'object' ||
+      (typeof normalized.allow !== 'function' && typeof normalized.filter !== 'function')) {
+      throw new Error(`Policy ${key} for model ${modelName} must be a function or { allow, filter }`);
+    }
+
+    // List routes cannot evaluate a function on every document
+    if (key === 'GET' && typeof normalized.filter !== 'function') {
+      throw new Error(`Policy GET for model ${modelName} needs a filter to protect list routes`);
+    }
+
+    acc[key] = normalized;
+    return acc;
+  }, {});
+
+  Object.entries(POLICY_FALLBACKS).forEach(([method, fallback]) => {
+    if (!normalizedPolicies[method] && normalizedPolicies[fallback]) {
+      normalizedPolicies[method] = normalizedPolicies[fallback];
+    }
+  });
+  return normalizedPolicies;
+}
+
+/**
+ * Build the query constraint of a policy for list and count routes
+ * @param {Object} policy - Normalized policy
+ * @param {Object} request - Fastify request
+ * @returns {Promise<Object>} MongoDB filter (empty without policy)
+ */
+async function policyFilter(policy, request) {
+  if (!policy || !policy.filter) return {};
+  return (await policy.filter(request)) || {};
+}
+
+/**
+ * Create the resolver of the constraints of populated references
+ * Populated documents are limited to the ones the GET policy of their own model allows
+ * @param {Object} model - Mongoose model holding the references
+ * @param {Object} policiesByModel - Object mapping model names to policies per method
+ * @returns {Function} Async `request => Object` mapping reference paths to MongoDB filters
+ */
+function createPopulateMatch(model, policiesByModel) {
+  const references = getReferencePaths(model)
+    .map(({ path, ref }) => ({
+      path,
+      policy: getModelPolicies(getRefCollectionName(model, ref), policiesByModel).GET
+    }))
+    .filter(({ policy }) => policy);
+
+  return async (request) => {
+    const match = {};
+    for (const { path, policy } of references) {
+      match[path] = await policyFilter(policy, request);
+    }
+    return match;
+  };
+}
+
+/**
+ * Check the `allow` function of a policy
+ * @param {Object} policy - Normalized policy
+ * @param {Object} request - Fastify request
+ * @param {Object} doc - Current document, or the body of a creation
+ * @throws {HttpError} 403 Forbidden when the policy denies access
+ */
+async function assertAllowed(policy, request, doc) {
+  if (!policy || !policy.allow) return;
+
+  if (!(await policy.allow(request, doc))) {
+    throw new HttpError(403, 'Forbidden', 'You are not allowed to perform this action');
+  }
+}
+
+/**
+ * Check a policy against a stored document
+ * The document must pass `allow` and match the `filter` of the policy
+ * @param {Object} model - Mongoose model
+ * @param {Object} policy - Normalized policy
+ * @param {Object} request - Fastify request
+ * @param {Object} doc - Current document
+ * @throws {HttpError} 403 Forbidden when the policy denies access
+ */
+async function authorizeDocument(model, policy, request, doc) {
+  if (!policy) return;
+
+  await assertAllowed(policy, request, doc);
+
+  if (policy.filter) {
+    const filter = await policyFilter(policy, request);
+    if (!(await model.exists({ ...filter, _id: doc._id }))) {
+      throw new HttpError(403, 'Forbidden', 'You are not allowed to perform this action');
+    }
+  }
+}
+
+/**
+ * Add a policy constraint to a filter
+ * The constraint goes in `$and` so it cannot be widened by other `$or` conditions (e.g. search)
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} constraint - Policy filter
+ * @returns {Object} Constrained filter
+ */
+function constrainFilter(filter, constraint) {
+  if (!constraint || Object.keys(constraint).length === 0) return filter;
+  return { ...filter, $and: [...(filter.$and || []), constraint] };
+}
+
+module.exports = {
+  POLICY_METHODS,
+  getModelPolicies,
+  policyFilter,
+  createPopulateMatch,
+  constrainFilter,
+  assertAllowed,
+  authorizeDocument
+};
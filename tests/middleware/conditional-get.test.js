@@ -0,0 +1,95 @@
+const { hashETag, isNotModified, createConditionalGet } = require('../../src/middleware/conditional-get');
+
+describe('Conditional GET Middleware', () => {
+  describe('hashETag', () => {
+    test('should build a weak tag from the payload', () => {
+      expect(hashETag('{"a":1}')).toMatch(/^W\/"[\w-]+"$/);
+      expect(hashETag('{"a":1}')).toBe(hashETag('{"a":1}'));
+      expect(hashETag('{"a":1}')).not.toBe(hashETag('{"a":2}'));
+    });
+  });
+
+  describe('isNotModified', () => {
+    const lastModified = new Date(1700000000000).toUTCString();
+
+    test('should compare If-None-Match with the weak comparison', () => {
+      expect(isNotModified({ 'if-none-match': 'W/"1"' }, '"1"')).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"0", "1"' }, 'W/"1"')).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"2"' }, '"1"')).toBe(false);
+      expect(isNotModified({ 'if-none-match': '*' }, '"1"')).toBe(true);
+    });
+
+    test('should compare If-Modified-Since with Last-Modified', () => {
+      expect(isNotModified({ 'if-modified-since': lastModified }, '"1"', lastModified)).toBe(true);
+      expect(isNotModified({ 'if-modified-since': new Date(1600000000000).toUTCString() }, '"1"', lastModified))
+        .toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'yesterday' }, '"1"', lastModified)).toBe(false);
+      expect(isNotModified({ 'if-modified-since': lastModified }, '"1"')).toBe(false);
+    });
+
+    test('should ignore If-Modified-Since when If-None-Match is sent', () => {
+      expect(isNotModified({ 'if-none-match': '"2"', 'if-modified-since': lastModified }, '"1"', lastModified))
+        .toBe(false);
+    });
+  });
+
+  describe('createConditionalGet', () => {
+    let replyMock;
+
+    beforeEach(() => {
+      const headers = {};
+      replyMock = {
+        statusCode: 200,
+        header: jest.fn((key, value) => {
+          headers[key.toLowerCase()] = value;
+        }),
+        getHeader: jest.fn(key => headers[key]),
+        code: jest.fn(function (statusCode) {
+          this.statusCode = statusCode;
+          return this;
+        })
+      };
+    });
+
+    test('should tag the payload and set Cache-Control', async () => {
+      const hook = createConditionalGet({ cacheControl: 'public, max-age=60' });
+      const payload = await hook({ headers: {} }, replyMock, '{"a":1}');
+
+      expect(payload).toBe('{"a":1}');
+      expect(replyMock.header).toHaveBeenCalledWith('Cache-Control', 'public, max-age=60');
+      expect(replyMock.header).toHaveBeenCalledWith('ETag', hashETag('{"a":1}'));
+    });
+
+    test('should keep the ETag set by the handler', async () => {
+      replyMock.header('ETag', '"3"');
+      replyMock.header.mockClear();
+
+      await createConditionalGet()({ headers: {} }, replyMock, '{"a":1}');
+      expect(replyMock.header).not.toHaveBeenCalled();
+    });
+
+    test('should answer 304 when the client copy is fresh', async () => {
+      const payload = await createConditionalGet()(
+        { headers: { 'if-none-match': hashETag('{"a":1}') } },
+        replyMock,
+        '{"a":1}'
+      );
+
+      expect(replyMock.code).toHaveBeenCalledWith(304);
+      expect(payload).toBe('');
+    });
+
+    test('should leave errors untouched', async () => {
+      replyMock.statusCode = 404;
+      const payload = await createConditionalGet({ cacheControl: 'public' })(
+        { headers: { 'if-none-match': '*' } },
+        replyMock,
+        '{"error":"NotFound"}'
+      );
+
+      expect(payload).toBe('{"error":"NotFound"}');
+      expect(replyMock.header).not.toHaveBeenCalled();
+      expect(replyMock.code).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { setupErrorHandler } = require('../../src/middleware/error-handler');
+const { HttpError } = require('../../src/utils/errors');
 
 describe('Error Handler Middleware', () => {
   describe('setupErrorHandler', () => {
@@ -61,6 +62,32 @@ describe('Error Handler Middleware', () => {
       });
     });
 
+    test('should handle JSON Schema validation errors', async () => {
+      const schemaError = {
+        validation: [
+          { instancePath: '/age', message: 'must be number' },
+          { instancePath: '', params: { missingProperty: 'name' }, message: "must have required property 'name'" },
+          { instancePath: '/address', params: { missingProperty: 'city' }, message: "must have required property 'city'" },
+          { instancePath: '', params: {}, message: 'must be object' }
+        ],
+        validationContext: 'body'
+      };
+
+      await errorHandler(schemaError, {}, replyMock);
+
+      expect(replyMock.code).toHaveBeenCalledWith(400);
+      expect(replyMock.send).toHaveBeenCalledWith({
+        error: 'ValidationError',
+        message: 'Invalid data provided',
+        details: [
+          { field: 'age', message: 'must be number' },
+          { field: 'name', message: "must have required property 'name'" },
+          { field: 'address.city', message: "must have required property 'city'" },
+          { field: 'body', message: 'must be object' }
+        ]
+      });
+    });
+
     test('should handle cast error (CastError)', async () => {
       const castError = {
         name: 'CastError'
@@ -89,6 +116,44 @@ describe('Error Handler Middleware', () => {
       });
     });
 
+    test('should handle HTTP errors raised by the routes', async () => {
+      await errorHandler(new HttpError(409, 'PatchTestFailed', 'Test operation failed'), {}, replyMock);
+
+      expect(replyMock.code).toHaveBeenCalledWith(409);
+      expect(replyMock.send).toHaveBeenCalledWith({
+        error: 'PatchTestFailed',
+        message: 'Test operation failed'
+      });
+    });
+
+    test('should include HTTP error details when provided', async () => {
+      const details = [{ field: 'role', message: 'Field is read-only' }];
+      await errorHandler(new HttpError(400, 'InvalidPatch', 'Invalid patch', details), {}, replyMock);
+
+      expect(replyMock.send).toHaveBeenCalledWith({
+        error: 'InvalidPatch',
+        message: 'Invalid patch',
+        details
+      });
+    });
+
+    test('should forward client errors raised by Fastify', async () => {
+      const mediaTypeError = { statusCode: 415, code: 'FST_ERR_CTP_INVALID_MEDIA_TYPE', message: 'Unsupported Media Type' };
+      await errorHandler(mediaTypeError, {}, replyMock);
+
+      expect(replyMock.code).toHaveBeenCalledWith(415);
+      expect(replyMock.send).toHaveBeenCalledWith({
+        error: 'FST_ERR_CTP_INVALID_MEDIA_TYPE',
+        message: 'Unsupported Media Type'
+      });
+
+      await errorHandler({ statusCode: 413, message: 'Request body is too large' }, {}, replyMock);
+      expect(replyMock.send).toHaveBeenLastCalledWith({
+        error: 'BadRequest',
+        message: 'Request body is too large'
+      });
+    });
+
     test('should handle generic internal error', async () => {
       const genericError = new Error('Internal server error');
 
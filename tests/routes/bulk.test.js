@@ -0,0 +1,576 @@
+const { setupBulkRoutes } = require('../../src/routes/bulk');
+const { isMethodAllowed } = require('../../src/validators/method');
+
+// Mock external modules
+jest.mock('../../src/validators/method');
+
+describe('Bulk Routes', () => {
+  let fastifyMock;
+  let modelMock;
+  let options;
+  let sessionMock;
+
+  // Build a Mongoose-like ValidationError
+  const validationError = (field, message) => Object.assign(new Error('Validation failed'), {
+    name: 'ValidationError',
+    errors: { [field]: { path: field, message } }
+  });
+
+  const getHandler = () => fastifyMock.post.mock.calls[0][2];
+
+  beforeEach(() => {
+    // Reset all mocks
+    jest.clearAllMocks();
+
+    // Default mock for isMethodAllowed (allow everything by default)
+    isMethodAllowed.mockReturnValue(true);
+
+    // Mock Fastify
+    fastifyMock = {
+      post: jest.fn()
+    };
+
+    // Mock Mongoose model as constructor function
+    let counter = 0;
+    modelMock = jest.fn().mockImplementation(document => {
+      counter += 1;
+      const _id = { toString: () => `new-${counter}` };
+      return {
+        _id,
+        validate: jest.fn().mockImplementation(async () => {
+          if (!document.name) throw validationError('name', 'Path `name` is required.');
+        }),
+        toObject: () => ({ _id, ...document })
+      };
+    });
+    modelMock.collection = { name: 'users' };
+    modelMock.schema = {
+      paths: {
+        _id: { instance: 'ObjectId', options: {} },
+        name: { instance: 'String', options: { required: true } }
+      }
+    };
+    modelMock.find = jest.fn().mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: { toString: () => 'id-1' } },
+        { _id: { toString: () => 'id-2' } }
+      ])
+    });
+    modelMock.validate = jest.fn().mockImplementation(async (changes) => {
+      if (changes.name === '') throw validationError('name', 'Path `name` is required.');
+    });
+    modelMock.bulkWrite = jest.fn().mockResolvedValue({});
+
+    sessionMock = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn().mockResolvedValue()
+    };
+    modelMock.startSession = jest.fn().mockResolvedValue(sessionMock);
+
+    options = {
+      methods: {
+        users: ['GET', 'POST', 'PUT', 'DELETE']
+      }
+    };
+
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', options);
+  });
+
+  test('should register the bulk route with its schema', () => {
+    expect(fastifyMock.post).toHaveBeenCalledTimes(1);
+    expect(fastifyMock.post.mock.calls[0][0]).toBe('/api/users/_bulk');
+    expect(fastifyMock.post.mock.calls[0][1].schema.body.required).toEqual(['operations']);
+    expect(isMethodAllowed).toHaveBeenCalledWith('users', 'POST', options.methods);
+    expect(isMethodAllowed).toHaveBeenCalledWith('users', 'PUT', options.methods);
+    expect(isMethodAllowed).toHaveBeenCalledWith('users', 'DELETE', options.methods);
+  });
+
+  test('should not register the bulk route when no write method is allowed', () => {
+    jest.clearAllMocks();
+    isMethodAllowed.mockReturnValue(false);
+
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users');
+
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+  });
+
+  test('should execute create, update and delete operations with bulkWrite', async () => {
+    const result = await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: { name: 'New' } },
+          { op: 'update', id: 'id-1', document: { _id: 'ignored', name: 'Updated' } },
+          { op: 'delete', id: 'id-2' }
+        ]
+      }
+    });
+
+    expect(modelMock.find).toHaveBeenCalledWith({ _id: { $in: ['id-1', 'id-2'] } });
+    expect(modelMock.validate).toHaveBeenCalledWith({ name: 'Updated' }, ['name']);
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { insertOne: { document: expect.objectContaining({ name: 'New' }) } },
+      { updateOne: { filter: { _id: 'id-1' }, update: { $set: { name: 'Updated' } } } },
+      { deleteOne: { filter: { _id: 'id-2' } } }
+    ], { ordered: true });
+    expect(result).toEqual({
+      success: true,
+      summary: { total: 3, succeeded: 3, failed: 0, skipped: 0 },
+      results: [
+        { index: 0, op: 'create', status: 'success', id: 'new-1' },
+        { index: 1, op: 'update', status: 'success', id: 'id-1' },
+        { index: 2, op: 'delete', status: 'success', id: 'id-2' }
+      ]
+    });
+  });
+
+  test('should stop at the first invalid operation in ordered mode', async () => {
+    const result = await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: { name: 'Valid' } },
+          { op: 'create', document: {} },
+          { op: 'delete', id: 'id-1' }
+        ]
+      }
+    });
+
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { insertOne: { document: expect.objectContaining({ name: 'Valid' }) } }
+    ], { ordered: true });
+    expect(result.success).toBe(false);
+    expect(result.summary).toEqual({ total: 3, succeeded: 1, failed: 1, skipped: 1 });
+    expect(result.results[1]).toEqual({
+      index: 1,
+      op: 'create',
+      status: 'error',
+      id: undefined,
+      error: 'ValidationError',
+      message: 'Invalid data provided',
+      details: [{ field: 'name', message: 'Path `name` is required.' }]
+    });
+    expect(result.results[2].status).toBe('skipped');
+  });
+
+  test('should report every invalid operation and write the others in unordered mode', async () => {
+    const result = await getHandler()({
+      body: {
+        ordered: false,
+        operations: [
+          { op: 'update', id: 'id-1', document: { name: '' } },
+          { op: 'delete', id: 'missing-id' },
+          { op: 'update', document: { name: 'No id' } },
+          { op: 'delete', id: 'id-2' }
+        ]
+      }
+    });
+
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { deleteOne: { filter: { _id: 'id-2' } } }
+    ], { ordered: false });
+    expect(result.summary).toEqual({ total: 4, succeeded: 1, failed: 3, skipped: 0 });
+    expect(result.results[0].error).toBe('ValidationError');
+    expect(result.results[1]).toEqual(expect.objectContaining({ id: 'missing-id', error: 'NotFound' }));
+    expect(result.results[2]).toEqual(expect.objectContaining({ error: 'InvalidOperation' }));
+  });
+
+  test('should reject operations whose method is not allowed', async () => {
+    jest.clearAllMocks();
+    isMethodAllowed.mockImplementation((name, method) => method === 'POST');
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', options);
+
+    const result = await getHandler()({
+      body: {
+        ordered: false,
+        operations: [
+          { op: 'delete', id: 'id-1' },
+          { op: 'create', document: { name: 'New' } }
+        ]
+      }
+    });
+
+    expect(result.results[0]).toEqual(expect.objectContaining({
+      status: 'error',
+      error: 'MethodNotAllowed',
+      message: 'Operation "delete" is not allowed on users'
+    }));
+    expect(result.results[1].status).toBe('success');
+    expect(modelMock.find).toHaveBeenCalled();
+  });
+
+  test('should not query existing documents when only creating', async () => {
+    await getHandler()({ body: { operations: [{ op: 'create', document: { name: 'New' } }] } });
+
+    expect(modelMock.find).not.toHaveBeenCalled();
+  });
+
+  test('should skip the write when every operation is invalid', async () => {
+    const result = await getHandler()({ body: { operations: [{ op: 'create', document: {} }] } });
+
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+    expect(result.success).toBe(false);
+  });
+
+  test('should map invalid ids to InvalidId errors', async () => {
+    modelMock.validate.mockRejectedValue(Object.assign(new Error('Cast'), { name: 'CastError' }));
+
+    const result = await getHandler()({
+      body: { operations: [{ op: 'update', id: 'id-1', document: { age: 'abc' } }] }
+    });
+
+    expect(result.results[0]).toEqual(expect.objectContaining({
+      error: 'InvalidId',
+      message: 'Invalid ID format provided'
+    }));
+  });
+
+  test('should propagate unexpected errors while validating', async () => {
+    modelMock.validate.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(getHandler()({
+      body: { operations: [{ op: 'update', id: 'id-1', document: { name: 'x' } }] }
+    })).rejects.toThrow('Connection lost');
+  });
+
+  test('should write nothing in transaction mode when an operation is invalid', async () => {
+    const result = await getHandler()({
+      body: {
+        transaction: true,
+        ordered: false,
+        operations: [
+          { op: 'create', document: { name: 'Valid' } },
+          { op: 'create', document: {} },
+          { op: 'delete', id: 'id-1' }
+        ]
+      }
+    });
+
+    expect(modelMock.startSession).not.toHaveBeenCalled();
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+    expect(result.summary).toEqual({ total: 3, succeeded: 0, failed: 1, skipped: 2 });
+  });
+
+  test('should run the bulk write inside a transaction', async () => {
+    const result = await getHandler()({
+      body: {
+        transaction: true,
+        operations: [{ op: 'delete', id: 'id-1' }]
+      }
+    });
+
+    expect(sessionMock.withTransaction).toHaveBeenCalled();
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith(
+      [{ deleteOne: { filter: { _id: 'id-1' } } }],
+      { ordered: true, session: sessionMock }
+    );
+    expect(sessionMock.endSession).toHaveBeenCalled();
+    expect(result.success).toBe(true);
+  });
+
+  test('should roll back every operation when the transaction fails', async () => {
+    modelMock.bulkWrite.mockRejectedValue({
+      writeErrors: [{ index: 1, code: 11000, errmsg: 'E11000 duplicate key' }]
+    });
+
+    const result = await getHandler()({
+      body: {
+        transaction: true,
+        operations: [
+          { op: 'create', document: { name: 'First' } },
+          { op: 'create', document: { name: 'Duplicate' } }
+        ]
+      }
+    });
+
+    expect(sessionMock.endSession).toHaveBeenCalled();
+    expect(result.summary).toEqual({ total: 2, succeeded: 0, failed: 1, skipped: 1 });
+    expect(result.results[1]).toEqual(expect.objectContaining({
+      error: 'DuplicateError',
+      message: 'A record with this value already exists'
+    }));
+  });
+
+  test('should map write errors to the original operations', async () => {
+    modelMock.bulkWrite.mockRejectedValue({
+      writeErrors: [{ index: 0, code: 121, errmsg: 'Document failed validation' }]
+    });
+
+    const result = await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: {} },
+          { op: 'create', document: { name: 'Rejected by server' } },
+          { op: 'create', document: { name: 'Never sent' } }
+        ],
+        ordered: false
+      }
+    });
+
+    expect(result.results[0].error).toBe('ValidationError');
+    expect(result.results[1]).toEqual(expect.objectContaining({
+      status: 'error',
+      error: 'WriteError',
+      message: 'Document failed validation'
+    }));
+    expect(result.results[2].status).toBe('success');
+  });
+
+  test('should skip the operations after a write error in ordered mode', async () => {
+    modelMock.bulkWrite.mockRejectedValue({
+      writeErrors: { index: 1, code: 11000, message: 'E11000 duplicate key' }
+    });
+
+    const result = await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: { name: 'First' } },
+          { op: 'create', document: { name: 'Duplicate' } },
+          { op: 'create', document: { name: 'Third' } }
+        ]
+      }
+    });
+
+    expect(result.results.map(item => item.status)).toEqual(['success', 'error', 'skipped']);
+  });
+
+  test('should propagate errors that are not write errors', async () => {
+    modelMock.bulkWrite.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(getHandler()({
+      body: { operations: [{ op: 'delete', id: 'id-1' }] }
+    })).rejects.toThrow('Connection lost');
+  });
+
+  test('should soft delete and ignore soft-deleted documents when soft delete is enabled', async () => {
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, softDelete: { users: true } });
+
+    const result = await getHandler()({
+      body: { operations: [{ op: 'delete', id: 'id-1' }] }
+    });
+
+    expect(modelMock.find).toHaveBeenCalledWith({ _id: { $in: ['id-1'] }, deletedAt: null });
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: 'id-1' }, update: { $set: { deletedAt: expect.any(Date) } } } }
+    ], { ordered: true });
+    expect(result.success).toBe(true);
+  });
+
+  test('should check policies for every operation', async () => {
+    const stored = [
+      { _id: { toString: () => 'id-1' }, owner: 'me', toObject: () => ({ _id: 'id-1', owner: 'me' }) },
+      { _id: { toString: () => 'id-2' }, owner: 'other', toObject: () => ({ _id: 'id-2', owner: 'other' }) }
+    ];
+    const query = { select: jest.fn(), then: (resolve, reject) => Promise.resolve(stored).then(resolve, reject) };
+    modelMock.find.mockReturnValue(query);
+
+    const isOwner = (request, doc) => doc.owner === request.user.id;
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      policies: { users: { POST: isOwner, PUT: isOwner, DELETE: isOwner } }
+    });
+
+    const result = await getHandler()({
+      user: { id: 'me' },
+      body: {
+        ordered: false,
+        operations: [
+          { op: 'create', document: { name: 'Mine', owner: 'me' } },
+          { op: 'create', document: { name: 'Theirs', owner: 'other' } },
+          { op: 'update', id: 'id-1', document: { name: 'Updated' } },
+          { op: 'delete', id: 'id-2' },
+          // Updates cannot hand a document over
+          { op: 'update', id: 'id-1', document: { owner: 'other' } }
+        ]
+      }
+    });
+
+    // Full documents are loaded to evaluate the policies
+    expect(query.select).not.toHaveBeenCalled();
+    expect(result.results.map(item => item.status)).toEqual(['success', 'error', 'success', 'error', 'error']);
+    expect(result.results[4].error).toBe('Forbidden');
+    expect(result.results[1]).toMatchObject({
+      error: 'Forbidden',
+      message: 'You are not allowed to perform this action'
+    });
+    expect(modelMock.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+  });
+
+  test('should reject protected fields per operation', async () => {
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      readOnlyFields: { users: ['role'] },
+      writeOnceFields: { users: ['slug'] }
+    });
+
+    const result = await getHandler()({
+      body: {
+        ordered: false,
+        operations: [
+          { op: 'create', document: { name: 'New', slug: 'new' } },
+          { op: 'create', document: { name: 'Admin', role: 'admin' } },
+          { op: 'update', id: 'id-1', document: { slug: 'changed' } }
+        ]
+      }
+    });
+
+    expect(result.results.map(item => item.status)).toEqual(['success', 'error', 'error']);
+    expect(result.results[1]).toMatchObject({
+      error: 'ReadOnlyField',
+      details: [{ field: 'role', message: 'Field "role" is read-only' }]
+    });
+    expect(result.results[2].error).toBe('WriteOnceField');
+  });
+
+  test('should bump the version of updated and soft-deleted documents', async () => {
+    fastifyMock.post.mockClear();
+    modelMock.schema.paths.__v = { instance: 'Number' };
+    modelMock.schema.paths.deletedAt = { instance: 'Date' };
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, softDelete: { users: true } });
+
+    await getHandler()({
+      body: {
+        operations: [
+          { op: 'update', id: 'id-1', document: { name: 'Renamed', __v: 9 } },
+          { op: 'delete', id: 'id-2' }
+        ]
+      }
+    });
+
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: 'id-1' }, update: { $set: { name: 'Renamed' }, $inc: { __v: 1 } } } },
+      {
+        updateOne: {
+          filter: { _id: 'id-2' },
+          update: { $set: { deletedAt: expect.any(Date) }, $inc: { __v: 1 } }
+        }
+      }
+    ], { ordered: true });
+  });
+
+  test('should record successful operations in the audit trail', async () => {
+    const collectionMock = {
+      createIndex: jest.fn().mockResolvedValue('index'),
+      find: jest.fn(() => ({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue([])
+      })),
+      insertOne: jest.fn().mockResolvedValue({})
+    };
+    modelMock.db = { collection: jest.fn().mockReturnValue(collectionMock) };
+    modelMock.find = jest.fn()
+      .mockResolvedValueOnce([
+        { _id: { toString: () => 'id-1' }, name: 'Old' },
+        { _id: { toString: () => 'id-2' }, name: 'Gone' }
+      ])
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Renamed' }]);
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, audit: { users: true } });
+
+    await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: { name: 'New' } },
+          { op: 'update', id: 'id-1', document: { name: 'Renamed' } },
+          { op: 'delete', id: 'id-2' },
+          { op: 'update', id: 'missing', document: { name: 'x' } }
+        ],
+        ordered: false
+      }
+    });
+
+    expect(modelMock.find).toHaveBeenLastCalledWith({ _id: { $in: ['id-1'] } });
+    const recorded = collectionMock.insertOne.mock.calls.map(([entry]) => [entry.operation, entry.documentId]);
+    expect(recorded).toEqual([['create', 'new-1'], ['update', 'id-1'], ['delete', 'id-2']]);
+    expect(collectionMock.insertOne.mock.calls[1][0].changes)
+      .toEqual([{ path: 'name', before: 'Old', after: 'Renamed' }]);
+  });
+
+  test('should record audit entries in the transaction of the writes', async () => {
+    const collectionMock = {
+      createIndex: jest.fn().mockResolvedValue('index'),
+      find: jest.fn(() => ({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue([])
+      })),
+      insertOne: jest.fn().mockResolvedValue({})
+    };
+    modelMock.db = { collection: jest.fn().mockReturnValue(collectionMock) };
+    modelMock.find = jest.fn()
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Old' }])
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Renamed' }]);
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, audit: { users: true } });
+
+    await getHandler()({
+      body: {
+        transaction: true,
+        operations: [{ op: 'update', id: 'id-1', document: { name: 'Renamed' } }]
+      }
+    });
+
+    expect(modelMock.find).toHaveBeenLastCalledWith({ _id: { $in: ['id-1'] } }, null, { session: sessionMock });
+    expect(collectionMock.insertOne).toHaveBeenCalledTimes(1);
+    expect(collectionMock.insertOne).toHaveBeenCalledWith(
+      expect.objectContaining({ operation: 'update', documentId: 'id-1' }),
+      { session: sessionMock }
+    );
+  });
+
+  test('should publish successful operations to the change feed', async () => {
+    const eventBus = { publish: jest.fn() };
+    modelMock.find = jest.fn()
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Old' }])
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Renamed' }]);
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, events: { users: true }, eventBus });
+
+    await getHandler()({
+      body: {
+        operations: [
+          { op: 'create', document: { name: 'New' } },
+          { op: 'update', id: 'id-1', document: { name: 'Renamed' } }
+        ]
+      }
+    });
+
+    expect(eventBus.publish.mock.calls.map(([name, op, before, after]) => [name, op, before && before.name, after.name]))
+      .toEqual([['users', 'create', null, 'New'], ['users', 'update', 'Old', 'Renamed']]);
+  });
+
+  test('should queue webhook deliveries of successful operations', async () => {
+    const webhookOutbox = {
+      handles: jest.fn().mockReturnValue(true),
+      enqueue: jest.fn().mockResolvedValue(1),
+      transaction: jest.fn(fn => fn('session'))
+    };
+    modelMock.find = jest.fn()
+      .mockResolvedValueOnce([{ _id: { toString: () => 'id-1' }, name: 'Old' }])
+      .mockResolvedValueOnce([]);
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, webhookOutbox });
+
+    await getHandler()({ body: { operations: [{ op: 'delete', id: 'id-1' }] } });
+
+    expect(webhookOutbox.handles).toHaveBeenCalledWith('users');
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith(expect.any(Array), { ordered: true, session: 'session' });
+    expect(webhookOutbox.enqueue).toHaveBeenCalledWith('users', 'delete', { id: 'id-1', name: 'Old' }, 'session');
+  });
+
+  test('should refuse updates and deletes of models requiring If-Match', async () => {
+    fastifyMock.post.mockClear();
+    setupBulkRoutes(fastifyMock, modelMock, '/api/users', { ...options, requireIfMatch: { users: true } });
+
+    await expect(getHandler()({ body: { operations: [{ op: 'update', id: 'id-1', document: { name: 'New' } }] } }))
+      .rejects.toMatchObject({ statusCode: 428, error: 'PreconditionRequired' });
+    await expect(getHandler()({ body: { operations: [{ op: 'delete', id: 'id-1' }] } }))
+      .rejects.toMatchObject({ statusCode: 428, error: 'PreconditionRequired' });
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+
+    const result = await getHandler()({ body: { operations: [{ op: 'create', document: { name: 'Ada' } }] } });
+    expect(result.success).toBe(true);
+  });
+});
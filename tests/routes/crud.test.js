@@ -37,6 +37,7 @@ describe('CRUD Routes', () => {
       get: jest.fn(),
       post: jest.fn(),
       put: jest.fn(),
+      patch: jest.fn(),
       delete: jest.fn()
     };
 
@@ -56,7 +57,7 @@ describe('CRUD Routes', () => {
       paths: {
         name: { instance: 'String' },
         email: { instance: 'String' },
-        age: { instance: 'Number' },
+        age: { instance: 'Number', cast: jest.fn(value => Number(value)) },
         author: { 
           options: { ref: 'Author' },
           cast: jest.fn(id => `cast-${id}`)
@@ -68,6 +69,7 @@ describe('CRUD Routes', () => {
       populate: jest.fn().mockReturnThis(),
       exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' })
     });
+    modelMock.findOneAndReplace = jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Replaced' });
     modelMock.findByIdAndUpdate = jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Updated' });
     modelMock.findByIdAndDelete = jest.fn().mockResolvedValue({ _id: 'mocked-id' });
     modelMock.countDocuments = jest.fn().mockResolvedValue(10);
@@ -92,14 +94,33 @@ describe('CRUD Routes', () => {
     expect(isMethodAllowed).toHaveBeenCalledWith('users', 'GET', options.methods);
     expect(isMethodAllowed).toHaveBeenCalledWith('users', 'POST', options.methods);
     expect(isMethodAllowed).toHaveBeenCalledWith('users', 'PUT', options.methods);
+    expect(isMethodAllowed).toHaveBeenCalledWith('users', 'PATCH', options.methods);
     expect(isMethodAllowed).toHaveBeenCalledWith('users', 'DELETE', options.methods);
   });
 
   test('should register GET routes when allowed', () => {
     // Verify if GET routes were registered
-    expect(fastifyMock.get).toHaveBeenCalledTimes(2);
+    expect(fastifyMock.get).toHaveBeenCalledTimes(5);
     expect(fastifyMock.get.mock.calls[0][0]).toBe('/api/users');
     expect(fastifyMock.get.mock.calls[1][0]).toBe('/api/users/:id');
+    expect(fastifyMock.get.mock.calls[2][0]).toBe('/api/users/_aggregate');
+    expect(fastifyMock.get.mock.calls[3][0]).toBe('/api/users/_facets');
+    expect(fastifyMock.get.mock.calls[4][0]).toBe('/api/users/_distinct/:field');
+  });
+
+  test('should attach JSON Schemas to every route', () => {
+    const listOptions = fastifyMock.get.mock.calls[0][1];
+    const getOptions = fastifyMock.get.mock.calls[1][1];
+    const postOptions = fastifyMock.post.mock.calls[0][1];
+    const putOptions = fastifyMock.put.mock.calls[0][1];
+    const deleteOptions = fastifyMock.delete.mock.calls[0][1];
+
+    expect(listOptions.schema.querystring.properties).toHaveProperty('page');
+    expect(listOptions.schema.response[200].properties).toHaveProperty('pagination');
+    expect(getOptions.schema.params.properties).toHaveProperty('id');
+    expect(postOptions.schema.body.properties).toHaveProperty('name');
+    expect(putOptions.schema.body.properties).toHaveProperty('email');
+    expect(deleteOptions.schema.response[200].properties).toHaveProperty('success');
   });
 
   test('should register POST route when allowed', () => {
@@ -131,10 +152,11 @@ describe('CRUD Routes', () => {
     expect(fastifyMock.get).not.toHaveBeenCalled();
     expect(fastifyMock.post).not.toHaveBeenCalled();
     expect(fastifyMock.put).not.toHaveBeenCalled();
+    expect(fastifyMock.patch).not.toHaveBeenCalled();
     expect(fastifyMock.delete).not.toHaveBeenCalled();
   });
 
-  test('should correctly identify String type search fields', () => {
+  test('should correctly identify String type search fields', async () => {
     // Reset mocks
     jest.clearAllMocks();
     
@@ -142,24 +164,48 @@ describe('CRUD Routes', () => {
     setupCrudRoutes(fastifyMock, modelMock, '/api/users', options);
     
     // Get the handler for the first GET route (listing)
-    const listHandler = fastifyMock.get.mock.calls[0][1];
+    const listHandler = fastifyMock.get.mock.calls[0][2];
     
     // Call the handler with a request mock
-    listHandler({ query: { search: 'test' } });
+    await listHandler({ query: { search: 'test' } });
     
     // Verify if buildQuery was called with the correct search fields
     expect(buildQuery).toHaveBeenCalledWith(
       expect.anything(),
-      expect.anything(),
-      expect.objectContaining({
-        searchFields: ['name', 'email']
-      })
+      {
+        $and: [{
+          $or: [
+            { name: { $regex: 'test', $options: 'i' } },
+            { email: { $regex: 'test', $options: 'i' } }
+          ]
+        }]
+      },
+      expect.anything()
     );
   });
 
+  test('should search the configured fields with escaped terms', async () => {
+    jest.clearAllMocks();
+    setupCrudRoutes(fastifyMock, modelMock, '/api/users', { ...options, search: { users: { fields: ['name'] } } });
+    const listHandler = fastifyMock.get.mock.calls[0][2];
+
+    await listHandler({ query: { search: 'a+(b', 'search[name]': 'jo' } });
+
+    expect(buildQuery.mock.calls[0][1]).toEqual({
+      $and: [
+        { name: { $regex: 'jo', $options: 'i' } },
+        { $or: [{ name: { $regex: 'a\\+\\(b', $options: 'i' } }] }
+      ]
+    });
+    await expect(listHandler({ query: { 'search[email]': 'jo' } }))
+      .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSearch' });
+    expect(() => setupCrudRoutes(fastifyMock, modelMock, '/api/users', { search: { users: { fields: ['age'] } } }))
+      .toThrow('Search field "age" of users is not a String path');
+  });
+
   test('should implement GET route logic to list resources', async () => {
     // Get the handler for the first GET route (listing)
-    const listHandler = fastifyMock.get.mock.calls[0][1];
+    const listHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock for listing with various parameters
     const request = {
@@ -169,7 +215,7 @@ describe('CRUD Routes', () => {
         sort: '{"name":1}',
         search: 'test',
         author: 'author-id',
-        status: 'active'
+        age: '30'
       }
     };
     
@@ -180,14 +226,13 @@ describe('CRUD Routes', () => {
     expect(buildQuery).toHaveBeenCalledWith(
       modelMock,
       expect.objectContaining({
-        status: 'active',
+        age: 30,
         author: 'cast-author-id' // Verificar que o cast foi aplicado
       }),
       expect.objectContaining({
         page: 2,
         limit: 20,
-        sort: { name: 1 },
-        search: 'test'
+        sort: { name: 1 }
       })
     );
     
@@ -203,11 +248,49 @@ describe('CRUD Routes', () => {
     expect(transformDocument).toHaveBeenCalled();
   });
 
+  test('should reject unknown and operator filters in GET listing route', async () => {
+    const listHandler = fastifyMock.get.mock.calls[0][2];
+
+    await expect(listHandler({ query: { status: 'active' } }))
+      .rejects.toThrow('Unknown filter field "status"');
+    await expect(listHandler({ query: { $where: 'sleep(1000)' } }))
+      .rejects.toThrow('Operator "$where" is not allowed in filters');
+    await expect(listHandler({ query: { name: { $regex: '.*' } } }))
+      .rejects.toThrow('Operator "$regex" is not allowed in filters');
+    expect(buildQuery).not.toHaveBeenCalled();
+    expect(modelMock.countDocuments).not.toHaveBeenCalled();
+  });
+
+  test('should only accept whitelisted filters when filterable fields are configured', async () => {
+    jest.clearAllMocks();
+    setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      filterable: { users: ['age'] }
+    });
+    const listHandler = fastifyMock.get.mock.calls[0][2];
+
+    await expect(listHandler({ query: { name: 'John' } }))
+      .rejects.toThrow('Filtering on "name" is not allowed');
+
+    await listHandler({ query: { 'age[gte]': '18' } });
+    expect(buildQuery).toHaveBeenCalledWith(modelMock, { age: { $gte: 18 } }, expect.anything());
+  });
+
+  test('should translate filter operators in GET listing route', async () => {
+    const listHandler = fastifyMock.get.mock.calls[0][2];
+
+    await listHandler({ query: { 'author[in]': 'a,b', 'author[ne]': 'c' } });
+
+    const expectedFilters = { author: { $in: ['cast-a', 'cast-b'], $ne: 'cast-c' } };
+    expect(buildQuery).toHaveBeenCalledWith(modelMock, expectedFilters, expect.anything());
+    expect(modelMock.countDocuments).toHaveBeenCalledWith(expectedFilters);
+  });
+
   // Additional tests to improve coverage
 
   test('should implement GET route logic to retrieve a single resource', async () => {
     // Get the handler for the second GET route (single resource)
-    const getHandler = fastifyMock.get.mock.calls[1][1];
+    const getHandler = fastifyMock.get.mock.calls[1][2];
     
     // Request and reply mock for getting a specific resource
     const request = {
@@ -231,6 +314,48 @@ describe('CRUD Routes', () => {
     expect(result).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Test' });
   });
 
+  test('should apply sparse fieldsets in GET route for single resource', async () => {
+    const queryMock = {
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' })
+    };
+    modelMock.findById.mockReturnValue(queryMock);
+
+    const getHandler = fastifyMock.get.mock.calls[1][2];
+    const request = {
+      params: { id: 'user-123' },
+      query: { fields: '-password', populate: 'posts', 'fields[posts]': 'title' }
+    };
+
+    await getHandler(request, { code: jest.fn().mockReturnThis(), send: jest.fn() });
+
+    expect(queryMock.select).toHaveBeenCalledWith({ password: 0 });
+    expect(queryMock.populate).toHaveBeenCalledWith({ path: 'posts', select: 'title' });
+  });
+
+  test('should only populate references allowed by the GET policy of their model', async () => {
+    const queryMock = {
+      populate: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' })
+    };
+    modelMock.findById.mockReturnValue(queryMock);
+    fastifyMock.get.mockClear();
+    setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      policies: { author: { GET: { filter: request => ({ tenant: request.user.tenant }) } } }
+    });
+
+    const getHandler = fastifyMock.get.mock.calls[1][2];
+    await getHandler({
+      params: { id: 'user-123' },
+      query: { populate: 'author' },
+      user: { tenant: 't1' }
+    }, { code: jest.fn().mockReturnThis(), send: jest.fn() });
+
+    expect(queryMock.populate).toHaveBeenCalledWith({ path: 'author', match: { tenant: 't1' } });
+  });
+
   test('should return 404 when resource is not found on GET :id route', async () => {
     // Configure findById to return null (resource not found)
     modelMock.findById.mockReturnValue({
@@ -239,7 +364,7 @@ describe('CRUD Routes', () => {
     });
     
     // Get the handler for the single resource GET route
-    const getHandler = fastifyMock.get.mock.calls[1][1];
+    const getHandler = fastifyMock.get.mock.calls[1][2];
     
     // Request and reply mock
     const request = {
@@ -264,7 +389,7 @@ describe('CRUD Routes', () => {
 
   test('should implement POST route logic to create a resource', async () => {
     // Get the POST route handler
-    const postHandler = fastifyMock.post.mock.calls[0][1];
+    const postHandler = fastifyMock.post.mock.calls[0][2];
     
     // Request mock
     const request = {
@@ -285,7 +410,7 @@ describe('CRUD Routes', () => {
 
   test('should handle errors during saving in POST route', async () => {
     // Get the POST route handler
-    const postHandler = fastifyMock.post.mock.calls[0][1];
+    const postHandler = fastifyMock.post.mock.calls[0][2];
     
     // Request mock
     const request = {
@@ -309,14 +434,14 @@ describe('CRUD Routes', () => {
     expect(errorInstance.save).toHaveBeenCalled();
   });
 
-  test('should implement PUT route logic to update a resource', async () => {
+  test('should implement PUT route logic to replace a resource', async () => {
     // Get the PUT route handler
-    const putHandler = fastifyMock.put.mock.calls[0][1];
+    const putHandler = fastifyMock.put.mock.calls[0][2];
     
     // Request and reply mock
     const request = {
       params: { id: 'user-123' },
-      body: { name: 'Updated Name' }
+      body: { _id: 'other-id', id: 'other-id', name: 'Replaced Name' }
     };
     const reply = {
       code: jest.fn().mockReturnThis(),
@@ -326,24 +451,25 @@ describe('CRUD Routes', () => {
     // Call the handler
     const result = await putHandler(request, reply);
     
-    // Verify that findByIdAndUpdate was called correctly
-    expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
-      'user-123',
-      { name: 'Updated Name' },
+    // Verify that the whole document was replaced keeping the URL id
+    expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+      { _id: 'user-123' },
+      { name: 'Replaced Name' },
       { new: true, runValidators: true }
     );
+    expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
     expect(transformDocument).toHaveBeenCalled();
     
     // Verify the result
-    expect(result).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Updated' });
+    expect(result).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Replaced' });
   });
 
   test('should return 404 when resource is not found on PUT route', async () => {
-    // Configure findByIdAndUpdate to return null (resource not found)
-    modelMock.findByIdAndUpdate.mockResolvedValue(null);
+    // Configure findOneAndReplace to return null (resource not found)
+    modelMock.findOneAndReplace.mockResolvedValue(null);
     
     // Get the PUT route handler
-    const putHandler = fastifyMock.put.mock.calls[0][1];
+    const putHandler = fastifyMock.put.mock.calls[0][2];
     
     // Request and reply mock
     const request = {
@@ -358,7 +484,169 @@ describe('CRUD Routes', () => {
     // Call the handler
     await putHandler(request, reply);
     
-    // Verify that 404 code was returned
+    // Verify that 404 code was returned and nothing was created
+    expect(reply.code).toHaveBeenCalledWith(404);
+    expect(reply.send).toHaveBeenCalledWith({
+      error: 'NotFound',
+      message: 'Resource not found'
+    });
+    expect(modelMock).not.toHaveBeenCalled();
+  });
+
+  test('should create the resource with 201 on PUT when upsert is enabled', async () => {
+    jest.clearAllMocks();
+    setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      upsert: { Users: true }
+    });
+    modelMock.findOneAndReplace.mockResolvedValue(null);
+
+    const putHandler = fastifyMock.put.mock.calls[0][2];
+    const request = {
+      params: { id: 'new-id' },
+      body: { name: 'New Test' }
+    };
+    const reply = {
+      code: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+
+    const result = await putHandler(request, reply);
+
+    expect(modelMock).toHaveBeenCalledWith({ name: 'New Test', _id: 'new-id' });
+    expect(modelMock().save).toHaveBeenCalled();
+    expect(reply.code).toHaveBeenCalledWith(201);
+    expect(reply.send).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ _id: 'new-id', name: 'New Test' }));
+  });
+
+  test('should replace existing resources on PUT when upsert is enabled', async () => {
+    jest.clearAllMocks();
+    setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+      ...options,
+      upsert: { users: true }
+    });
+
+    const putHandler = fastifyMock.put.mock.calls[0][2];
+    const reply = {
+      code: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+
+    await putHandler({ params: { id: 'user-123' }, body: { name: 'Replaced' } }, reply);
+
+    expect(modelMock).not.toHaveBeenCalled();
+    expect(reply.code).not.toHaveBeenCalled();
+  });
+
+  test('should register PATCH route when allowed', () => {
+    expect(fastifyMock.patch).toHaveBeenCalledTimes(1);
+    expect(fastifyMock.patch.mock.calls[0][0]).toBe('/api/users/:id');
+    expect(fastifyMock.patch.mock.calls[0][1].schema.consumes).toContain('application/json-patch+json');
+  });
+
+  test('should apply a JSON Merge Patch with $set and $unset', async () => {
+    const patchHandler = fastifyMock.patch.mock.calls[0][2];
+    const request = {
+      params: { id: 'user-123' },
+      headers: { 'content-type': 'application/merge-patch+json; charset=utf-8' },
+      body: { name: 'Patched', email: null, address: { city: 'Lisbon' } }
+    };
+    const reply = {
+      code: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+
+    const result = await patchHandler(request, reply);
+
+    expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
+      'user-123',
+      {
+        $set: { name: 'Patched', 'address.city': 'Lisbon' },
+        $unset: { email: '' }
+      },
+      { new: true, runValidators: true }
+    );
+    expect(result).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Updated' });
+  });
+
+  test('should treat plain JSON bodies as merge patches', async () => {
+    const patchHandler = fastifyMock.patch.mock.calls[0][2];
+    const request = {
+      params: { id: 'user-123' },
+      headers: {},
+      body: { name: 'Patched' }
+    };
+
+    await patchHandler(request, { code: jest.fn().mockReturnThis(), send: jest.fn() });
+
+    expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
+      'user-123',
+      { $set: { name: 'Patched' } },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('should apply a JSON Patch using the current document', async () => {
+    modelMock.findById.mockResolvedValue({
+      toObject: () => ({ _id: 'user-123', name: 'Test', tags: ['a', 'b'] })
+    });
+    const patchHandler = fastifyMock.patch.mock.calls[0][2];
+    const request = {
+      params: { id: 'user-123' },
+      headers: { 'content-type': 'application/json-patch+json' },
+      body: [
+        { op: 'test', path: '/name', value: 'Test' },
+        { op: 'replace', path: '/name', value: 'Patched' },
+        { op: 'add', path: '/tags/-', value: 'c' }
+      ]
+    };
+
+    await patchHandler(request, { code: jest.fn().mockReturnThis(), send: jest.fn() });
+
+    expect(modelMock.findById).toHaveBeenCalledWith('user-123');
+    expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
+      'user-123',
+      {
+        $set: { name: 'Patched' },
+        $push: { tags: { $each: ['c'] } }
+      },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('should return 404 when patching a missing resource with JSON Patch', async () => {
+    modelMock.findById.mockResolvedValue(null);
+    const patchHandler = fastifyMock.patch.mock.calls[0][2];
+    const reply = {
+      code: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+
+    await patchHandler({
+      params: { id: 'nonexistent-id' },
+      headers: { 'content-type': 'application/json-patch+json' },
+      body: [{ op: 'remove', path: '/name' }]
+    }, reply);
+
+    expect(reply.code).toHaveBeenCalledWith(404);
+    expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when resource is not found on PATCH route', async () => {
+    modelMock.findByIdAndUpdate.mockResolvedValue(null);
+    const patchHandler = fastifyMock.patch.mock.calls[0][2];
+    const reply = {
+      code: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+
+    await patchHandler({
+      params: { id: 'nonexistent-id' },
+      headers: { 'content-type': 'application/merge-patch+json' },
+      body: { name: 'Patched' }
+    }, reply);
+
     expect(reply.code).toHaveBeenCalledWith(404);
     expect(reply.send).toHaveBeenCalledWith({
       error: 'NotFound',
@@ -368,7 +656,7 @@ describe('CRUD Routes', () => {
 
   test('should implement DELETE route logic to remove a resource', async () => {
     // Get the DELETE route handler
-    const deleteHandler = fastifyMock.delete.mock.calls[0][1];
+    const deleteHandler = fastifyMock.delete.mock.calls[0][2];
     
     // Request and reply mock
     const request = {
@@ -394,7 +682,7 @@ describe('CRUD Routes', () => {
     modelMock.findByIdAndDelete.mockResolvedValue(null);
     
     // Get the DELETE route handler
-    const deleteHandler = fastifyMock.delete.mock.calls[0][1];
+    const deleteHandler = fastifyMock.delete.mock.calls[0][2];
     
     // Request and reply mock
     const request = {
@@ -418,7 +706,7 @@ describe('CRUD Routes', () => {
 
   test('should handle GET for single resource without populate', async () => {
     // Get the single resource GET route handler
-    const getHandler = fastifyMock.get.mock.calls[1][1];
+    const getHandler = fastifyMock.get.mock.calls[1][2];
     
     // Request and reply mock without populate parameter
     const request = {
@@ -440,7 +728,7 @@ describe('CRUD Routes', () => {
 
   test('should handle populate as array in GET route for single resource', async () => {
     // Get the second GET route handler (single resource)
-    const getHandler = fastifyMock.get.mock.calls[1][1];
+    const getHandler = fastifyMock.get.mock.calls[1][2];
     
     // Request and reply mock with populate as array
     const request = {
@@ -503,7 +791,7 @@ describe('CRUD Routes', () => {
 
   test('should use default pagination and sorting values in GET listing route', async () => {
     // Get the first GET route handler (listing)
-    const listHandler = fastifyMock.get.mock.calls[0][1];
+    const listHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock with empty query (using default values)
     const request = {
@@ -530,7 +818,7 @@ describe('CRUD Routes', () => {
 
   test('should handle errors during query execution in GET listing route', async () => {
     // Get the first GET route handler (listing)
-    const listHandler = fastifyMock.get.mock.calls[0][1];
+    const listHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock
     const request = {
@@ -559,6 +847,7 @@ describe('CRUD Routes', () => {
     expect(fastifyMock.get).toHaveBeenCalled();
     expect(fastifyMock.post).toHaveBeenCalled();
     expect(fastifyMock.put).toHaveBeenCalled();
+    expect(fastifyMock.patch).toHaveBeenCalled();
     expect(fastifyMock.delete).toHaveBeenCalled();
   });
 
@@ -574,6 +863,1389 @@ describe('CRUD Routes', () => {
     expect(fastifyMock.get).toHaveBeenCalled();
     expect(fastifyMock.post).toHaveBeenCalled();
     expect(fastifyMock.put).toHaveBeenCalled();
+    expect(fastifyMock.patch).toHaveBeenCalled();
     expect(fastifyMock.delete).toHaveBeenCalled();
   });
+
+  describe('soft delete', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn() });
+    const route = (calls, path) => calls.find(call => call[0] === path)[2];
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      modelMock.schema.paths.deletedAt = { instance: 'Date' };
+      modelMock.findOne = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' })
+      });
+      modelMock.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' });
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        softDelete: { users: true }
+      });
+    });
+
+    test('should require a deletedAt path in the schema', () => {
+      delete modelMock.schema.paths.deletedAt;
+
+      expect(() => setupCrudRoutes(fastifyMock, modelMock, '/api/users', { softDelete: { users: true } }))
+        .toThrow('Soft delete requires a "deletedAt" path in the users schema');
+    });
+
+    test('should register trash and restore routes', () => {
+      expect(fastifyMock.get.mock.calls.map(call => call[0]))
+        .toEqual([
+          '/api/users',
+          '/api/users/_trash',
+          '/api/users/:id',
+          '/api/users/_aggregate',
+          '/api/users/_facets',
+          '/api/users/_distinct/:field'
+        ]);
+      expect(fastifyMock.post.mock.calls.map(call => call[0]))
+        .toEqual(['/api/users', '/api/users/:id/restore']);
+      expect(fastifyMock.delete.mock.calls[0][1].schema.querystring.properties.purge)
+        .toEqual({ type: 'boolean' });
+    });
+
+    test('should hide soft-deleted documents from the list', async () => {
+      await route(fastifyMock.get.mock.calls, '/api/users')({ query: {} });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, { deletedAt: null }, expect.any(Object));
+      expect(modelMock.countDocuments).toHaveBeenCalledWith({ deletedAt: null });
+    });
+
+    test('should only list soft-deleted documents in the trash', async () => {
+      await route(fastifyMock.get.mock.calls, '/api/users/_trash')({ query: {} });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, { deletedAt: { $ne: null } }, expect.any(Object));
+    });
+
+    test('should hide soft-deleted documents from single resource routes', async () => {
+      await route(fastifyMock.get.mock.calls, '/api/users/:id')({ params: { id: 'user-123' }, query: {} }, reply());
+      await fastifyMock.put.mock.calls[0][2]({ params: { id: 'user-123' }, body: { name: 'New' } }, reply());
+      await fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { name: 'New' }
+      }, reply());
+
+      expect(modelMock.findById).not.toHaveBeenCalled();
+      expect(modelMock.findOne).toHaveBeenCalledWith({ _id: 'user-123', deletedAt: null });
+      expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+        { _id: 'user-123', deletedAt: null },
+        { name: 'New' },
+        expect.any(Object)
+      );
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user-123', deletedAt: null },
+        { $set: { name: 'New' } },
+        expect.any(Object)
+      );
+      expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should set deletedAt instead of deleting', async () => {
+      const result = await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'user-123' }, query: {} }, reply());
+
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user-123', deletedAt: null },
+        { $set: { deletedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(modelMock.findByIdAndDelete).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true });
+    });
+
+    test('should return 404 when deleting a missing or already deleted resource', async () => {
+      modelMock.findOneAndUpdate.mockResolvedValue(null);
+      const response = reply();
+
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'user-123' }, query: {} }, response);
+
+      expect(response.code).toHaveBeenCalledWith(404);
+    });
+
+    test('should reject purge when the PURGE method is not allowed', async () => {
+      isMethodAllowed.mockImplementation((model, method) => method !== 'PURGE');
+      jest.clearAllMocks();
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { softDelete: { users: true } });
+
+      await expect(fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        query: { purge: true }
+      }, reply())).rejects.toMatchObject({ statusCode: 405, error: 'MethodNotAllowed' });
+      expect(modelMock.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    test('should purge documents for good when PURGE is allowed', async () => {
+      const result = await fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        query: { purge: 'true' }
+      }, reply());
+
+      expect(isMethodAllowed).toHaveBeenCalledWith('users', 'PURGE', options.methods);
+      expect(modelMock.findByIdAndDelete).toHaveBeenCalledWith('user-123');
+      expect(modelMock.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true });
+    });
+
+    test('should only allow plain deletes when DELETE is allowed', async () => {
+      isMethodAllowed.mockImplementation((model, method) => method === 'PURGE');
+      jest.clearAllMocks();
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { softDelete: { users: true } });
+
+      expect(fastifyMock.post).not.toHaveBeenCalled();
+      await expect(fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        query: {}
+      }, reply())).rejects.toThrow('Delete is not allowed on users');
+    });
+
+    test('should restore soft-deleted documents', async () => {
+      const result = await route(fastifyMock.post.mock.calls, '/api/users/:id/restore')({
+        params: { id: 'user-123' }
+      }, reply());
+
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user-123', deletedAt: { $ne: null } },
+        { $unset: { deletedAt: 1 } },
+        { new: true }
+      );
+      expect(result).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Test' });
+    });
+
+    test('should return 404 when restoring a document that is not in the trash', async () => {
+      modelMock.findOneAndUpdate.mockResolvedValue(null);
+      const response = reply();
+
+      await route(fastifyMock.post.mock.calls, '/api/users/:id/restore')({ params: { id: 'user-123' } }, response);
+
+      expect(response.code).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('hooks', () => {
+    let hooks;
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn() });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      hooks = {
+        beforeList: jest.fn((request, model, context) => {
+          context.filter.tenant = 'acme';
+        }),
+        beforeCreate: jest.fn((request, model, body) => ({ ...body, email: body.email.toLowerCase() })),
+        afterCreate: jest.fn(),
+        beforeUpdate: jest.fn((request, model, body) => {
+          body.updatedBy = 'admin';
+        }),
+        afterUpdate: jest.fn(),
+        beforeDelete: jest.fn(),
+        afterDelete: jest.fn(),
+        transformResponse: jest.fn((request, model, doc) => ({ ...doc, transformed: true }))
+      };
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        hooks: { users: hooks }
+      });
+    });
+
+    test('should let beforeList constrain the filter and transform every document', async () => {
+      const request = { query: { age: '30' } };
+
+      const result = await fastifyMock.get.mock.calls[0][2](request);
+
+      expect(hooks.beforeList).toHaveBeenCalledWith(request, modelMock, {
+        query: { age: '30' },
+        filter: { tenant: 'acme' }
+      });
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, { age: 30, tenant: 'acme' }, expect.any(Object));
+      expect(result.data).toEqual([{ id: 'mocked-id', _id: 'mocked-id', name: 'Test', transformed: true }]);
+    });
+
+    test('should transform the single resource response', async () => {
+      const result = await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {} }, reply());
+
+      expect(result.transformed).toBe(true);
+    });
+
+    test('should run create hooks around the save', async () => {
+      const request = { body: { email: 'A@B.COM' } };
+
+      const result = await fastifyMock.post.mock.calls[0][2](request);
+
+      expect(hooks.beforeCreate).toHaveBeenCalledWith(request, modelMock, { email: 'A@B.COM' });
+      expect(modelMock).toHaveBeenCalledWith({ email: 'a@b.com' });
+      expect(hooks.afterCreate).toHaveBeenCalledWith(request, modelMock, expect.objectContaining({ _id: 'new-id' }));
+      expect(result.transformed).toBe(true);
+    });
+
+    test('should abort the request when a hook throws', async () => {
+      hooks.beforeCreate.mockRejectedValue(Object.assign(new Error('Forbidden'), { statusCode: 403 }));
+
+      await expect(fastifyMock.post.mock.calls[0][2]({ body: {} })).rejects.toThrow('Forbidden');
+      expect(modelMock).not.toHaveBeenCalled();
+    });
+
+    test('should run update hooks on PUT', async () => {
+      const request = { params: { id: 'user-123' }, body: { name: 'New' } };
+
+      await fastifyMock.put.mock.calls[0][2](request, reply());
+
+      expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+        { _id: 'user-123' },
+        { name: 'New', updatedBy: 'admin' },
+        expect.any(Object)
+      );
+      expect(hooks.afterUpdate).toHaveBeenCalledWith(request, modelMock, { _id: 'mocked-id', name: 'Replaced' });
+    });
+
+    test('should run update hooks on PATCH with the patch body', async () => {
+      const request = {
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { name: 'New' }
+      };
+
+      await fastifyMock.patch.mock.calls[0][2](request, reply());
+
+      expect(hooks.beforeUpdate).toHaveBeenCalledWith(request, modelMock, expect.objectContaining({ name: 'New' }));
+      expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
+        'user-123',
+        { $set: { name: 'New', updatedBy: 'admin' } },
+        expect.any(Object)
+      );
+      expect(hooks.afterUpdate).toHaveBeenCalledWith(request, modelMock, { _id: 'mocked-id', name: 'Updated' });
+    });
+
+    test('should run delete hooks with the id and the deleted document', async () => {
+      const request = { params: { id: 'user-123' } };
+
+      await fastifyMock.delete.mock.calls[0][2](request, reply());
+
+      expect(hooks.beforeDelete).toHaveBeenCalledWith(request, modelMock, 'user-123');
+      expect(hooks.afterDelete).toHaveBeenCalledWith(request, modelMock, { _id: 'mocked-id' });
+    });
+
+    test('should not run after hooks when the resource is not found', async () => {
+      modelMock.findByIdAndDelete.mockResolvedValue(null);
+
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'user-123' } }, reply());
+
+      expect(hooks.afterDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('policies', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn() });
+    const isOwner = (request, doc) => doc.owner === request.user.id;
+    let current;
+
+    const setup = (policies, extra = {}) => {
+      jest.clearAllMocks();
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        policies: { users: policies },
+        ...extra
+      });
+    };
+
+    beforeEach(() => {
+      current = { _id: 'user-123', owner: 'me' };
+      modelMock.findById = jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' }),
+        then: (resolve, reject) => Promise.resolve(current && { ...current, toObject: () => current })
+          .then(resolve, reject)
+      }));
+      modelMock.exists = jest.fn().mockResolvedValue({ _id: 'user-123' });
+    });
+
+    test('should reject invalid policies at setup', () => {
+      expect(() => setup({ GET: isOwner })).toThrow('Policy GET for model users needs a filter to protect list routes');
+    });
+
+    test('should constrain list and count queries with the GET policy filter', async () => {
+      setup({ GET: { filter: request => ({ owner: request.user.id }) } });
+
+      await fastifyMock.get.mock.calls[0][2]({ query: { age: '30' }, user: { id: 'me' } });
+
+      const expectedFilters = { age: 30, $and: [{ owner: 'me' }] };
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, expectedFilters, expect.any(Object));
+      expect(modelMock.countDocuments).toHaveBeenCalledWith(expectedFilters);
+    });
+
+    test('should check the GET policy on single resource routes', async () => {
+      setup({ GET: { filter: request => ({ owner: request.user.id }) } });
+      modelMock.exists.mockResolvedValue(null);
+
+      await expect(fastifyMock.get.mock.calls[1][2]({
+        params: { id: 'user-123' },
+        query: {},
+        user: { id: 'someone' }
+      }, reply())).rejects.toMatchObject({ statusCode: 403, error: 'Forbidden' });
+      expect(modelMock.exists).toHaveBeenCalledWith({ owner: 'someone', _id: 'user-123' });
+    });
+
+    test('should check the POST policy against the body', async () => {
+      setup({ POST: isOwner });
+
+      await expect(fastifyMock.post.mock.calls[0][2]({ body: { owner: 'other' }, user: { id: 'me' } }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(modelMock).not.toHaveBeenCalled();
+
+      await fastifyMock.post.mock.calls[0][2]({ body: { owner: 'me' }, user: { id: 'me' } });
+      expect(modelMock).toHaveBeenCalledWith({ owner: 'me' });
+    });
+
+    test('should check the PUT policy against the current document before the write', async () => {
+      setup({ PUT: isOwner });
+
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New' },
+        user: { id: 'someone' }
+      }, reply())).rejects.toMatchObject({ statusCode: 403, error: 'Forbidden' });
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+
+      await fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New', owner: 'me' },
+        user: { id: 'me' }
+      }, reply());
+      expect(modelMock.findOneAndReplace).toHaveBeenCalled();
+    });
+
+    test('should not let PUT or PATCH hand a document over to someone else', async () => {
+      setup({ PUT: isOwner });
+      const request = { params: { id: 'user-123' }, user: { id: 'me' } };
+
+      await expect(fastifyMock.put.mock.calls[0][2]({ ...request, body: { owner: 'other' } }, reply()))
+        .rejects.toMatchObject({ statusCode: 403, error: 'Forbidden' });
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        ...request,
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { owner: 'other' }
+      }, reply())).rejects.toMatchObject({ statusCode: 403 });
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        ...request,
+        headers: { 'content-type': 'application/json-patch+json' },
+        body: [{ op: 'replace', path: '/owner', value: 'other' }]
+      }, reply())).rejects.toMatchObject({ statusCode: 403 });
+      expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
+
+      await fastifyMock.patch.mock.calls[0][2]({
+        ...request,
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { name: 'New' }
+      }, reply());
+      expect(modelMock.findByIdAndUpdate).toHaveBeenCalled();
+    });
+
+    test('should return 404 when the document to authorize does not exist', async () => {
+      setup({ PATCH: isOwner });
+      current = null;
+
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: {},
+        body: { name: 'New' },
+        user: { id: 'me' }
+      }, reply())).rejects.toMatchObject({ statusCode: 404, error: 'NotFound' });
+      expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should check the PUT policy against documents created by upsert', async () => {
+      setup({ PUT: isOwner }, { upsert: { users: true } });
+      current = null;
+      modelMock.findOneAndReplace.mockResolvedValue(null);
+
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { owner: 'other' },
+        user: { id: 'me' }
+      }, reply())).rejects.toMatchObject({ statusCode: 403 });
+      expect(modelMock).not.toHaveBeenCalled();
+    });
+
+    test('should check the DELETE policy before deleting', async () => {
+      setup({ DELETE: isOwner });
+
+      await expect(fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        user: { id: 'someone' }
+      }, reply())).rejects.toMatchObject({ statusCode: 403 });
+      expect(modelMock.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('field rules', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn() });
+    let current;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      current = { _id: 'user-123', name: 'Old', role: 'user', slug: 'first' };
+      modelMock.findById = jest.fn().mockImplementation(() => ({
+        populate: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test', passwordHash: 'h' }),
+        then: (resolve, reject) => Promise.resolve(current && { toObject: () => current }).then(resolve, reject)
+      }));
+      buildQuery.mockReturnValue({
+        exec: jest.fn().mockResolvedValue([{ _id: 'mocked-id', name: 'Test', passwordHash: 'h' }])
+      });
+      modelMock.schema.paths.passwordHash = { instance: 'String' };
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        upsert: { users: true },
+        hiddenFields: { users: request => (request.admin ? [] : ['passwordHash']) },
+        readOnlyFields: { users: ['role'] },
+        writeOnceFields: { users: ['slug'] }
+      });
+    });
+
+    test('should remove hidden fields from list and single resource responses', async () => {
+      const list = await fastifyMock.get.mock.calls[0][2]({ query: {} });
+      const single = await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {} }, reply());
+      const asAdmin = await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {}, admin: true }, reply());
+
+      expect(list.data).toEqual([{ id: 'mocked-id', _id: 'mocked-id', name: 'Test' }]);
+      expect(single).toEqual({ id: 'mocked-id', _id: 'mocked-id', name: 'Test' });
+      expect(asAdmin.passwordHash).toBe('h');
+    });
+
+    test('should not filter or search on hidden fields', async () => {
+      await expect(fastifyMock.get.mock.calls[0][2]({ query: { 'passwordHash[exists]': 'true' } }))
+        .rejects.toThrow('Filtering on "passwordHash" is not allowed');
+
+      await fastifyMock.get.mock.calls[0][2]({ query: { search: 'h' } });
+      expect(buildQuery.mock.calls[0][1].$and[0].$or.map(condition => Object.keys(condition)[0]))
+        .toEqual(['name', 'email']);
+      await expect(fastifyMock.get.mock.calls[0][2]({ query: { 'search[passwordHash]': 'h' } }))
+        .rejects.toThrow('Searching on "passwordHash" is not allowed');
+    });
+
+    test('should reject read-only fields on POST', async () => {
+      await expect(fastifyMock.post.mock.calls[0][2]({ body: { name: 'x', role: 'admin' } }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'ReadOnlyField' });
+      expect(modelMock).not.toHaveBeenCalled();
+
+      await fastifyMock.post.mock.calls[0][2]({ body: { name: 'x', slug: 'x' } });
+      expect(modelMock).toHaveBeenCalledWith({ name: 'x', slug: 'x' });
+    });
+
+    test('should keep protected fields on PUT and reject changes', async () => {
+      await fastifyMock.put.mock.calls[0][2]({ params: { id: 'user-123' }, body: { name: 'New' } }, reply());
+
+      expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+        { _id: 'user-123' },
+        { name: 'New', role: 'user', slug: 'first' },
+        expect.any(Object)
+      );
+
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New', slug: 'second' }
+      }, reply())).rejects.toMatchObject({ statusCode: 400, error: 'WriteOnceField' });
+    });
+
+    test('should keep hidden fields on PUT', async () => {
+      current.passwordHash = 'h';
+
+      // GET, edit, PUT: the client never received the hidden field
+      await fastifyMock.put.mock.calls[0][2]({ params: { id: 'user-123' }, body: { name: 'New' } }, reply());
+      await fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New', passwordHash: 'h2' }
+      }, reply());
+
+      expect(modelMock.findOneAndReplace.mock.calls[0][1]).toEqual({
+        name: 'New',
+        role: 'user',
+        slug: 'first',
+        passwordHash: 'h'
+      });
+      expect(modelMock.findOneAndReplace.mock.calls[1][1]).toMatchObject({ passwordHash: 'h2' });
+    });
+
+    test('should check the body of documents created by PUT as a creation', async () => {
+      current = null;
+      modelMock.findOneAndReplace.mockResolvedValue(null);
+
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { role: 'admin' }
+      }, reply())).rejects.toMatchObject({ error: 'ReadOnlyField' });
+
+      await fastifyMock.put.mock.calls[0][2]({ params: { id: 'user-123' }, body: { slug: 'new' } }, reply());
+      expect(modelMock).toHaveBeenCalledWith({ slug: 'new', _id: 'user-123' });
+    });
+
+    test('should reject protected fields in merge patches and JSON patches', async () => {
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { role: null }
+      }, reply())).rejects.toMatchObject({ error: 'ReadOnlyField' });
+
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/json-patch+json' },
+        body: [{ op: 'replace', path: '/slug', value: 'second' }]
+      }, reply())).rejects.toMatchObject({ error: 'WriteOnceField' });
+
+      expect(modelMock.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('versioning', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn(), header: jest.fn() });
+    let current;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      current = { _id: 'user-123', name: 'Old', __v: 2 };
+      modelMock.schema.paths.__v = { instance: 'Number' };
+      modelMock.findById = jest.fn().mockImplementation(() => ({
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue(current),
+        then: (resolve, reject) => Promise.resolve(current && { ...current, toObject: () => current })
+          .then(resolve, reject)
+      }));
+      modelMock.findOneAndReplace = jest.fn().mockResolvedValue({ _id: 'user-123', name: 'New', __v: 3 });
+      modelMock.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'user-123', name: 'New', __v: 3 });
+      modelMock.findOneAndDelete = jest.fn().mockResolvedValue({ _id: 'user-123' });
+      modelMock.exists = jest.fn().mockResolvedValue({ _id: 'user-123' });
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        requireIfMatch: { users: true }
+      });
+    });
+
+    test('should send the version as ETag and keep it in projections', async () => {
+      const res = reply();
+      await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: { fields: 'name' } }, res);
+
+      const query = modelMock.findById.mock.results[0].value;
+      expect(query.select).toHaveBeenCalledWith({ name: 1, __v: 1 });
+      expect(res.header).toHaveBeenCalledWith('ETag', expect.stringMatching(/^"2:[\w-]+"$/));
+    });
+
+    test('should tag each representation of a version differently', async () => {
+      transformDocument.mockImplementation(doc => ({ id: doc._id, name: doc.name }));
+      const etagOf = async () => {
+        const res = reply();
+        await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {} }, res);
+        return res.header.mock.calls.find(([name]) => name === 'ETag')[1];
+      };
+      const full = await etagOf();
+
+      // e.g. a role that cannot read the name
+      transformDocument.mockImplementation(doc => ({ id: doc._id }));
+      const partial = await etagOf();
+
+      expect(full).toMatch(/^"2:/);
+      expect(partial).toMatch(/^"2:/);
+      expect(full).not.toBe(partial);
+    });
+
+    test('should send Last-Modified and leave populated responses to the content ETag', async () => {
+      modelMock.schema.paths.updatedAt = { instance: 'Date' };
+      current.updatedAt = new Date(1700000000000);
+
+      const res = reply();
+      await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {} }, res);
+      expect(res.header).toHaveBeenCalledWith('Last-Modified', 'Tue, 14 Nov 2023 22:13:20 GMT');
+
+      const populated = reply();
+      await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: { populate: 'author' } }, populated);
+      expect(populated.header).not.toHaveBeenCalled();
+    });
+
+    test('should answer conditional requests on read routes', () => {
+      const onSend = fastifyMock.get.mock.calls.map(([, routeOptions]) => routeOptions.onSend);
+      expect(onSend).toEqual(Array(5).fill(expect.any(Function)));
+    });
+
+    test('should require If-Match on writes', async () => {
+      await expect(fastifyMock.put.mock.calls[0][2]({ params: { id: 'user-123' }, body: { name: 'New' } }, reply()))
+        .rejects.toMatchObject({ statusCode: 428, error: 'PreconditionRequired' });
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: {},
+        body: { name: 'New' }
+      }, reply())).rejects.toMatchObject({ statusCode: 428 });
+      await expect(fastifyMock.delete.mock.calls[0][2]({ params: { id: 'user-123' }, headers: {} }, reply()))
+        .rejects.toMatchObject({ statusCode: 428 });
+
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+      expect(modelMock.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(modelMock.findOneAndDelete).not.toHaveBeenCalled();
+    });
+
+    test('should replace the matching version and bump it on PUT', async () => {
+      const res = reply();
+      await fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"2"' },
+        body: { name: 'New', __v: 7 }
+      }, res);
+
+      expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+        { _id: 'user-123', __v: 2 },
+        { _id: 'user-123', name: 'New', __v: 3 },
+        expect.any(Object)
+      );
+      expect(res.header).toHaveBeenCalledWith('ETag', expect.stringMatching(/^"3:[\w-]+"$/));
+    });
+
+    test('should keep the creation date on PUT', async () => {
+      const createdAt = new Date(1600000000000);
+      modelMock.schema.options = { timestamps: true };
+      modelMock.schema.paths.createdAt = { instance: 'Date' };
+      current.createdAt = createdAt;
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { methods: options.methods });
+
+      await fastifyMock.put.mock.calls[1][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"2"' },
+        body: { name: 'New', createdAt: '2030-01-01T00:00:00.000Z' }
+      }, reply());
+      delete modelMock.schema.options;
+      delete modelMock.schema.paths.createdAt;
+
+      expect(modelMock.findOneAndReplace.mock.calls[0][1]).toEqual({
+        _id: 'user-123',
+        name: 'New',
+        createdAt,
+        __v: 3
+      });
+    });
+
+    test('should fail PUT when the version does not match', async () => {
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"1"' },
+        body: { name: 'New' }
+      }, reply())).rejects.toMatchObject({ statusCode: 412, error: 'PreconditionFailed' });
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+
+      // Modified between the read and the write
+      modelMock.findOneAndReplace.mockResolvedValue(null);
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '*' },
+        body: { name: 'New' }
+      }, reply())).rejects.toMatchObject({ statusCode: 412 });
+
+      current = null;
+      await expect(fastifyMock.put.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"2"' },
+        body: { name: 'New' }
+      }, reply())).rejects.toMatchObject({ statusCode: 412 });
+    });
+
+    test('should update the matching version and bump it on PATCH', async () => {
+      const res = reply();
+      await fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json', 'if-match': '"2"' },
+        body: { name: 'New' }
+      }, res);
+
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user-123', __v: { $in: [2] } },
+        { $set: { name: 'New' }, $inc: { __v: 1 } },
+        expect.any(Object)
+      );
+      expect(res.header).toHaveBeenCalledWith('ETag', expect.stringMatching(/^"3:[\w-]+"$/));
+    });
+
+    test('should answer 412 or 404 when PATCH matches nothing', async () => {
+      modelMock.findOneAndUpdate.mockResolvedValue(null);
+      const request = {
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json', 'if-match': '"1"' },
+        body: { name: 'New' }
+      };
+
+      await expect(fastifyMock.patch.mock.calls[0][2](request, reply()))
+        .rejects.toMatchObject({ statusCode: 412 });
+
+      modelMock.exists.mockResolvedValue(null);
+      const res = reply();
+      await fastifyMock.patch.mock.calls[0][2](request, res);
+      expect(res.code).toHaveBeenCalledWith(404);
+    });
+
+    test('should apply a JSON Patch to the version it was computed from only', async () => {
+      current = { _id: 'user-123', name: 'Old', tags: ['a'], __v: 2 };
+      const request = {
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/json-patch+json', 'if-match': '*' },
+        body: [{ op: 'replace', path: '/tags/0', value: 'b' }]
+      };
+
+      await fastifyMock.patch.mock.calls[0][2](request, reply());
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user-123', __v: 2 },
+        { $set: { tags: ['b'] }, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+      );
+
+      // A concurrent write changed the document in between
+      modelMock.findOneAndUpdate.mockResolvedValue(null);
+      await expect(fastifyMock.patch.mock.calls[0][2](request, reply()))
+        .rejects.toMatchObject({ statusCode: 412 });
+
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        ...request,
+        headers: { ...request.headers, 'if-match': '"1"' }
+      }, reply())).rejects.toMatchObject({ statusCode: 412 });
+      expect(modelMock.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    test('should delete the matching version only', async () => {
+      await fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"2"' }
+      }, reply());
+      expect(modelMock.findOneAndDelete).toHaveBeenCalledWith({ _id: 'user-123', __v: { $in: [2] } });
+
+      modelMock.findOneAndDelete.mockResolvedValue(null);
+      await expect(fastifyMock.delete.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'if-match': '"1"' }
+      }, reply())).rejects.toMatchObject({ statusCode: 412 });
+    });
+
+    test('should only accept If-Match: * on every write of models without a version', async () => {
+      delete modelMock.schema.paths.__v;
+      modelMock.db = {
+        collection: jest.fn().mockReturnValue({
+          createIndex: jest.fn().mockResolvedValue('index'),
+          find: jest.fn(() => ({
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            toArray: jest.fn().mockResolvedValue([])
+          })),
+          insertOne: jest.fn().mockResolvedValue({})
+        })
+      };
+      jest.clearAllMocks();
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        audit: { users: true }
+      });
+
+      try {
+        const writes = [
+          request => fastifyMock.put.mock.calls[0][2]({ ...request, body: { name: 'New' } }, reply()),
+          request => fastifyMock.patch.mock.calls[0][2]({
+            ...request,
+            headers: { ...request.headers, 'content-type': 'application/merge-patch+json' },
+            body: { name: 'New' }
+          }, reply()),
+          request => fastifyMock.delete.mock.calls[0][2](request, reply()),
+          request => fastifyMock.post.mock.calls[1][2]({
+            ...request,
+            params: { ...request.params, revision: 1 }
+          }, reply())
+        ];
+
+        for (const write of writes) {
+          await expect(write({ params: { id: 'user-123' }, headers: { 'if-match': '"2"' } }))
+            .rejects.toMatchObject({ statusCode: 412, message: 'users is not versioned: only If-Match: * applies' });
+        }
+        expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+        expect(modelMock.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(modelMock.findOneAndDelete).not.toHaveBeenCalled();
+
+        await writes[0]({ params: { id: 'user-123' }, headers: { 'if-match': '*' } });
+        expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+          { _id: 'user-123' },
+          expect.objectContaining({ name: 'New' }),
+          expect.any(Object)
+        );
+      } finally {
+        modelMock.schema.paths.__v = { instance: 'Number' };
+        delete modelMock.db;
+      }
+    });
+  });
+
+  describe('audit trail', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn(), header: jest.fn() });
+    let collectionMock;
+    let entries;
+    let current;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      transformDocument.mockImplementation(doc => {
+        if (!doc) return null;
+        const { _id, ...rest } = doc;
+        return { id: String(_id), ...rest };
+      });
+      current = { _id: 'user-123', name: 'Old', role: 'user' };
+      entries = [
+        { revision: 1, operation: 'create', actor: 'u1', before: null, after: { _id: 'user-123', name: 'First', passwordHash: 'a' } },
+        { revision: 2, operation: 'update', actor: 'u2', before: { _id: 'user-123', name: 'First', passwordHash: 'a' }, after: { _id: 'user-123', name: 'Old', passwordHash: 'b' } }
+      ];
+      collectionMock = {
+        createIndex: jest.fn().mockResolvedValue('index'),
+        find: jest.fn(() => ({
+          sort: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockReturnThis(),
+          toArray: jest.fn(async () => entries)
+        })),
+        findOne: jest.fn(async ({ revision }) => entries.find(entry => entry.revision === revision) || null),
+        insertOne: jest.fn().mockResolvedValue({})
+      };
+      modelMock.db = { collection: jest.fn().mockReturnValue(collectionMock) };
+      modelMock.schema.paths.passwordHash = { instance: 'String' };
+      modelMock.schema.paths.role = { instance: 'String' };
+      modelMock.findById = jest.fn().mockImplementation(() => ({
+        then: (resolve, reject) => Promise.resolve(current && { ...current, toObject: () => current })
+          .then(resolve, reject)
+      }));
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        audit: { users: true },
+        hiddenFields: { users: ['passwordHash'] },
+        readOnlyFields: { users: ['role'] }
+      });
+    });
+
+    const lastEntry = () => collectionMock.insertOne.mock.calls[collectionMock.insertOne.mock.calls.length - 1][0];
+
+    test('should register the history and revert routes', () => {
+      expect(fastifyMock.get.mock.calls.map(([url]) => url)).toEqual([
+        '/api/users',
+        '/api/users/:id',
+        '/api/users/:id/history',
+        '/api/users/:id/history/:revision',
+        '/api/users/_aggregate',
+        '/api/users/_facets',
+        '/api/users/_distinct/:field'
+      ]);
+      expect(fastifyMock.post.mock.calls[1][0]).toBe('/api/users/:id/revert/:revision');
+    });
+
+    test('should record creations, updates and deletions', async () => {
+      await fastifyMock.post.mock.calls[0][2]({ body: { name: 'New Test' }, user: { id: 'u1' } }, reply());
+      expect(lastEntry()).toMatchObject({
+        collectionName: 'users',
+        documentId: 'new-id',
+        operation: 'create',
+        actor: 'u1',
+        before: null
+      });
+
+      modelMock.findByIdAndUpdate.mockResolvedValue({ _id: 'user-123', name: 'Updated', role: 'user' });
+      await fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        headers: { 'content-type': 'application/merge-patch+json' },
+        body: { name: 'Updated' }
+      }, reply());
+      expect(lastEntry()).toMatchObject({
+        documentId: 'user-123',
+        operation: 'update',
+        changes: [{ path: 'name', before: 'Old', after: 'Updated' }]
+      });
+
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'user-123' } }, reply());
+      expect(lastEntry()).toMatchObject({ operation: 'delete', before: { _id: 'mocked-id' }, after: null });
+    });
+
+    test('should list the revisions without hidden fields', async () => {
+      const result = await fastifyMock.get.mock.calls[2][2]({ params: { id: 'user-123' } });
+
+      expect(result.data).toEqual([
+        {
+          revision: 1,
+          operation: 'create',
+          actor: 'u1',
+          changes: [
+            { path: 'id', before: undefined, after: 'user-123' },
+            { path: 'name', before: undefined, after: 'First' }
+          ]
+        },
+        {
+          revision: 2,
+          operation: 'update',
+          actor: 'u2',
+          changes: [{ path: 'name', before: 'First', after: 'Old' }]
+        }
+      ]);
+    });
+
+    test('should answer 404 without history', async () => {
+      entries = [];
+      await expect(fastifyMock.get.mock.calls[2][2]({ params: { id: 'user-123' } }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should return a revision with the document as it was', async () => {
+      const result = await fastifyMock.get.mock.calls[3][2]({ params: { id: 'user-123', revision: 2 } });
+      expect(result.document).toEqual({ id: 'user-123', name: 'Old' });
+
+      await expect(fastifyMock.get.mock.calls[3][2]({ params: { id: 'user-123', revision: 9 } }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Revision not found' });
+    });
+
+    test('should revert to a revision, keeping protected fields', async () => {
+      entries[0].after.role = 'admin';
+      modelMock.findOneAndReplace.mockResolvedValue({ _id: 'user-123', name: 'First', role: 'user' });
+
+      const result = await fastifyMock.post.mock.calls[1][2]({ params: { id: 'user-123', revision: 1 } }, reply());
+
+      expect(modelMock.findOneAndReplace).toHaveBeenCalledWith(
+        { _id: 'user-123' },
+        { _id: 'user-123', name: 'First', passwordHash: 'a', role: 'user' },
+        expect.any(Object)
+      );
+      expect(lastEntry()).toMatchObject({ operation: 'revert', revertedFrom: 1 });
+      expect(result).toEqual({ id: 'user-123', name: 'First', role: 'user' });
+    });
+
+    test('should not revert to a deletion or a missing document', async () => {
+      entries.push({ revision: 3, operation: 'delete', before: entries[1].after, after: null });
+      await expect(fastifyMock.post.mock.calls[1][2]({ params: { id: 'user-123', revision: 3 } }, reply()))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidRevision' });
+
+      current = null;
+      await expect(fastifyMock.post.mock.calls[1][2]({ params: { id: 'user-123', revision: 1 } }, reply()))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('change feed', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn() });
+    let eventBus;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      eventBus = { publish: jest.fn() };
+      modelMock.schema.paths.deletedAt = { instance: 'Date' };
+      modelMock.findOne = jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test' });
+      modelMock.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'mocked-id', name: 'Test', deletedAt: new Date() });
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        softDelete: { users: true },
+        events: { users: true },
+        eventBus
+      });
+    });
+
+    test('should publish creations and deletions', async () => {
+      await fastifyMock.post.mock.calls[0][2]({ body: { name: 'New Test' } }, reply());
+      expect(eventBus.publish).toHaveBeenCalledWith('users', 'create', null, expect.objectContaining({ _id: 'new-id' }));
+
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'mocked-id' }, query: {} }, reply());
+      expect(eventBus.publish).toHaveBeenLastCalledWith(
+        'users', 'delete', expect.objectContaining({ _id: 'mocked-id' }), expect.objectContaining({ deletedAt: expect.any(Date) })
+      );
+    });
+
+    test('should not publish the purge of a soft-deleted document', async () => {
+      modelMock.findByIdAndDelete.mockResolvedValue({ _id: 'mocked-id', deletedAt: new Date() });
+
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'mocked-id' }, query: { purge: 'true' } }, reply());
+
+      expect(modelMock.findByIdAndDelete).toHaveBeenCalledWith('mocked-id');
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    test('should queue webhook deliveries without hidden fields', async () => {
+      jest.clearAllMocks();
+      const webhookOutbox = {
+        handles: jest.fn(name => name === 'users'),
+        enqueue: jest.fn().mockResolvedValue(1),
+        transaction: jest.fn(fn => fn('session'))
+      };
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        softDelete: { users: true },
+        hiddenFields: { users: ['email'] },
+        webhookOutbox
+      });
+
+      transformDocument.mockImplementation(doc => ({ id: doc._id, name: doc.name, email: 'new@test.com' }));
+      await fastifyMock.post.mock.calls[0][2]({ body: { name: 'New Test' } }, reply());
+      expect(webhookOutbox.enqueue)
+        .toHaveBeenCalledWith('users', 'create', { id: 'new-id', name: 'New Test' }, 'session');
+
+      modelMock.findByIdAndDelete.mockResolvedValue({ _id: 'mocked-id', deletedAt: new Date() });
+      await fastifyMock.delete.mock.calls[0][2]({ params: { id: 'mocked-id' }, query: { purge: 'true' } }, reply());
+      expect(modelMock.findByIdAndDelete).toHaveBeenCalledWith('mocked-id', { session: 'session' });
+      expect(webhookOutbox.enqueue).toHaveBeenCalledTimes(1);
+    });
+
+    test('should hide fields of webhook payloads for an anonymous request', async () => {
+      jest.clearAllMocks();
+      const webhookOutbox = {
+        handles: jest.fn(name => name === 'users'),
+        enqueue: jest.fn().mockResolvedValue(1),
+        transaction: jest.fn(fn => fn('session'))
+      };
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        hiddenFields: { users: request => (request.user && request.user.isAdmin ? [] : ['email']) },
+        webhookOutbox
+      });
+
+      transformDocument.mockImplementation(doc => ({ id: doc._id, name: doc.name, email: 'new@test.com' }));
+      const result = await fastifyMock.post.mock.calls[0][2]({
+        body: { name: 'New Test' },
+        user: { isAdmin: true }
+      }, reply());
+
+      expect(result.email).toBe('new@test.com');
+      expect(webhookOutbox.enqueue)
+        .toHaveBeenCalledWith('users', 'create', { id: 'new-id', name: 'New Test' }, 'session');
+    });
+
+    test('should queue webhook deliveries in the transaction of the write', async () => {
+      jest.clearAllMocks();
+      const webhookOutbox = {
+        handles: jest.fn(name => name === 'users'),
+        enqueue: jest.fn().mockResolvedValue(1),
+        transaction: jest.fn(fn => fn('session'))
+      };
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { methods: options.methods, webhookOutbox });
+
+      modelMock.findById.mockResolvedValue({ _id: 'user-123', name: 'Old' });
+      modelMock.findByIdAndUpdate.mockResolvedValue({ _id: 'user-123', name: 'New' });
+      await fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New' },
+        headers: {}
+      }, reply());
+
+      expect(modelMock.findByIdAndUpdate).toHaveBeenCalledWith(
+        'user-123',
+        { $set: { name: 'New' } },
+        { new: true, runValidators: true, session: 'session' }
+      );
+      expect(webhookOutbox.enqueue).toHaveBeenCalledWith('users', 'update', expect.anything(), 'session');
+
+      webhookOutbox.enqueue.mockClear();
+      modelMock.findByIdAndUpdate.mockRejectedValue(new Error('write failed'));
+      await expect(fastifyMock.patch.mock.calls[0][2]({
+        params: { id: 'user-123' },
+        body: { name: 'New' },
+        headers: {}
+      }, reply())).rejects.toThrow('write failed');
+      expect(webhookOutbox.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should record audit entries in the transaction of the write', async () => {
+      jest.clearAllMocks();
+      const collectionMock = {
+        createIndex: jest.fn().mockResolvedValue('index'),
+        find: jest.fn(() => ({
+          sort: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockReturnThis(),
+          toArray: jest.fn().mockResolvedValue([])
+        })),
+        insertOne: jest.fn().mockResolvedValue({})
+      };
+      modelMock.db = { collection: jest.fn().mockReturnValue(collectionMock) };
+      const webhookOutbox = {
+        handles: jest.fn(name => name === 'users'),
+        enqueue: jest.fn().mockResolvedValue(1),
+        transaction: jest.fn(fn => fn('session'))
+      };
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        audit: { users: true },
+        webhookOutbox,
+        eventBus,
+        events: { users: true }
+      });
+
+      try {
+        modelMock.findById.mockResolvedValue({ _id: 'user-123', name: 'Old' });
+        modelMock.findByIdAndUpdate.mockResolvedValue({ _id: 'user-123', name: 'New' });
+        await fastifyMock.patch.mock.calls[0][2]({
+          params: { id: 'user-123' },
+          body: { name: 'New' },
+          headers: {}
+        }, reply());
+
+        expect(collectionMock.insertOne).toHaveBeenCalledWith(
+          expect.objectContaining({ operation: 'update', documentId: 'user-123' }),
+          { session: 'session' }
+        );
+        expect(eventBus.publish).toHaveBeenCalledWith(
+          'users',
+          'update',
+          { _id: 'user-123', name: 'Old' },
+          { _id: 'user-123', name: 'New' }
+        );
+
+        // Failed transactions are not published
+        eventBus.publish.mockClear();
+        webhookOutbox.enqueue.mockRejectedValue(new Error('queue failed'));
+        await expect(fastifyMock.patch.mock.calls[0][2]({
+          params: { id: 'user-123' },
+          body: { name: 'New' },
+          headers: {}
+        }, reply())).rejects.toThrow('queue failed');
+        expect(eventBus.publish).not.toHaveBeenCalled();
+      } finally {
+        delete modelMock.db;
+      }
+    });
+
+    test('should not publish for models without a change feed', async () => {
+      jest.clearAllMocks();
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { methods: options.methods, eventBus });
+
+      await fastifyMock.post.mock.calls[0][2]({ body: { name: 'New Test' } }, reply());
+
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aggregation', () => {
+    const getRoute = route => fastifyMock.get.mock.calls.find(([url]) => url === route)[2];
+    const aggregateRoute = () => getRoute('/api/users/_aggregate');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      modelMock.schema.paths.deletedAt = { instance: 'Date' };
+      modelMock.schema.paths.secret = { instance: 'Number' };
+      modelMock.find = jest.fn(filter => ({ cast: () => filter }));
+      modelMock.aggregate = jest.fn().mockResolvedValue([{ _id: { g0: 'Ada' }, m0: 2, m1: 60 }]);
+
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', {
+        methods: options.methods,
+        softDelete: { users: true },
+        hiddenFields: { users: ['secret'] },
+        policies: { users: { GET: { filter: request => ({ owner: request.user.id }) } } },
+        hooks: {
+          users: {
+            beforeList: (request, model, context) => ({ ...context, filter: { active: true } })
+          }
+        }
+      });
+    });
+
+    test('should aggregate the documents the list route would return', async () => {
+      const result = await aggregateRoute()({
+        query: { groupBy: 'name', metrics: 'count,sum:age', age: '30' },
+        user: { id: 'me' }
+      });
+
+      expect(modelMock.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { age: 30, active: true, deletedAt: null, $and: [{ owner: 'me' }] }
+      });
+      expect(result).toEqual({ data: [{ group: { name: 'Ada' }, count: 2, sum: { age: 60 } }] });
+    });
+
+    test('should not group or measure hidden fields', async () => {
+      await expect(aggregateRoute()({ query: { metrics: 'sum:secret' }, user: { id: 'me' } }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidAggregation' });
+      expect(modelMock.aggregate).not.toHaveBeenCalled();
+    });
+
+    test('should count field values in a single facet aggregation', async () => {
+      modelMock.aggregate.mockResolvedValue([{ f0: [{ _id: 'Ada', count: 2 }], f1: [{ _id: 30, count: 1 }] }]);
+
+      const result = await getRoute('/api/users/_facets')({
+        query: { fields: 'name,age', search: 'A' },
+        user: { id: 'me' }
+      });
+
+      expect(modelMock.aggregate).toHaveBeenCalledTimes(1);
+      expect(modelMock.aggregate.mock.calls[0][0][0].$match).toEqual({
+        active: true,
+        deletedAt: null,
+        $and: [
+          { owner: 'me' },
+          { $or: [{ name: { $regex: 'A', $options: 'i' } }, { email: { $regex: 'A', $options: 'i' } }] }
+        ]
+      });
+      expect(result).toEqual({ data: { name: [{ value: 'Ada', count: 2 }], age: [{ value: 30, count: 1 }] } });
+    });
+
+    test('should list the distinct values of a visible field', async () => {
+      modelMock.aggregate.mockResolvedValue([{ f0: [{ _id: 'Ada', count: 2 }, { _id: 'Bob', count: 1 }] }]);
+      const distinctRoute = getRoute('/api/users/_distinct/:field');
+
+      await expect(distinctRoute({ params: { field: 'name' }, query: {}, user: { id: 'me' } }))
+        .resolves.toEqual({ data: ['Ada', 'Bob'] });
+      await expect(distinctRoute({ params: { field: 'secret' }, query: {}, user: { id: 'me' } }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidAggregation' });
+    });
+  });
+
+  describe('nested scope', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn(), header: jest.fn() });
+    const scope = { author: 'cast-author-1' };
+
+    beforeEach(() => {
+      modelMock.exists = jest.fn().mockResolvedValue(null);
+    });
+
+    test('should return the list and single resource handlers', () => {
+      expect(Object.keys(returnedValue.handlers)).toEqual(['list', 'get', 'create', 'replace', 'remove']);
+    });
+
+    test('should only list documents of the parent', async () => {
+      await returnedValue.handlers.list({ query: { age: '30', author: 'other' } }, reply(), scope);
+
+      expect(buildQuery).toHaveBeenCalledWith(
+        modelMock,
+        { age: 30, author: 'cast-author-1' },
+        expect.any(Object)
+      );
+    });
+
+    test('should force the parent reference on created documents', async () => {
+      await returnedValue.handlers.create({ body: { name: 'New', author: 'other' } }, reply(), scope);
+
+      expect(modelMock).toHaveBeenCalledWith({ name: 'New', author: 'cast-author-1' });
+    });
+
+    test('should not find documents of another parent', async () => {
+      modelMock.exists.mockResolvedValue({ _id: 'user-123' });
+      const request = { params: { id: 'user-123' }, query: {}, body: { name: 'Replaced' } };
+
+      await expect(returnedValue.handlers.get(request, reply(), scope))
+        .rejects.toMatchObject({ statusCode: 404, error: 'NotFound' });
+      await expect(returnedValue.handlers.replace(request, reply(), scope))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(returnedValue.handlers.remove(request, reply(), scope))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      expect(modelMock.exists).toHaveBeenCalledWith({ _id: 'user-123', $nor: [scope] });
+      expect(modelMock.findOneAndReplace).not.toHaveBeenCalled();
+      expect(modelMock.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    test('should handle documents of the parent as usual', async () => {
+      await returnedValue.handlers.remove({ params: { id: 'user-123' }, headers: {} }, reply(), scope);
+
+      expect(modelMock.findByIdAndDelete).toHaveBeenCalledWith('user-123');
+    });
+
+    test('should not check the scope on top level routes', async () => {
+      await fastifyMock.get.mock.calls[1][2]({ params: { id: 'user-123' }, query: {} }, reply());
+
+      expect(modelMock.exists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('memberships', () => {
+    const reply = () => ({ code: jest.fn().mockReturnThis(), send: jest.fn(), header: jest.fn() });
+    const route = (method, url) => fastifyMock[method].mock.calls.find(call => call[0] === url)[2];
+    const request = { params: { id: 'user-123', refId: 'tag-1' }, headers: {} };
+
+    const setup = (extra = {}) => {
+      jest.clearAllMocks();
+      modelMock.schema.paths.tags = {
+        instance: 'Array',
+        options: {},
+        caster: { instance: 'ObjectId', options: { ref: 'Tag' }, cast: jest.fn(id => `cast-${id}`) }
+      };
+      modelMock.db = {
+        models: { Tag: { collection: { name: 'tags' }, exists: jest.fn().mockResolvedValue({ _id: 'tag-1' }) } }
+      };
+      modelMock.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'user-123', tags: ['cast-tag-1'] });
+      setupCrudRoutes(fastifyMock, modelMock, '/api/users', { ...options, ...extra });
+    };
+
+    afterEach(() => {
+      delete modelMock.schema.paths.tags;
+      delete modelMock.db;
+    });
+
+    test('should register membership routes for arrays of references', () => {
+      setup();
+
+      expect(fastifyMock.post.mock.calls.map(call => call[0])).toContain('/api/users/:id/tags/:refId');
+      expect(fastifyMock.delete.mock.calls.map(call => call[0])).toContain('/api/users/:id/tags/:refId');
+    });
+
+    test('should add and remove references', async () => {
+      setup();
+
+      const result = await route('post', '/api/users/:id/tags/:refId')(request, reply());
+      await route('delete', '/api/users/:id/tags/:refId')(request, reply());
+
+      expect(modelMock.db.models.Tag.exists).toHaveBeenCalledTimes(1);
+      expect(modelMock.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { _id: 'user-123' },
+        { $addToSet: { tags: 'cast-tag-1' } },
+        { new: true, runValidators: true }
+      );
+      expect(modelMock.findOneAndUpdate.mock.calls[1][1]).toEqual({ $pull: { tags: 'cast-tag-1' } });
+      expect(result).toEqual({ id: 'mocked-id', _id: 'user-123', tags: ['cast-tag-1'] });
+    });
+
+    test('should pass the membership change to the beforeUpdate hook', async () => {
+      const beforeUpdate = jest.fn(async (req, model, change) => ({ ...change, id: `${change.id}-normalized` }));
+      setup({ hooks: { users: { beforeUpdate } } });
+
+      await route('post', '/api/users/:id/tags/:refId')(request, reply());
+      await route('delete', '/api/users/:id/tags/:refId')(request, reply());
+
+      expect(beforeUpdate.mock.calls.map(([, , change]) => change)).toEqual([
+        { path: 'tags', id: 'tag-1', operation: 'add' },
+        { path: 'tags', id: 'tag-1', operation: 'remove' }
+      ]);
+      expect(modelMock.db.models.Tag.exists).toHaveBeenCalledWith({ _id: 'tag-1-normalized' });
+      expect(modelMock.findOneAndUpdate.mock.calls.map(([, update]) => update)).toEqual([
+        { $addToSet: { tags: 'cast-tag-1-normalized' } },
+        { $pull: { tags: 'cast-tag-1-normalized' } }
+      ]);
+    });
+
+    test('should not add references to missing documents', async () => {
+      setup();
+      modelMock.db.models.Tag.exists.mockResolvedValue(null);
+
+      await expect(route('post', '/api/users/:id/tags/:refId')(request, reply()))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Referenced resource not found' });
+      expect(modelMock.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should answer 404 when the document does not exist', async () => {
+      setup();
+      modelMock.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(route('delete', '/api/users/:id/tags/:refId')(request, reply()))
+        .rejects.toMatchObject({ statusCode: 404, error: 'NotFound' });
+    });
+
+    test('should protect read-only arrays', async () => {
+      setup({ readOnlyFields: { users: ['tags'] } });
+
+      await expect(route('post', '/api/users/:id/tags/:refId')(request, reply()))
+        .rejects.toMatchObject({ statusCode: 400, error: 'ReadOnlyField' });
+    });
+
+    test('should follow the PATCH method', () => {
+      isMethodAllowed.mockImplementation((model, method) => method !== 'PATCH');
+      setup();
+
+      expect(fastifyMock.post.mock.calls.map(call => call[0])).not.toContain('/api/users/:id/tags/:refId');
+    });
+  });
 });
@@ -0,0 +1,156 @@
+const { EventEmitter } = require('events');
+const { setupEventRoutes } = require('../../src/routes/events');
+const { createEventBus } = require('../../src/utils/events');
+const { isMethodAllowed } = require('../../src/validators/method');
+
+// Mock external modules
+jest.mock('../../src/validators/method');
+
+describe('Event Routes', () => {
+  let fastifyMock;
+  let modelMock;
+  let eventBus;
+  let options;
+
+  // Flush the queued event writes
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const connect = async (request = {}) => {
+    const raw = { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() };
+    const reply = { hijack: jest.fn(), raw };
+    const req = {
+      query: {},
+      headers: {},
+      log: { error: jest.fn() },
+      raw: new EventEmitter(),
+      ...request
+    };
+    await fastifyMock.get.mock.calls[0][2](req, reply);
+    const events = () => raw.write.mock.calls.map(([chunk]) => chunk).filter(chunk => chunk.startsWith('id:'));
+    return { req, reply, raw, events };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    isMethodAllowed.mockReturnValue(true);
+
+    fastifyMock = { get: jest.fn() };
+    modelMock = {
+      collection: { name: 'posts' },
+      schema: {
+        paths: {
+          title: { instance: 'String' },
+          status: { instance: 'String', cast: jest.fn(value => value) },
+          secret: { instance: 'String' }
+        }
+      },
+      db: { db: { admin: () => ({ command: jest.fn().mockResolvedValue({}) }) } },
+      watch: jest.fn()
+    };
+    eventBus = createEventBus();
+    options = {
+      methods: { posts: ['GET'] },
+      events: { posts: true },
+      eventBus,
+      hiddenFields: { posts: ['secret'] }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should only register the feed of enabled models that can be read', () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', { ...options, events: {} });
+    expect(fastifyMock.get).not.toHaveBeenCalled();
+
+    isMethodAllowed.mockReturnValue(false);
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+    expect(fastifyMock.get).not.toHaveBeenCalled();
+  });
+
+  test('should register the feed with its schema', () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    expect(fastifyMock.get.mock.calls[0][0]).toBe('/api/posts/_events');
+    expect(fastifyMock.get.mock.calls[0][1].schema.produces).toEqual(['text/event-stream']);
+  });
+
+  test('should stream events without hidden fields', async () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+    const { reply, raw, events } = await connect();
+
+    eventBus.publish('posts', 'create', null, { _id: 'p1', title: 'New', secret: 'x' });
+    await flush();
+
+    expect(reply.hijack).toHaveBeenCalled();
+    expect(raw.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(events()).toEqual(['id: 1\nevent: created\ndata: {"id":"p1","title":"New"}\n\n']);
+  });
+
+  test('should apply list filters and policies', async () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', {
+      ...options,
+      policies: { posts: { GET: { filter: request => ({ title: request.user.title }) } } }
+    });
+    const { events } = await connect({ query: { status: 'published' }, user: { title: 'Mine' } });
+
+    eventBus.publish('posts', 'create', null, { _id: 'p1', title: 'Mine', status: 'draft' });
+    eventBus.publish('posts', 'create', null, { _id: 'p2', title: 'Other', status: 'published' });
+    eventBus.publish('posts', 'delete', { _id: 'p3', title: 'Mine', status: 'published' }, null);
+    await flush();
+
+    expect(events()).toEqual(['id: 3\nevent: deleted\ndata: {"id":"p3","title":"Mine","status":"published"}\n\n']);
+  });
+
+  test('should reject invalid filters before streaming', async () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    await expect(connect({ query: { secret: 'x' } })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should resume after the Last-Event-ID', async () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+    eventBus.publish('posts', 'create', null, { _id: 'p1' });
+    eventBus.publish('posts', 'create', null, { _id: 'p2' });
+
+    const { events } = await connect({ headers: { 'last-event-id': '1' } });
+    await flush();
+
+    expect(events()).toEqual(['id: 2\nevent: created\ndata: {"id":"p2"}\n\n']);
+  });
+
+  test('should send heartbeats and stop on disconnect', async () => {
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+    const { req, raw, events } = await connect();
+
+    jest.advanceTimersByTime(15000);
+    expect(raw.write).toHaveBeenLastCalledWith(': heartbeat\n\n');
+
+    req.raw.emit('close');
+    eventBus.publish('posts', 'create', null, { _id: 'p1' });
+    jest.advanceTimersByTime(15000);
+    await flush();
+
+    expect(events()).toEqual([]);
+    expect(raw.write.mock.calls.filter(([chunk]) => chunk === ': heartbeat\n\n')).toHaveLength(1);
+  });
+
+  test('should use change streams when available', async () => {
+    const stream = new EventEmitter();
+    stream.close = jest.fn();
+    modelMock.watch.mockReturnValue(stream);
+    modelMock.db.db.admin = () => ({ command: jest.fn().mockResolvedValue({ setName: 'rs0' }) });
+    setupEventRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    const { req, events } = await connect({ headers: { 'last-event-id': 'token' } });
+    stream.emit('change', { _id: { _data: 't2' }, documentKey: { _id: 'p1' }, operationType: 'delete' });
+    await flush();
+    req.raw.emit('close');
+
+    expect(modelMock.watch).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ resumeAfter: { _data: 'token' } }));
+    expect(events()).toEqual(['id: t2\nevent: deleted\ndata: {"id":"p1"}\n\n']);
+    expect(stream.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+const { setupExportRoutes } = require('../../src/routes/export');
+const { isMethodAllowed } = require('../../src/validators/method');
+
+// Mock external modules
+jest.mock('../../src/validators/method');
+
+describe('Export Routes', () => {
+  let fastifyMock;
+  let modelMock;
+  let queryMock;
+  let docs;
+  let options;
+
+  // Read the streamed payload of a reply
+  const exportWith = async (request) => {
+    const reply = {
+      type: jest.fn().mockReturnThis(),
+      header: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+    await fastifyMock.get.mock.calls[0][2]({ query: {}, headers: {}, ...request }, reply);
+
+    let body = '';
+    for await (const chunk of reply.send.mock.calls[0][0]) {
+      body += chunk;
+    }
+    return { reply, body };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isMethodAllowed.mockReturnValue(true);
+
+    docs = [
+      { _id: 'p1', title: 'Hello, world', secret: 'x', meta: { views: 3 }, author: { _id: 'a1', name: 'Ada', email: 'ada@test.com' } },
+      { _id: 'p2', title: 'Second', secret: 'y', meta: {}, author: null }
+    ];
+    queryMock = {
+      select: jest.fn().mockReturnThis(),
+      or: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      cursor: jest.fn(() => (async function* cursor() {
+        yield* docs;
+      })())
+    };
+
+    fastifyMock = { get: jest.fn() };
+    modelMock = {
+      collection: { name: 'posts' },
+      schema: {
+        paths: {
+          _id: { instance: 'ObjectId' },
+          title: { instance: 'String', cast: jest.fn(value => value) },
+          secret: { instance: 'String' },
+          'meta.views': { instance: 'Number' },
+          author: { instance: 'ObjectId', options: { ref: 'Author' } },
+          deletedAt: { instance: 'Date' }
+        }
+      },
+      db: {
+        models: {
+          Author: {
+            collection: { name: 'authors' },
+            schema: { paths: { _id: {}, name: {}, email: {} } }
+          }
+        }
+      },
+      find: jest.fn().mockReturnValue(queryMock)
+    };
+    options = {
+      methods: { posts: ['GET'] },
+      hiddenFields: { posts: ['secret'], authors: ['email'] }
+    };
+  });
+
+  test('should only register the export when GET is allowed', () => {
+    isMethodAllowed.mockReturnValue(false);
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+    expect(fastifyMock.get).not.toHaveBeenCalled();
+
+    isMethodAllowed.mockReturnValue(true);
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+    expect(fastifyMock.get.mock.calls[0][0]).toBe('/api/posts/_export');
+    expect(fastifyMock.get.mock.calls[0][1].schema.querystring.properties.format.enum).toEqual(['csv', 'ndjson']);
+  });
+
+  test('should stream NDJSON without hidden fields', async () => {
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    const { reply, body } = await exportWith({});
+
+    expect(reply.type).toHaveBeenCalledWith('application/x-ndjson');
+    expect(reply.header).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="posts.ndjson"');
+    expect(body.split('\n')).toEqual([
+      JSON.stringify({ id: 'p1', title: 'Hello, world', meta: { views: 3 }, author: { _id: 'a1', name: 'Ada' } }),
+      JSON.stringify({ id: 'p2', title: 'Second', meta: {}, author: null }),
+      ''
+    ]);
+  });
+
+  test('should stream CSV with dotted columns and populated references', async () => {
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    const { reply, body } = await exportWith({ query: { format: 'csv', populate: 'author' } });
+
+    expect(reply.type).toHaveBeenCalledWith('text/csv; charset=utf-8');
+    expect(body).toBe([
+      'id,title,meta.views,author._id,author.name,deletedAt',
+      'p1,"Hello, world",3,a1,Ada,',
+      'p2,Second,,,,',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('should negotiate CSV and respect the projection', async () => {
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    const { body } = await exportWith({ query: { fields: 'title' }, headers: { accept: 'text/csv' } });
+
+    expect(queryMock.select).toHaveBeenCalledWith({ title: 1 });
+    expect(body.split('\r\n')[0]).toBe('id,title');
+  });
+
+  test('should reuse the list filters, search, sort, soft delete and policies', async () => {
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', {
+      ...options,
+      softDelete: { posts: true },
+      policies: { posts: { GET: { filter: () => ({ author: 'a1' }) } } },
+      hooks: { posts: { beforeList: (request, model, context) => ({ ...context, filter: { published: true } }) } }
+    });
+
+    await exportWith({ query: { title: 'Hello', search: 'hel', sort: '{"title":1}', page: '2', limit: '1' } });
+
+    expect(modelMock.find).toHaveBeenCalledWith({
+      title: 'Hello',
+      published: true,
+      deletedAt: null,
+      $and: [{ author: 'a1' }, { $or: [{ title: { $regex: 'hel', $options: 'i' } }] }]
+    });
+    expect(queryMock.sort).toHaveBeenCalledWith({ title: 1 });
+  });
+
+  test('should reject hidden filters before streaming', async () => {
+    setupExportRoutes(fastifyMock, modelMock, '/api/posts', options);
+
+    await expect(exportWith({ query: { secret: 'x' } })).rejects.toMatchObject({ statusCode: 400 });
+    expect(queryMock.cursor).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+const { setupImportRoutes } = require('../../src/routes/import');
+const { isMethodAllowed } = require('../../src/validators/method');
+
+// Mock external modules
+jest.mock('../../src/validators/method');
+
+describe('Import Routes', () => {
+  let fastifyMock;
+  let modelMock;
+  let stored;
+  let options;
+
+  // Build a Mongoose-like ValidationError
+  const validationError = (field, message) => Object.assign(new Error('Validation failed'), {
+    name: 'ValidationError',
+    errors: { [field]: { path: field, message } }
+  });
+
+  const importWith = (body, query = {}, contentType = 'text/csv') =>
+    fastifyMock.post.mock.calls[0][2]({ body, query, headers: { 'content-type': contentType } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isMethodAllowed.mockReturnValue(true);
+
+    let counter = 0;
+    modelMock = jest.fn().mockImplementation(document => {
+      counter += 1;
+      const _id = { toString: () => `new-${counter}` };
+      return {
+        _id,
+        validate: jest.fn().mockImplementation(async () => {
+          if (!document.name) throw validationError('name', 'Path `name` is required.');
+        }),
+        toObject: () => ({ _id, ...document })
+      };
+    });
+    modelMock.collection = { name: 'users' };
+    modelMock.schema = {
+      paths: {
+        _id: { instance: 'ObjectId', options: {} },
+        name: { instance: 'String', options: {} },
+        email: { instance: 'String', options: {}, cast: jest.fn(value => String(value).toLowerCase()) },
+        password: { instance: 'String', options: {} },
+        tags: { instance: 'Array', options: {} },
+        'address.city': { instance: 'String', options: {} }
+      }
+    };
+    stored = [{ _id: 'id-1', email: 'old@test.com' }];
+    // Keys are looked up with lean(), the bulk writer selects the ids
+    modelMock.find = jest.fn().mockImplementation(() => ({
+      select: jest.fn(() => Object.assign(Promise.resolve(stored), { lean: jest.fn().mockResolvedValue(stored) }))
+    }));
+    modelMock.validate = jest.fn().mockResolvedValue();
+    modelMock.bulkWrite = jest.fn().mockResolvedValue({});
+
+    fastifyMock = { post: jest.fn() };
+    options = {
+      methods: { users: ['GET', 'POST', 'PUT'] },
+      importMapping: { users: { 'E-mail': 'email', Notes: null } },
+      hiddenFields: { users: ['password'] }
+    };
+    setupImportRoutes(fastifyMock, modelMock, '/api/users', options);
+  });
+
+  test('should register the import route when POST is allowed', () => {
+    expect(fastifyMock.post.mock.calls[0][0]).toBe('/api/users/_import');
+    expect(fastifyMock.post.mock.calls[0][1].schema.consumes).toEqual(['text/csv', 'application/x-ndjson']);
+
+    jest.clearAllMocks();
+    isMethodAllowed.mockImplementation((name, method) => method !== 'POST');
+    setupImportRoutes(fastifyMock, modelMock, '/api/users', options);
+
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+  });
+
+  test('should reject bodies that are not CSV or NDJSON or cannot be split into rows', async () => {
+    await expect(importWith('{}', {}, 'application/json'))
+      .rejects.toMatchObject({ statusCode: 415, error: 'UnsupportedMediaType' });
+    await expect(importWith('name\nAda\n"\n'))
+      .rejects.toMatchObject({ statusCode: 400, error: 'ParseError' });
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('should insert mapped CSV rows and report each row', async () => {
+    const result = await importWith(
+      'name,E-mail,tags,address.city,Notes\r\nAda,ada@test.com,"[""a""]",London,hi\r\n,bob@test.com,,,\r\nbroken\r\n'
+    );
+
+    expect(modelMock).toHaveBeenCalledWith({
+      name: 'Ada',
+      email: 'ada@test.com',
+      tags: ['a'],
+      address: { city: 'London' }
+    });
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { insertOne: { document: expect.objectContaining({ name: 'Ada' }) } }
+    ], { ordered: false });
+    expect(result).toEqual({
+      success: false,
+      dryRun: false,
+      summary: { total: 3, succeeded: 1, failed: 2, skipped: 0 },
+      ignoredColumns: ['Notes'],
+      results: [
+        { row: 1, op: 'create', status: 'success', id: 'new-1' },
+        {
+          row: 2,
+          op: 'create',
+          status: 'error',
+          error: 'ValidationError',
+          message: 'Invalid data provided',
+          details: [{ field: 'name', message: 'Path `name` is required.' }]
+        },
+        { row: 3, status: 'error', error: 'ParseError', message: 'Expected 5 fields, found 1' }
+      ]
+    });
+  });
+
+  test('should only validate rows in a dry run', async () => {
+    const result = await importWith('{"name":"Ada"}\n{"name":"Bob","extra":1}\n', { dryRun: true }, 'application/x-ndjson');
+
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+    expect(result.dryRun).toBe(true);
+    expect(result.summary).toEqual({ total: 2, succeeded: 2, failed: 0, skipped: 0 });
+    expect(result.ignoredColumns).toEqual(['extra']);
+    expect(result.results.map(({ status }) => status)).toEqual(['valid', 'valid']);
+  });
+
+  test('should skip the rows after the first error in ordered mode', async () => {
+    const ordered = await importWith('{"name":"Ada"}\n{bad\n{"name":"Bob"}\n', { ordered: true }, 'application/x-ndjson');
+
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([expect.any(Object)], { ordered: true });
+    expect(ordered.results.map(({ status }) => status)).toEqual(['success', 'error', 'skipped']);
+  });
+
+  test('should update the documents matching the key and create the others in upsert mode', async () => {
+    const result = await importWith(
+      'name,E-mail\nOld,OLD@test.com\nNew,new@test.com\nNoKey,\n',
+      { mode: 'upsert', key: 'email' }
+    );
+
+    expect(modelMock.find).toHaveBeenCalledWith({ email: { $in: ['old@test.com', 'new@test.com'] } });
+    expect(modelMock.validate).toHaveBeenCalledWith({ name: 'Old' }, ['name']);
+    expect(modelMock.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: 'id-1' }, update: { $set: { name: 'Old' } } } },
+      { insertOne: { document: expect.objectContaining({ name: 'New', email: 'new@test.com' }) } },
+      { insertOne: { document: expect.objectContaining({ name: 'NoKey' }) } }
+    ], { ordered: false });
+    expect(result.results.map(({ op, status }) => `${op}:${status}`))
+      .toEqual(['update:success', 'create:success', 'create:success']);
+  });
+
+  test('should report rows whose key matches several documents', async () => {
+    stored.push({ _id: 'id-2', email: 'old@test.com' });
+
+    const result = await importWith('name,E-mail\nOld,old@test.com\n', { mode: 'upsert', key: 'email' });
+
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+    expect(result.results).toEqual([{
+      row: 1,
+      status: 'error',
+      error: 'Conflict',
+      message: 'Several users documents match email "old@test.com"'
+    }]);
+  });
+
+  test('should reject upsert keys that are unknown or hidden', async () => {
+    await expect(importWith('name\nAda\n', { mode: 'upsert', key: 'nope' }))
+      .rejects.toMatchObject({ statusCode: 400, error: 'InvalidKey' });
+    await expect(importWith('name\nAda\n', { mode: 'upsert', key: 'password' }))
+      .rejects.toMatchObject({ statusCode: 400, error: 'InvalidKey' });
+    expect(modelMock.find).not.toHaveBeenCalled();
+  });
+
+  test('should refuse upserts of models requiring If-Match', async () => {
+    fastifyMock.post.mockClear();
+    setupImportRoutes(fastifyMock, modelMock, '/api/users', { ...options, requireIfMatch: { users: true } });
+
+    await expect(importWith('E-mail,name\nold@test.com,Ada\n', { mode: 'upsert', key: 'email' }))
+      .rejects.toMatchObject({ statusCode: 428, error: 'PreconditionRequired' });
+    expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+
+    const result = await importWith('name\nAda\n');
+    expect(result.summary.succeeded).toBe(1);
+  });
+});
@@ -1,4 +1,5 @@
 const { setupNestedRoutes } = require('../../src/routes/nested');
+const { setupCrudRoutes } = require('../../src/routes/crud');
 const { isMethodAllowed } = require('../../src/validators/method');
 const { transformDocument } = require('../../src/utils/document');
 const { buildQuery } = require('../../src/utils/query');
@@ -57,7 +58,8 @@ describe('Nested Routes', () => {
           category: {
             options: { ref: 'Category' },
             cast: jest.fn(id => `cast-${id}`)
-          }
+          },
+          featured: { instance: 'Boolean', cast: jest.fn(value => value === 'true') }
         }
       },
       countDocuments: jest.fn().mockResolvedValue(2)
@@ -73,8 +75,15 @@ describe('Nested Routes', () => {
     };
   });
 
+  // Nested lists run the list handler of the CRUD routes of the model
+  const setup = (setupOptions = {}, fields = referenceFields) => {
+    const crudFastify = { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() };
+    const { handlers } = setupCrudRoutes(crudFastify, modelMock, `${prefix}/posts`, setupOptions);
+    setupNestedRoutes(fastifyMock, modelMock, prefix, fields, { ...setupOptions, handlers: { list: handlers.list } });
+  };
+
   test('should check if GET method is allowed', () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     expect(isMethodAllowed).toHaveBeenCalledWith('posts', 'GET', options.methods);
   });
@@ -83,27 +92,65 @@ describe('Nested Routes', () => {
     // Configure isMethodAllowed to deny GET
     isMethodAllowed.mockReturnValue(false);
     
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     expect(fastifyMock.get).not.toHaveBeenCalled();
   });
 
   test('should register a nested route for each reference field', () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Should create two routes (one for author and one for category)
     expect(fastifyMock.get).toHaveBeenCalledTimes(2);
     
     // Verify created routes
+    // Models that are not registered on the connection fall back to the lowercased name
     expect(fastifyMock.get.mock.calls[0][0]).toBe('/api/user/:refId/posts');
     expect(fastifyMock.get.mock.calls[1][0]).toBe('/api/category/:refId/posts');
   });
 
+  test('should nest routes under the collection of the referenced model', () => {
+    modelMock.db = {
+      models: {
+        User: { collection: { name: 'users' } },
+        Category: { collection: { name: 'categories' } }
+      }
+    };
+
+    setup(options);
+
+    expect(fastifyMock.get.mock.calls.map(call => call[0])).toEqual([
+      '/api/users/:refId/posts',
+      '/api/categories/:refId/posts'
+    ]);
+  });
+
+  test('should attach a JSON Schema to nested routes', () => {
+    setup(options);
+
+    const routeOptions = fastifyMock.get.mock.calls[0][1];
+    expect(routeOptions.schema.params.properties).toHaveProperty('refId');
+    expect(routeOptions.schema.querystring.properties).toHaveProperty('limit');
+  });
+
+  test('should answer conditional requests on nested routes', async () => {
+    setup({
+      ...options,
+      cacheControl: { posts: 'public, max-age=30' }
+    });
+
+    const reply = { statusCode: 200, header: jest.fn(), getHeader: jest.fn(), code: jest.fn() };
+    await fastifyMock.get.mock.calls[0][1].onSend({ headers: {} }, reply, '{"data":[]}');
+
+    expect(reply.header).toHaveBeenCalledWith('Cache-Control', 'public, max-age=30');
+    expect(reply.header).toHaveBeenCalledWith('ETag', expect.stringMatching(/^W\//));
+  });
+
   test('should implement correct logic in the nested route handler', async () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the handler for the first route (author)
-    const authorRouteHandler = fastifyMock.get.mock.calls[0][1];
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock for the nested route
     const request = {
@@ -115,7 +162,7 @@ describe('Nested Routes', () => {
         limit: '5',
         sort: '{"createdAt":-1}',
         search: 'test',
-        status: 'published'
+        category: 'tech'
       }
     };
     
@@ -127,13 +174,13 @@ describe('Nested Routes', () => {
       modelMock,
       expect.objectContaining({
         author: 'cast-user-123', // Verify that the reference field was applied correctly
-        status: 'published'
+        category: 'cast-tech',
+        $and: [expect.objectContaining({ $or: expect.any(Array) })]
       }),
       expect.objectContaining({
         page: 2,
         limit: 5,
-        sort: { createdAt: -1 },
-        search: 'test'
+        sort: { createdAt: -1 }
       })
     );
     
@@ -152,10 +199,10 @@ describe('Nested Routes', () => {
   });
 
   test('should use String type search fields from the model', async () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the handler for the first route (author)
-    const authorRouteHandler = fastifyMock.get.mock.calls[0][1];
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock with search
     const request = {
@@ -172,19 +219,78 @@ describe('Nested Routes', () => {
     
     // Verify that buildQuery was called with the correct search fields
     expect(buildQuery).toHaveBeenCalledWith(
-      expect.anything(),
       expect.anything(),
       expect.objectContaining({
-        searchFields: ['title', 'content']
-      })
+        $and: [{
+          $or: [
+            { title: { $regex: 'test', $options: 'i' } },
+            { content: { $regex: 'test', $options: 'i' } }
+          ]
+        }]
+      }),
+      expect.anything()
     );
   });
 
+  test('should translate filter operators and keep the parent reference', async () => {
+    setup(options);
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
+
+    await authorRouteHandler({
+      params: { refId: 'user-123' },
+      query: { 'category[in]': 'a,b', author: 'other-user' }
+    });
+
+    const expectedFilters = {
+      author: 'cast-user-123',
+      category: { $in: ['cast-a', 'cast-b'] }
+    };
+    expect(buildQuery).toHaveBeenCalledWith(modelMock, expectedFilters, expect.anything());
+    expect(modelMock.countDocuments).toHaveBeenCalledWith(expectedFilters);
+  });
+
+  test('should reject unknown, operator and non whitelisted filters', async () => {
+    setup({
+      ...options,
+      filterable: { posts: ['category'] }
+    });
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
+    const request = query => ({ params: { refId: 'user-123' }, query });
+
+    await expect(authorRouteHandler(request({ status: 'active' })))
+      .rejects.toThrow('Unknown filter field "status"');
+    await expect(authorRouteHandler(request({ 'category[$ne]': 'x' })))
+      .rejects.toThrow('Operator "category[$ne]" is not allowed in filters');
+    await expect(authorRouteHandler(request({ title: 'Post' })))
+      .rejects.toThrow('Filtering on "title" is not allowed');
+    expect(buildQuery).not.toHaveBeenCalled();
+  });
+
+  test('should support cursor pagination on nested routes', async () => {
+    setup(options);
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
+
+    const result = await authorRouteHandler({
+      params: { refId: 'user-123' },
+      query: { cursor: '', limit: '1' }
+    });
+
+    expect(buildQuery).toHaveBeenCalledWith(
+      modelMock,
+      { author: 'cast-user-123' },
+      expect.objectContaining({ limit: 2, sort: { _id: -1 } })
+    );
+    expect(modelMock.countDocuments).not.toHaveBeenCalled();
+    expect(result.data).toHaveLength(1);
+    expect(result.pagination.hasMore).toBe(true);
+    expect(typeof result.pagination.nextCursor).toBe('string');
+  });
+
   // Additional tests to improve coverage
 
   test('should ignore empty referenceFields', () => {
     // Call the function with an empty array of reference fields
-    setupNestedRoutes(fastifyMock, modelMock, prefix, [], options);
+    setup(options, []);
     
     // There should be no registered routes
     expect(fastifyMock.get).not.toHaveBeenCalled();
@@ -192,7 +298,7 @@ describe('Nested Routes', () => {
 
   test('should handle default options values', () => {
     // Call the function without options parameter
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields);
+    setup();
     
     // Should register routes as usual
     expect(fastifyMock.get).toHaveBeenCalledTimes(2);
@@ -200,10 +306,10 @@ describe('Nested Routes', () => {
   });
 
   test('should apply pagination with default values when not specified', async () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the handler for the first route (author)
-    const authorRouteHandler = fastifyMock.get.mock.calls[0][1];
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock without pagination parameters
     const request = {
@@ -228,10 +334,10 @@ describe('Nested Routes', () => {
   });
 
   test('should handle different formats of populate fields', async () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the handler for the first route (author)
-    const authorRouteHandler = fastifyMock.get.mock.calls[0][1];
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
     
     // Test cases for different populate formats
     const testCases = [
@@ -276,10 +382,10 @@ describe('Nested Routes', () => {
   });
 
   test('should process all types of query parameters', async () => {
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the handler for the first route (author)
-    const authorRouteHandler = fastifyMock.get.mock.calls[0][1];
+    const authorRouteHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock with multiple different query parameters
     const request = {
@@ -295,8 +401,7 @@ describe('Nested Routes', () => {
         sort: '{"updatedAt":-1,"title":1}',
         
         // Filters
-        status: 'active',
-        type: 'article',
+        category: 'tech',
         featured: 'true',
         
         // Search
@@ -315,15 +420,14 @@ describe('Nested Routes', () => {
       modelMock,
       expect.objectContaining({
         author: 'cast-user-123',
-        status: 'active',
-        type: 'article',
-        featured: 'true'
+        category: 'cast-tech',
+        featured: true,
+        $and: [expect.objectContaining({ $or: expect.any(Array) })]
       }),
       expect.objectContaining({
         page: 3,
         limit: 15,
         sort: { updatedAt: -1, title: 1 },
-        search: 'example',
         populate: ['author', 'comments']
       })
     );
@@ -350,10 +454,10 @@ describe('Nested Routes', () => {
       exec: jest.fn().mockRejectedValue(queryError)
     });
     
-    setupNestedRoutes(fastifyMock, modelMock, prefix, referenceFields, options);
+    setup(options);
     
     // Get the route handler
-    const routeHandler = fastifyMock.get.mock.calls[0][1];
+    const routeHandler = fastifyMock.get.mock.calls[0][2];
     
     // Request mock
     const request = {
@@ -364,4 +468,205 @@ describe('Nested Routes', () => {
     // Call the handler and verify that the error is propagated
     await expect(routeHandler(request)).rejects.toThrow('Query error');
   });
+
+  test('should hide soft-deleted documents when soft delete is enabled', async () => {
+    modelMock.schema.paths.deletedAt = { instance: 'Date' };
+    setup({
+      ...options,
+      softDelete: { posts: true }
+    });
+
+    await fastifyMock.get.mock.calls[0][2]({ params: { refId: 'user-123' }, query: {} });
+
+    expect(buildQuery).toHaveBeenCalledWith(
+      modelMock,
+      { deletedAt: null, author: 'cast-user-123' },
+      expect.any(Object)
+    );
+    expect(modelMock.countDocuments).toHaveBeenCalledWith({ deletedAt: null, author: 'cast-user-123' });
+  });
+
+  test('should run list hooks on nested routes', async () => {
+    const beforeList = jest.fn((request, model, context) => ({
+      query: { ...context.query, featured: 'true' },
+      filter: { author: 'ignored', tenant: 'acme' }
+    }));
+    const transformResponse = jest.fn((request, model, doc) => ({ title: doc.title }));
+
+    setup({
+      ...options,
+      hooks: { posts: { beforeList, transformResponse } }
+    });
+
+    const result = await fastifyMock.get.mock.calls[0][2]({ params: { refId: 'user-123' }, query: {} });
+
+    // The parent reference cannot be overridden by the hook
+    expect(buildQuery).toHaveBeenCalledWith(
+      modelMock,
+      { featured: true, tenant: 'acme', author: 'cast-user-123' },
+      expect.any(Object)
+    );
+    expect(result.data).toEqual([{ title: 'Post 1' }, { title: 'Post 2' }]);
+  });
+
+  test('should constrain nested lists with the GET policy filter', async () => {
+    setup({
+      ...options,
+      policies: { posts: { GET: { filter: request => ({ published: true, tenant: request.tenant }) } } }
+    });
+
+    await fastifyMock.get.mock.calls[0][2]({ params: { refId: 'user-123' }, query: {}, tenant: 'acme' });
+
+    expect(buildQuery).toHaveBeenCalledWith(
+      modelMock,
+      { author: 'cast-user-123', $and: [{ published: true, tenant: 'acme' }] },
+      expect.any(Object)
+    );
+  });
+
+  test('should hide fields on nested routes', async () => {
+    transformDocument.mockImplementation(doc => ({ id: doc._id, title: doc.title, secret: 's' }));
+    setup({
+      ...options,
+      hiddenFields: { posts: ['secret'] }
+    });
+
+    const result = await fastifyMock.get.mock.calls[0][2]({ params: { refId: 'user-123' }, query: {} });
+
+    expect(result.data).toEqual([{ id: 'post-1', title: 'Post 1' }, { id: 'post-2', title: 'Post 2' }]);
+  });
+});
+
+describe('Writable Nested Routes', () => {
+  let fastifyMock;
+  let modelMock;
+  let handlers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isMethodAllowed.mockReturnValue(true);
+
+    fastifyMock = { get: jest.fn(), post: jest.fn(), put: jest.fn(), delete: jest.fn() };
+    modelMock = {
+      collection: { name: 'posts' },
+      schema: {
+        paths: {
+          title: { instance: 'String', options: { required: true } },
+          author: {
+            instance: 'ObjectId',
+            options: { ref: 'User', required: true },
+            cast: jest.fn(id => `cast-${id}`)
+          }
+        }
+      },
+      db: {
+        models: {
+          User: { collection: { name: 'users' }, exists: jest.fn().mockResolvedValue({ _id: 'user-123' }) }
+        }
+      }
+    };
+    handlers = {
+      list: jest.fn().mockResolvedValue({ data: [] }),
+      get: jest.fn().mockResolvedValue({ id: 'post-1' }),
+      create: jest.fn().mockResolvedValue({ id: 'post-1' }),
+      replace: jest.fn().mockResolvedValue({ id: 'post-1' }),
+      remove: jest.fn().mockResolvedValue({ id: 'post-1' })
+    };
+  });
+
+  const setup = (options = {}) => setupNestedRoutes(fastifyMock, modelMock, '/api', ['author'], {
+    handlers,
+    ...options
+  });
+
+  test('should register item routes under the nested path', () => {
+    setup();
+
+    expect(fastifyMock.get.mock.calls.map(call => call[0])).toEqual([
+      '/api/users/:refId/posts',
+      '/api/users/:refId/posts/:id'
+    ]);
+    expect(fastifyMock.post.mock.calls[0][0]).toBe('/api/users/:refId/posts');
+    expect(fastifyMock.put.mock.calls[0][0]).toBe('/api/users/:refId/posts/:id');
+    expect(fastifyMock.delete.mock.calls[0][0]).toBe('/api/users/:refId/posts/:id');
+
+    // The reference comes from the URL, so the body does not require it
+    const createSchema = fastifyMock.post.mock.calls[0][1].schema;
+    expect(createSchema.params.required).toEqual(['refId']);
+    expect(createSchema.body.required).toEqual(['title']);
+  });
+
+  test('should only register the handlers allowed for the model', () => {
+    setup({ handlers: { list: handlers.list, get: handlers.get } });
+
+    expect(fastifyMock.get).toHaveBeenCalledTimes(2);
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+    expect(fastifyMock.put).not.toHaveBeenCalled();
+    expect(fastifyMock.delete).not.toHaveBeenCalled();
+  });
+
+  test('should not register item routes without the parent model', () => {
+    delete modelMock.db;
+    setup();
+
+    expect(fastifyMock.get).toHaveBeenCalledTimes(1);
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+  });
+
+  test('should scope the handlers to the parent', async () => {
+    setup();
+
+    const request = { params: { refId: 'user-123', id: 'post-1' }, body: { title: 'Hello' } };
+    const reply = {};
+    await fastifyMock.post.mock.calls[0][2](request, reply);
+    await fastifyMock.put.mock.calls[0][2](request, reply);
+
+    expect(modelMock.db.models.User.exists).toHaveBeenCalledWith({ _id: 'user-123' });
+    expect(handlers.create).toHaveBeenCalledWith(request, reply, { author: 'cast-user-123' });
+    expect(handlers.replace).toHaveBeenCalledWith(request, reply, { author: 'cast-user-123' });
+
+    await fastifyMock.get.mock.calls[0][2](request, reply);
+    expect(handlers.list).toHaveBeenCalledWith(request, reply, { author: 'cast-user-123' });
+  });
+
+  test('should answer 404 when the parent does not exist', async () => {
+    modelMock.db.models.User.exists.mockResolvedValue(null);
+    setup();
+
+    await expect(fastifyMock.delete.mock.calls[0][2]({ params: { refId: 'user-404', id: 'post-1' } }, {}))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Parent resource not found' });
+    expect(handlers.remove).not.toHaveBeenCalled();
+  });
+
+  test('should not find soft-deleted parents', async () => {
+    setup({ softDelete: { users: true } });
+
+    await fastifyMock.get.mock.calls[1][2]({ params: { refId: 'user-123', id: 'post-1' } }, {});
+
+    expect(modelMock.db.models.User.exists).toHaveBeenCalledWith({ _id: 'user-123', deletedAt: null });
+  });
+
+  test('should only read many-to-many children', async () => {
+    modelMock.schema.paths.tags = {
+      instance: 'Array',
+      options: {},
+      caster: { instance: 'ObjectId', options: { ref: 'Tag' }, cast: jest.fn(id => `cast-${id}`) }
+    };
+    modelMock.db.models.Tag = { collection: { name: 'tags' }, exists: jest.fn().mockResolvedValue({ _id: 'tag-1' }) };
+
+    setupNestedRoutes(fastifyMock, modelMock, '/api', ['tags'], { handlers });
+
+    expect(fastifyMock.get.mock.calls.map(call => call[0])).toEqual([
+      '/api/tags/:refId/posts',
+      '/api/tags/:refId/posts/:id'
+    ]);
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+    expect(fastifyMock.put).not.toHaveBeenCalled();
+    expect(fastifyMock.delete).not.toHaveBeenCalled();
+
+    const request = { params: { refId: 'tag-1', id: 'post-1' }, query: {} };
+    await fastifyMock.get.mock.calls[1][2](request, {});
+
+    expect(handlers.get).toHaveBeenCalledWith(request, {}, { tags: 'cast-tag-1' });
+  });
 });
@@ -0,0 +1,142 @@
+const { setupWebhookRoutes } = require('../../src/routes/webhooks');
+
+describe('Webhook Routes', () => {
+  let fastifyMock;
+  let collectionMock;
+  let outbox;
+  let cursor;
+  let stored;
+
+  const route = (method, path) => fastifyMock[method].mock.calls.find(call => call[0] === path)[2];
+  const admin = request => Boolean(request.user && request.user.admin);
+  const adminRequest = fields => ({ user: { admin: true }, query: {}, params: {}, ...fields });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {
+      _id: { toString: () => '64b000000000000000000001' },
+      collectionName: 'orders',
+      url: 'https://a.test/hook',
+      event: 'created',
+      documentId: 'o1',
+      status: 'dead',
+      attempts: 8,
+      lastError: 'Receiver answered 500'
+    };
+    cursor = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      toArray: jest.fn(async () => [stored])
+    };
+    collectionMock = {
+      find: jest.fn().mockReturnValue(cursor),
+      countDocuments: jest.fn().mockResolvedValue(11),
+      findOne: jest.fn(async () => stored),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      updateMany: jest.fn().mockResolvedValue({ modifiedCount: 3 })
+    };
+    outbox = {
+      collection: collectionMock,
+      connection: { base: { Types: { ObjectId: jest.fn(id => ({ oid: id })) } } }
+    };
+    fastifyMock = { get: jest.fn(), post: jest.fn() };
+  });
+
+  test('should not register the routes without an admin check', () => {
+    setupWebhookRoutes(fastifyMock, '/api', outbox);
+
+    expect(fastifyMock.get).not.toHaveBeenCalled();
+    expect(fastifyMock.post).not.toHaveBeenCalled();
+  });
+
+  describe('with an admin check', () => {
+    beforeEach(() => {
+      setupWebhookRoutes(fastifyMock, '/api', outbox, { admin });
+    });
+
+    test('should register the admin routes with schemas', () => {
+      expect(fastifyMock.get.mock.calls[0][0]).toBe('/api/_webhooks/deliveries');
+      expect(fastifyMock.post.mock.calls.map(([url]) => url)).toEqual([
+        '/api/_webhooks/deliveries/_replay',
+        '/api/_webhooks/deliveries/:id/replay'
+      ]);
+      expect(fastifyMock.get.mock.calls[0][1].schema.querystring.properties.status.enum)
+        .toEqual(['pending', 'delivered', 'dead']);
+    });
+
+    test('should reject requests that are not from admins', async () => {
+      await expect(route('get', '/api/_webhooks/deliveries')({ query: {} }))
+        .rejects.toMatchObject({ statusCode: 403, error: 'Forbidden' });
+      await expect(route('post', '/api/_webhooks/deliveries/_replay')({ user: {}, query: {} }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(collectionMock.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should list deliveries without their documents', async () => {
+      const result = await route('get', '/api/_webhooks/deliveries')(
+        adminRequest({ query: { status: 'dead', collection: 'orders', page: 2, limit: 5 } })
+      );
+
+      expect(collectionMock.find).toHaveBeenCalledWith(
+        { status: 'dead', collectionName: 'orders' },
+        { projection: { document: 0 } }
+      );
+      expect(cursor.skip).toHaveBeenCalledWith(5);
+      expect(cursor.limit).toHaveBeenCalledWith(5);
+      expect(result).toEqual({
+        data: [{
+          id: '64b000000000000000000001',
+          collection: 'orders',
+          url: 'https://a.test/hook',
+          event: 'created',
+          documentId: 'o1',
+          status: 'dead',
+          attempts: 8,
+          lastError: 'Receiver answered 500'
+        }],
+        pagination: { total: 11, page: 2, limit: 5, pages: 3 }
+      });
+    });
+
+    test('should replay a delivery', async () => {
+      const result = await route('post', '/api/_webhooks/deliveries/:id/replay')(
+        adminRequest({ params: { id: '64b000000000000000000001' } })
+      );
+
+      const _id = { oid: '64b000000000000000000001' };
+      expect(collectionMock.updateOne).toHaveBeenCalledWith(
+        { _id, status: 'dead' },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: expect.any(Date) } }
+      );
+      expect(result).toMatchObject({ id: '64b000000000000000000001', status: 'pending', attempts: 0 });
+    });
+
+    test('should answer 404 and 409 when a delivery cannot be replayed', async () => {
+      const replay = route('post', '/api/_webhooks/deliveries/:id/replay');
+      const request = adminRequest({ params: { id: '64b000000000000000000001' } });
+
+      collectionMock.findOne.mockResolvedValueOnce(null);
+      await expect(replay(request)).rejects.toMatchObject({ statusCode: 404, message: 'Delivery not found' });
+
+      collectionMock.findOne.mockResolvedValueOnce({ ...stored, status: 'pending' });
+      await expect(replay(request)).rejects.toMatchObject({ statusCode: 409, error: 'Conflict' });
+
+      collectionMock.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+      await expect(replay(request)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should replay the dead deliveries', async () => {
+      const replayDead = route('post', '/api/_webhooks/deliveries/_replay');
+
+      await expect(replayDead(adminRequest({ query: { collection: 'orders' } }))).resolves.toEqual({ replayed: 3 });
+      expect(collectionMock.updateMany).toHaveBeenCalledWith(
+        { status: 'dead', collectionName: 'orders' },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: expect.any(Date) } }
+      );
+
+      await replayDead(adminRequest());
+      expect(collectionMock.updateMany).toHaveBeenLastCalledWith({ status: 'dead' }, expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const {
+  parseAggregation,
+  buildPipeline,
+  formatGroups,
+  aggregateDocuments,
+  buildFacetPipeline,
+  facetDocuments,
+  distinctValues
+} = require('../../src/utils/aggregate');
+
+describe('Aggregate Utilities', () => {
+  let modelMock;
+
+  beforeEach(() => {
+    modelMock = {
+      schema: {
+        paths: {
+          _id: { instance: 'ObjectId' },
+          status: { instance: 'String', cast: jest.fn(value => value) },
+          amount: { instance: 'Number', cast: jest.fn(Number) },
+          price: { instance: 'Decimal128' },
+          secret: { instance: 'Number' },
+          tags: { instance: 'Array', caster: { instance: 'String' } },
+          lines: { instance: 'Array', caster: { instance: 'Embedded' } },
+          createdAt: { instance: 'Date' }
+        }
+      },
+      find: jest.fn(filter => ({ cast: jest.fn(() => ({ casted: filter })) })),
+      aggregate: jest.fn().mockResolvedValue([])
+    };
+  });
+
+  describe('parseAggregation', () => {
+    test('should parse groups, date buckets, metrics, sort and limit', () => {
+      expect(parseAggregation(modelMock, {
+        groupBy: 'status, createdAt:month',
+        metrics: 'count,sum:amount,avg:price,max:createdAt',
+        sort: '{"sum:amount":-1,"status":1}',
+        limit: '20'
+      })).toEqual({
+        groups: [
+          { field: 'status', unit: undefined, key: 'g0' },
+          { field: 'createdAt', unit: 'month', key: 'g1' }
+        ],
+        metrics: [
+          { name: 'count', op: 'count', key: 'm0' },
+          { name: 'sum:amount', op: 'sum', field: 'amount', key: 'm1' },
+          { name: 'avg:price', op: 'avg', field: 'price', key: 'm2' },
+          { name: 'max:createdAt', op: 'max', field: 'createdAt', key: 'm3' }
+        ],
+        sort: { m1: -1, '_id.g0': 1 },
+        limit: 20
+      });
+    });
+
+    test('should count every document in one group by default', () => {
+      expect(parseAggregation(modelMock)).toEqual({
+        groups: [],
+        metrics: [{ name: 'count', op: 'count', key: 'm0' }],
+        sort: {},
+        limit: 100
+      });
+    });
+
+    test('should sort groups by their keys by default', () => {
+      expect(parseAggregation(modelMock, { groupBy: 'status,createdAt:day' }).sort)
+        .toEqual({ '_id.g0': 1, '_id.g1': 1 });
+    });
+
+    test.each([
+      [{ groupBy: 'missing' }, 'Unknown field "missing"'],
+      [{ groupBy: 'secret' }, 'Grouping on "secret" is not allowed'],
+      [{ groupBy: 'tags' }, 'Cannot group on "tags" (Array)'],
+      [{ groupBy: 'status:month' }, '"status" cannot be bucketed by "month"'],
+      [{ groupBy: 'createdAt:minute' }, '"createdAt" cannot be bucketed by "minute"'],
+      [{ metrics: 'median:amount' }, 'Unknown metric "median:amount"'],
+      [{ metrics: 'sum' }, 'Unknown metric "sum"'],
+      [{ metrics: 'sum:status' }, 'Metric "sum" does not apply to "status" (String)'],
+      [{ metrics: 'avg:secret' }, 'Measuring "secret" is not allowed'],
+      [{ sort: '{"amount":1}' }, 'Sorting on "amount" is not allowed, sort on a grouped field or a metric'],
+      [{ sort: 'count' }, 'Sort must be a JSON object']
+    ])('should reject %j', (params, message) => {
+      expect(() => parseAggregation(modelMock, params, ['secret']))
+        .toThrow(expect.objectContaining({ statusCode: 400, error: 'InvalidAggregation', message }));
+    });
+  });
+
+  describe('buildPipeline', () => {
+    test('should group, accumulate, sort and limit', () => {
+      const aggregation = parseAggregation(modelMock, {
+        groupBy: 'status,createdAt:week',
+        metrics: 'count,min:amount',
+        sort: '{"count":-1}'
+      });
+
+      expect(buildPipeline({ status: 'paid' }, aggregation)).toEqual([
+        { $match: { status: 'paid' } },
+        {
+          $group: {
+            _id: {
+              g0: '$status',
+              g1: { $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } }
+            },
+            m0: { $sum: 1 },
+            m1: { $min: '$amount' }
+          }
+        },
+        { $sort: { m0: -1 } },
+        { $limit: 100 }
+      ]);
+    });
+
+    test('should group every document together without groupBy', () => {
+      expect(buildPipeline({}, parseAggregation(modelMock))).toEqual([
+        { $match: {} },
+        { $group: { _id: null, m0: { $sum: 1 } } },
+        { $limit: 100 }
+      ]);
+    });
+  });
+
+  describe('formatGroups', () => {
+    test('should key groups and metrics by field', () => {
+      const aggregation = parseAggregation(modelMock, {
+        groupBy: 'status,_id',
+        metrics: 'count,sum:amount,avg:price,avg:amount'
+      });
+      const decimal = { _bsontype: 'Decimal128', toString: () => '9.5' };
+
+      expect(formatGroups([
+        { _id: { g0: 'paid', g1: { toHexString: () => '507f1f77bcf86cd799439011' } }, m0: 2, m1: 30, m2: decimal, m3: 15 }
+      ], aggregation)).toEqual([{
+        group: { status: 'paid', _id: '507f1f77bcf86cd799439011' },
+        count: 2,
+        sum: { amount: 30 },
+        avg: { price: '9.5', amount: 15 }
+      }]);
+    });
+  });
+
+  describe('aggregateDocuments', () => {
+    test('should cast the filters, search and base filter before aggregating', async () => {
+      modelMock.aggregate.mockResolvedValue([{ _id: { g0: 'paid' }, m0: 4 }]);
+
+      const result = await aggregateDocuments(modelMock, {
+        groupBy: 'status',
+        amount: '5',
+        search: 'pa'
+      }, {
+        baseFilter: { deletedAt: null },
+        search: { mode: 'regex', fields: ['status', 'secret'] },
+        hiddenFields: ['secret']
+      });
+
+      const filter = {
+        amount: 5,
+        deletedAt: null,
+        $and: [{ $or: [{ status: { $regex: 'pa', $options: 'i' } }] }]
+      };
+      expect(modelMock.find).toHaveBeenCalledWith(filter);
+      expect(modelMock.aggregate.mock.calls[0][0][0]).toEqual({ $match: { casted: filter } });
+      expect(result).toEqual({ data: [{ group: { status: 'paid' }, count: 4 }] });
+    });
+
+    test('should reject filters the list route rejects', async () => {
+      await expect(aggregateDocuments(modelMock, { page: '2' }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidFilter' });
+      await expect(aggregateDocuments(modelMock, { status: 'paid' }, { filterableFields: ['amount'] }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidFilter' });
+      expect(modelMock.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildFacetPipeline', () => {
+    test('should count each field in its own facet', () => {
+      expect(buildFacetPipeline({ status: 'paid' }, [
+        { field: 'status', array: false },
+        { field: 'tags', array: true, distinct: true }
+      ], 20)).toEqual([
+        { $match: { status: 'paid' } },
+        {
+          $facet: {
+            f0: [
+              { $group: { _id: '$status', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: 20 }
+            ],
+            f1: [
+              { $unwind: '$tags' },
+              { $match: { tags: { $ne: null } } },
+              { $group: { _id: '$tags', count: { $sum: 1 } } },
+              { $sort: { _id: 1 } },
+              { $limit: 20 }
+            ]
+          }
+        }
+      ]);
+    });
+  });
+
+  describe('facetDocuments', () => {
+    test('should count the values of each field in one aggregation', async () => {
+      modelMock.aggregate.mockResolvedValue([{
+        f0: [{ _id: 'paid', count: 3 }, { _id: null, count: 1 }],
+        f1: [{ _id: 'red', count: 2 }]
+      }]);
+
+      const result = await facetDocuments(modelMock, { fields: 'status,tags', amount: '5' }, {
+        baseFilter: { deletedAt: null }
+      });
+
+      expect(modelMock.aggregate).toHaveBeenCalledTimes(1);
+      const [match, facet] = modelMock.aggregate.mock.calls[0][0];
+      expect(match).toEqual({ $match: { casted: { amount: 5, deletedAt: null } } });
+      expect(facet.$facet.f0[2]).toEqual({ $limit: 20 });
+      expect(result).toEqual({
+        data: {
+          status: [{ value: 'paid', count: 3 }, { value: null, count: 1 }],
+          tags: [{ value: 'red', count: 2 }]
+        }
+      });
+    });
+
+    test.each([
+      [{}, 'Facets need at least one field'],
+      [{ fields: 'missing' }, 'Unknown field "missing"'],
+      [{ fields: 'secret' }, 'Faceting on "secret" is not allowed'],
+      [{ fields: 'lines' }, 'Cannot facet on "lines" (Array)']
+    ])('should reject %j', async (query, message) => {
+      await expect(facetDocuments(modelMock, query, { hiddenFields: ['secret'] }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidAggregation', message });
+      expect(modelMock.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('distinctValues', () => {
+    test('should list the values of a field', async () => {
+      modelMock.aggregate.mockResolvedValue([{
+        f0: [{ _id: { toHexString: () => '507f1f77bcf86cd799439011' }, count: 2 }]
+      }]);
+
+      const result = await distinctValues(modelMock, '_id', { search: 'pa', limit: '5' }, {
+        search: { mode: 'text', fields: ['status'], textFields: ['status'] }
+      });
+
+      const [match, facet] = modelMock.aggregate.mock.calls[0][0];
+      expect(match).toEqual({ $match: { casted: { $text: { $search: 'pa' } } } });
+      expect(facet.$facet.f0).toContainEqual({ $limit: 5 });
+      expect(result).toEqual({ data: ['507f1f77bcf86cd799439011'] });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { AUDIT_COLLECTION, defaultActor, diffDocuments, getAuditTrail } = require('../../src/utils/audit');
+
+describe('Audit Utilities', () => {
+  describe('defaultActor', () => {
+    test('should use the id of the authenticated user', () => {
+      expect(defaultActor({ user: { id: 'u1' } })).toBe('u1');
+      expect(defaultActor({ user: { _id: { toString: () => 'u2' } } })).toBe('u2');
+    });
+
+    test('should return null without user', () => {
+      expect(defaultActor({})).toBeNull();
+      expect(defaultActor({ user: {} })).toBeNull();
+    });
+  });
+
+  describe('diffDocuments', () => {
+    test('should list changed leaf paths', () => {
+      const before = { _id: 'a', __v: 0, title: 'Old', meta: { views: 1, tags: ['a'] } };
+      const after = { _id: 'a', __v: 1, title: 'New', meta: { views: 1, tags: ['a', 'b'] }, draft: true };
+
+      expect(diffDocuments(before, after)).toEqual([
+        { path: 'draft', before: undefined, after: true },
+        { path: 'meta.tags', before: ['a'], after: ['a', 'b'] },
+        { path: 'title', before: 'Old', after: 'New' }
+      ]);
+    });
+
+    test('should compare dates by value', () => {
+      expect(diffDocuments({ at: new Date(0) }, { at: new Date(0) })).toEqual([]);
+    });
+
+    test('should handle creations and deletions', () => {
+      expect(diffDocuments(null, { title: 'New' })).toEqual([{ path: 'title', before: undefined, after: 'New' }]);
+      expect(diffDocuments({ title: 'Old' }, null)).toEqual([{ path: 'title', before: 'Old', after: undefined }]);
+    });
+  });
+
+  describe('getAuditTrail', () => {
+    let collectionMock;
+    let modelMock;
+    let lastEntries;
+
+    beforeEach(() => {
+      lastEntries = [];
+      const cursor = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn(async () => lastEntries)
+      };
+      collectionMock = {
+        createIndex: jest.fn().mockResolvedValue('index'),
+        find: jest.fn().mockReturnValue(cursor),
+        findOne: jest.fn().mockResolvedValue({ revision: 2 }),
+        insertOne: jest.fn().mockResolvedValue({})
+      };
+      modelMock = {
+        collection: { name: 'posts' },
+        db: { collection: jest.fn().mockReturnValue(collectionMock) }
+      };
+    });
+
+    test('should return null for models that are not audited', () => {
+      expect(getAuditTrail(modelMock, {})).toBeNull();
+      expect(getAuditTrail(modelMock, undefined)).toBeNull();
+      expect(modelMock.db.collection).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid actors', () => {
+      expect(() => getAuditTrail(modelMock, { posts: { actor: 'me' } }))
+        .toThrow('Audit actor of posts must be a function');
+    });
+
+    test('should record numbered entries in the audit collection', async () => {
+      const audit = getAuditTrail(modelMock, { Posts: true });
+      const before = { toObject: () => ({ _id: 'p1', title: 'Old' }) };
+
+      const entry = await audit.record({ user: { id: 'u1' } }, 'update', before, { _id: 'p1', title: 'New' });
+
+      expect(modelMock.db.collection).toHaveBeenCalledWith(AUDIT_COLLECTION);
+      expect(collectionMock.createIndex).toHaveBeenCalledWith(
+        { collectionName: 1, documentId: 1, revision: 1 },
+        { unique: true }
+      );
+      expect(collectionMock.insertOne).toHaveBeenCalledWith({
+        collectionName: 'posts',
+        documentId: 'p1',
+        operation: 'update',
+        actor: 'u1',
+        timestamp: expect.any(Date),
+        before: { _id: 'p1', title: 'Old' },
+        after: { _id: 'p1', title: 'New' },
+        changes: [{ path: 'title', before: 'Old', after: 'New' }],
+        revision: 1
+      });
+      expect(entry.revision).toBe(1);
+
+      lastEntries = [{ revision: 4 }];
+      await audit.record({}, 'delete', { _id: 'p1' }, null, { note: 'x' });
+      expect(collectionMock.insertOne).toHaveBeenLastCalledWith(expect.objectContaining({
+        revision: 5,
+        actor: null,
+        after: null,
+        note: 'x'
+      }));
+      expect(collectionMock.createIndex).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use a custom actor', async () => {
+      const audit = getAuditTrail(modelMock, { posts: { actor: async request => request.headers['x-user'] } });
+      await audit.record({ headers: { 'x-user': 'bob' } }, 'create', null, { _id: 'p1' });
+
+      expect(collectionMock.insertOne).toHaveBeenCalledWith(expect.objectContaining({ actor: 'bob' }));
+    });
+
+    test('should retry when a concurrent write took the revision', async () => {
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+      collectionMock.insertOne
+        .mockRejectedValueOnce(duplicate)
+        .mockResolvedValueOnce({});
+      const audit = getAuditTrail(modelMock, { posts: true });
+
+      await audit.record({}, 'create', null, { _id: 'p1' });
+      expect(collectionMock.insertOne).toHaveBeenCalledTimes(2);
+
+      collectionMock.insertOne.mockRejectedValue(duplicate);
+      await expect(audit.record({}, 'create', null, { _id: 'p1' })).rejects.toThrow('E11000');
+      expect(collectionMock.insertOne).toHaveBeenCalledTimes(5);
+    });
+
+    test('should record entries in the session of the write', async () => {
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+      const audit = getAuditTrail(modelMock, { posts: true });
+
+      await audit.record({}, 'create', null, { _id: 'p1' }, {}, 'session');
+      expect(collectionMock.find).toHaveBeenCalledWith(
+        { collectionName: 'posts', documentId: 'p1' },
+        { session: 'session' }
+      );
+      expect(collectionMock.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ revision: 1 }),
+        { session: 'session' }
+      );
+
+      // The failed insert aborted the transaction, which is retried as a whole
+      collectionMock.insertOne.mockRejectedValue(duplicate);
+      await expect(audit.record({}, 'create', null, { _id: 'p1' }, {}, 'session')).rejects.toThrow('E11000');
+      expect(collectionMock.insertOne).toHaveBeenCalledTimes(2);
+    });
+
+    test('should query the history and revisions of a document', async () => {
+      const audit = getAuditTrail(modelMock, { posts: true });
+      lastEntries = [{ revision: 1 }, { revision: 2 }];
+
+      expect(await audit.history({ toString: () => 'p1' })).toEqual(lastEntries);
+      expect(collectionMock.find).toHaveBeenCalledWith({ collectionName: 'posts', documentId: 'p1' });
+
+      expect(await audit.revision('p1', '2')).toEqual({ revision: 2 });
+      expect(collectionMock.findOne).toHaveBeenCalledWith({ collectionName: 'posts', documentId: 'p1', revision: 2 });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { createBulkWriter, summarizeResults, operationError } = require('../../src/utils/bulk');
+const { HttpError } = require('../../src/utils/errors');
+const { isMethodAllowed } = require('../../src/validators/method');
+
+// Mock external modules
+jest.mock('../../src/validators/method');
+
+describe('Bulk Utilities', () => {
+  describe('createBulkWriter', () => {
+    let modelMock;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      isMethodAllowed.mockImplementation((name, method) => method !== 'DELETE');
+
+      modelMock = jest.fn().mockImplementation(document => ({
+        _id: { toString: () => 'new-1' },
+        validate: jest.fn().mockResolvedValue(),
+        toObject: () => document
+      }));
+      modelMock.collection = { name: 'users' };
+      modelMock.schema = { paths: { _id: { instance: 'ObjectId', options: {} } } };
+      modelMock.find = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'id-1' }]) });
+      modelMock.bulkWrite = jest.fn();
+    });
+
+    test('should list the operations whose method is allowed', () => {
+      expect(createBulkWriter(modelMock, { methods: { users: ['POST', 'PUT'] } }).allowed)
+        .toEqual(['create', 'update']);
+    });
+
+    test('should validate without writing in a dry run', async () => {
+      const writer = createBulkWriter(modelMock);
+
+      const results = await writer.write({}, [
+        { op: 'create', document: { name: 'Ada' } },
+        { op: 'delete', id: 'id-1' },
+        { op: 'update' }
+      ], { ordered: false, dryRun: true });
+
+      expect(modelMock.bulkWrite).not.toHaveBeenCalled();
+      expect(results).toEqual([
+        { index: 0, op: 'create', status: 'valid', id: 'new-1' },
+        expect.objectContaining({ index: 1, status: 'error', error: 'MethodNotAllowed' }),
+        expect.objectContaining({ index: 2, status: 'error', error: 'InvalidOperation' })
+      ]);
+    });
+    test('should run the hooks of each operation', async () => {
+      modelMock.find = jest.fn().mockResolvedValue([{ _id: 'id-1', name: 'Old' }]);
+      modelMock.validate = jest.fn().mockResolvedValue();
+      modelMock.bulkWrite.mockResolvedValue({});
+      const hooks = {
+        beforeCreate: jest.fn(async (request, model, body) => ({ ...body, name: body.name.trim() })),
+        afterCreate: jest.fn(),
+        beforeUpdate: jest.fn(async (request, model, changes) => {
+          if (changes.name === 'Root') throw new HttpError(403, 'Forbidden', 'Reserved name');
+        }),
+        afterUpdate: jest.fn()
+      };
+      const writer = createBulkWriter(modelMock, { hooks: { users: hooks } });
+
+      const results = await writer.write({}, [
+        { op: 'create', document: { name: ' Ada ' } },
+        { op: 'update', id: 'id-1', document: { name: 'Root' } },
+        { op: 'update', id: 'id-1', document: { name: 'Grace' } }
+      ], { ordered: false });
+
+      expect(modelMock).toHaveBeenCalledWith({ name: 'Ada' });
+      expect(results.map(result => result.status)).toEqual(['success', 'error', 'success']);
+      expect(results[1]).toMatchObject({ error: 'Forbidden', message: 'Reserved name' });
+      expect(hooks.afterCreate).toHaveBeenCalledWith({}, modelMock, { name: 'Ada' });
+      // The updated document is read back after the write
+      expect(hooks.afterUpdate).toHaveBeenCalledTimes(1);
+      expect(hooks.afterUpdate).toHaveBeenCalledWith({}, modelMock, { _id: 'id-1', name: 'Old' });
+    });
+  });
+
+  describe('summarizeResults', () => {
+    test('should count the results by status', () => {
+      expect(summarizeResults([
+        { status: 'success' },
+        { status: 'valid' },
+        { status: 'error' },
+        { status: 'skipped' }
+      ])).toEqual({
+        success: false,
+        summary: { total: 4, succeeded: 2, failed: 1, skipped: 1 }
+      });
+      expect(summarizeResults([{ status: 'valid' }]).success).toBe(true);
+    });
+  });
+
+  describe('operationError', () => {
+    test('should rethrow unexpected errors', () => {
+      const error = new Error('boom');
+
+      expect(() => operationError(error)).toThrow(error);
+      expect(operationError({ code: 11000 })).toEqual({
+        error: 'DuplicateError',
+        message: 'A record with this value already exists'
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const {
+  normalizeSort,
+  reverseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../../src/utils/cursor');
+
+describe('Cursor Utilities', () => {
+  const modelMock = {
+    schema: {
+      paths: {
+        _id: { cast: jest.fn(value => `oid-${value}`) },
+        createdAt: { cast: jest.fn(value => new Date(value)) },
+        age: {
+          cast: jest.fn(value => {
+            if (typeof value !== 'number') throw new Error('Cast to Number failed');
+            return value;
+          })
+        }
+      }
+    }
+  };
+
+  const decodePayload = token => JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+  describe('normalizeSort', () => {
+    test('should append _id following the first sort direction', () => {
+      expect(normalizeSort({ createdAt: -1 })).toEqual({ createdAt: -1, _id: -1 });
+      expect(normalizeSort({ name: 'asc', age: 'desc' })).toEqual({ name: 1, age: -1, _id: 1 });
+    });
+
+    test('should default to _id descending', () => {
+      expect(normalizeSort()).toEqual({ _id: -1 });
+      expect(normalizeSort({ _id: 1 })).toEqual({ _id: 1 });
+    });
+  });
+
+  describe('reverseSort', () => {
+    test('should reverse every direction', () => {
+      expect(reverseSort({ createdAt: -1, _id: 1 })).toEqual({ createdAt: 1, _id: -1 });
+    });
+  });
+
+  describe('encodeCursor', () => {
+    test('should encode the sort keys and values of a plain document', () => {
+      const token = encodeCursor(
+        { _id: 'abc', meta: { views: 3 } },
+        { 'meta.views': 1, _id: 1 },
+        'next'
+      );
+
+      expect(decodePayload(token)).toEqual({ d: 'next', k: ['meta.views', '_id'], v: [3, 'abc'] });
+    });
+
+    test('should read values through get on Mongoose documents', () => {
+      const doc = { get: jest.fn(path => (path === '_id' ? 'abc' : '2024-01-01T00:00:00.000Z')) };
+
+      const token = encodeCursor(doc, { createdAt: -1, _id: -1 }, 'prev');
+
+      expect(decodePayload(token).v).toEqual(['2024-01-01T00:00:00.000Z', 'abc']);
+      expect(doc.get).toHaveBeenCalledWith('createdAt');
+    });
+  });
+
+  describe('decodeCursor', () => {
+    const sort = { createdAt: -1, _id: -1 };
+
+    test('should decode and cast cursor values', () => {
+      const token = encodeCursor({ createdAt: '2024-01-01T00:00:00.000Z', _id: 'abc' }, sort, 'next');
+
+      expect(decodeCursor(modelMock, token, sort)).toEqual({
+        direction: 'next',
+        values: [new Date('2024-01-01T00:00:00.000Z'), 'oid-abc']
+      });
+    });
+
+    test('should keep null values and values of unknown paths', () => {
+      const token = encodeCursor({ createdAt: null, rank: 2, _id: 'abc' }, { createdAt: 1, rank: 1, _id: 1 }, 'next');
+
+      expect(decodeCursor(modelMock, token, { createdAt: 1, rank: 1, _id: 1 }).values)
+        .toEqual([null, 2, 'oid-abc']);
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(() => decodeCursor(modelMock, 'not-a-cursor', sort))
+        .toThrow(expect.objectContaining({ statusCode: 400, error: 'InvalidCursor' }));
+      const invalid = Buffer.from(JSON.stringify({ d: 'up', k: ['createdAt', '_id'], v: [] })).toString('base64url');
+      expect(() => decodeCursor(modelMock, invalid, sort)).toThrow('does not match the requested sort');
+      const nullPayload = Buffer.from('null').toString('base64url');
+      expect(() => decodeCursor(modelMock, nullPayload, sort)).toThrow('does not match the requested sort');
+    });
+
+    test('should reject cursors created with another sort', () => {
+      const token = encodeCursor({ _id: 'abc' }, { _id: -1 }, 'next');
+
+      expect(() => decodeCursor(modelMock, token, sort)).toThrow('does not match the requested sort');
+    });
+
+    test('should reject values that cannot be cast', () => {
+      const token = encodeCursor({ age: 'abc', _id: 'abc' }, { age: 1, _id: 1 }, 'next');
+
+      expect(() => decodeCursor(modelMock, token, { age: 1, _id: 1 })).toThrow('Invalid pagination cursor');
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    test('should select documents after the cursor', () => {
+      const filter = buildCursorFilter(
+        { createdAt: -1, name: 1, _id: -1 },
+        { direction: 'next', values: ['d', 'n', 'i'] }
+      );
+
+      expect(filter).toEqual({
+        $or: [
+          { $or: [{ createdAt: { $lt: 'd' } }, { createdAt: null }] },
+          { createdAt: 'd', name: { $gt: 'n' } },
+          { createdAt: 'd', name: 'n', _id: { $lt: 'i' } }
+        ]
+      });
+    });
+
+    test('should select documents before the cursor when paging backwards', () => {
+      const filter = buildCursorFilter({ _id: 1 }, { direction: 'prev', values: ['i'] });
+
+      expect(filter).toEqual({ $or: [{ _id: { $lt: 'i' } }] });
+    });
+
+    test('should place null sort values before every other value', () => {
+      const sort = { rank: 1, _id: 1 };
+
+      expect(buildCursorFilter(sort, { direction: 'next', values: [null, 'i'] })).toEqual({
+        $or: [
+          { rank: { $ne: null } },
+          { rank: null, _id: { $gt: 'i' } }
+        ]
+      });
+      expect(buildCursorFilter(sort, { direction: 'prev', values: [null, 'i'] })).toEqual({
+        $or: [{ rank: null, _id: { $lt: 'i' } }]
+      });
+      expect(buildCursorFilter(sort, { direction: 'prev', values: [3, 'i'] })).toEqual({
+        $or: [
+          { $or: [{ rank: { $lt: 3 } }, { rank: null }] },
+          { rank: 3, _id: { $lt: 'i' } }
+        ]
+      });
+    });
+  });
+});
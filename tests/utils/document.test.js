@@ -72,5 +72,18 @@ describe('Document Utilities', () => {
         category: 'category456'
       });
     });
+
+    test('should convert ObjectIds of arrays of references', () => {
+      const tag = { constructor: { name: 'ObjectId' }, toString: () => 'tag1' };
+
+      expect(transformDocument({ tags: [tag, 'raw'], scores: [1, 2] })).toEqual({
+        tags: ['tag1', 'raw'],
+        scores: [1, 2]
+      });
+    });
+
+    test('should omit id when the document has no _id', () => {
+      expect(transformDocument({ name: 'Test', __v: 0 })).toEqual({ name: 'Test' });
+    });
   });
 });
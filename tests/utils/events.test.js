@@ -0,0 +1,138 @@
+const { EventEmitter } = require('events');
+const {
+  createEventBus,
+  supportsChangeStreams,
+  changeToEvent,
+  watchChanges
+} = require('../../src/utils/events');
+
+describe('Event Utilities', () => {
+  describe('createEventBus', () => {
+    test('should publish events to the subscribers of a collection', () => {
+      const bus = createEventBus();
+      const listener = jest.fn();
+      const other = jest.fn();
+      bus.subscribe('posts', undefined, listener);
+      bus.subscribe('users', undefined, other);
+
+      const event = bus.publish('posts', 'create', null, { _id: 'p1', title: 'New' });
+
+      expect(event).toEqual({
+        id: '1',
+        type: 'created',
+        collectionName: 'posts',
+        documentId: 'p1',
+        document: { _id: 'p1', title: 'New' }
+      });
+      expect(listener).toHaveBeenCalledWith(event);
+      expect(other).not.toHaveBeenCalled();
+    });
+
+    test('should map operations to event types', () => {
+      const bus = createEventBus();
+      const types = ['update', 'revert', 'restore', 'delete', 'purge']
+        .map(op => bus.publish('posts', op, { _id: 'p1' }, null).type);
+
+      expect(types).toEqual(['updated', 'updated', 'created', 'deleted', 'deleted']);
+    });
+
+    test('should snapshot Mongoose documents', () => {
+      const bus = createEventBus();
+      const toObject = jest.fn().mockReturnValue({ _id: 'p1', author: 'u1' });
+
+      const event = bus.publish('posts', 'update', null, { toObject });
+
+      expect(toObject).toHaveBeenCalledWith({ depopulate: true });
+      expect(event.document).toEqual({ _id: 'p1', author: 'u1' });
+    });
+
+    test('should replay buffered events after the last event id', () => {
+      const bus = createEventBus({ bufferSize: 2 });
+      ['p1', 'p2', 'p3'].forEach(id => bus.publish('posts', 'create', null, { _id: id }));
+      bus.publish('users', 'create', null, { _id: 'u1' });
+
+      const listener = jest.fn();
+      bus.subscribe('posts', '1', listener);
+
+      expect(listener.mock.calls.map(([event]) => event.documentId)).toEqual(['p3']);
+    });
+
+    test('should stop delivering events after unsubscribing', () => {
+      const bus = createEventBus();
+      const listener = jest.fn();
+      const unsubscribe = bus.subscribe('posts', undefined, listener);
+
+      unsubscribe();
+      bus.publish('posts', 'create', null, { _id: 'p1' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('supportsChangeStreams', () => {
+    const modelWith = command => ({ db: { db: { admin: () => ({ command }) } } });
+
+    test('should detect replica sets and sharded clusters', async () => {
+      await expect(supportsChangeStreams(modelWith(jest.fn().mockResolvedValue({ setName: 'rs0' })))).resolves.toBe(true);
+      await expect(supportsChangeStreams(modelWith(jest.fn().mockResolvedValue({ msg: 'isdbgrid' })))).resolves.toBe(true);
+    });
+
+    test('should fall back for standalone servers and failures', async () => {
+      await expect(supportsChangeStreams(modelWith(jest.fn().mockResolvedValue({})))).resolves.toBe(false);
+      await expect(supportsChangeStreams(modelWith(jest.fn().mockRejectedValue(new Error('down'))))).resolves.toBe(false);
+      await expect(supportsChangeStreams({})).resolves.toBe(false);
+    });
+  });
+
+  describe('changeToEvent', () => {
+    const change = fields => ({ _id: { _data: 'token' }, documentKey: { _id: 'p1' }, ...fields });
+
+    test('should convert inserts, updates and deletes', () => {
+      expect(changeToEvent(change({ operationType: 'insert', fullDocument: { _id: 'p1' } })))
+        .toEqual({ id: 'token', type: 'created', documentId: 'p1', document: { _id: 'p1' } });
+      expect(changeToEvent(change({ operationType: 'replace', fullDocument: { _id: 'p1' } })).type).toBe('updated');
+      expect(changeToEvent(change({ operationType: 'delete' })))
+        .toEqual({ id: 'token', type: 'deleted', documentId: 'p1', document: null });
+    });
+
+    test('should treat soft deletes and restores as deletions and creations', () => {
+      const softDeleted = change({ operationType: 'update', fullDocument: { _id: 'p1', deletedAt: new Date() } });
+      const restored = change({
+        operationType: 'update',
+        fullDocument: { _id: 'p1' },
+        updateDescription: { updatedFields: {}, removedFields: ['deletedAt'] }
+      });
+
+      expect(changeToEvent(softDeleted, true).type).toBe('deleted');
+      expect(changeToEvent(restored, true).type).toBe('created');
+      expect(changeToEvent(softDeleted, false).type).toBe('updated');
+    });
+
+    test('should ignore other operations', () => {
+      expect(changeToEvent(change({ operationType: 'drop' }))).toBeNull();
+    });
+  });
+
+  describe('watchChanges', () => {
+    test('should open a change stream and forward its events', () => {
+      const stream = new EventEmitter();
+      stream.close = jest.fn();
+      const model = { watch: jest.fn().mockReturnValue(stream) };
+      const listener = jest.fn();
+      const onError = jest.fn();
+
+      const close = watchChanges(model, { softDelete: false, lastEventId: 'token' }, listener, onError);
+      stream.emit('change', { _id: { _data: 't2' }, documentKey: { _id: 'p1' }, operationType: 'insert', fullDocument: { _id: 'p1' } });
+      stream.emit('error', new Error('lost'));
+      close();
+
+      expect(model.watch).toHaveBeenCalledWith(expect.any(Array), {
+        fullDocument: 'updateLookup',
+        resumeAfter: { _data: 'token' }
+      });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 't2', type: 'created' }));
+      expect(onError).toHaveBeenCalledWith(expect.any(Error));
+      expect(stream.close).toHaveBeenCalled();
+    });
+  });
+});
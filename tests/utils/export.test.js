@@ -0,0 +1,96 @@
+const {
+  exportFormat,
+  schemaColumns,
+  projectColumns,
+  omitColumns,
+  flattenDocument,
+  csvValue,
+  csvRow
+} = require('../../src/utils/export');
+
+describe('Export Utilities', () => {
+  describe('exportFormat', () => {
+    test('should prefer the format parameter, then the Accept header', () => {
+      expect(exportFormat('ndjson', 'text/csv')).toBe('ndjson');
+      expect(exportFormat(undefined, 'text/csv, */*;q=0.1')).toBe('csv');
+      expect(exportFormat(undefined, 'application/x-ndjson')).toBe('ndjson');
+      expect(exportFormat()).toBe('ndjson');
+    });
+  });
+
+  describe('schemaColumns', () => {
+    test('should list paths, expanding single nested subdocuments', () => {
+      const schema = {
+        paths: {
+          _id: {},
+          __v: {},
+          title: {},
+          'meta.views': {},
+          tags: { instance: 'Array' },
+          profile: { $isSingleNested: true, schema: { paths: { _id: {}, bio: {}, 'links.site': {} } } }
+        }
+      };
+
+      expect(schemaColumns(schema)).toEqual(['title', 'meta.views', 'tags', 'profile.bio', 'profile.links.site']);
+    });
+  });
+
+  describe('projectColumns and omitColumns', () => {
+    const columns = ['title', 'meta.views', 'meta.likes', 'tags'];
+
+    test('should keep the columns of included fields', () => {
+      expect(projectColumns(columns, { meta: 1 })).toEqual(['meta.views', 'meta.likes']);
+      expect(projectColumns(columns, { 'tags.name': 1 })).toEqual(['tags']);
+      expect(projectColumns(columns)).toBe(columns);
+    });
+
+    test('should drop the columns of excluded and hidden fields', () => {
+      expect(projectColumns(columns, { 'meta.likes': 0, tags: 0 })).toEqual(['title', 'meta.views']);
+      expect(omitColumns(columns, ['meta'])).toEqual(['title', 'tags']);
+      expect(omitColumns(columns)).toEqual(columns);
+    });
+  });
+
+  describe('flattenDocument', () => {
+    test('should key leaf values by dotted path', () => {
+      const date = new Date(0);
+
+      expect(flattenDocument({ id: '1', meta: { views: 2, at: date }, tags: ['a'] })).toEqual({
+        id: '1',
+        'meta.views': 2,
+        'meta.at': date,
+        tags: ['a']
+      });
+    });
+  });
+
+  describe('csvValue and csvRow', () => {
+    test('should format values as CSV fields', () => {
+      expect(csvValue(null)).toBe('');
+      expect(csvValue(undefined)).toBe('');
+      expect(csvValue(0)).toBe('0');
+      expect(csvValue(false)).toBe('false');
+      expect(csvValue(new Date(0))).toBe('1970-01-01T00:00:00.000Z');
+      expect(csvValue({ toHexString: () => '507f1f77bcf86cd799439011' })).toBe('507f1f77bcf86cd799439011');
+      expect(csvValue(['a', 'b'])).toBe('"[""a"",""b""]"');
+    });
+
+    test('should quote fields with separators, quotes and line breaks', () => {
+      expect(csvValue('a,b')).toBe('"a,b"');
+      expect(csvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(csvValue('two\nlines')).toBe('"two\nlines"');
+      expect(csvRow(['id', 'a,b', null])).toBe('id,"a,b",\r\n');
+    });
+
+    test('should neutralize strings that spreadsheets would run as formulas', () => {
+      expect(csvValue('=HYPERLINK("http://evil.test")')).toBe('"\'=HYPERLINK(""http://evil.test"")"');
+      expect(csvValue('+1')).toBe("'+1");
+      expect(csvValue('-2')).toBe("'-2");
+      expect(csvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(csvValue('\tcmd')).toBe("'\tcmd");
+      expect(csvValue('\rcmd')).toBe('"\'\rcmd"');
+      expect(csvValue(-2)).toBe('-2');
+      expect(csvValue('a=b')).toBe('a=b');
+    });
+  });
+});
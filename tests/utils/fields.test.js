@@ -0,0 +1,225 @@
+const {
+  getFieldRules,
+  omitFields,
+  createFieldHider,
+  hasWriteRules,
+  assertCreatable,
+  updatePaths,
+  assertUpdatable,
+  protectReplacement,
+  keepProtectedFields
+} = require('../../src/utils/fields');
+
+describe('Fields Utilities', () => {
+  const rules = overrides => ({ hidden: [], readOnly: [], writeOnce: [], ...overrides });
+
+  describe('getFieldRules', () => {
+    test('should resolve static and role-dependent rules', async () => {
+      const resolve = getFieldRules('users', {
+        hiddenFields: { Users: ['passwordHash'] },
+        readOnlyFields: { users: request => (request.user.isAdmin ? [] : ['role']) }
+      });
+
+      await expect(resolve({ user: { isAdmin: false } })).resolves.toEqual({
+        hidden: ['passwordHash'],
+        readOnly: ['role'],
+        writeOnce: []
+      });
+      await expect(resolve({ user: { isAdmin: true } })).resolves.toEqual({
+        hidden: ['passwordHash'],
+        readOnly: [],
+        writeOnce: []
+      });
+    });
+
+    test('should resolve to empty rules without options', async () => {
+      await expect(getFieldRules('users')({})).resolves.toEqual(rules());
+      await expect(getFieldRules('users', { hiddenFields: { users: () => null } })({})).resolves.toEqual(rules());
+    });
+  });
+
+  describe('omitFields', () => {
+    test('should remove top-level, nested and array paths without touching the original', () => {
+      const createdAt = new Date();
+      const doc = {
+        id: '1',
+        secret: 'x',
+        createdAt,
+        profile: { token: 't', name: 'n' },
+        sessions: [{ ip: '1.1.1.1', device: 'a' }, { ip: '2.2.2.2', device: 'b' }]
+      };
+
+      const result = omitFields(doc, ['secret', 'profile.token', 'sessions.ip', 'missing.path']);
+
+      expect(result).toEqual({
+        id: '1',
+        createdAt,
+        profile: { name: 'n' },
+        sessions: [{ device: 'a' }, { device: 'b' }]
+      });
+      expect(result.createdAt).toBe(createdAt);
+      expect(doc.secret).toBe('x');
+      expect(doc.profile.token).toBe('t');
+    });
+
+    test('should handle empty documents', () => {
+      expect(omitFields(null, ['secret'])).toBeNull();
+    });
+  });
+
+  describe('createFieldHider', () => {
+    const model = {
+      collection: { name: 'posts' },
+      db: { models: { User: { collection: { name: 'users' } } } },
+      schema: {
+        paths: {
+          title: { instance: 'String', options: {} },
+          author: { instance: 'ObjectId', options: { ref: 'User' } },
+          reviewers: { instance: 'Array', options: {}, caster: { options: { ref: 'User' } } }
+        }
+      }
+    };
+    const options = {
+      hiddenFields: {
+        posts: ['draftNotes'],
+        users: request => (request.user === 'admin' ? [] : ['passwordHash'])
+      }
+    };
+
+    test('should hide the fields of the model and of populated documents', async () => {
+      const hide = createFieldHider(model, options);
+
+      const result = await hide({ user: 'guest' }, {
+        id: '1',
+        draftNotes: 'x',
+        author: { _id: 'u1', name: 'Ann', passwordHash: 'h' },
+        reviewers: [{ _id: 'u2', passwordHash: 'h' }, { _id: 'u3', passwordHash: 'h' }]
+      });
+
+      expect(result).toEqual({
+        id: '1',
+        author: { _id: 'u1', name: 'Ann' },
+        reviewers: [{ _id: 'u2' }, { _id: 'u3' }]
+      });
+    });
+
+    test('should resolve the rules of populated documents per request', async () => {
+      const hide = createFieldHider(model, options);
+
+      const result = await hide({ user: 'admin' }, { id: '1', author: { passwordHash: 'h' } });
+
+      expect(result).toEqual({ id: '1', author: { passwordHash: 'h' } });
+    });
+
+    test('should leave references that are not populated', async () => {
+      const hide = createFieldHider(model, options);
+
+      await expect(hide({ user: 'guest' }, { id: '1', author: 'u1', reviewers: ['u2'] }))
+        .resolves.toEqual({ id: '1', author: 'u1', reviewers: ['u2'] });
+      await expect(hide({}, null)).resolves.toBeNull();
+    });
+  });
+
+  describe('hasWriteRules', () => {
+    test('should detect read-only and write-once fields', () => {
+      expect(hasWriteRules(rules({ hidden: ['secret'] }))).toBe(false);
+      expect(hasWriteRules(rules({ readOnly: ['role'] }))).toBe(true);
+      expect(hasWriteRules(rules({ writeOnce: ['slug'] }))).toBe(true);
+    });
+  });
+
+  describe('assertCreatable', () => {
+    test('should accept write-once fields and reject read-only fields', () => {
+      const fieldRules = rules({ readOnly: ['role', 'meta.createdBy'], writeOnce: ['slug'] });
+
+      expect(() => assertCreatable({ name: 'x', slug: 'x', meta: {} }, fieldRules)).not.toThrow();
+      expect(() => assertCreatable({ role: 'admin', meta: { createdBy: 'me' } }, fieldRules))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          error: 'ReadOnlyField',
+          message: 'Cannot write read-only fields: role, meta.createdBy',
+          details: [
+            { field: 'role', message: 'Field "role" is read-only' },
+            { field: 'meta.createdBy', message: 'Field "meta.createdBy" is read-only' }
+          ]
+        }));
+    });
+  });
+
+  describe('updatePaths', () => {
+    test('should list the paths of every update operator', () => {
+      expect(updatePaths({ $set: { a: 1, 'b.c': 2 }, $unset: { d: '' }, $push: { e: 3 } }))
+        .toEqual(['a', 'b.c', 'd', 'e']);
+    });
+  });
+
+  describe('assertUpdatable', () => {
+    const fieldRules = rules({ readOnly: ['role', 'profile.verified'], writeOnce: ['slug'] });
+
+    test('should accept updates of unprotected fields', () => {
+      expect(() => assertUpdatable(['name', 'profile.bio'], fieldRules)).not.toThrow();
+    });
+
+    test('should reject updates of read-only fields, their children and their parents', () => {
+      expect(() => assertUpdatable(['role.level'], fieldRules)).toThrow('Cannot write read-only fields: role');
+      expect(() => assertUpdatable(['profile'], fieldRules)).toThrow('Cannot write read-only fields: profile.verified');
+    });
+
+    test('should reject updates of write-once fields', () => {
+      expect(() => assertUpdatable(['slug'], fieldRules))
+        .toThrow(expect.objectContaining({ error: 'WriteOnceField', message: 'Cannot write write-once fields: slug' }));
+    });
+  });
+
+  describe('protectReplacement', () => {
+    const createdAt = new Date('2024-01-01T00:00:00.000Z');
+    const current = { name: 'old', role: 'user', slug: 'first', createdAt, profile: { verified: true } };
+    const fieldRules = rules({ readOnly: ['role', 'createdAt', 'profile.verified'], writeOnce: ['slug'] });
+
+    test('should keep protected fields missing from the replacement', () => {
+      expect(protectReplacement({ name: 'new', profile: { bio: 'b' } }, current, fieldRules)).toEqual({
+        name: 'new',
+        role: 'user',
+        slug: 'first',
+        createdAt,
+        profile: { bio: 'b', verified: true }
+      });
+    });
+
+    test('should accept protected fields sent back unchanged', () => {
+      const replacement = { name: 'new', role: 'user', slug: 'first', createdAt: '2024-01-01T00:00:00.000Z' };
+
+      expect(protectReplacement(replacement, current, fieldRules)).toMatchObject({ createdAt, slug: 'first' });
+    });
+
+    test('should keep hidden fields missing from the replacement', () => {
+      const hiddenRules = rules({ hidden: ['passwordHash', 'profile.token'] });
+      const stored = { name: 'old', passwordHash: 'h', profile: { token: 't', bio: 'a' } };
+
+      expect(protectReplacement({ name: 'new', profile: { bio: 'b' } }, stored, hiddenRules)).toEqual({
+        name: 'new',
+        passwordHash: 'h',
+        profile: { bio: 'b', token: 't' }
+      });
+      expect(protectReplacement({ passwordHash: 'h2' }, stored, hiddenRules))
+        .toEqual({ passwordHash: 'h2', profile: { token: 't' } });
+    });
+
+    test('should reject changes of protected fields', () => {
+      expect(() => protectReplacement({ role: 'admin' }, current, fieldRules))
+        .toThrow(expect.objectContaining({ error: 'ReadOnlyField' }));
+      expect(() => protectReplacement({ slug: 'second' }, current, fieldRules))
+        .toThrow(expect.objectContaining({ error: 'WriteOnceField' }));
+    });
+  });
+
+  describe('keepProtectedFields', () => {
+    test('should overwrite protected fields with their current values', () => {
+      const current = { name: 'old', role: 'user', slug: 'first' };
+      const fieldRules = rules({ readOnly: ['role'], writeOnce: ['slug', 'profile.verified'] });
+
+      expect(keepProtectedFields({ name: 'past', role: 'admin', slug: 'zero' }, current, fieldRules))
+        .toEqual({ name: 'past', role: 'user', slug: 'first' });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { buildFilters } = require('../../src/utils/filter');
+
+describe('Filter Utilities', () => {
+  describe('buildFilters', () => {
+    // Mock of a Mongoose model with casting schema types
+    const createModelMock = () => {
+      const castNumber = jest.fn(value => {
+        const number = Number(value);
+        if (Number.isNaN(number)) throw new Error('Cast to Number failed');
+        return number;
+      });
+
+      return {
+        schema: {
+          paths: {
+            name: { instance: 'String', cast: jest.fn(value => String(value)) },
+            age: { instance: 'Number', cast: castNumber },
+            active: { instance: 'Boolean', cast: jest.fn(value => value === true || value === 'true') },
+            createdAt: { instance: 'Date', cast: jest.fn(value => new Date(value)) },
+            author: { instance: 'ObjectId', cast: jest.fn(value => `oid-${value}`) },
+            tags: {
+              instance: 'Array',
+              cast: jest.fn(() => { throw new Error('Array cast should not be used'); }),
+              caster: { cast: jest.fn(value => `tag-${value}`) }
+            }
+          }
+        }
+      };
+    };
+
+    test('should return an empty filter when no query is provided', () => {
+      expect(buildFilters(createModelMock())).toEqual({});
+    });
+
+    test('should cast equality filters through the schema type', () => {
+      const filters = buildFilters(createModelMock(), {
+        age: '30',
+        active: 'true',
+        author: 'abc'
+      });
+
+      expect(filters).toEqual({ age: 30, active: true, author: 'oid-abc' });
+    });
+
+    test('should translate bracket operators into MongoDB operators', () => {
+      const filters = buildFilters(createModelMock(), {
+        'age[gte]': '18',
+        'age[lt]': '65',
+        'name[ne]': 'x',
+        'createdAt[lt]': '2024-01-01',
+        'author[eq]': 'abc'
+      });
+
+      expect(filters).toEqual({
+        age: { $gte: 18, $lt: 65 },
+        name: { $ne: 'x' },
+        createdAt: { $lt: new Date('2024-01-01') },
+        author: 'oid-abc'
+      });
+    });
+
+    test('should split and cast in and nin values', () => {
+      const filters = buildFilters(createModelMock(), {
+        'name[in]': 'a,b',
+        'age[nin]': ['1', '2']
+      });
+
+      expect(filters).toEqual({
+        name: { $in: ['a', 'b'] },
+        age: { $nin: [1, 2] }
+      });
+    });
+
+    test('should convert exists values to booleans', () => {
+      const filters = buildFilters(createModelMock(), {
+        'deletedAt[exists]': 'false',
+        'name[exists]': 'true',
+        'age[exists]': '0'
+      });
+
+      expect(filters).toEqual({
+        deletedAt: { $exists: false },
+        name: { $exists: true },
+        age: { $exists: false }
+      });
+    });
+
+    test('should support operators parsed as nested objects', () => {
+      const filters = buildFilters(createModelMock(), {
+        age: { gte: '18', lte: '30' },
+        name: { in: ['a', 'b'] }
+      });
+
+      expect(filters).toEqual({
+        age: { $gte: 18, $lte: 30 },
+        name: { $in: ['a', 'b'] }
+      });
+    });
+
+    test('should combine equality with operators on the same field', () => {
+      const filters = buildFilters(createModelMock(), {
+        age: '30',
+        'age[ne]': '40'
+      });
+
+      expect(filters).toEqual({ age: { $eq: 30, $ne: 40 } });
+    });
+
+    test('should match any value of repeated parameters', () => {
+      expect(buildFilters(createModelMock(), { author: ['a', 'b'] })).toEqual({
+        author: { $in: ['oid-a', 'oid-b'] }
+      });
+    });
+
+    test('should cast array fields with the type of their elements', () => {
+      expect(buildFilters(createModelMock(), { tags: 'x', 'tags[in]': 'y,z' })).toEqual({
+        tags: { $eq: 'tag-x', $in: ['tag-y', 'tag-z'] }
+      });
+    });
+
+    test('should keep values of fields that are not schema paths', () => {
+      expect(buildFilters(createModelMock(), { status: 'active', 'views[gt]': '3' })).toEqual({
+        status: 'active',
+        views: { $gt: '3' }
+      });
+    });
+
+    test('should reject unknown operators', () => {
+      expect(() => buildFilters(createModelMock(), { 'age[where]': '1' }))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          error: 'InvalidFilter',
+          message: 'Unknown operator "where" for filter "age"'
+        }));
+    });
+
+    test('should reject values that cannot be cast', () => {
+      expect(() => buildFilters(createModelMock(), { 'age[gte]': 'abc' }))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          message: 'Invalid value "abc" for filter "age"'
+        }));
+    });
+  });
+});
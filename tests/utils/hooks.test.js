@@ -0,0 +1,109 @@
+const { HOOKS, getModelHooks, runHook, transformResponse } = require('../../src/utils/hooks');
+
+describe('Hooks Utilities', () => {
+  const request = { user: 'admin' };
+  const model = { collection: { name: 'users' } };
+
+  describe('getModelHooks', () => {
+    test('should return the hooks of the model regardless of case', () => {
+      const beforeCreate = jest.fn();
+
+      expect(getModelHooks('users', { Users: { beforeCreate } })).toEqual({ beforeCreate });
+    });
+
+    test('should return no hooks when none are configured', () => {
+      expect(getModelHooks('users')).toEqual({});
+      expect(getModelHooks('users', { posts: { beforeCreate: jest.fn() } })).toEqual({});
+      expect(getModelHooks('users', { users: null })).toEqual({});
+    });
+
+    test('should reject unknown hooks', () => {
+      expect(() => getModelHooks('users', { users: { beforeSave: jest.fn() } }))
+        .toThrow('Unknown hook "beforeSave" for model users');
+    });
+
+    test('should reject hooks that are not functions', () => {
+      expect(() => getModelHooks('users', { users: { afterDelete: 'notify' } }))
+        .toThrow('Hook "afterDelete" for model users must be a function');
+    });
+
+    test('should list every supported hook', () => {
+      expect(HOOKS).toEqual([
+        'beforeList',
+        'beforeCreate',
+        'afterCreate',
+        'beforeUpdate',
+        'afterUpdate',
+        'beforeDelete',
+        'afterDelete',
+        'transformResponse'
+      ]);
+    });
+  });
+
+  describe('runHook', () => {
+    test('should return the payload when the hook is not configured', async () => {
+      const payload = { name: 'Test' };
+
+      await expect(runHook({}, 'beforeCreate', request, model, payload)).resolves.toBe(payload);
+    });
+
+    test('should call the hook with the request, the model and the payload', async () => {
+      const beforeCreate = jest.fn((req, mdl, body) => {
+        body.email = body.email.toLowerCase();
+      });
+      const payload = { email: 'A@B.COM' };
+
+      const result = await runHook({ beforeCreate }, 'beforeCreate', request, model, payload);
+
+      expect(beforeCreate).toHaveBeenCalledWith(request, model, payload);
+      expect(result).toEqual({ email: 'a@b.com' });
+    });
+
+    test('should use the value returned by the hook', async () => {
+      const beforeCreate = jest.fn(async () => ({ name: 'Replaced' }));
+
+      await expect(runHook({ beforeCreate }, 'beforeCreate', request, model, {}))
+        .resolves.toEqual({ name: 'Replaced' });
+    });
+
+    test('should propagate errors thrown by the hook', async () => {
+      const beforeDelete = jest.fn(async () => {
+        throw Object.assign(new Error('Nope'), { statusCode: 403 });
+      });
+
+      await expect(runHook({ beforeDelete }, 'beforeDelete', request, model, 'id'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('transformResponse', () => {
+    const hooks = {
+      transformResponse: jest.fn((req, mdl, doc) => ({ ...doc, viewer: req.user }))
+    };
+
+    test('should transform a single document', async () => {
+      await expect(transformResponse(hooks, request, model, { id: '1' }))
+        .resolves.toEqual({ id: '1', viewer: 'admin' });
+    });
+
+    test('should transform every document of a list envelope', async () => {
+      const result = await transformResponse(hooks, request, model, {
+        data: [{ id: '1' }, { id: '2' }],
+        pagination: { total: 2 }
+      });
+
+      expect(result).toEqual({
+        data: [{ id: '1', viewer: 'admin' }, { id: '2', viewer: 'admin' }],
+        pagination: { total: 2 }
+      });
+    });
+
+    test('should return the data untouched without hook', async () => {
+      const data = { id: '1' };
+
+      await expect(transformResponse({}, request, model, data)).resolves.toBe(data);
+      await expect(transformResponse(hooks, request, model, null)).resolves.toBeNull();
+    });
+  });
+});
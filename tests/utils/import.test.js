@@ -0,0 +1,108 @@
+const {
+  importFormat,
+  parseCsv,
+  parseImport,
+  columnPath,
+  ignoredColumns,
+  mapRow
+} = require('../../src/utils/import');
+
+describe('Import Utilities', () => {
+  const modelMock = {
+    schema: {
+      paths: {
+        _id: { instance: 'ObjectId' },
+        name: { instance: 'String' },
+        age: { instance: 'Number' },
+        tags: { instance: 'Array' },
+        'address.city': { instance: 'String' },
+        profile: { $isSingleNested: true, schema: { paths: { _id: {}, bio: { instance: 'String' } } } }
+      }
+    }
+  };
+
+  describe('importFormat', () => {
+    test('should resolve the format from the content type', () => {
+      expect(importFormat('text/csv; charset=utf-8')).toBe('csv');
+      expect(importFormat('application/x-ndjson')).toBe('ndjson');
+      expect(importFormat('application/json')).toBeUndefined();
+      expect(importFormat()).toBeUndefined();
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should split records with quoted fields and any line ending', () => {
+      expect(parseCsv('﻿a,b\r\n"x,""y""",2\n\n3,"l1\nl2"')).toEqual([
+        ['a', 'b'],
+        ['x,"y"', '2'],
+        ['3', 'l1\nl2']
+      ]);
+      expect(parseCsv('a,\n')).toEqual([['a', '']]);
+    });
+
+    test('should reject unclosed quoted fields', () => {
+      expect(() => parseCsv('a\n"b')).toThrow(expect.objectContaining({ statusCode: 400, error: 'ParseError' }));
+    });
+  });
+
+  describe('parseImport', () => {
+    test('should key CSV rows by header column', () => {
+      expect(parseImport('csv', ' name ,age\nAda,36\nBob\n')).toEqual({
+        columns: ['name', 'age'],
+        rows: [
+          { row: 1, values: { name: 'Ada', age: '36' } },
+          { row: 2, error: 'ParseError', message: 'Expected 2 fields, found 1' }
+        ]
+      });
+    });
+
+    test('should read NDJSON lines as objects', () => {
+      const { columns, rows } = parseImport('ndjson', '{"name":"Ada"}\n\n{"age":3}\r\n[1]\n{bad\n');
+
+      expect(columns).toEqual(['name', 'age']);
+      expect(rows.slice(0, 3)).toEqual([
+        { row: 1, values: { name: 'Ada' } },
+        { row: 2, values: { age: 3 } },
+        { row: 3, error: 'ParseError', message: 'Line is not a JSON object' }
+      ]);
+      expect(rows[3]).toMatchObject({ row: 4, error: 'ParseError', message: expect.stringMatching(/^Invalid JSON/) });
+    });
+  });
+
+  describe('columnPath and ignoredColumns', () => {
+    test('should map columns to schema paths', () => {
+      expect(columnPath('E-mail', { 'E-mail': 'email' })).toBe('email');
+      expect(columnPath('Notes', { Notes: null })).toBeNull();
+      expect(columnPath('id')).toBe('_id');
+      expect(columnPath('name')).toBe('name');
+    });
+
+    test('should list the columns outside of the schema', () => {
+      const columns = ['id', 'Name', 'address.city', 'address', 'profile.bio', 'profile.age', 'Notes', 'extra'];
+
+      expect(ignoredColumns(modelMock, columns, { Name: 'name', Notes: null }))
+        .toEqual(['profile.age', 'Notes', 'extra']);
+    });
+  });
+
+  describe('mapRow', () => {
+    test('should build nested documents from CSV cells', () => {
+      const values = { Name: 'Ada', age: '36', tags: '["a","b"]', 'address.city': 'London', 'profile.bio': '', extra: 'x' };
+
+      expect(mapRow(modelMock, values, { mapping: { Name: 'name' }, csv: true })).toEqual({
+        name: 'Ada',
+        age: '36',
+        tags: ['a', 'b'],
+        address: { city: 'London' }
+      });
+    });
+
+    test('should leave invalid JSON cells for casting to report', () => {
+      expect(mapRow(modelMock, { tags: '[a' }, { csv: true })).toEqual({ tags: '[a' });
+    });
+
+    test('should keep NDJSON values as they are', () => {
+      expect(mapRow(modelMock, { id: 'x', name: '', tags: ['a'], extra: 1 })).toEqual({ _id: 'x', name: '', tags: ['a'] });
+    });
+  });
+});
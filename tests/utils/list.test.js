@@ -0,0 +1,246 @@
+const { listDocuments, exportQuery } = require('../../src/utils/list');
+const { buildQuery } = require('../../src/utils/query');
+const { transformDocument } = require('../../src/utils/document');
+
+// Mock external modules
+jest.mock('../../src/utils/query');
+jest.mock('../../src/utils/document');
+
+describe('List Utilities', () => {
+  describe('listDocuments', () => {
+    let modelMock;
+    let docs;
+
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const decode = token => JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const mockResults = results => buildQuery.mockReturnValue({
+      exec: jest.fn().mockResolvedValue(results)
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      transformDocument.mockImplementation(doc => ({ id: doc._id }));
+      docs = ['a', 'b', 'c', 'd'].map(id => ({ _id: id, rank: id.charCodeAt(0) }));
+      mockResults(docs);
+
+      modelMock = {
+        schema: {
+          paths: {
+            _id: { cast: jest.fn(value => value) },
+            rank: { cast: jest.fn(value => Number(value)) },
+            author: { cast: jest.fn(value => `cast-${value}`) }
+          }
+        },
+        countDocuments: jest.fn().mockResolvedValue(4)
+      };
+    });
+
+    test('should paginate with page and limit and count the matches', async () => {
+      const result = await listDocuments(modelMock, { page: '2', limit: '2', 'rank[gt]': '1' }, {
+        baseFilter: { author: 'cast-user' },
+        search: { mode: 'regex', fields: ['name'] }
+      });
+
+      const expectedFilters = { rank: { $gt: 1 }, author: 'cast-user' };
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, expectedFilters, {
+        page: 2,
+        limit: 2,
+        sort: { _id: -1 },
+        score: false,
+        populate: undefined,
+        fields: undefined,
+        populateSelect: {}
+      });
+      expect(modelMock.countDocuments).toHaveBeenCalledWith(expectedFilters);
+      expect(result.pagination).toEqual({ total: 4, page: 2, limit: 2, pages: 2 });
+    });
+
+    test('should count the documents matching the search', async () => {
+      await listDocuments(modelMock, { search: 'a.b', 'search[title]': 'x' }, {
+        search: { mode: 'regex', fields: ['name', 'title'] }
+      });
+
+      const expectedFilters = {
+        $and: [
+          { title: { $regex: 'x', $options: 'i' } },
+          { $or: [{ name: { $regex: 'a\\.b', $options: 'i' } }, { title: { $regex: 'a\\.b', $options: 'i' } }] }
+        ]
+      };
+      expect(buildQuery.mock.calls[0][1]).toEqual(expectedFilters);
+      expect(modelMock.countDocuments).toHaveBeenCalledWith(expectedFilters);
+    });
+
+    test('should sort text searches by relevance and return their score', async () => {
+      const search = { mode: 'text', fields: ['name'], textFields: ['name'] };
+      await listDocuments(modelMock, { search: 'lace', sort: 'relevance' }, { search });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, { $text: { $search: 'lace' } }, expect.objectContaining({
+        sort: { score: { $meta: 'textScore' } },
+        score: true
+      }));
+      await expect(listDocuments(modelMock, { search: 'lace', sort: 'relevance', cursor: '' }, { search }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSort' });
+      await expect(listDocuments(modelMock, { sort: 'relevance' }, { search }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSort' });
+    });
+
+    test('should reject sorts that are not JSON objects', async () => {
+      await expect(listDocuments(modelMock, { sort: '{name:1}' }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSort' });
+      await expect(listDocuments(modelMock, { sort: 'null' }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSort' });
+      await expect(listDocuments(modelMock, { sort: '["name"]' }))
+        .rejects.toMatchObject({ statusCode: 400, error: 'InvalidSort' });
+    });
+
+    test('should return the first page and a next cursor in cursor mode', async () => {
+      const result = await listDocuments(modelMock, { cursor: '', limit: '3', sort: '{"rank":1}' });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, {}, expect.objectContaining({
+        limit: 4,
+        sort: { rank: 1, _id: 1 },
+        cursor: undefined
+      }));
+      expect(modelMock.countDocuments).not.toHaveBeenCalled();
+      expect(result.data).toEqual([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+      expect(result.pagination.limit).toBe(3);
+      expect(result.pagination.hasMore).toBe(true);
+      expect(result.pagination.prevCursor).toBeNull();
+      expect(decode(result.pagination.nextCursor)).toEqual({ d: 'next', k: ['rank', '_id'], v: [99, 'c'] });
+    });
+
+    test('should continue from a next cursor', async () => {
+      mockResults(docs.slice(3));
+      const cursor = encode({ d: 'next', k: ['_id'], v: ['c'] });
+
+      const result = await listDocuments(modelMock, { cursor, limit: '3' });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, {}, expect.objectContaining({
+        sort: { _id: -1 },
+        cursor: { direction: 'next', values: ['c'] }
+      }));
+      expect(result.data).toEqual([{ id: 'd' }]);
+      expect(result.pagination.hasMore).toBe(false);
+      expect(result.pagination.nextCursor).toBeNull();
+      expect(decode(result.pagination.prevCursor)).toEqual({ d: 'prev', k: ['_id'], v: ['d'] });
+    });
+
+    test('should page backwards from a previous cursor', async () => {
+      // Documents come in reverse order when paging backwards
+      mockResults([docs[2], docs[1], docs[0]]);
+      const cursor = encode({ d: 'prev', k: ['_id'], v: ['d'] });
+
+      const result = await listDocuments(modelMock, { cursor, limit: '2' });
+
+      expect(result.data).toEqual([{ id: 'b' }, { id: 'c' }]);
+      expect(result.pagination.hasMore).toBe(true);
+      expect(decode(result.pagination.nextCursor).v).toEqual(['c']);
+      expect(decode(result.pagination.prevCursor).v).toEqual(['b']);
+    });
+
+    test('should not return a previous cursor at the beginning when paging backwards', async () => {
+      mockResults([docs[0]]);
+      const cursor = encode({ d: 'prev', k: ['_id'], v: ['b'] });
+
+      const result = await listDocuments(modelMock, { cursor, limit: '2' });
+
+      expect(result.data).toEqual([{ id: 'a' }]);
+      expect(result.pagination.prevCursor).toBeNull();
+      expect(result.pagination.nextCursor).not.toBeNull();
+    });
+
+    test('should return empty cursors when there are no documents', async () => {
+      mockResults([]);
+
+      const result = await listDocuments(modelMock, { cursor: '' });
+
+      expect(result).toEqual({
+        data: [],
+        pagination: { limit: 10, hasMore: false, nextCursor: null, prevCursor: null }
+      });
+    });
+
+    test('should pass sparse fieldsets to the query without treating them as filters', async () => {
+      await listDocuments(modelMock, {
+        fields: 'rank',
+        'fields[author]': 'name',
+        populate: 'author'
+      });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, {}, expect.objectContaining({
+        populate: 'author',
+        fields: { rank: 1 },
+        populateSelect: { author: 'name' }
+      }));
+    });
+
+    test('should keep the sort keys of projected documents in cursor mode', async () => {
+      await listDocuments(modelMock, { cursor: '', fields: 'author', sort: '{"rank":1}' });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, {}, expect.objectContaining({
+        fields: { author: 1, rank: 1 }
+      }));
+    });
+
+    test('should reject cursors that do not match the sort', async () => {
+      const cursor = encode({ d: 'next', k: ['_id'], v: ['c'] });
+
+      await expect(listDocuments(modelMock, { cursor, sort: '{"rank":1}' }))
+        .rejects.toThrow('Pagination cursor does not match the requested sort');
+    });
+  });
+
+  describe('exportQuery', () => {
+    const modelMock = {
+      schema: {
+        paths: {
+          name: { cast: jest.fn(value => value) },
+          secret: { cast: jest.fn(value => value) }
+        }
+      }
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      buildQuery.mockReturnValue('query');
+    });
+
+    test('should build an unpaginated query with the list filters, search and sort', () => {
+      const result = exportQuery(modelMock, {
+        name: 'Ada',
+        search: 'lace',
+        sort: '{"name":1}',
+        page: '3',
+        limit: '5',
+        fields: 'name',
+        populate: 'author'
+      }, {
+        baseFilter: { deletedAt: null },
+        search: { mode: 'regex', fields: ['name', 'secret'] },
+        hiddenFields: ['secret']
+      });
+
+      expect(buildQuery).toHaveBeenCalledWith(modelMock, {
+        name: 'Ada',
+        deletedAt: null,
+        $and: [{ $or: [{ name: { $regex: 'lace', $options: 'i' } }] }]
+      }, {
+        limit: null,
+        sort: { name: 1 },
+        score: false,
+        populate: 'author',
+        fields: { name: 1 },
+        populateSelect: {}
+      });
+      expect(result).toEqual({ query: 'query', projection: { name: 1 }, populate: 'author', populateSelect: {} });
+    });
+
+    test('should reject hidden filters and sorts', () => {
+      expect(() => exportQuery(modelMock, { secret: 'x' }, { hiddenFields: ['secret'] }))
+        .toThrow('Filtering on "secret" is not allowed');
+      expect(() => exportQuery(modelMock, { sort: '{"secret":1}' }, { hiddenFields: ['secret'] }))
+        .toThrow('Sorting on "secret" is not allowed');
+    });
+  });
+});
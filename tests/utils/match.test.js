@@ -0,0 +1,69 @@
+const { matchesFilter } = require('../../src/utils/match');
+
+describe('Match Utilities', () => {
+  describe('matchesFilter', () => {
+    const doc = {
+      _id: { toHexString: () => '507f1f77bcf86cd799439011' },
+      title: 'Hello world',
+      views: 10,
+      tags: ['news', 'tech'],
+      author: { name: 'Ada' },
+      comments: [{ votes: 1 }, { votes: 5 }],
+      publishedAt: new Date('2024-01-02T00:00:00Z'),
+      deletedAt: null
+    };
+
+    test('should match everything with an empty filter', () => {
+      expect(matchesFilter(doc, {})).toBe(true);
+      expect(matchesFilter(doc)).toBe(true);
+    });
+
+    test('should compare values, ObjectIds and dates', () => {
+      expect(matchesFilter(doc, { title: 'Hello world' })).toBe(true);
+      expect(matchesFilter(doc, { title: 'Other' })).toBe(false);
+      expect(matchesFilter(doc, { _id: { toHexString: () => '507f1f77bcf86cd799439011' } })).toBe(true);
+      expect(matchesFilter(doc, { publishedAt: new Date('2024-01-02T00:00:00Z') })).toBe(true);
+    });
+
+    test('should match null with missing fields', () => {
+      expect(matchesFilter(doc, { deletedAt: null })).toBe(true);
+      expect(matchesFilter(doc, { archivedAt: null })).toBe(true);
+      expect(matchesFilter(doc, { title: null })).toBe(false);
+    });
+
+    test('should support comparison operators', () => {
+      expect(matchesFilter(doc, { views: { $gte: 10, $lt: 20 } })).toBe(true);
+      expect(matchesFilter(doc, { views: { $gt: 10 } })).toBe(false);
+      expect(matchesFilter(doc, { views: { $gt: '5' } })).toBe(false);
+      expect(matchesFilter(doc, { publishedAt: { $gt: new Date('2024-01-01T00:00:00Z') } })).toBe(true);
+      expect(matchesFilter(doc, { views: { $ne: 10 } })).toBe(false);
+      expect(matchesFilter(doc, { views: { $in: [1, 10] } })).toBe(true);
+      expect(matchesFilter(doc, { views: { $nin: [1, 10] } })).toBe(false);
+    });
+
+    test('should match arrays and nested paths like MongoDB', () => {
+      expect(matchesFilter(doc, { tags: 'tech' })).toBe(true);
+      expect(matchesFilter(doc, { tags: ['news', 'tech'] })).toBe(true);
+      expect(matchesFilter(doc, { 'author.name': 'Ada' })).toBe(true);
+      expect(matchesFilter(doc, { 'comments.votes': { $gt: 3 } })).toBe(true);
+    });
+
+    test('should support $exists and $regex', () => {
+      expect(matchesFilter(doc, { views: { $exists: true } })).toBe(true);
+      expect(matchesFilter(doc, { archivedAt: { $exists: true } })).toBe(false);
+      expect(matchesFilter(doc, { title: { $regex: '^hello', $options: 'i' } })).toBe(true);
+      expect(matchesFilter(doc, { title: /world$/ })).toBe(true);
+    });
+
+    test('should support logical operators', () => {
+      expect(matchesFilter(doc, { $or: [{ views: 1 }, { title: 'Hello world' }] })).toBe(true);
+      expect(matchesFilter(doc, { $and: [{ views: 10 }, { tags: 'sport' }] })).toBe(false);
+      expect(matchesFilter(doc, { $nor: [{ views: 1 }] })).toBe(true);
+    });
+
+    test('should fail closed on unsupported operators', () => {
+      expect(matchesFilter(doc, { $where: 'true' })).toBe(false);
+      expect(matchesFilter(doc, { tags: { $size: 2 } })).toBe(false);
+    });
+  });
+});
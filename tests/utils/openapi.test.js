@@ -0,0 +1,136 @@
+const { buildOpenApiDocument, toOpenApiPath } = require('../../src/utils/openapi');
+const { buildRouteSchemas, buildNestedListSchema } = require('../../src/utils/schema');
+
+describe('OpenAPI Utilities', () => {
+  const modelMock = {
+    collection: { name: 'posts' },
+    schema: {
+      paths: {
+        _id: { instance: 'ObjectId', options: {} },
+        title: { instance: 'String', options: { required: true } },
+        author: { instance: 'ObjectId', options: { ref: 'User' } }
+      }
+    }
+  };
+
+  const createRoutes = () => {
+    const schemas = buildRouteSchemas(modelMock);
+    return [
+      { method: 'GET', url: '/api/posts', schema: schemas.list },
+      { method: 'HEAD', url: '/api/posts', schema: schemas.list },
+      { method: 'GET', url: '/api/posts/:id', schema: schemas.get },
+      { method: 'POST', url: '/api/posts', schema: schemas.create },
+      { method: 'DELETE', url: '/api/posts/:id', schema: schemas.remove },
+      { method: 'GET', url: '/api/user/:refId/posts', schema: buildNestedListSchema(modelMock, 'author') }
+    ];
+  };
+
+  describe('toOpenApiPath', () => {
+    test('should convert Fastify params to OpenAPI templates', () => {
+      expect(toOpenApiPath('/api/user/:refId/posts/:id')).toBe('/api/user/{refId}/posts/{id}');
+      expect(toOpenApiPath('/api/posts')).toBe('/api/posts');
+    });
+  });
+
+  describe('buildOpenApiDocument', () => {
+    test('should build an OpenAPI 3.1 document with default info', () => {
+      const document = buildOpenApiDocument([]);
+
+      expect(document.openapi).toBe('3.1.0');
+      expect(document.info).toEqual({ title: 'Fast CRUD API', version: '1.0.0' });
+      expect(document.paths).toEqual({});
+      expect(document.components.schemas.Error.properties).toHaveProperty('details');
+      expect(document).not.toHaveProperty('servers');
+    });
+
+    test('should merge custom info and servers', () => {
+      const document = buildOpenApiDocument([], {
+        info: { title: 'Blog API', description: 'Posts' },
+        servers: [{ url: 'https://example.com' }]
+      });
+
+      expect(document.info).toEqual({ title: 'Blog API', version: '1.0.0', description: 'Posts' });
+      expect(document.servers).toEqual([{ url: 'https://example.com' }]);
+    });
+
+    test('should describe every registered route and skip HEAD routes', () => {
+      const document = buildOpenApiDocument(createRoutes());
+
+      expect(Object.keys(document.paths)).toEqual([
+        '/api/posts',
+        '/api/posts/{id}',
+        '/api/user/{refId}/posts'
+      ]);
+      expect(Object.keys(document.paths['/api/posts'])).toEqual(['get', 'post']);
+      expect(Object.keys(document.paths['/api/posts/{id}'])).toEqual(['get', 'delete']);
+    });
+
+    test('should map params and querystring to parameters', () => {
+      const document = buildOpenApiDocument(createRoutes());
+      const list = document.paths['/api/posts'].get;
+      const nested = document.paths['/api/user/{refId}/posts'].get;
+
+      expect(list.tags).toEqual(['posts']);
+      expect(list.summary).toBe('List posts');
+      expect(list.parameters.map(p => p.name)).toEqual(
+        expect.arrayContaining(['page', 'limit', 'sort', 'search', 'populate', 'title', 'author'])
+      );
+      expect(list.parameters.every(p => p.in === 'query' && !p.required)).toBe(true);
+      expect(nested.parameters[0]).toEqual({
+        name: 'refId',
+        in: 'path',
+        required: true,
+        schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+      });
+    });
+
+    test('should describe request bodies, list envelope and error responses', () => {
+      const document = buildOpenApiDocument(createRoutes());
+      const create = document.paths['/api/posts'].post;
+      const list = document.paths['/api/posts'].get;
+
+      expect(create.requestBody.content['application/json'].schema.required).toEqual(['title']);
+      expect(create).not.toHaveProperty('parameters');
+      expect(list.responses['200'].content['application/json'].schema.properties)
+        .toHaveProperty('pagination');
+      expect(list.responses['4XX']).toEqual({
+        description: 'Client error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      });
+      expect(list.responses['5XX'].description).toBe('Server error');
+    });
+
+    test('should support custom content types, method arrays and routes without schema', () => {
+      const document = buildOpenApiDocument([
+        {
+          method: ['PUT', 'PATCH'],
+          url: '/api/items/:id',
+          schema: {
+            operationId: 'updateItem',
+            consumes: ['application/merge-patch+json'],
+            body: { type: 'object' },
+            response: { 201: { type: 'object' }, 418: { type: 'object' } }
+          }
+        },
+        { method: 'GET', url: '/api/ping' }
+      ]);
+
+      const patch = document.paths['/api/items/{id}'].patch;
+      expect(patch.operationId).toBe('updateItem');
+      expect(patch.requestBody.content).toHaveProperty('application/merge-patch+json');
+      expect(patch.responses['201'].description).toBe('Resource created');
+      expect(patch.responses['418'].description).toBe('Response');
+      expect(document.paths['/api/items/{id}']).toHaveProperty('put');
+      expect(document.paths['/api/ping'].get.responses['200'].description).toBe('Successful response');
+    });
+
+    test('should describe successful responses with the produced content types', () => {
+      const schemas = buildRouteSchemas(modelMock);
+      const document = buildOpenApiDocument([{ method: 'GET', url: '/api/posts/_events', schema: schemas.events }]);
+
+      const events = document.paths['/api/posts/_events'].get;
+      expect(Object.keys(events.responses['200'].content)).toEqual(['text/event-stream']);
+      expect(Object.keys(events.responses['4XX'].content)).toEqual(['application/json']);
+    });
+  });
+});
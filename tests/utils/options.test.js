@@ -0,0 +1,29 @@
+const { getModelOption } = require('../../src/utils/options');
+
+describe('Options Utilities', () => {
+  describe('getModelOption', () => {
+    const optionsByModel = {
+      users: { upsert: true },
+      Posts: false
+    };
+
+    test('should return the option of the model', () => {
+      expect(getModelOption('users', optionsByModel)).toEqual({ upsert: true });
+    });
+
+    test('should match model names regardless of case', () => {
+      expect(getModelOption('USERS', optionsByModel)).toEqual({ upsert: true });
+      expect(getModelOption('posts', optionsByModel, true)).toBe(false);
+    });
+
+    test('should return the default value when the model has no option', () => {
+      expect(getModelOption('comments', optionsByModel, 'default')).toBe('default');
+      expect(getModelOption('comments', optionsByModel)).toBeUndefined();
+    });
+
+    test('should return the default value when no options are provided', () => {
+      expect(getModelOption('users', undefined, [])).toEqual([]);
+      expect(getModelOption('users', null, 10)).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const { mergePatchToUpdate, jsonPatchToUpdate, jsonPatchPaths, applyUpdate } = require('../../src/utils/patch');
+
+describe('Patch Utilities', () => {
+  describe('mergePatchToUpdate', () => {
+    test('should set values and unset null fields', () => {
+      const update = mergePatchToUpdate({ name: 'John', email: null });
+
+      expect(update).toEqual({
+        $set: { name: 'John' },
+        $unset: { email: '' }
+      });
+    });
+
+    test('should merge nested objects through dotted paths', () => {
+      const update = mergePatchToUpdate({
+        address: { city: 'Lisbon', zip: null },
+        tags: ['a', 'b']
+      });
+
+      expect(update).toEqual({
+        $set: { 'address.city': 'Lisbon', tags: ['a', 'b'] },
+        $unset: { 'address.zip': '' }
+      });
+    });
+
+    test('should not change anything for empty nested objects', () => {
+      expect(mergePatchToUpdate({ meta: {} })).toEqual({});
+      expect(mergePatchToUpdate({ name: 'John', meta: { flags: {} } })).toEqual({ $set: { name: 'John' } });
+    });
+
+    test('should ignore the document id', () => {
+      expect(mergePatchToUpdate({ _id: 'other', name: 'John' })).toEqual({ $set: { name: 'John' } });
+    });
+
+    test('should return an empty update for an empty patch', () => {
+      expect(mergePatchToUpdate({})).toEqual({});
+    });
+
+    test('should reject non object patches', () => {
+      expect(() => mergePatchToUpdate([])).toThrow('A merge patch must be a JSON object');
+      expect(() => mergePatchToUpdate(null)).toThrow('A merge patch must be a JSON object');
+    });
+  });
+
+  describe('jsonPatchToUpdate', () => {
+    const doc = {
+      _id: 'doc-1',
+      name: 'John',
+      tags: ['a', 'b'],
+      address: { city: 'Porto', zip: '4000' },
+      'a/b': 1
+    };
+
+    test('should map add, replace and remove on fields', () => {
+      const update = jsonPatchToUpdate([
+        { op: 'add', path: '/age', value: 30 },
+        { op: 'replace', path: '/address/city', value: 'Lisbon' },
+        { op: 'remove', path: '/address/zip' }
+      ], doc);
+
+      expect(update).toEqual({
+        $set: { age: 30, 'address.city': 'Lisbon' },
+        $unset: { 'address.zip': '' }
+      });
+    });
+
+    test('should write arrays changed by additions as a whole', () => {
+      expect(jsonPatchToUpdate([
+        { op: 'add', path: '/tags/-', value: 'c' },
+        { op: 'add', path: '/tags/0', value: 'z' }
+      ], doc)).toEqual({ $set: { tags: ['z', 'a', 'b', 'c'] } });
+    });
+
+    test('should push appended elements and pull removed values found once', () => {
+      const arrays = { tags: ['a', 'b', 'c'], items: [{ name: 'x' }], address: { lines: ['1', '2'] } };
+
+      expect(jsonPatchToUpdate([
+        { op: 'add', path: '/tags/-', value: 'd' },
+        { op: 'add', path: '/tags/-', value: 'e' },
+        { op: 'remove', path: '/address/lines/0' },
+        { op: 'remove', path: '/address/lines/0' }
+      ], arrays)).toEqual({
+        $push: { tags: { $each: ['d', 'e'] } },
+        $pull: { 'address.lines': { $in: ['1', '2'] } }
+      });
+
+      // Appends mixed with other changes, and removed objects, rewrite the array
+      expect(jsonPatchToUpdate([
+        { op: 'add', path: '/tags/-', value: 'd' },
+        { op: 'remove', path: '/tags/0' }
+      ], arrays)).toEqual({ $set: { tags: ['b', 'c', 'd'] } });
+      expect(jsonPatchToUpdate([{ op: 'remove', path: '/items/0' }], arrays))
+        .toEqual({ $set: { items: [] } });
+    });
+
+    test('should remove the array element at the index, not every equal value', () => {
+      const duplicates = { tags: ['a', 'b', 'a', 'c'] };
+
+      expect(jsonPatchToUpdate([{ op: 'remove', path: '/tags/2' }], duplicates))
+        .toEqual({ $set: { tags: ['a', 'b', 'c'] } });
+      expect(jsonPatchToUpdate([{ op: 'replace', path: '/tags/0', value: 'z' }], duplicates))
+        .toEqual({ $set: { tags: ['z', 'b', 'a', 'c'] } });
+      expect(duplicates.tags).toEqual(['a', 'b', 'a', 'c']);
+    });
+
+    test('should apply operations one after another', () => {
+      const duplicates = { tags: ['a', 'b', 'a', 'c'], items: [{ name: 'x' }, { name: 'y' }] };
+
+      expect(jsonPatchToUpdate([
+        { op: 'remove', path: '/tags/0' },
+        { op: 'remove', path: '/tags/0' },
+        { op: 'test', path: '/tags', value: ['a', 'c'] },
+        { op: 'replace', path: '/items/1/name', value: 'z' }
+      ], duplicates)).toEqual({ $set: { tags: ['a', 'c'], items: [{ name: 'x' }, { name: 'z' }] } });
+    });
+
+    test('should move and copy values from the current document', () => {
+      expect(jsonPatchToUpdate([{ op: 'move', from: '/name', path: '/fullName' }], doc)).toEqual({
+        $unset: { name: '' },
+        $set: { fullName: 'John' }
+      });
+      expect(jsonPatchToUpdate([{ op: 'copy', from: '/address/city', path: '/tags/-' }], doc)).toEqual({
+        $push: { tags: { $each: ['Porto'] } }
+      });
+    });
+
+    test('should unescape JSON Pointer segments', () => {
+      const update = jsonPatchToUpdate([{ op: 'replace', path: '/a~1b', value: 2 }], doc);
+
+      expect(update).toEqual({ $set: { 'a/b': 2 } });
+    });
+
+    test('should pass test operations and fail on mismatch', () => {
+      expect(jsonPatchToUpdate([{ op: 'test', path: '/tags', value: ['a', 'b'] }], doc)).toEqual({});
+      expect(() => jsonPatchToUpdate([{ op: 'test', path: '/name', value: 'Jane' }], doc))
+        .toThrow(expect.objectContaining({ statusCode: 409, error: 'PatchTestFailed' }));
+    });
+
+    test('should reject invalid patches', () => {
+      const invalid = (operations) => () => jsonPatchToUpdate(operations, doc);
+
+      expect(invalid({ op: 'add' })).toThrow('A JSON Patch must be an array of operations');
+      expect(invalid([{ op: 'increment', path: '/age' }])).toThrow('Invalid operation at index 0');
+      expect(invalid(['add'])).toThrow('Invalid operation at index 0');
+      expect(invalid([{ op: 'add', path: '/age' }])).toThrow('requires a value');
+      expect(invalid([{ op: 'add', path: 'age', value: 1 }])).toThrow('Invalid JSON Pointer');
+      expect(invalid([{ op: 'add', path: '', value: {} }])).toThrow('whole document');
+      expect(invalid([{ op: 'remove', path: '/missing' }])).toThrow('does not exist');
+      expect(invalid([{ op: 'replace', path: '/missing/deep', value: 1 }])).toThrow('does not exist');
+      expect(invalid([{ op: 'move', from: '/missing', path: '/name' }])).toThrow('does not exist');
+      expect(invalid([{ op: 'add', path: '/tags/9', value: 'x' }])).toThrow('Invalid array index');
+    });
+
+    test('should reject changes of the document id', () => {
+      const invalid = (operations) => () => jsonPatchToUpdate(operations, doc);
+
+      expect(invalid([{ op: 'replace', path: '/_id', value: 'doc-2' }]))
+        .toThrow(expect.objectContaining({ statusCode: 400, error: 'InvalidPatch' }));
+      expect(invalid([{ op: 'remove', path: '/_id' }])).toThrow('cannot change the document id');
+      expect(invalid([{ op: 'add', path: '/id', value: 'doc-2' }])).toThrow('cannot change the document id');
+      expect(invalid([{ op: 'move', from: '/_id', path: '/legacyId' }])).toThrow('cannot change the document id');
+
+      expect(jsonPatchToUpdate([
+        { op: 'test', path: '/_id', value: 'doc-1' },
+        { op: 'copy', from: '/_id', path: '/legacyId' }
+      ], doc)).toEqual({ $set: { legacyId: 'doc-1' } });
+    });
+
+    test('should write the final value of overlapping paths once', () => {
+      expect(jsonPatchToUpdate([
+        { op: 'replace', path: '/address/city', value: 'Lisbon' },
+        { op: 'remove', path: '/address' }
+      ], doc)).toEqual({ $unset: { address: '' } });
+
+      expect(jsonPatchToUpdate([
+        { op: 'add', path: '/profile', value: {} },
+        { op: 'add', path: '/profile/bio', value: 'b' }
+      ], doc)).toEqual({ $set: { profile: { bio: 'b' } } });
+
+      expect(() => jsonPatchToUpdate([{ op: 'move', from: '/address', path: '/address/home' }], doc))
+        .toThrow('into itself');
+    });
+  });
+
+  describe('jsonPatchPaths', () => {
+    test('should list the paths written by the operations', () => {
+      expect(jsonPatchPaths([
+        { op: 'replace', path: '/profile/name', value: 'x' },
+        { op: 'add', path: '/tags/-', value: 'y' },
+        { op: 'move', from: '/old', path: '/new' },
+        { op: 'copy', from: '/source', path: '/target' },
+        { op: 'test', path: '/role', value: 'admin' },
+        { op: 'remove', path: '/a~1b' }
+      ])).toEqual(['profile.name', 'tags.-', 'new', 'old', 'target', 'a/b']);
+    });
+
+    test('should reject patches that are not arrays', () => {
+      expect(() => jsonPatchPaths({ op: 'remove' }))
+        .toThrow('A JSON Patch must be an array of operations');
+    });
+  });
+
+  describe('applyUpdate', () => {
+    test('should return the document an update results in', () => {
+      const doc = { name: 'John', tags: ['a', 'b'], address: { city: 'Porto', zip: '4000' } };
+
+      expect(applyUpdate(doc, {
+        $set: { 'address.city': 'Lisbon', 'profile.bio': 'b' },
+        $unset: { 'address.zip': '' },
+        $push: { tags: { $each: ['c'] } },
+        $pull: { labels: { $in: ['x'] } }
+      })).toEqual({
+        name: 'John',
+        tags: ['a', 'b', 'c'],
+        labels: [],
+        address: { city: 'Lisbon' },
+        profile: { bio: 'b' }
+      });
+      expect(applyUpdate(doc, { $pull: { tags: { $in: ['a'] } } }).tags).toEqual(['b']);
+      expect(doc).toEqual({ name: 'John', tags: ['a', 'b'], address: { city: 'Porto', zip: '4000' } });
+    });
+  });
+});
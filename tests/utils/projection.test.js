@@ -0,0 +1,97 @@
+const { parseProjection, extractFields, populateOption, keepFields } = require('../../src/utils/projection');
+
+describe('Projection Utilities', () => {
+  describe('parseProjection', () => {
+    test('should return undefined when no fields are requested', () => {
+      expect(parseProjection(undefined)).toBeUndefined();
+      expect(parseProjection('')).toBeUndefined();
+      expect(parseProjection(' , ')).toBeUndefined();
+    });
+
+    test('should build an inclusion projection', () => {
+      expect(parseProjection('name, email')).toEqual({ name: 1, email: 1 });
+    });
+
+    test('should build an exclusion projection', () => {
+      expect(parseProjection('-password,-profile.bio')).toEqual({ password: 0, 'profile.bio': 0 });
+    });
+
+    test('should always keep the document id', () => {
+      expect(parseProjection('name,id,_id')).toEqual({ name: 1 });
+      expect(parseProjection('-_id,-password')).toEqual({ password: 0 });
+      expect(parseProjection('-id')).toBeUndefined();
+    });
+
+    test('should reject mixed inclusions and exclusions', () => {
+      expect(() => parseProjection('name,-password'))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          error: 'InvalidFields',
+          message: 'Cannot mix included and excluded fields'
+        }));
+    });
+  });
+
+  describe('extractFields', () => {
+    test('should separate fields parameters from the rest of the query', () => {
+      const result = extractFields({
+        fields: 'title,author',
+        'fields[author]': 'name,email',
+        populate: 'author',
+        status: 'draft'
+      });
+
+      expect(result).toEqual({
+        projection: { title: 1, author: 1 },
+        populateSelect: { author: 'name email' },
+        query: { populate: 'author', status: 'draft' }
+      });
+    });
+
+    test('should support fields parsed as nested objects', () => {
+      const result = extractFields({ fields: { author: '-password', '': 'title' } });
+
+      expect(result.projection).toEqual({ title: 1 });
+      expect(result.populateSelect).toEqual({ author: '-password' });
+      expect(result.query).toEqual({});
+    });
+
+    test('should handle a missing query', () => {
+      expect(extractFields()).toEqual({ projection: undefined, populateSelect: {}, query: {} });
+    });
+  });
+
+  describe('populateOption', () => {
+    test('should populate the whole document when no fields are selected', () => {
+      expect(populateOption('author')).toBe('author');
+      expect(populateOption('author', { category: 'name' })).toBe('author');
+    });
+
+    test('should select the requested fields of the populated document', () => {
+      expect(populateOption('author', { author: 'name email' })).toEqual({ path: 'author', select: 'name email' });
+    });
+
+    test('should match the populated documents when a filter is given', () => {
+      expect(populateOption('author', {}, { author: { tenant: 't1' } }))
+        .toEqual({ path: 'author', match: { tenant: 't1' } });
+      expect(populateOption('author', { author: 'name' }, { author: { tenant: 't1' } }))
+        .toEqual({ path: 'author', select: 'name', match: { tenant: 't1' } });
+      expect(populateOption('author', {}, { author: {} })).toBe('author');
+    });
+  });
+
+  describe('keepFields', () => {
+    test('should add fields to inclusion projections', () => {
+      expect(keepFields({ title: 1 }, ['rank', '_id'])).toEqual({ title: 1, rank: 1 });
+    });
+
+    test('should remove fields from exclusion projections', () => {
+      expect(keepFields({ rank: 0, body: 0 }, ['rank', '_id'])).toEqual({ body: 0 });
+      expect(keepFields({ rank: 0 }, ['rank'])).toBeUndefined();
+    });
+
+    test('should keep an empty projection empty', () => {
+      expect(keepFields(undefined, ['rank'])).toBeUndefined();
+    });
+  });
+});
@@ -7,7 +7,9 @@ describe('Query Utilities', () => {
       const queryMock = {
         find: jest.fn().mockReturnThis(),
         or: jest.fn().mockReturnThis(),
+        and: jest.fn().mockReturnThis(),
         populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
         sort: jest.fn().mockReturnThis(),
         skip: jest.fn().mockReturnThis(),
         limit: jest.fn().mockReturnThis(),
@@ -58,37 +60,22 @@ describe('Query Utilities', () => {
       expect(queryMock.sort).toHaveBeenCalledWith(sortCriteria);
     });
 
-    test('should apply text search when search term and search fields are provided', () => {
+    test('should return the text search score when requested', () => {
       const modelMock = createModelMock();
       const queryMock = modelMock.find();
-      const searchFields = ['title', 'description'];
       
-      buildQuery(modelMock, {}, { search: 'test query', searchFields });
+      buildQuery(modelMock, { $text: { $search: 'test query' } }, { score: true });
       
-      const expectedSearchConditions = [
-        { title: { $regex: 'test query', $options: 'i' } },
-        { description: { $regex: 'test query', $options: 'i' } }
-      ];
-      
-      expect(queryMock.or).toHaveBeenCalledWith(expectedSearchConditions);
+      expect(queryMock.select).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
     });
 
-    test('should not apply search when there is no search term', () => {
+    test('should not select the score by default', () => {
       const modelMock = createModelMock();
       const queryMock = modelMock.find();
       
-      buildQuery(modelMock, {}, { searchFields: ['title', 'description'] });
-      
-      expect(queryMock.or).not.toHaveBeenCalled();
-    });
-
-    test('should not apply search when there are no search fields', () => {
-      const modelMock = createModelMock();
-      const queryMock = modelMock.find();
-      
-      buildQuery(modelMock, {}, { search: 'test query' });
+      buildQuery(modelMock, {});
       
-      expect(queryMock.or).not.toHaveBeenCalled();
+      expect(queryMock.select).not.toHaveBeenCalled();
     });
 
     test('should apply population of a single field', () => {
@@ -110,6 +97,67 @@ describe('Query Utilities', () => {
       expect(queryMock.populate).toHaveBeenCalledWith('category');
     });
 
+    test('should apply the projection of a sparse fieldset', () => {
+      const modelMock = createModelMock();
+      const queryMock = modelMock.find();
+
+      buildQuery(modelMock, {}, { fields: { name: 1, email: 1 } });
+
+      expect(queryMock.select).toHaveBeenCalledWith({ name: 1, email: 1 });
+    });
+
+    test('should select fields of populated documents', () => {
+      const modelMock = createModelMock();
+      const queryMock = modelMock.find();
+
+      buildQuery(modelMock, {}, {
+        populate: ['author', 'category'],
+        populateSelect: { author: 'name' }
+      });
+
+      expect(queryMock.populate).toHaveBeenCalledWith({ path: 'author', select: 'name' });
+      expect(queryMock.populate).toHaveBeenCalledWith('category');
+    });
+
+    test('should apply keyset pagination when a cursor is provided', () => {
+      const modelMock = createModelMock();
+      const queryMock = modelMock.find();
+      const sort = { createdAt: -1, _id: -1 };
+
+      buildQuery(modelMock, {}, { sort, limit: 6, cursor: { direction: 'next', values: ['d', 'i'] } });
+
+      expect(queryMock.and).toHaveBeenCalledWith([{
+        $or: [
+          { $or: [{ createdAt: { $lt: 'd' } }, { createdAt: null }] },
+          { createdAt: 'd', _id: { $lt: 'i' } }
+        ]
+      }]);
+      expect(queryMock.sort).toHaveBeenCalledWith(sort);
+      expect(queryMock.skip).not.toHaveBeenCalled();
+      expect(queryMock.limit).toHaveBeenCalledWith(6);
+    });
+
+    test('should reverse the sort when paging backwards with a cursor', () => {
+      const modelMock = createModelMock();
+      const queryMock = modelMock.find();
+
+      buildQuery(modelMock, {}, { sort: { _id: -1 }, cursor: { direction: 'prev', values: ['i'] } });
+
+      expect(queryMock.and).toHaveBeenCalledWith([{ $or: [{ _id: { $gt: 'i' } }] }]);
+      expect(queryMock.sort).toHaveBeenCalledWith({ _id: 1 });
+    });
+
+    test('should read every document without a limit', () => {
+      const modelMock = createModelMock();
+      const queryMock = modelMock.find();
+
+      buildQuery(modelMock, {}, { limit: null, sort: { name: 1 } });
+
+      expect(queryMock.sort).toHaveBeenCalledWith({ name: 1 });
+      expect(queryMock.skip).not.toHaveBeenCalled();
+      expect(queryMock.limit).not.toHaveBeenCalled();
+    });
+
     // Additional test to cover all branches in query.js
     test('should work correctly even without passing any parameters', () => {
       const modelMock = createModelMock();
@@ -125,6 +173,7 @@ describe('Query Utilities', () => {
       expect(queryMock.limit).toHaveBeenCalledWith(10);
       expect(queryMock.or).not.toHaveBeenCalled();
       expect(queryMock.populate).not.toHaveBeenCalled();
+      expect(queryMock.select).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,59 @@
+const { getReferencePaths, getRefCollectionName, castReference } = require('../../src/utils/reference');
+
+describe('Reference Utilities', () => {
+  describe('getReferencePaths', () => {
+    test('should list single and array references', () => {
+      const model = {
+        schema: {
+          paths: {
+            title: { instance: 'String', options: {} },
+            author: { instance: 'ObjectId', options: { ref: 'User' } },
+            tags: { instance: 'Array', options: {}, caster: { options: { ref: 'Tag' } } },
+            scores: { instance: 'Array', options: {}, caster: { options: {} } },
+            legacy: { instance: 'Mixed' }
+          }
+        }
+      };
+
+      expect(getReferencePaths(model)).toEqual([
+        { path: 'author', ref: 'User', many: false },
+        { path: 'tags', ref: 'Tag', many: true }
+      ]);
+    });
+  });
+
+  describe('getRefCollectionName', () => {
+    test('should use the collection of the registered model', () => {
+      const model = { db: { models: { User: { collection: { name: 'people' } } } } };
+
+      expect(getRefCollectionName(model, 'User')).toBe('people');
+    });
+
+    test('should accept model references', () => {
+      expect(getRefCollectionName({}, { collection: { name: 'people' } })).toBe('people');
+    });
+
+    test('should fall back to the lowercased model name', () => {
+      expect(getRefCollectionName({}, 'Category')).toBe('category');
+      expect(getRefCollectionName({ db: { models: {} } }, 'Tag')).toBe('tag');
+    });
+  });
+
+  describe('castReference', () => {
+    test('should cast with the type of the reference or of the array elements', () => {
+      const cast = jest.fn(id => `cast-${id}`);
+      const model = {
+        schema: {
+          paths: {
+            author: { instance: 'ObjectId', cast },
+            tags: { instance: 'Array', cast: jest.fn(), caster: { instance: 'ObjectId', cast } }
+          }
+        }
+      };
+
+      expect(castReference(model, 'author', 'a')).toBe('cast-a');
+      expect(castReference(model, 'tags', 't')).toBe('cast-t');
+      expect(model.schema.paths.tags.cast).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,332 @@
+const Fastify = require('fastify');
+const { buildFilters } = require('../../src/utils/filter');
+const {
+  buildDocumentSchema,
+  buildListQuerySchema,
+  buildRouteSchemas,
+  buildNestedListSchema,
+  buildNestedRouteSchemas,
+  buildMembershipSchemas,
+  buildWebhookSchemas
+} = require('../../src/utils/schema');
+
+describe('Schema Utilities', () => {
+  // Mock of a Mongoose schema with the most common path types
+  const createSchemaMock = () => {
+    const addressSchema = {
+      paths: {
+        _id: { instance: 'ObjectId', options: {} },
+        street: { instance: 'String', options: { required: true } }
+      }
+    };
+
+    return {
+      paths: {
+        _id: { instance: 'ObjectId', options: {} },
+        __v: { instance: 'Number', options: {} },
+        name: { instance: 'String', options: { required: true, minlength: 2, maxLength: [50, 'Too long'] } },
+        status: { instance: 'String', enumValues: ['draft', 'published'], options: { default: 'draft' } },
+        email: { instance: 'String', options: { match: /^\S+@\S+$/ } },
+        age: { instance: 'Number', options: { min: 0, max: [120, 'Too old'] } },
+        active: { instance: 'Boolean', options: {} },
+        birthDate: { instance: 'Date', options: {} },
+        author: { instance: 'ObjectId', options: { ref: 'User', required: true } },
+        tags: { instance: 'Array', caster: { instance: 'String', options: {} }, options: {} },
+        addresses: { instance: 'Array', schema: addressSchema, options: {} },
+        profile: { instance: 'Embedded', schema: addressSchema, options: {} },
+        'meta.views': { instance: 'Number', options: { required: true } },
+        extra: { instance: 'Mixed', options: {} }
+      }
+    };
+  };
+
+  const createModelMock = () => ({
+    collection: { name: 'users' },
+    schema: createSchemaMock()
+  });
+
+  describe('buildDocumentSchema', () => {
+    test('should map Mongoose types and validators to JSON Schema', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'create' });
+
+      expect(result.type).toBe('object');
+      expect(result.properties.name).toEqual({ type: 'string', minLength: 2, maxLength: 50 });
+      expect(result.properties.status).toEqual({
+        type: ['string', 'null'],
+        enum: ['draft', 'published', null]
+      });
+      expect(result.properties.email).toEqual({ type: ['string', 'null'], pattern: '^\\S+@\\S+$' });
+      expect(result.properties.age).toEqual({ type: ['number', 'null'], minimum: 0, maximum: 120 });
+      expect(result.properties.active).toEqual({ type: ['boolean', 'null'] });
+      expect(result.properties.birthDate).toEqual({ type: ['string', 'null'], format: 'date-time' });
+      expect(result.properties.author).toEqual({ type: 'string', pattern: '^[0-9a-fA-F]{24}$' });
+      expect(result.properties.extra).toEqual({});
+    });
+
+    test('should leave out patterns whose flags change what they match', () => {
+      const schema = createSchemaMock();
+      schema.paths.code = { instance: 'String', options: { match: /^[a-z]+$/i } };
+      schema.paths.slug = { instance: 'String', options: { match: /^[a-z-]+$/u } };
+
+      const result = buildDocumentSchema(schema, { mode: 'create' });
+
+      expect(result.properties.code).toEqual({ type: ['string', 'null'] });
+      expect(result.properties.slug).toEqual({ type: ['string', 'null'], pattern: '^[a-z-]+$' });
+    });
+
+    test('should require paths marked as required without default', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'create' });
+
+      expect(result.required).toEqual(['name', 'author']);
+      expect(result.properties.meta.required).toEqual(['views']);
+    });
+
+    test('should skip internal paths on input schemas', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'create' });
+
+      expect(result.properties).not.toHaveProperty('_id');
+      expect(result.properties).not.toHaveProperty('__v');
+      expect(result.properties).not.toHaveProperty('id');
+    });
+
+    test('should describe arrays, subdocuments and nested paths', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'create' });
+
+      expect(result.properties.tags).toEqual({
+        type: ['array', 'null'],
+        items: { type: 'string' }
+      });
+      expect(result.properties.addresses.items.properties.street).toEqual({ type: 'string' });
+      expect(result.properties.addresses.items.required).toEqual(['street']);
+      expect(result.properties.profile.type).toEqual(['object', 'null']);
+      expect(result.properties.meta.properties.views).toEqual({ type: 'number' });
+    });
+
+    test('should not require any path in update mode', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'update' });
+
+      expect(result.required).toBeUndefined();
+      expect(result.properties.name.type).toEqual(['string', 'null']);
+    });
+
+    test('should expose id and populated references in response mode', () => {
+      const result = buildDocumentSchema(createSchemaMock(), { mode: 'response' });
+
+      expect(result.properties.id).toEqual({ type: 'string' });
+      expect(result.properties).not.toHaveProperty('_id');
+      expect(result.properties.author.anyOf).toHaveLength(2);
+      expect(result.properties.addresses.items.properties).toHaveProperty('_id');
+      expect(result.required).toBeUndefined();
+    });
+
+    test('should default to create mode and tolerate paths without options', () => {
+      const result = buildDocumentSchema({ paths: { title: { instance: 'String' } } });
+
+      expect(result.properties.title).toEqual({ type: ['string', 'null'] });
+    });
+  });
+
+  describe('buildListQuerySchema', () => {
+    test('should describe pagination parameters and scalar filters', () => {
+      const result = buildListQuerySchema(createModelMock());
+
+      expect(result.properties.page).toEqual({ type: 'integer', minimum: 1 });
+      expect(result.properties.limit).toEqual({ type: 'integer', minimum: 1 });
+      expect(result.properties.populate.anyOf).toHaveLength(2);
+      expect(result.properties.age).toEqual({
+        anyOf: [{ type: 'number' }, { type: 'array', items: { type: 'number' } }]
+      });
+      expect(result.properties.active.anyOf[0]).toEqual({ type: 'boolean' });
+      expect(result.properties.birthDate.anyOf[0]).toEqual({ type: 'string' });
+      expect(result.properties).not.toHaveProperty('tags');
+      expect(result.properties).not.toHaveProperty('__v');
+      expect(result.additionalProperties).toBe(true);
+    });
+
+    test('should let repeated filters through to an $in condition', async () => {
+      const model = createModelMock();
+      model.schema.paths.status.cast = String;
+      model.schema.paths.age.cast = Number;
+      const app = Fastify();
+      app.get('/api/users', { schema: { querystring: buildListQuerySchema(model) } },
+        async request => buildFilters(model, request.query));
+
+      const repeated = await app.inject('/api/users?status=draft&status=published&age=30');
+      expect(repeated.statusCode).toBe(200);
+      expect(repeated.json()).toEqual({ status: { $in: ['draft', 'published'] }, age: 30 });
+
+      const invalid = await app.inject('/api/users?age=30&age=old');
+      expect(invalid.statusCode).toBe(400);
+    });
+  });
+
+  describe('buildRouteSchemas', () => {
+    test('should build schemas for every CRUD route', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.list.response[200].properties.data.items.properties).toHaveProperty('id');
+      expect(result.get.params.properties.id.pattern).toBe('^[0-9a-fA-F]{24}$');
+      expect(result.create.body.required).toEqual(['name', 'author']);
+      expect(result.update.body.required).toEqual(['name', 'author']);
+      expect(result.update.response[201]).toBe(result.update.response[200]);
+      expect(result.patch.body.anyOf[0].required).toBeUndefined();
+      expect(result.patch.body.anyOf[1].type).toBe('array');
+      expect(result.remove.response[200].properties.success).toEqual({ type: 'boolean' });
+      expect(result.remove.response['4xx'].properties).toHaveProperty('error');
+      expect(result.list.tags).toEqual(['users']);
+      expect(result.create.summary).toBe('Create a users document');
+    });
+
+    test('should add the purge flag and trash schemas for soft delete', () => {
+      const result = buildRouteSchemas(createModelMock(), { softDelete: true });
+
+      expect(buildRouteSchemas(createModelMock()).remove.querystring).toBeUndefined();
+      expect(result.remove.querystring.properties.purge).toEqual({ type: 'boolean' });
+      expect(result.trash.querystring).toEqual(result.list.querystring);
+      expect(result.trash.summary).toBe('List soft-deleted users documents');
+      expect(result.restore.params.properties).toHaveProperty('id');
+      expect(result.restore.response[200]).toBe(result.get.response[200]);
+    });
+
+    test('should build the history, revision and revert schemas', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.history.response[200].properties.data.items.properties).toHaveProperty('changes');
+      expect(result.revision.params.required).toEqual(['id', 'revision']);
+      expect(result.revision.params.properties.revision).toEqual({ type: 'integer', minimum: 1 });
+      expect(result.revision.response[200].properties.document.type).toEqual(['object', 'null']);
+      expect(result.revert.response[200]).toBe(result.get.response[200]);
+    });
+
+    test('should build the change feed schema with filters only', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.events.produces).toEqual(['text/event-stream']);
+      expect(result.events.querystring.properties).not.toHaveProperty('page');
+      expect(result.events.querystring.properties).not.toHaveProperty('sort');
+      expect(Object.keys(result.events.querystring.properties).length).toBeGreaterThan(0);
+    });
+
+    test('should build the aggregation schema with filters and aggregation parameters', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.aggregate.querystring.properties).toMatchObject({
+        groupBy: { type: 'string' },
+        metrics: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000 }
+      });
+      expect(result.aggregate.querystring.properties).not.toHaveProperty('page');
+      expect(result.aggregate.querystring.properties).not.toHaveProperty('populate');
+      expect(result.aggregate.response[200].properties.data.items.properties.group.additionalProperties).toBe(true);
+    });
+
+    test('should build the facets and distinct schemas', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.facets.querystring.required).toEqual(['fields']);
+      expect(result.facets.querystring.properties.fields).toEqual({ type: 'string' });
+      expect(result.facets.querystring.properties).toHaveProperty('search');
+      expect(result.facets.querystring.properties).not.toHaveProperty('page');
+      expect(result.facets.response[200].properties.data.additionalProperties.items.properties.count)
+        .toEqual({ type: 'integer' });
+      expect(result.distinct.params.required).toEqual(['field']);
+      expect(result.distinct.querystring.properties).not.toHaveProperty('fields');
+    });
+
+    test('should build the export schema without pagination', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.export.produces).toEqual(['text/csv', 'application/x-ndjson']);
+      expect(result.export.querystring.properties.format).toEqual({ type: 'string', enum: ['csv', 'ndjson'] });
+      expect(result.export.querystring.properties).toHaveProperty('sort');
+      expect(result.export.querystring.properties).not.toHaveProperty('page');
+      expect(result.export.querystring.properties).not.toHaveProperty('cursor');
+    });
+
+    test('should build the import schema with a text body and a row report', () => {
+      const result = buildRouteSchemas(createModelMock());
+
+      expect(result.import.consumes).toEqual(['text/csv', 'application/x-ndjson']);
+      expect(result.import.body).toEqual({ type: 'string' });
+      expect(result.import.querystring.properties.mode.enum).toEqual(['insert', 'upsert']);
+      expect(result.import.response[200].properties.results.items.properties.status.enum)
+        .toEqual(['success', 'valid', 'error', 'skipped']);
+    });
+
+    test('should build the webhook admin schemas', () => {
+      const result = buildWebhookSchemas();
+
+      expect(result.list.response[200].properties.data.items.properties).toHaveProperty('lastError');
+      expect(result.replay.params.properties.id.pattern).toBe('^[0-9a-fA-F]{24}$');
+      expect(result.replayDead.response[200].properties.replayed).toEqual({ type: 'integer' });
+    });
+
+    test('should use a plain string id when _id is not an ObjectId', () => {
+      const result = buildRouteSchemas({
+        collection: { name: 'tags' },
+        schema: { paths: { name: { instance: 'String' } } }
+      });
+
+      expect(result.get.params.properties.id).toEqual({ type: 'string' });
+    });
+  });
+
+  describe('buildNestedListSchema', () => {
+    test('should validate the parent id with the reference field type', () => {
+      const result = buildNestedListSchema(createModelMock(), 'author');
+
+      expect(result.params.properties.refId.pattern).toBe('^[0-9a-fA-F]{24}$');
+      expect(result.summary).toBe('List users by author');
+      expect(result.querystring).toBeDefined();
+      expect(result.response[200]).toBeDefined();
+    });
+
+    test('should fallback to a string parent id for other reference types', () => {
+      const model = createModelMock();
+      model.schema.paths.owner = { instance: 'String', options: { ref: 'User' } };
+
+      const result = buildNestedListSchema(model, 'owner');
+
+      expect(result.params.properties.refId).toEqual({ type: 'string' });
+    });
+  });
+
+  describe('buildNestedRouteSchemas', () => {
+    test('should take the parent id from the URL', () => {
+      const result = buildNestedRouteSchemas(createModelMock(), 'author');
+
+      expect(result.create.params.required).toEqual(['refId']);
+      expect(result.get.params.required).toEqual(['refId', 'id']);
+      expect(Object.keys(result.remove.params.properties)).toEqual(['refId', 'id']);
+      expect(result.update.params.properties.refId.pattern).toBe('^[0-9a-fA-F]{24}$');
+      expect(result.create.summary).toBe('Create a users document under its author');
+    });
+
+    test('should not require the reference field in bodies', () => {
+      const result = buildNestedRouteSchemas(createModelMock(), 'author');
+
+      expect(result.create.body.required).toEqual(['name']);
+      expect(result.create.body.properties).toHaveProperty('author');
+      expect(result.update.body.required).toEqual(['name']);
+    });
+  });
+
+  describe('buildMembershipSchemas', () => {
+    test('should validate the referenced id with the type of the array elements', () => {
+      const model = createModelMock();
+      model.schema.paths.friends = {
+        instance: 'Array',
+        caster: { instance: 'ObjectId', options: { ref: 'User' } },
+        options: {}
+      };
+
+      const result = buildMembershipSchemas(model, 'friends');
+
+      expect(result.add.params.required).toEqual(['id', 'refId']);
+      expect(result.add.params.properties.refId.pattern).toBe('^[0-9a-fA-F]{24}$');
+      expect(result.remove.summary).toBe('Remove a reference from the friends of a users document');
+      expect(result.add.body).toBeUndefined();
+      expect(result.add.response[200]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  escapeRegex,
+  getSearchConfig,
+  parseSearch,
+  withSearch,
+  relevanceSort
+} = require('../../src/utils/search');
+
+describe('Search Utilities', () => {
+  const createModelMock = (indexes = []) => ({
+    collection: { name: 'posts' },
+    schema: {
+      paths: {
+        title: { instance: 'String' },
+        body: { instance: 'String' },
+        secret: { instance: 'String' },
+        tags: { instance: 'Array', caster: { instance: 'String' } },
+        views: { instance: 'Number' }
+      },
+      indexes: () => indexes
+    }
+  });
+
+  const textIndex = [[{ title: 'text', body: 'text' }, {}]];
+
+  describe('escapeRegex', () => {
+    test('should match special characters literally', () => {
+      expect(escapeRegex('a.b*(c)?[d]$')).toBe('a\\.b\\*\\(c\\)\\?\\[d\\]\\$');
+      expect(new RegExp(escapeRegex('(a+)+$')).test('x(a+)+$')).toBe(true);
+    });
+  });
+
+  describe('getSearchConfig', () => {
+    test('should search every String path with regex by default', () => {
+      expect(getSearchConfig(createModelMock())).toEqual({
+        mode: 'regex',
+        fields: ['title', 'body', 'secret'],
+        textFields: null
+      });
+    });
+
+    test('should use the text index in text mode', () => {
+      expect(getSearchConfig(createModelMock(textIndex), { mode: 'text', fields: ['title', 'tags'] })).toEqual({
+        mode: 'text',
+        fields: ['title', 'tags'],
+        textFields: ['title', 'body']
+      });
+    });
+
+    test('should fall back to regex without text index', () => {
+      expect(getSearchConfig(createModelMock(), { mode: 'text' }).mode).toBe('regex');
+      expect(getSearchConfig(createModelMock(), ['title']).fields).toEqual(['title']);
+    });
+
+    test('should reject unknown modes and fields that are not strings', () => {
+      expect(() => getSearchConfig(createModelMock(), { mode: 'fuzzy' }))
+        .toThrow('Unknown search mode "fuzzy" for posts, expected one of regex, text');
+      expect(() => getSearchConfig(createModelMock(), { fields: ['views'] }))
+        .toThrow('Search field "views" of posts is not a String path');
+    });
+  });
+
+  describe('parseSearch', () => {
+    const regexConfig = { mode: 'regex', fields: ['title', 'body', 'secret'], textFields: null };
+    const textConfig = { mode: 'text', fields: ['title', 'body', 'secret'], textFields: ['title', 'body'] };
+
+    test('should search visible fields with escaped terms', () => {
+      expect(parseSearch(regexConfig, { search: 'a.b', views: '3' }, ['secret'])).toEqual({
+        search: {
+          text: undefined,
+          conditions: [{
+            $or: [
+              { title: { $regex: 'a\\.b', $options: 'i' } },
+              { body: { $regex: 'a\\.b', $options: 'i' } }
+            ]
+          }]
+        },
+        query: { views: '3' }
+      });
+    });
+
+    test('should search single fields', () => {
+      const expected = [{ title: { $regex: 'jo', $options: 'i' } }];
+
+      expect(parseSearch(regexConfig, { 'search[title]': 'jo' }).search.conditions).toEqual(expected);
+      expect(parseSearch(regexConfig, { search: { title: 'jo', body: '' } }).search.conditions).toEqual(expected);
+    });
+
+    test('should reject fields that cannot be searched', () => {
+      expect(() => parseSearch(regexConfig, { 'search[secret]': 'x' }, ['secret']))
+        .toThrow(expect.objectContaining({ statusCode: 400, error: 'InvalidSearch' }));
+      expect(() => parseSearch(regexConfig, { 'search[views]': '3' }))
+        .toThrow('Searching on "views" is not allowed');
+      expect(() => parseSearch(regexConfig, { 'search[title]': ['a', 'b'] }))
+        .toThrow('Search on "title" must be a single term');
+    });
+
+    test('should use the text index unless it covers a hidden field', () => {
+      expect(parseSearch(textConfig, { search: 'lamp' }, ['secret']).search)
+        .toEqual({ text: 'lamp', conditions: [] });
+      expect(parseSearch(textConfig, { search: 'lamp' }, ['body', 'secret']).search)
+        .toEqual({ text: undefined, conditions: [{ $or: [{ title: { $regex: 'lamp', $options: 'i' } }] }] });
+    });
+
+    test('should ignore search parameters without configuration', () => {
+      expect(parseSearch(undefined, { search: 'x', views: '3' })).toEqual({
+        search: { text: undefined, conditions: [] },
+        query: { views: '3' }
+      });
+    });
+  });
+
+  describe('withSearch', () => {
+    test('should narrow the filter with the search', () => {
+      expect(withSearch({ views: 3, $and: [{ owner: 'me' }] }, {
+        text: 'lamp',
+        conditions: [{ title: { $regex: 'jo', $options: 'i' } }]
+      })).toEqual({
+        views: 3,
+        $text: { $search: 'lamp' },
+        $and: [{ owner: 'me' }, { title: { $regex: 'jo', $options: 'i' } }]
+      });
+      expect(withSearch({ views: 3 }, { conditions: [] })).toEqual({ views: 3 });
+    });
+  });
+
+  describe('relevanceSort', () => {
+    test('should sort text searches by score', () => {
+      expect(relevanceSort({ text: 'lamp' })).toEqual({ score: { $meta: 'textScore' } });
+      expect(() => relevanceSort({ conditions: [] }))
+        .toThrow(expect.objectContaining({ statusCode: 400, error: 'InvalidSort' }));
+    });
+  });
+});
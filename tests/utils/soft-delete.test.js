@@ -0,0 +1,31 @@
+const { DELETED_AT, assertSoftDeletable, notDeleted, onlyDeleted } = require('../../src/utils/soft-delete');
+
+describe('Soft Delete Utilities', () => {
+  const createModelMock = paths => ({ collection: { name: 'posts' }, schema: { paths } });
+
+  describe('assertSoftDeletable', () => {
+    test('should accept models with a deletedAt path', () => {
+      expect(() => assertSoftDeletable(createModelMock({ deletedAt: { instance: 'Date' } }))).not.toThrow();
+    });
+
+    test('should reject models without a deletedAt path', () => {
+      expect(() => assertSoftDeletable(createModelMock({ title: { instance: 'String' } })))
+        .toThrow('Soft delete requires a "deletedAt" path in the posts schema');
+    });
+  });
+
+  describe('filters', () => {
+    test('should match documents without a deletion date', () => {
+      expect(notDeleted()).toEqual({ [DELETED_AT]: null });
+    });
+
+    test('should match soft-deleted documents', () => {
+      expect(onlyDeleted()).toEqual({ deletedAt: { $ne: null } });
+    });
+
+    test('should return a new filter on every call', () => {
+      expect(notDeleted()).not.toBe(notDeleted());
+      expect(onlyDeleted().deletedAt).not.toBe(onlyDeleted().deletedAt);
+    });
+  });
+});
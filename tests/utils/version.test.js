@@ -0,0 +1,199 @@
+const {
+  getVersionField,
+  getVersion,
+  getLastModified,
+  getCreatedAtField,
+  formatETag,
+  parseIfMatch,
+  matchesIfMatch,
+  ifMatchFilter,
+  nextVersion,
+  withVersionUpdate,
+  preconditionFailed,
+  preconditionRequired
+} = require('../../src/utils/version');
+
+describe('Version Utilities', () => {
+  const createModelMock = paths => ({ collection: { name: 'posts' }, schema: { paths } });
+  const versioned = createModelMock({ title: { instance: 'String' }, __v: { instance: 'Number' } });
+  const timestamped = createModelMock({ title: { instance: 'String' }, updatedAt: { instance: 'Date' } });
+
+  describe('getVersionField', () => {
+    test('should default to __v', () => {
+      expect(getVersionField(versioned)).toBe('__v');
+    });
+
+    test('should use the configured field of the model', () => {
+      expect(getVersionField(timestamped, { Posts: 'updatedAt' })).toBe('updatedAt');
+    });
+
+    test('should return null when the schema has no such path', () => {
+      expect(getVersionField(createModelMock({ title: { instance: 'String' } }))).toBeNull();
+      expect(getVersionField(versioned, { posts: 'updatedAt' })).toBeNull();
+    });
+  });
+
+  describe('getVersion', () => {
+    test('should read documents and plain objects', () => {
+      expect(getVersion({ get: path => (path === '__v' ? 2 : undefined) }, '__v')).toBe(2);
+      expect(getVersion({ __v: 0 }, '__v')).toBe(0);
+    });
+
+    test('should return undefined without document, field or version', () => {
+      expect(getVersion(null, '__v')).toBeUndefined();
+      expect(getVersion({ __v: 1 }, null)).toBeUndefined();
+      expect(getVersion({ updatedAt: null }, 'updatedAt')).toBeUndefined();
+    });
+  });
+
+  describe('getLastModified', () => {
+    test('should read the updatedAt date', () => {
+      const date = new Date(1700000000000);
+      expect(getLastModified(timestamped, { updatedAt: date })).toBe(date);
+      expect(getLastModified(timestamped, { updatedAt: null })).toBeUndefined();
+    });
+
+    test('should follow renamed timestamps', () => {
+      const model = createModelMock({ modifiedOn: { instance: 'Date' } });
+      model.schema.options = { timestamps: { updatedAt: 'modifiedOn' } };
+      const date = new Date(1700000000000);
+
+      expect(getLastModified(model, { modifiedOn: date })).toBe(date);
+    });
+
+    test('should return undefined without a date path', () => {
+      expect(getLastModified(versioned, { updatedAt: new Date() })).toBeUndefined();
+    });
+  });
+
+  describe('getCreatedAtField', () => {
+    test('should follow the timestamps option of the schema', () => {
+      const model = createModelMock({ createdAt: { instance: 'Date' }, created: { instance: 'Date' } });
+
+      expect(getCreatedAtField(model)).toBeNull();
+      model.schema.options = { timestamps: true };
+      expect(getCreatedAtField(model)).toBe('createdAt');
+      model.schema.options = { timestamps: { createdAt: 'created' } };
+      expect(getCreatedAtField(model)).toBe('created');
+      model.schema.options = { timestamps: { createdAt: false } };
+      expect(getCreatedAtField(model)).toBeNull();
+    });
+  });
+
+  describe('formatETag', () => {
+    test('should quote numbers and timestamps', () => {
+      expect(formatETag(3)).toBe('"3"');
+      expect(formatETag(new Date(1700000000000))).toBe('"1700000000000"');
+    });
+
+    test('should return undefined without version', () => {
+      expect(formatETag(undefined)).toBeUndefined();
+    });
+
+    test('should add a digest of the representation', () => {
+      const admin = formatETag(3, { id: 'a', email: 'ada@example.com' });
+
+      expect(admin).toMatch(/^"3:[\w-]+"$/);
+      expect(admin).toBe(formatETag(3, { id: 'a', email: 'ada@example.com' }));
+      expect(admin).not.toBe(formatETag(3, { id: 'a' }));
+    });
+  });
+
+  describe('parseIfMatch', () => {
+    test('should return null without header', () => {
+      expect(parseIfMatch(undefined)).toBeNull();
+      expect(parseIfMatch(' ')).toBeNull();
+    });
+
+    test('should parse the wildcard', () => {
+      expect(parseIfMatch('*')).toBe('*');
+    });
+
+    test('should list strong tags and drop weak ones', () => {
+      expect(parseIfMatch('"1", W/"2" ,"3"')).toEqual(['"1"', '"3"']);
+    });
+
+    test('should keep the version of tags holding a digest', () => {
+      expect(parseIfMatch('"3:2fd4e1c6", W/"4:abc"')).toEqual(['"3"']);
+    });
+  });
+
+  describe('matchesIfMatch', () => {
+    test('should hold without header or with the wildcard', () => {
+      expect(matchesIfMatch(null, 1)).toBe(true);
+      expect(matchesIfMatch('*', 1)).toBe(true);
+    });
+
+    test('should compare the current ETag', () => {
+      expect(matchesIfMatch(['"0"', '"1"'], 1)).toBe(true);
+      expect(matchesIfMatch(['"0"'], 1)).toBe(false);
+      expect(matchesIfMatch([], 1)).toBe(false);
+    });
+  });
+
+  describe('ifMatchFilter', () => {
+    test('should be empty without header, wildcard or version field', () => {
+      expect(ifMatchFilter(versioned, '__v', null)).toEqual({});
+      expect(ifMatchFilter(versioned, '__v', '*')).toEqual({});
+      expect(ifMatchFilter(versioned, null, ['"1"'])).toEqual({});
+    });
+
+    test('should match the listed versions', () => {
+      expect(ifMatchFilter(versioned, '__v', ['"1"', '"2"'])).toEqual({ __v: { $in: [1, 2] } });
+    });
+
+    test('should convert timestamps to dates', () => {
+      expect(ifMatchFilter(timestamped, 'updatedAt', ['"1700000000000"']))
+        .toEqual({ updatedAt: { $in: [new Date(1700000000000)] } });
+    });
+
+    test('should match nothing with invalid tags', () => {
+      expect(ifMatchFilter(versioned, '__v', ['"abc"', '""'])).toEqual({ __v: { $in: [] } });
+    });
+  });
+
+  describe('nextVersion', () => {
+    test('should increment numbers', () => {
+      expect(nextVersion(versioned, '__v', 4)).toBe(5);
+      expect(nextVersion(versioned, '__v', undefined)).toBeUndefined();
+    });
+
+    test('should use the current date for dates', () => {
+      expect(nextVersion(timestamped, 'updatedAt', new Date(0))).toBeInstanceOf(Date);
+    });
+
+    test('should return undefined without version field', () => {
+      expect(nextVersion(versioned, null, 4)).toBeUndefined();
+    });
+  });
+
+  describe('withVersionUpdate', () => {
+    test('should increment numeric versions', () => {
+      expect(withVersionUpdate(versioned, '__v', { $set: { title: 'New' } }))
+        .toEqual({ $set: { title: 'New' }, $inc: { __v: 1 } });
+    });
+
+    test('should set date versions', () => {
+      const update = withVersionUpdate(timestamped, 'updatedAt', { $unset: { title: 1 } });
+      expect(update.$unset).toEqual({ title: 1 });
+      expect(update.$set.updatedAt).toBeInstanceOf(Date);
+    });
+
+    test('should drop client writes to the version', () => {
+      expect(withVersionUpdate(versioned, '__v', { $set: { __v: 9, title: 'New' }, $unset: { __v: 1 } }))
+        .toEqual({ $set: { title: 'New' }, $inc: { __v: 1 } });
+    });
+
+    test('should leave the update unchanged without version field', () => {
+      const update = { $set: { title: 'New' } };
+      expect(withVersionUpdate(versioned, null, update)).toBe(update);
+    });
+  });
+
+  describe('errors', () => {
+    test('should build precondition errors', () => {
+      expect(preconditionFailed()).toMatchObject({ statusCode: 412, error: 'PreconditionFailed' });
+      expect(preconditionRequired()).toMatchObject({ statusCode: 428, error: 'PreconditionRequired' });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const http = require('http');
+const { signPayload } = require('../../src/utils/webhooks');
+const { backoffDelay, createWebhookDispatcher } = require('../../src/utils/webhook-dispatcher');
+
+describe('Webhook Dispatcher', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let statusCode;
+  let collectionMock;
+  let outbox;
+  let queue;
+
+  beforeAll(async () => {
+    // Local receiver recording every delivery
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.statusCode = statusCode;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const entryOf = (fields = {}) => ({
+    _id: { toString: () => '64b000000000000000000001' },
+    collectionName: 'orders',
+    url: `${baseUrl}/hook`,
+    event: 'created',
+    documentId: 'o1',
+    document: { id: 'o1', total: 10 },
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    ...fields
+  });
+
+  const lastUpdate = () => collectionMock.updateOne.mock.calls[collectionMock.updateOne.mock.calls.length - 1][1].$set;
+
+  beforeEach(() => {
+    received = [];
+    statusCode = 200;
+    queue = [];
+    collectionMock = {
+      findOneAndUpdate: jest.fn(async () => ({ value: queue.shift() || null })),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+    };
+    outbox = {
+      collection: collectionMock,
+      find: jest.fn((collectionName, url) => (url.startsWith(baseUrl) ? { url, secret: 'shh' } : undefined))
+    };
+  });
+
+  describe('backoffDelay', () => {
+    test('should double the delay after each failure up to the maximum', () => {
+      const options = { backoff: 1000, maxBackoff: 5000 };
+
+      expect([1, 2, 3, 4].map(attempts => backoffDelay(attempts, options))).toEqual([1000, 2000, 4000, 5000]);
+    });
+  });
+
+  describe('deliver', () => {
+    test('should send a signed JSON payload and mark it delivered', async () => {
+      const dispatcher = createWebhookDispatcher(outbox);
+
+      await expect(dispatcher.deliver(entryOf())).resolves.toBe('delivered');
+
+      const [request] = received;
+      const payload = JSON.parse(request.body);
+      expect(request.url).toBe('/hook');
+      expect(payload).toEqual({
+        id: '64b000000000000000000001',
+        event: 'created',
+        collection: 'orders',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        data: { id: 'o1', total: 10 }
+      });
+      expect(request.headers['content-type']).toBe('application/json');
+      expect(request.headers['x-webhook-event']).toBe('orders.created');
+      expect(request.headers['x-webhook-id']).toBe('64b000000000000000000001');
+      expect(request.headers['x-webhook-signature'])
+        .toBe(`sha256=${signPayload('shh', request.headers['x-webhook-timestamp'], request.body)}`);
+      expect(lastUpdate()).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200, lastError: null });
+    });
+
+    test('should retry failed deliveries with exponential backoff', async () => {
+      statusCode = 500;
+      const dispatcher = createWebhookDispatcher(outbox, { backoff: 1000 });
+      const before = Date.now();
+
+      await expect(dispatcher.deliver(entryOf({ attempts: 2 }))).resolves.toBe('pending');
+
+      const update = lastUpdate();
+      expect(update).toMatchObject({ status: 'pending', attempts: 3, lastStatusCode: 500, lastError: 'Receiver answered 500' });
+      expect(update.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4000);
+    });
+
+    test('should dead-letter deliveries after the last attempt', async () => {
+      statusCode = 410;
+      const dispatcher = createWebhookDispatcher(outbox, { maxAttempts: 3 });
+
+      await expect(dispatcher.deliver(entryOf({ attempts: 2 }))).resolves.toBe('dead');
+      expect(lastUpdate()).toMatchObject({ status: 'dead', attempts: 3 });
+    });
+
+    test('should record network errors and unconfigured webhooks', async () => {
+      const dispatcher = createWebhookDispatcher(outbox);
+
+      await dispatcher.deliver(entryOf({ url: `${baseUrl.replace(/:\d+$/, ':1')}/hook` }));
+      expect(lastUpdate()).toMatchObject({ status: 'dead', lastStatusCode: null, lastError: 'Webhook is no longer configured' });
+
+      outbox.find.mockReturnValue({ secret: 'shh' });
+      await dispatcher.deliver(entryOf({ url: `${baseUrl.replace(/:\d+$/, ':1')}/hook` }));
+      expect(lastUpdate()).toMatchObject({ status: 'pending', lastStatusCode: null });
+      expect(lastUpdate().lastError).toEqual(expect.any(String));
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  describe('poll', () => {
+    test('should claim and send due deliveries in batches', async () => {
+      queue = [entryOf(), entryOf({ event: 'updated' }), entryOf({ event: 'deleted' })];
+      const dispatcher = createWebhookDispatcher(outbox, { batchSize: 2, timeout: 5000 });
+
+      await dispatcher.poll();
+
+      expect(received.map(({ headers }) => headers['x-webhook-event'])).toEqual(['orders.created', 'orders.updated']);
+      const [filter, update, options] = collectionMock.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } });
+      expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThan(filter.nextAttemptAt.$lte.getTime() + 9000);
+      expect(options).toMatchObject({ sort: { nextAttemptAt: 1 } });
+    });
+
+    test('should not run two polls at once', async () => {
+      queue = [entryOf()];
+      const dispatcher = createWebhookDispatcher(outbox);
+
+      await Promise.all([dispatcher.poll(), dispatcher.poll()]);
+
+      expect(collectionMock.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(received).toHaveLength(1);
+    });
+
+    test('should log failures of the outbox', async () => {
+      const log = { error: jest.fn() };
+      collectionMock.findOneAndUpdate.mockRejectedValue(new Error('down'));
+
+      await createWebhookDispatcher(outbox, { log }).poll();
+
+      expect(log.error).toHaveBeenCalledWith(expect.any(Error));
+    });
+  });
+
+  describe('start and stop', () => {
+    test('should poll on an interval until stopped', async () => {
+      jest.useFakeTimers();
+      try {
+        const dispatcher = createWebhookDispatcher(outbox, { interval: 500 });
+        dispatcher.start();
+        dispatcher.start();
+
+        jest.advanceTimersByTime(500);
+        // Wait for the poll in progress, then let the next tick run
+        await dispatcher.poll();
+        jest.advanceTimersByTime(500);
+        await dispatcher.stop();
+        jest.advanceTimersByTime(1000);
+
+        expect(collectionMock.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
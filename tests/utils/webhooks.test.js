@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const {
+  WEBHOOK_OUTBOX,
+  getWebhooks,
+  signPayload,
+  createWebhookOutbox
+} = require('../../src/utils/webhooks');
+
+describe('Webhook Utilities', () => {
+  describe('getWebhooks', () => {
+    test('should normalize one or several webhooks', () => {
+      expect(getWebhooks('orders', { Orders: { url: 'https://a.test/hook', secret: 's' } })).toEqual([
+        { url: 'https://a.test/hook', secret: 's', events: ['created', 'updated', 'deleted'] }
+      ]);
+      expect(getWebhooks('orders', {
+        orders: [
+          { url: 'https://a.test/hook', secret: 's', events: 'deleted' },
+          { url: 'http://b.test/hook', secret: 't', events: ['created'] }
+        ]
+      }).map(webhook => webhook.events)).toEqual([['deleted'], ['created']]);
+    });
+
+    test('should return no webhook for other models', () => {
+      expect(getWebhooks('users', { orders: { url: 'https://a.test', secret: 's' } })).toEqual([]);
+      expect(getWebhooks('users')).toEqual([]);
+    });
+
+    test('should reject invalid webhooks', () => {
+      expect(() => getWebhooks('orders', { orders: { url: 'ftp://a.test', secret: 's' } }))
+        .toThrow('Webhook of orders needs an http or https url');
+      expect(() => getWebhooks('orders', { orders: { url: 'not a url', secret: 's' } }))
+        .toThrow('needs an http or https url');
+      expect(() => getWebhooks('orders', { orders: { url: 'https://a.test' } }))
+        .toThrow('Webhook https://a.test of orders needs a secret');
+      expect(() => getWebhooks('orders', { orders: { url: 'https://a.test', secret: 's', events: ['archived'] } }))
+        .toThrow('Unknown webhook event "archived" for model orders');
+    });
+  });
+
+  describe('signPayload', () => {
+    test('should sign the timestamp and the body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+      expect(signPayload('secret', 1700000000, '{"a":1}')).toBe(expected);
+      expect(signPayload('secret', 1700000001, '{"a":1}')).not.toBe(expected);
+    });
+  });
+
+  describe('createWebhookOutbox', () => {
+    let collectionMock;
+    let connection;
+    const modelOf = (name, db = connection) => ({ collection: { name }, db });
+
+    beforeEach(() => {
+      collectionMock = {
+        createIndex: jest.fn().mockResolvedValue('index'),
+        insertMany: jest.fn().mockResolvedValue({})
+      };
+      connection = {
+        collection: jest.fn().mockReturnValue(collectionMock),
+        transaction: jest.fn(async fn => fn('session'))
+      };
+    });
+
+    test('should return null without webhooks', () => {
+      expect(createWebhookOutbox([modelOf('orders')], {})).toBeNull();
+    });
+
+    test('should require models with webhooks to share a connection', () => {
+      const webhooks = {
+        orders: { url: 'https://a.test', secret: 's' },
+        users: { url: 'https://a.test', secret: 's' }
+      };
+
+      expect(() => createWebhookOutbox([modelOf('orders'), modelOf('users', {})], webhooks))
+        .toThrow('Models with webhooks must share a connection');
+    });
+
+    test('should queue a delivery per webhook listening to the event', async () => {
+      const outbox = createWebhookOutbox([modelOf('orders'), modelOf('users', {})], {
+        orders: [
+          { url: 'https://a.test/hook', secret: 's' },
+          { url: 'https://b.test/hook', secret: 't', events: ['deleted'] }
+        ]
+      });
+
+      expect(connection.collection).toHaveBeenCalledWith(WEBHOOK_OUTBOX);
+      expect(outbox.handles('orders')).toBe(true);
+      expect(outbox.handles('users')).toBe(false);
+      expect(outbox.find('orders', 'https://b.test/hook').secret).toBe('t');
+
+      await expect(outbox.enqueue('orders', 'create', { id: 'o1', total: 10 }, 'session')).resolves.toBe(1);
+      expect(collectionMock.insertMany).toHaveBeenCalledWith([{
+        collectionName: 'orders',
+        url: 'https://a.test/hook',
+        event: 'created',
+        documentId: 'o1',
+        document: { id: 'o1', total: 10 },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: expect.any(Date),
+        createdAt: expect.any(Date)
+      }], { session: 'session' });
+
+      await expect(outbox.enqueue('orders', 'purge', { id: 'o1' })).resolves.toBe(2);
+    });
+
+    test('should run writes and deliveries in one transaction', async () => {
+      const outbox = createWebhookOutbox([modelOf('orders')], {
+        orders: { url: 'https://a.test/hook', secret: 's' }
+      });
+      const write = jest.fn(async session => {
+        await outbox.enqueue('orders', 'update', { id: 'o1' }, session);
+        return 'written';
+      });
+
+      await expect(outbox.transaction(write)).resolves.toBe('written');
+      expect(collectionMock.createIndex).toHaveBeenCalledWith({ status: 1, nextAttemptAt: 1 });
+      expect(write).toHaveBeenCalledWith('session');
+      expect(collectionMock.insertMany).toHaveBeenCalledWith([expect.objectContaining({ event: 'updated' })], {
+        session: 'session'
+      });
+    });
+
+    test('should not commit deliveries of a failed write', async () => {
+      const outbox = createWebhookOutbox([modelOf('orders')], {
+        orders: { url: 'https://a.test/hook', secret: 's' }
+      });
+
+      await expect(outbox.transaction(async () => {
+        throw new Error('Write failed');
+      })).rejects.toThrow('Write failed');
+      expect(collectionMock.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('should not write when no webhook listens to the event', async () => {
+      const outbox = createWebhookOutbox([modelOf('orders')], {
+        orders: { url: 'https://a.test/hook', secret: 's', events: ['deleted'] }
+      });
+
+      await expect(outbox.enqueue('orders', 'update', { id: 'o1' })).resolves.toBe(0);
+      expect(collectionMock.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
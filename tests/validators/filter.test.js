@@ -0,0 +1,92 @@
+const { validateFilters, validateSort } = require('../../src/validators/filter');
+
+describe('Filter Validators', () => {
+  describe('validateFilters', () => {
+    const modelMock = {
+      schema: {
+        paths: {
+          name: { instance: 'String' },
+          age: { instance: 'Number' },
+          'address.city': { instance: 'String' }
+        },
+        path: jest.fn(field => (field === 'comments.text' ? { instance: 'String' } : undefined))
+      }
+    };
+
+    test('should accept schema paths with and without operators', () => {
+      expect(() => validateFilters(modelMock, {
+        name: 'John',
+        'age[gte]': '18',
+        age: { lt: '65' },
+        'address.city': 'Lisbon',
+        'comments.text[ne]': 'spam'
+      })).not.toThrow();
+    });
+
+    test('should accept an empty query', () => {
+      expect(() => validateFilters(modelMock)).not.toThrow();
+    });
+
+    test('should reject $-prefixed keys', () => {
+      expect(() => validateFilters(modelMock, { $where: 'sleep(1000)' }))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          error: 'InvalidFilter',
+          message: 'Operator "$where" is not allowed in filters'
+        }));
+      expect(() => validateFilters(modelMock, { 'name[$regex]': '.*' }))
+        .toThrow('Operator "name[$regex]" is not allowed in filters');
+    });
+
+    test('should reject operators nested in values', () => {
+      expect(() => validateFilters(modelMock, { name: { $regex: '.*' } }))
+        .toThrow('Operator "$regex" is not allowed in filters');
+      expect(() => validateFilters(modelMock, { age: { in: [{ $expr: {} }] } }))
+        .toThrow('Operator "$expr" is not allowed in filters');
+    });
+
+    test('should reject fields and dotted paths that are not in the schema', () => {
+      expect(() => validateFilters(modelMock, { role: 'admin' }))
+        .toThrow('Unknown filter field "role"');
+      expect(() => validateFilters(modelMock, { 'address.zip[eq]': '1000' }))
+        .toThrow('Unknown filter field "address.zip"');
+    });
+
+    test('should only accept whitelisted fields when configured', () => {
+      expect(() => validateFilters(modelMock, { 'age[gt]': '1' }, ['age'])).not.toThrow();
+      expect(() => validateFilters(modelMock, { name: 'John' }, ['age']))
+        .toThrow('Filtering on "name" is not allowed');
+    });
+
+    test('should work with schemas without path lookup', () => {
+      const plainModel = { schema: { paths: { name: {} } } };
+
+      expect(() => validateFilters(plainModel, { name: 'x' })).not.toThrow();
+      expect(() => validateFilters(plainModel, { other: 'x' })).toThrow('Unknown filter field "other"');
+    });
+
+    test('should reject filters on hidden fields', () => {
+      expect(() => validateFilters(modelMock, { 'name[exists]': 'true' }, undefined, ['name']))
+        .toThrow('Filtering on "name" is not allowed');
+      expect(() => validateFilters(modelMock, { 'address.city': 'Lisbon' }, undefined, ['address']))
+        .toThrow('Filtering on "address.city" is not allowed');
+      expect(() => validateFilters(modelMock, { age: '1' }, undefined, ['name'])).not.toThrow();
+    });
+  });
+
+  describe('validateSort', () => {
+    test('should accept sorts on visible fields', () => {
+      expect(() => validateSort({ age: 1, _id: -1 }, ['name'])).not.toThrow();
+      expect(() => validateSort()).not.toThrow();
+    });
+
+    test('should reject sorts on hidden fields', () => {
+      expect(() => validateSort({ name: 1 }, ['name']))
+        .toThrow(expect.objectContaining({
+          statusCode: 400,
+          error: 'InvalidSort',
+          message: 'Sorting on "name" is not allowed'
+        }));
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const {
+  POLICY_METHODS,
+  getModelPolicies,
+  policyFilter,
+  createPopulateMatch,
+  constrainFilter,
+  assertAllowed,
+  authorizeDocument
+} = require('../../src/validators/policy');
+
+describe('Policy Validators', () => {
+  const request = { user: { id: 'user-1' } };
+  const ownPosts = req => ({ author: req.user.id });
+  const isAuthor = (req, doc) => doc.author === req.user.id;
+
+  describe('getModelPolicies', () => {
+    test('should normalize function policies and match models regardless of case', () => {
+      const policies = getModelPolicies('posts', {
+        Posts: { put: isAuthor, GET: { filter: ownPosts } }
+      });
+
+      expect(policies).toEqual({ PUT: { allow: isAuthor }, PATCH: { allow: isAuthor }, GET: { filter: ownPosts } });
+    });
+
+    test('should guard PATCH with the PUT policy and PURGE with the DELETE policy by default', () => {
+      const isAdmin = req => req.user.isAdmin;
+      expect(getModelPolicies('posts', { posts: { PUT: isAuthor, DELETE: isAuthor } }))
+        .toMatchObject({ PATCH: { allow: isAuthor }, PURGE: { allow: isAuthor } });
+      expect(getModelPolicies('posts', { posts: { PUT: isAuthor, PATCH: isAdmin } }).PATCH)
+        .toEqual({ allow: isAdmin });
+    });
+
+    test('should return no policies when none are configured', () => {
+      expect(getModelPolicies('posts')).toEqual({});
+      expect(getModelPolicies('posts', { users: { PUT: isAuthor } })).toEqual({});
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => getModelPolicies('posts', { posts: { HEAD: isAuthor } }))
+        .toThrow('Unknown policy method "HEAD" for model posts');
+    });
+
+    test('should reject invalid policies', () => {
+      expect(() => getModelPolicies('posts', { posts: { PUT: true } }))
+        .toThrow('Policy PUT for model posts must be a function or { allow, filter }');
+      expect(() => getModelPolicies('posts', { posts: { PUT: { allow: 'yes' } } }))
+        .toThrow('Policy PUT for model posts must be a function or { allow, filter }');
+    });
+
+    test('should require a filter for GET policies', () => {
+      expect(() => getModelPolicies('posts', { posts: { GET: isAuthor } }))
+        .toThrow('Policy GET for model posts needs a filter to protect list routes');
+    });
+
+    test('should support every write method and purge', () => {
+      expect(POLICY_METHODS).toEqual(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'PURGE']);
+    });
+  });
+
+  describe('policyFilter', () => {
+    test('should build the constraint of the policy', async () => {
+      await expect(policyFilter({ filter: ownPosts }, request)).resolves.toEqual({ author: 'user-1' });
+    });
+
+    test('should return an empty constraint without filter', async () => {
+      await expect(policyFilter(undefined, request)).resolves.toEqual({});
+      await expect(policyFilter({ allow: isAuthor }, request)).resolves.toEqual({});
+      await expect(policyFilter({ filter: () => null }, request)).resolves.toEqual({});
+    });
+  });
+
+  describe('createPopulateMatch', () => {
+    test('should constrain populated references with the GET policy of their model', async () => {
+      const modelMock = {
+        db: { models: { User: { collection: { name: 'users' } } } },
+        schema: {
+          paths: {
+            author: { instance: 'ObjectId', options: { ref: 'User' } },
+            tags: { instance: 'Array', caster: { options: { ref: 'Tag' } }, options: {} },
+            title: { instance: 'String', options: {} }
+          }
+        }
+      };
+      const populateMatch = createPopulateMatch(modelMock, {
+        users: { GET: { filter: req => ({ tenant: req.user.id }) } },
+        posts: { GET: { filter: ownPosts } }
+      });
+
+      await expect(populateMatch(request)).resolves.toEqual({ author: { tenant: 'user-1' } });
+      await expect(createPopulateMatch(modelMock)(request)).resolves.toEqual({});
+    });
+  });
+
+  describe('constrainFilter', () => {
+    test('should add the constraint in $and', () => {
+      expect(constrainFilter({ status: 'draft' }, { author: 'user-1' })).toEqual({
+        status: 'draft',
+        $and: [{ author: 'user-1' }]
+      });
+    });
+
+    test('should keep existing $and conditions', () => {
+      expect(constrainFilter({ $and: [{ a: 1 }] }, { b: 2 })).toEqual({ $and: [{ a: 1 }, { b: 2 }] });
+    });
+
+    test('should return the filter untouched without constraint', () => {
+      const filter = { status: 'draft' };
+
+      expect(constrainFilter(filter, {})).toBe(filter);
+      expect(constrainFilter(filter)).toBe(filter);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    test('should pass when the policy allows the document', async () => {
+      await expect(assertAllowed({ allow: isAuthor }, request, { author: 'user-1' })).resolves.toBeUndefined();
+      await expect(assertAllowed(undefined, request, {})).resolves.toBeUndefined();
+      await expect(assertAllowed({ filter: ownPosts }, request, {})).resolves.toBeUndefined();
+    });
+
+    test('should throw 403 Forbidden when the policy denies the document', async () => {
+      await expect(assertAllowed({ allow: async () => false }, request, {}))
+        .rejects.toMatchObject({
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'You are not allowed to perform this action'
+        });
+    });
+  });
+
+  describe('authorizeDocument', () => {
+    const modelMock = () => ({ exists: jest.fn().mockResolvedValue({ _id: 'post-1' }) });
+
+    test('should check both allow and filter', async () => {
+      const model = modelMock();
+
+      await authorizeDocument(model, { allow: isAuthor, filter: ownPosts }, request, {
+        _id: 'post-1',
+        author: 'user-1'
+      });
+
+      expect(model.exists).toHaveBeenCalledWith({ author: 'user-1', _id: 'post-1' });
+    });
+
+    test('should throw 403 when the document does not match the filter', async () => {
+      const model = modelMock();
+      model.exists.mockResolvedValue(null);
+
+      await expect(authorizeDocument(model, { filter: ownPosts }, request, { _id: 'post-1' }))
+        .rejects.toMatchObject({ statusCode: 403, error: 'Forbidden' });
+    });
+
+    test('should throw 403 when allow denies the document', async () => {
+      const model = modelMock();
+
+      await expect(authorizeDocument(model, { allow: isAuthor }, request, { author: 'user-2' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(model.exists).not.toHaveBeenCalled();
+    });
+
+    test('should do nothing without policy', async () => {
+      const model = modelMock();
+
+      await authorizeDocument(model, undefined, request, {});
+
+      expect(model.exists).not.toHaveBeenCalled();
+    });
+  });
+});